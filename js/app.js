@@ -39,11 +39,51 @@ let APP_STATE = {
         /**
          * Analytics snippet to be injected into the exported HTML head.
          */
-        analyticsCode: ''
+        analyticsCode: '',
+
+        /**
+         * How imported presenter notes appear on the site: 'details'
+         * (collapsible block), 'inline' or 'omit'. Remembered across
+         * sessions as a preference.
+         */
+        speakerNotes: 'details',
+
+        /**
+         * Deepest Markdown heading level (1-3) that starts a new section
+         * on import. Remembered across sessions as a preference.
+         */
+        markdownHeadingDepth: '2',
+
+        /**
+         * Image cleanup steps run before OCR, see LWB_Preprocess.
+         * Remembered across sessions as a preference.
+         */
+        ocrPreprocess: null
     },
     currentScreen: 'upload',
     isLoading: false,
-    unsavedChanges: false
+    unsavedChanges: false,
+    
+    /**
+     * Open PDF page picker: { pdf, numPages, resolve }, or null
+     */
+    pdfPagePicker: null,
+    
+    /**
+     * Open OCR image preview: { image, steps, resolve }, or null
+     */
+    ocrImageReview: null,
+    
+    /**
+     * LWB_Jobs job for the import shown on the loading screen
+     */
+    importJob: null,
+    
+    /**
+     * What the last import did (see buildConversionReport), or null for
+     * blank and restored projects
+     */
+    conversionReport: null
 };
 
 /**
@@ -67,6 +107,14 @@ function initializeApp() {
     // Load saved project if exists
     loadSavedProject();
 
+    // Restore remembered import preferences
+    APP_STATE.settings.speakerNotes = window.LWB_Utils.loadPreference('speakerNotes', 'details');
+    APP_STATE.settings.markdownHeadingDepth = window.LWB_Utils.loadPreference('markdownHeadingDepth', '2');
+    APP_STATE.settings.ocrPreprocess = Object.assign(
+        window.LWB_Preprocess.getDefaultPreprocessSteps(),
+        window.LWB_Utils.loadPreference('ocrPreprocess', {})
+    );
+
     // Ensure a header section always exists on load.  If a legacy project
     // has no header or has multiple header flags, this will insert or
     // normalize it so that there is exactly one header at index 0.  The
@@ -79,6 +127,14 @@ function initializeApp() {
     // Initialize file handling
     initializeFileHandling();
     
+    // Load the processing libraries and say which imports are unavailable
+    window.LWB_Libraries.whenLibrariesReady().then(({ missing }) => {
+        if (missing.length > 0) {
+            const names = missing.map(library => library.label).join(', ');
+            window.LWB_Utils.showToast(`Could not load ${names}. Some imports will not work offline until these are added to the vendor folder.`, 'error', 8000);
+        }
+    });
+    
     // Initialize auto-save
     initializeAutoSave();
     
@@ -143,11 +199,33 @@ function cacheDOMReferences() {
         addButtonMenu: document.getElementById('addButtonMenu'),
         buttonPreview: document.getElementById('buttonPreview'),
         analyticsCode: document.getElementById('analyticsCode'),
+        speakerNotes: document.getElementById('speakerNotes'),
+        markdownHeadingDepth: document.getElementById('markdownHeadingDepth'),
         
         // Modals
         previewModal: document.getElementById('previewModal'),
         exportModal: document.getElementById('exportModal'),
         infoModal: document.getElementById('infoModal'),
+        importReportModal: document.getElementById('importReportModal'),
+        importReportList: document.getElementById('importReportList'),
+        conversionReportModal: document.getElementById('conversionReportModal'),
+        conversionReportBody: document.getElementById('conversionReportBody'),
+        conversionReportBtn: document.getElementById('conversionReportBtn'),
+        ocrReviewBtn: document.getElementById('ocrReviewBtn'),
+        ocrLanguageSummary: document.getElementById('ocrLanguageSummary'),
+        projectLanguage: document.getElementById('projectLanguage'),
+        ocrImageModal: document.getElementById('ocrImageModal'),
+        ocrImageSubtitle: document.getElementById('ocrImageSubtitle'),
+        ocrImageBefore: document.getElementById('ocrImageBefore'),
+        ocrImageAfter: document.getElementById('ocrImageAfter'),
+        ocrImageSteps: document.getElementById('ocrImageSteps'),
+        ocrImageNote: document.getElementById('ocrImageNote'),
+        ocrPreprocessSteps: document.getElementById('ocrPreprocessSteps'),
+        pdfPageModal: document.getElementById('pdfPageModal'),
+        pdfPageSubtitle: document.getElementById('pdfPageSubtitle'),
+        pdfPageRange: document.getElementById('pdfPageRange'),
+        pdfPageGrid: document.getElementById('pdfPageGrid'),
+        pdfPageImportBtn: document.getElementById('pdfPageImportBtn'),
         fullPreview: document.getElementById('fullPreview'),
         previewFrame: document.getElementById('previewFrame'),
         
@@ -304,10 +382,15 @@ function resetToUploadScreen() {
         layoutStyle: 'single',
         darkMode: false,
         buttons: [],
-        analyticsCode: ''
+        analyticsCode: '',
+        // Preferences outlive the project
+        speakerNotes: APP_STATE.settings.speakerNotes,
+        markdownHeadingDepth: APP_STATE.settings.markdownHeadingDepth,
+        ocrPreprocess: APP_STATE.settings.ocrPreprocess
     };
     
     APP_STATE.unsavedChanges = false;
+    setConversionReport(null);
     
     if (DOM_REFS.fileInput) {
         DOM_REFS.fileInput.value = '';
@@ -327,7 +410,7 @@ function resetToUploadScreen() {
 function initializeFileHandling() {
     // Initialize drag and drop
     if (DOM_REFS.dropZone) {
-        window.LWB_FileHandlers.initializeDragAndDrop(DOM_REFS.dropZone, handleFile);
+        window.LWB_FileHandlers.initializeDragAndDrop(DOM_REFS.dropZone, startFileImport, startBatchImport);
         
         // Click to upload
         DOM_REFS.dropZone.addEventListener('click', () => {
@@ -346,7 +429,7 @@ function initializeFileHandling() {
     // File input change
     if (DOM_REFS.fileInput) {
         DOM_REFS.fileInput.addEventListener('change', (e) => {
-            handleFile(e.target.files[0]);
+            startBatchImport(e.target.files);
         });
     }
     
@@ -357,9 +440,16 @@ function initializeFileHandling() {
 }
 
 /**
- * Handle file upload and processing
+ * Handle file upload and processing.
+ *
+ * The import entry points are not called handleFile/handleFiles: the
+ * top-level functions of these scripts are globals and app.js loads
+ * last, so functions of those names here would replace the ones
+ * fileHandlers.js calls internally.
+ * @param {File} file
+ * @param {Object} [importOptions] Extra handler options, e.g. the assets of a dropped folder
  */
-function handleFile(file) {
+function startFileImport(file, importOptions = {}) {
     if (!file) return;
     
     // Validate file
@@ -373,62 +463,639 @@ function handleFile(file) {
     showLoadingScreen('Processing your file', 'Extracting content and analyzing structure...');
     
     // Process file
-        window.LWB_FileHandlers.handleFile(
-        file,
-        (sections, fileName) => {
-            // Success callback
-            APP_STATE.currentProject.sections = sections;
-            APP_STATE.currentProject.title = fileName.replace(/\.[^/.]+$/, '') || 'My Website';
-            
-            // Ensure there is exactly one header at index 0.  This guards
-            // against import handlers that do not create a header.
-            ensureHeaderExists(APP_STATE.currentProject);
-            
-            // Update UI
-            if (DOM_REFS.pdfName) {
-                DOM_REFS.pdfName.textContent = fileName;
-            }
-            
-            // After processing, attempt template suggestion based on the extracted content
-            try {
-                // Concatenate all text and HTML content from sections for analysis
-                const allText = sections.map(sec => {
-                    return (sec.content || []).map(c => {
-                        if (c.type === 'text' || c.type === 'html') {
-                            // Strip HTML tags for analysis
-                            return (c.value || '').replace(/<[^>]+>/g, ' ');
-                        }
-                        return '';
-                    }).join(' ');
-                }).join(' ');
-                const suggestion = window.LWB_Templates?.suggestTemplateWithConfidence(allText);
-                if (suggestion && suggestion.templateId && suggestion.templateId !== 'blank') {
-                    const template = window.LWB_Templates.getTemplate(suggestion.templateId);
-                    if (template) {
-                        const pct = Math.round((suggestion.confidence || 0) * 100);
-                        window.LWB_Utils.showToast(`Suggested template: ${template.name} (${pct}% confidence)`, 'info', 6000);
-                    }
+    const job = startImportJob();
+    window.LWB_FileHandlers.handleFile(file, job.result, job.fail, {
+        markdownHeadingDepth: APP_STATE.settings.markdownHeadingDepth,
+        ocrPreprocess: APP_STATE.settings.ocrPreprocess,
+        selectPdfPages,
+        reviewOcrImage,
+        job,
+        ...importOptions
+    });
+}
+
+/**
+ * Handle several files dropped or selected together. They are merged
+ * into one project and a summary of where each file went is shown.
+ * @param {FileList|Array<File>} files
+ */
+function startBatchImport(files) {
+    files = Array.from(files || []);
+    if (files.length <= 1) {
+        startFileImport(files[0]);
+        return;
+    }
+    
+    showLoadingScreen('Processing your files', `Combining ${files.length} files into one website...`);
+    
+    const job = startImportJob();
+    window.LWB_FileHandlers.handleFiles(files, job.result, job.fail, {
+        markdownHeadingDepth: APP_STATE.settings.markdownHeadingDepth,
+        ocrPreprocess: APP_STATE.settings.ocrPreprocess,
+        selectPdfPages,
+        job
+    });
+}
+
+/**
+ * Start the job for an import. The loading screen's Cancel button
+ * cancels it, and results arriving after that are ignored.
+ */
+function startImportJob() {
+    APP_STATE.importJob = window.LWB_Jobs.startJob('import', {
+        onProgress: updateLoadingProgress,
+        onResult: handleImportSuccess,
+        onError: handleImportError,
+        onCancel: handleImportCancelled
+    });
+    return APP_STATE.importJob;
+}
+
+/**
+ * Cancel the import in progress (loading screen, page picker and OCR
+ * image preview)
+ */
+function cancelProcessing() {
+    if (APP_STATE.importJob) {
+        APP_STATE.importJob.cancel();
+    } else {
+        cancelPdfPageSelection();
+        cancelOcrImageReview();
+    }
+}
+
+/**
+ * Return to the upload screen after an import was cancelled
+ */
+function handleImportCancelled() {
+    APP_STATE.importJob = null;
+    cancelPdfPageSelection();
+    cancelOcrImageReview();
+    // Let the same file be chosen again
+    if (DOM_REFS.fileInput) DOM_REFS.fileInput.value = '';
+    showScreen('upload');
+    window.LWB_Utils.showToast('Processing cancelled', 'info');
+}
+
+/**
+ * Load the sections produced by an import into the current project and
+ * open the editor
+ */
+function handleImportSuccess(sections, fileName, meta = {}) {
+    APP_STATE.importJob = null;
+    APP_STATE.currentProject.sections = sections;
+    APP_STATE.currentProject.title = meta.title || fileName.replace(/\.[^/.]+$/, '') || 'My Website';
+    APP_STATE.currentProject.description = meta.description || '';
+    APP_STATE.currentProject.language = meta.language || '';
+    if (meta.logoUrl) APP_STATE.currentProject.logoUrl = meta.logoUrl;
+    applyImportedColors(meta);
+    
+    // Ensure there is exactly one header at index 0.  This guards
+    // against import handlers that do not create a header.
+    ensureHeaderExists(APP_STATE.currentProject);
+    
+    // Update UI
+    if (DOM_REFS.pdfName) {
+        const extraFiles = meta.importReport ? meta.importReport.filter(entry => entry.action !== 'primary').length : 0;
+        DOM_REFS.pdfName.textContent = extraFiles > 0 ? `${fileName} + ${extraFiles} more` : fileName;
+    }
+    
+    // After processing, attempt template suggestion based on the extracted content
+    let suggestion = null;
+    try {
+        // Concatenate all text and HTML content from sections for analysis
+        const allText = sections.map(sec => {
+            return (sec.content || []).map(c => {
+                if (c.type === 'text' || c.type === 'html') {
+                    // Strip HTML tags for analysis
+                    return (c.value || '').replace(/<[^>]+>/g, ' ');
                 }
-            } catch (e) {
-                console.warn('Template suggestion failed:', e);
+                if (c.type === 'table') {
+                    return (c.rows || []).map(cells => cells.join(' ')).join(' ');
+                }
+                return '';
+            }).join(' ');
+        }).join(' ');
+        suggestion = window.LWB_Templates?.suggestTemplateWithConfidence(allText) || null;
+        if (suggestion && suggestion.templateId && suggestion.templateId !== 'blank') {
+            const template = window.LWB_Templates.getTemplate(suggestion.templateId);
+            if (template) {
+                const pct = Math.round((suggestion.confidence || 0) * 100);
+                window.LWB_Utils.showToast(`Suggested template: ${template.name} (${pct}% confidence)`, 'info', 6000);
             }
+        }
+    } catch (e) {
+        console.warn('Template suggestion failed:', e);
+    }
+    const conversionReport = buildConversionReport(sections, meta, suggestion);
+    setConversionReport(conversionReport);
 
-            // Show editor
-            showScreen('editor');
-            // Trigger a project update to refresh the preview and schedule an autosave
-            updateProject();
-            // Mark unsaved changes after update (updateProject will schedule a save later)
-            markUnsavedChanges();
-            
-            window.LWB_Utils.showToast('File processed successfully!', 'success');
-        },
-        (error) => {
-            // Error callback
-            console.error('File processing error:', error);
-            window.LWB_Utils.showToast(error, 'error');
-            showScreen('upload');
+    // Show editor
+    showScreen('editor');
+    // Trigger a project update to refresh the preview and schedule an autosave
+    updateProject();
+    // Mark unsaved changes after update (updateProject will schedule a save later)
+    markUnsavedChanges();
+    
+    if (meta.importReport && meta.importReport.length > 1) {
+        showImportReport(meta.importReport);
+        window.LWB_Utils.showToast('Files combined successfully!', 'success');
+    } else if (conversionReport.needsReview) {
+        showConversionReport();
+        window.LWB_Utils.showToast('File processed - please review the conversion report', 'info');
+    } else {
+        window.LWB_Utils.showToast('File processed successfully!', 'success');
+    }
+}
+
+/**
+ * Report a failed import and return to the upload screen
+ */
+function handleImportError(error) {
+    APP_STATE.importJob = null;
+    console.error('File processing error:', error);
+    window.LWB_Utils.showToast(error, 'error');
+    showScreen('upload');
+}
+
+/**
+ * Show the review of a batch import: one line per file saying whether it
+ * was the main document, attached to a section, added as a new section
+ * or skipped
+ */
+function showImportReport(report) {
+    if (!DOM_REFS.importReportModal || !DOM_REFS.importReportList) return;
+    
+    const escape = window.LWB_Utils.sanitizeHtml;
+    const describe = {
+        primary: () => ['📄', 'Main document - sections come from this file'],
+        attached: entry => ['📎', `Added to “${escape(entry.target)}”`],
+        appended: entry => ['➕', `New section “${escape(entry.target)}”`],
+        skipped: entry => ['⚠️', `Skipped: ${escape(entry.reason || 'unknown error')}`]
+    };
+    
+    DOM_REFS.importReportList.innerHTML = report.map(entry => {
+        const [icon, text] = (describe[entry.action] || describe.skipped)(entry);
+        return `<li class="import-report-item ${entry.action}"><span>${icon}</span><div><strong>${escape(entry.fileName)}</strong><div>${text}</div></div></li>`;
+    }).join('');
+    DOM_REFS.importReportModal.classList.add('active');
+}
+
+/**
+ * Close the batch import review
+ */
+function closeImportReportModal() {
+    if (DOM_REFS.importReportModal) {
+        DOM_REFS.importReportModal.classList.remove('active');
+    }
+}
+
+// ===================================================
+// CONVERSION REPORT
+// ===================================================
+
+/**
+ * Summarise what an import did so the user knows what to double-check:
+ * how each page was read (from the handler's `meta.diagnostics`, given
+ * by PDF and image imports), the headings that became sections and the
+ * template suggestion.
+ *
+ * @param {Array} sections Imported sections
+ * @param {Object} meta Import metadata
+ * @param {{templateId: string, confidence: number}|null} suggestion From suggestTemplateWithConfidence
+ * @returns {Object} Report; `needsReview` is set when OCR was used or something went wrong
+ */
+function buildConversionReport(sections, meta, suggestion) {
+    const diagnostics = meta.diagnostics || {};
+    const pages = diagnostics.pages || [];
+    const threshold = window.LWB_OCR ? window.LWB_OCR.OCR_CONFIG.CONFIDENCE_THRESHOLD : 0.7;
+    const ocrPages = pages.filter(page => page.method === 'ocr');
+    // Some OCR engines report no confidence
+    const scoredPages = ocrPages.filter(page => typeof page.confidence === 'number');
+    const lowConfidencePages = scoredPages.filter(page => page.confidence < threshold);
+    const failedPages = pages.filter(page => page.method === 'failed');
+    const template = suggestion && suggestion.templateId !== 'blank'
+        ? window.LWB_Templates.getTemplate(suggestion.templateId)
+        : null;
+    
+    return {
+        pageCount: diagnostics.pageCount || 0,
+        pages,
+        skippedPages: diagnostics.skippedPages || [],
+        alphaRatio: typeof diagnostics.alphaRatio === 'number' ? diagnostics.alphaRatio : null,
+        ocrConfidence: scoredPages.length > 0
+            ? scoredPages.reduce((sum, page) => sum + page.confidence, 0) / scoredPages.length
+            : null,
+        ocrProvider: diagnostics.ocrProvider || null,
+        confidenceThreshold: threshold,
+        lowConfidencePages: lowConfidencePages.map(page => page.page),
+        warnings: diagnostics.warnings || [],
+        headings: sections.filter(section => !section.isHeader).map(section => section.name),
+        template: template ? { name: template.name, confidence: suggestion.confidence } : null,
+        preprocessing: diagnostics.preprocessing || null,
+        language: diagnostics.language || null,
+        ocrMarks: window.LWB_OCRReview ? window.LWB_OCRReview.countOCRMarks({ sections }) : 0,
+        needsReview: ocrPages.length > 0 || failedPages.length > 0 || (diagnostics.warnings || []).length > 0
+    };
+}
+
+/**
+ * Remember the report of the current import and show or hide the
+ * editor button that opens it
+ */
+function setConversionReport(report) {
+    APP_STATE.conversionReport = report;
+    if (DOM_REFS.conversionReportBtn) {
+        DOM_REFS.conversionReportBtn.style.display = report ? '' : 'none';
+    }
+}
+
+/**
+ * Show the Review OCR button, with the number of words left, while the
+ * project has words marked for review
+ */
+function updateOcrReviewButton() {
+    if (!DOM_REFS.ocrReviewBtn || !window.LWB_OCRReview) return;
+    const count = window.LWB_OCRReview.countOCRMarks(APP_STATE.currentProject);
+    DOM_REFS.ocrReviewBtn.style.display = count > 0 ? '' : 'none';
+    DOM_REFS.ocrReviewBtn.textContent = `🔎 Review OCR (${count})`;
+}
+
+/**
+ * Show the conversion report for the current import
+ */
+function showConversionReport() {
+    const report = APP_STATE.conversionReport;
+    if (!report || !DOM_REFS.conversionReportModal || !DOM_REFS.conversionReportBody) return;
+    
+    const escape = window.LWB_Utils.sanitizeHtml;
+    const percent = value => `${Math.round(value * 100)}%`;
+    const methods = {
+        text: 'Text layer',
+        ocr: 'OCR',
+        image: 'Imported as picture',
+        failed: 'Failed'
+    };
+    const blocks = [];
+    
+    if (report.warnings.length > 0) {
+        blocks.push(`<ul class="conversion-report-warnings">${report.warnings.map(text => `<li>⚠️ ${escape(text)}</li>`).join('')}</ul>`);
+    }
+    
+    const summary = [];
+    if (report.pageCount) {
+        summary.push(['Pages', `${report.pages.length} of ${report.pageCount} imported`]);
+    }
+    if (report.skippedPages.length > 0) {
+        summary.push(['Skipped pages', escape(window.LWB_Utils.formatPageRange(report.skippedPages))]);
+    }
+    if (report.alphaRatio !== null) {
+        summary.push(['Letters in text layer', percent(report.alphaRatio)]);
+    }
+    if (report.ocrProvider) {
+        const provider = window.LWB_OCRProviders.getOCRProvider(report.ocrProvider);
+        summary.push(['OCR engine', escape(provider ? provider.label : report.ocrProvider)]);
+    }
+    if (report.ocrConfidence !== null) {
+        summary.push(['Average OCR confidence', percent(report.ocrConfidence)]);
+    }
+    if (report.language) {
+        const language = window.LWB_OCRLanguages.OCR_LANGUAGES.find(entry => entry.tag === report.language);
+        summary.push(['Detected language', language ? `${language.label} (${report.language})` : escape(report.language)]);
+    }
+    if (report.preprocessing) {
+        const changes = [];
+        if (report.preprocessing.skewAngle) changes.push(`straightened by ${Math.abs(report.preprocessing.skewAngle)}°`);
+        if (report.preprocessing.scale > 1) changes.push(`enlarged ${report.preprocessing.scale.toFixed(1)}×`);
+        summary.push(['Image cleanup', changes.length > 0 ? changes.join(', ') : 'No resizing or straightening needed']);
+    }
+    summary.push(['Suggested template', report.template
+        ? `${escape(report.template.name)} (${percent(report.template.confidence)} confidence)`
+        : 'None - no template matched the content']);
+    blocks.push(`<dl class="conversion-report-summary">${summary.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}</dl>`);
+    
+    if (report.pages.length > 0) {
+        const rows = report.pages.map(page => {
+            const lowConfidence = report.lowConfidencePages.includes(page.page);
+            const notes = page.error
+                ? escape(page.error)
+                : typeof page.characters === 'number' ? `${page.characters} characters` : '';
+            const rowClass = page.method === 'failed' || lowConfidence ? ' class="needs-review"' : '';
+            return `<tr${rowClass}><td>${page.page}</td><td>${methods[page.method] || escape(page.method)}</td>` +
+                `<td>${typeof page.confidence === 'number' ? percent(page.confidence) : '-'}</td><td>${notes}</td></tr>`;
+        }).join('');
+        blocks.push(`<h3>Pages</h3><table class="conversion-report-pages"><thead><tr><th>Page</th><th>Method</th><th>Confidence</th><th>Notes</th></tr></thead><tbody>${rows}</tbody></table>`);
+        if (report.ocrMarks > 0) {
+            blocks.push(`<p class="conversion-report-note">${report.ocrMarks} word${report.ocrMarks === 1 ? ' was' : 's were'} read with low confidence and ${report.ocrMarks === 1 ? 'is' : 'are'} highlighted in the editor; use 🔎 Review OCR to check them.</p>`);
         }
-    );
+        if (report.lowConfidencePages.length > 0) {
+            blocks.push(`<p class="conversion-report-note">OCR confidence is below ${percent(report.confidenceThreshold)} on page${report.lowConfidencePages.length > 1 ? 's' : ''} ${escape(window.LWB_Utils.formatPageRange(report.lowConfidencePages))}; check the text of those pages.</p>`);
+        }
+    }
+    
+    blocks.push(`<h3>Detected headings</h3>` + (report.headings.length > 0
+        ? `<ol class="conversion-report-headings">${report.headings.map(name => `<li>${escape(name)}</li>`).join('')}</ol>`
+        : '<p class="conversion-report-note">No headings were found, so the content is in a single section.</p>'));
+    
+    DOM_REFS.conversionReportBody.innerHTML = blocks.join('');
+    DOM_REFS.conversionReportModal.classList.add('active');
+}
+
+/**
+ * Close the conversion report
+ */
+function closeConversionReport() {
+    if (DOM_REFS.conversionReportModal) {
+        DOM_REFS.conversionReportModal.classList.remove('active');
+    }
+}
+
+// ===================================================
+// PDF PAGE PICKER
+// ===================================================
+
+/**
+ * Ask which pages of a multi-page PDF to import, and which of them to
+ * import as whole-page images. Used as the `selectPdfPages` import option.
+ * @param {Object} pdf pdf.js document
+ * @param {string} fileName
+ * @returns {Promise<{pages: number[], imagePages: number[]}|null>} Null when cancelled
+ */
+function selectPdfPages(pdf, fileName) {
+    if (!DOM_REFS.pdfPageModal || !DOM_REFS.pdfPageGrid) {
+        return Promise.resolve({ pages: Array.from({ length: pdf.numPages }, (_, i) => i + 1), imagePages: [] });
+    }
+    
+    return new Promise(resolve => {
+        const picker = { pdf, numPages: pdf.numPages, resolve };
+        APP_STATE.pdfPagePicker = picker;
+        
+        if (DOM_REFS.pdfPageSubtitle) {
+            DOM_REFS.pdfPageSubtitle.textContent = `${fileName} has ${pdf.numPages} pages. Untick pages to leave them out, e.g. appendices.`;
+        }
+        DOM_REFS.pdfPageGrid.innerHTML = Array.from({ length: pdf.numPages }, (_, i) => {
+            const page = i + 1;
+            return `
+                <div class="pdf-page-thumb">
+                    <canvas data-page="${page}"></canvas>
+                    <label><input type="checkbox" class="pdf-page-include" value="${page}" checked onchange="updatePdfPageSelection()"> Page ${page}</label>
+                    <label class="pdf-page-image-toggle"><input type="checkbox" class="pdf-page-as-image" value="${page}"> As image</label>
+                </div>
+            `;
+        }).join('');
+        updatePdfPageSelection();
+        DOM_REFS.pdfPageModal.classList.add('active');
+        
+        renderPdfPageThumbnails(picker);
+    });
+}
+
+/**
+ * Draw page thumbnails one at a time, stopping if the picker closes
+ */
+async function renderPdfPageThumbnails(picker) {
+    for (let page = 1; page <= picker.numPages; page++) {
+        if (APP_STATE.pdfPagePicker !== picker) return;
+        const canvas = DOM_REFS.pdfPageGrid.querySelector(`canvas[data-page="${page}"]`);
+        if (!canvas) continue;
+        try {
+            const pdfPage = await picker.pdf.getPage(page);
+            const unscaled = pdfPage.getViewport({ scale: 1 });
+            const viewport = pdfPage.getViewport({ scale: 120 / unscaled.width });
+            canvas.width = Math.ceil(viewport.width);
+            canvas.height = Math.ceil(viewport.height);
+            await pdfPage.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        } catch (error) {
+            // The document is destroyed once a choice is made
+            if (APP_STATE.pdfPagePicker !== picker) return;
+            console.warn(`Could not render thumbnail for page ${page}:`, error);
+        }
+    }
+}
+
+/**
+ * Page numbers whose checkbox of the given class is ticked
+ */
+function getCheckedPdfPages(className) {
+    return Array.from(DOM_REFS.pdfPageGrid.querySelectorAll(`input.${className}:checked`))
+        .map(input => parseInt(input.value, 10));
+}
+
+/**
+ * Sync the range field and import button with the ticked pages
+ */
+function updatePdfPageSelection() {
+    const pages = getCheckedPdfPages('pdf-page-include');
+    if (DOM_REFS.pdfPageRange && document.activeElement !== DOM_REFS.pdfPageRange) {
+        DOM_REFS.pdfPageRange.value = window.LWB_Utils.formatPageRange(pages);
+    }
+    if (DOM_REFS.pdfPageImportBtn) {
+        DOM_REFS.pdfPageImportBtn.disabled = pages.length === 0;
+        DOM_REFS.pdfPageImportBtn.textContent = pages.length === 1 ? 'Import 1 page' : `Import ${pages.length} pages`;
+    }
+}
+
+/**
+ * Tick the pages typed into the range field, e.g. "1-4, 7"
+ */
+function applyPdfPageRange() {
+    const picker = APP_STATE.pdfPagePicker;
+    if (!picker || !DOM_REFS.pdfPageRange) return;
+    const pages = window.LWB_Utils.parsePageRange(DOM_REFS.pdfPageRange.value, picker.numPages);
+    DOM_REFS.pdfPageGrid.querySelectorAll('input.pdf-page-include').forEach(input => {
+        input.checked = pages.includes(parseInt(input.value, 10));
+    });
+    updatePdfPageSelection();
+}
+
+/**
+ * Tick or untick every page
+ */
+function setAllPdfPages(checked) {
+    DOM_REFS.pdfPageGrid.querySelectorAll('input.pdf-page-include').forEach(input => {
+        input.checked = checked;
+    });
+    updatePdfPageSelection();
+}
+
+/**
+ * Close the picker and hand the choice (or null) back to the import
+ */
+function finishPdfPageSelection(selection) {
+    const picker = APP_STATE.pdfPagePicker;
+    if (!picker) return;
+    APP_STATE.pdfPagePicker = null;
+    DOM_REFS.pdfPageModal.classList.remove('active');
+    DOM_REFS.pdfPageGrid.innerHTML = '';
+    picker.resolve(selection);
+}
+
+/**
+ * Import the ticked pages
+ */
+function confirmPdfPageSelection() {
+    const pages = getCheckedPdfPages('pdf-page-include');
+    if (pages.length === 0) return;
+    const imagePages = getCheckedPdfPages('pdf-page-as-image').filter(page => pages.includes(page));
+    finishPdfPageSelection({ pages, imagePages });
+}
+
+/**
+ * Cancel the import from the page picker
+ */
+function cancelPdfPageSelection() {
+    finishPdfPageSelection(null);
+}
+
+// ===================================================
+// OCR IMAGE PREVIEW
+// ===================================================
+
+/**
+ * Longest side of the before/after previews; the cleanup is run on a
+ * copy this size so toggling steps stays quick
+ */
+const OCR_PREVIEW_SIZE = 480;
+
+/**
+ * Show an image before and after cleanup and let the steps be switched
+ * on or off before OCR. Used as the `reviewOcrImage` import option.
+ * @param {HTMLImageElement} image
+ * @param {string} fileName
+ * @param {Object} steps Steps to start with
+ * @returns {Promise<Object|null>} Steps to use, or null when cancelled
+ */
+function reviewOcrImage(image, fileName, steps) {
+    if (!DOM_REFS.ocrImageModal || !DOM_REFS.ocrImageBefore || !DOM_REFS.ocrImageAfter) {
+        return Promise.resolve(steps);
+    }
+    
+    return new Promise(resolve => {
+        const scale = Math.min(1, OCR_PREVIEW_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+        const preview = DOM_REFS.ocrImageBefore;
+        preview.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        preview.height = Math.max(1, Math.round(image.naturalHeight * scale));
+        preview.getContext('2d').drawImage(image, 0, 0, preview.width, preview.height);
+        
+        APP_STATE.ocrImageReview = {
+            image,
+            steps: Object.assign(window.LWB_Preprocess.getDefaultPreprocessSteps(), steps || {}),
+            resolve
+        };
+        if (DOM_REFS.ocrImageSubtitle) {
+            DOM_REFS.ocrImageSubtitle.textContent = `Check how ${fileName} will be cleaned up before its text is read.`;
+        }
+        renderOcrPreprocessToggles(DOM_REFS.ocrImageSteps);
+        renderOcrImagePreview();
+        DOM_REFS.ocrImageModal.classList.add('active');
+    });
+}
+
+/**
+ * Redraw the "after" preview with the chosen steps
+ */
+function renderOcrImagePreview() {
+    const review = APP_STATE.ocrImageReview;
+    if (!review) return;
+    const before = DOM_REFS.ocrImageBefore;
+    const after = DOM_REFS.ocrImageAfter;
+    const preprocess = window.LWB_Preprocess;
+    // Enlarging is left out of the preview, which is always small
+    const prepared = preprocess.preprocessImage(before, { ...review.steps, upscale: false }, (width, height) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    });
+    after.width = prepared.canvas.width;
+    after.height = prepared.canvas.height;
+    after.getContext('2d').drawImage(prepared.canvas, 0, 0);
+    
+    if (DOM_REFS.ocrImageNote) {
+        const notes = [];
+        if (prepared.skewAngle) notes.push(`Straightened by ${Math.abs(prepared.skewAngle)}°.`);
+        const scale = preprocess.getPreprocessScale(review.image.naturalWidth, review.image.naturalHeight, review.steps.upscale);
+        if (scale > 1) notes.push(`Enlarged ${scale.toFixed(1)}× for reading.`);
+        DOM_REFS.ocrImageNote.textContent = notes.join(' ');
+    }
+}
+
+/**
+ * Fill a container with a checkbox per cleanup step, ticked from the
+ * open preview or the remembered preference
+ */
+function renderOcrPreprocessToggles(container) {
+    if (!container || !window.LWB_Preprocess) return;
+    const steps = APP_STATE.ocrImageReview ? APP_STATE.ocrImageReview.steps : APP_STATE.settings.ocrPreprocess || {};
+    container.innerHTML = window.LWB_Preprocess.PREPROCESS_STEPS.map(step => `
+        <label class="ocr-preprocess-step">
+            <input type="checkbox" value="${step.id}" ${steps[step.id] !== false ? 'checked' : ''} onchange="updateOcrPreprocessStep(this.value, this.checked)">
+            ${window.LWB_Utils.sanitizeHtml(step.label)}
+        </label>
+    `).join('');
+}
+
+/**
+ * Switch a cleanup step on or off and remember the choice. Changes in
+ * the preview apply to the image being imported too.
+ */
+function updateOcrPreprocessStep(id, checked) {
+    APP_STATE.settings.ocrPreprocess = { ...APP_STATE.settings.ocrPreprocess, [id]: checked };
+    window.LWB_Utils.savePreference('ocrPreprocess', APP_STATE.settings.ocrPreprocess);
+    renderOcrPreprocessToggles(DOM_REFS.ocrPreprocessSteps);
+    if (APP_STATE.ocrImageReview) {
+        APP_STATE.ocrImageReview.steps[id] = checked;
+        renderOcrImagePreview();
+    }
+}
+
+/**
+ * Close the preview and hand the steps (or null) back to the import
+ */
+function finishOcrImageReview(steps) {
+    const review = APP_STATE.ocrImageReview;
+    if (!review) return;
+    APP_STATE.ocrImageReview = null;
+    DOM_REFS.ocrImageModal.classList.remove('active');
+    review.resolve(steps);
+}
+
+/**
+ * Read the image with the chosen steps
+ */
+function confirmOcrImageReview() {
+    const review = APP_STATE.ocrImageReview;
+    if (review) finishOcrImageReview({ ...review.steps });
+}
+
+/**
+ * Cancel the import from the preview
+ */
+function cancelOcrImageReview() {
+    finishOcrImageReview(null);
+}
+
+/**
+ * Apply a colour scheme or custom colours named in imported document
+ * metadata (e.g. Markdown front matter). Unknown schemes and invalid
+ * colours are ignored.
+ */
+function applyImportedColors(meta) {
+    const schemes = window.LWB_Utils.COLOR_SCHEMES;
+    if (meta.colorScheme && schemes[meta.colorScheme]) {
+        APP_STATE.settings.primaryColor = schemes[meta.colorScheme].primary;
+        APP_STATE.settings.secondaryColor = schemes[meta.colorScheme].secondary;
+        if (DOM_REFS.colorScheme) DOM_REFS.colorScheme.value = meta.colorScheme;
+    } else if (meta.colorScheme) {
+        console.warn('Unknown color scheme in document metadata:', meta.colorScheme);
+    }
+
+    if (meta.primaryColor && window.LWB_Utils.isValidHexColor(meta.primaryColor)) {
+        APP_STATE.settings.primaryColor = meta.primaryColor;
+    }
+    if (meta.secondaryColor && window.LWB_Utils.isValidHexColor(meta.secondaryColor)) {
+        APP_STATE.settings.secondaryColor = meta.secondaryColor;
+    }
 }
 
 /**
@@ -500,6 +1167,7 @@ function initializeEditor() {
     
     // Update preview
     updatePreview();
+    updateOcrReviewButton();
 }
 
 /**
@@ -524,6 +1192,11 @@ function loadSettingsIntoUI() {
     if (DOM_REFS.headerAlignment) DOM_REFS.headerAlignment.value = settings.headerAlignment;
     if (DOM_REFS.layoutStyle) DOM_REFS.layoutStyle.value = settings.layoutStyle;
     if (DOM_REFS.analyticsCode) DOM_REFS.analyticsCode.value = settings.analyticsCode;
+    if (DOM_REFS.speakerNotes) DOM_REFS.speakerNotes.value = settings.speakerNotes;
+    if (DOM_REFS.markdownHeadingDepth) DOM_REFS.markdownHeadingDepth.value = settings.markdownHeadingDepth;
+    if (DOM_REFS.projectLanguage) DOM_REFS.projectLanguage.value = APP_STATE.currentProject.language || '';
+    renderOcrPreprocessToggles(DOM_REFS.ocrPreprocessSteps);
+    updateOcrLanguageSummary();
     
     // Render custom buttons manager
     if (typeof renderButtonsManager === 'function') {
@@ -660,6 +1333,7 @@ function updateProject() {
     enforceHeaderPosition();
     markUnsavedChanges();
     updatePreview();
+    updateOcrReviewButton();
     
     // Debounced save
     if (updateProject.saveTimeout) {
@@ -709,23 +1383,6 @@ function updatePreview() {
     };
 }
 
-/**
- * Sanitize HTML content for safe embedding in preview. Removes
- * <script> tags and inline event handlers. This mirrors the
- * sanitisation used in the export module but is defined here to
- * avoid cross‑module dependencies.
- *
- * @param {string} html Raw HTML string
- * @returns {string} Sanitised HTML
- */
-function sanitizeHtmlContent(html) {
-    if (!html) return '';
-    let safe = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
-    safe = safe.replace(/ on\w+="[^"]*"/gi, '');
-    safe = safe.replace(/ on\w+='[^']*'/gi, '');
-    return safe;
-}
-
 /**
  * Generate preview HTML
  */
@@ -762,7 +1419,7 @@ function generatePreviewHtml() {
 
     return `
         <!DOCTYPE html>
-        <html>
+        <html lang="${window.LWB_Utils.sanitizeHtml(APP_STATE.currentProject.language || 'en')}">
         <head>
             <meta charset="UTF-8">
             <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -869,6 +1526,8 @@ function generatePreviewHtml() {
                 .image-caption a:hover {
                     color: ${secondaryColor};
                 }
+                ${window.LWB_Export.generateSpeakerNotesStyles()}
+                ${window.LWB_Export.generateTableBlockStyles()}
                 .pdf-download {
                     background: linear-gradient(135deg, ${primaryColor}, ${secondaryColor});
                     color: white;
@@ -1113,7 +1772,8 @@ function generatePreviewButtons() {
  * Generate preview sections
  */
 function generatePreviewSections() {
-    return APP_STATE.currentProject.sections.map(section => {
+    // Use the export view of the sections so presenter notes follow the setting
+    return window.LWB_Export.getExportSections(APP_STATE.currentProject, APP_STATE.settings).map(section => {
         if (section.isHeader) {
             // Header section does not display the section name or icon; only the logo and content
             return `
@@ -1121,9 +1781,9 @@ function generatePreviewSections() {
                     ${APP_STATE.currentProject.logoUrl ? `<div><img src="${APP_STATE.currentProject.logoUrl}" class="logo" alt="Logo"></div>` : ''}
                     ${section.content.map(content => {
                         if (content.type === 'text') {
-                            return content.allowHtml ? sanitizeHtmlContent(content.value) : `<div>${content.value}</div>`;
+                            return content.allowHtml ? window.LWB_Editor.sanitizeHtmlContent(content.value) : `<div>${content.value}</div>`;
                         } else if (content.type === 'html') {
-                            return sanitizeHtmlContent(content.value);
+                            return window.LWB_Editor.sanitizeHtmlContent(content.value);
                         }
                         return '';
                     }).join('')}
@@ -1140,7 +1800,9 @@ function generatePreviewSections() {
                             return `<div class="content-block">${content.value}</div>`;
                         } else if (content.type === 'html') {
                             // Sanitize HTML content before injecting into preview
-                            return `<div class="content-block">${sanitizeHtmlContent(content.value)}</div>`;
+                            return `<div class="content-block">${window.LWB_Editor.sanitizeHtmlContent(content.value)}</div>`;
+                        } else if (content.type === 'table') {
+                            return window.LWB_Export.generateTableHtml(content);
                         } else if (content.type === 'image' && content.url) {
                             return `
                                 <div class="image-block">
@@ -1726,7 +2388,10 @@ function setupGlobalEventListeners() {
         { id: 'secondaryColorHex', handler: updateColorInput },
         { id: 'headerAlignment', handler: updateSetting },
         { id: 'fontStyle', handler: updateSetting },
-        { id: 'layoutStyle', handler: updateSetting }
+        { id: 'layoutStyle', handler: updateSetting },
+        { id: 'speakerNotes', handler: updateSpeakerNotesMode },
+        { id: 'markdownHeadingDepth', handler: updateMarkdownHeadingDepth },
+        { id: 'projectLanguage', handler: updateProjectLanguage }
     ];
     
     settingsElements.forEach(({ id, handler }) => {
@@ -1764,10 +2429,15 @@ function setupGlobalEventListeners() {
         }
     });
     
-    // Close modals when clicking outside
+    // Close modals when clicking outside, through their close button so
+    // that modals with work waiting on them (the page picker) settle it
     document.querySelectorAll('.modal').forEach(modal => {
         modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
+            if (e.target !== modal) return;
+            const closeButton = modal.querySelector('.close-btn');
+            if (closeButton) {
+                closeButton.click();
+            } else {
                 modal.classList.remove('active');
             }
         });
@@ -1804,6 +2474,44 @@ function updateSetting(e) {
     updateProject();
 }
 
+/**
+ * Update how presenter notes are shown and remember the choice
+ */
+function updateSpeakerNotesMode(e) {
+    APP_STATE.settings.speakerNotes = e.target.value;
+    window.LWB_Utils.savePreference('speakerNotes', e.target.value);
+    updateProject();
+}
+
+/**
+ * Update which Markdown headings start sections on import and remember
+ * the choice. Only affects the next import, so no project update.
+ */
+function updateMarkdownHeadingDepth(e) {
+    APP_STATE.settings.markdownHeadingDepth = e.target.value;
+    window.LWB_Utils.savePreference('markdownHeadingDepth', e.target.value);
+}
+
+/**
+ * Show the OCR engine and languages chosen in the OCR settings
+ */
+function updateOcrLanguageSummary() {
+    if (DOM_REFS.ocrLanguageSummary && window.LWB_OCR) {
+        DOM_REFS.ocrLanguageSummary.textContent =
+            `${window.LWB_OCRProviders.getActiveOCRProvider().label} · ${window.LWB_OCR.describeOCRLanguages()}`;
+    }
+}
+
+/**
+ * Update the language of the exported page. Language tags only hold
+ * letters, digits and hyphens.
+ */
+function updateProjectLanguage(e) {
+    APP_STATE.currentProject.language = e.target.value.replace(/[^A-Za-z0-9-]/g, '');
+    e.target.value = APP_STATE.currentProject.language;
+    updateProject();
+}
+
 // ===================================================
 // BLANK WEBSITE CREATION
 // ===================================================
@@ -1823,6 +2531,7 @@ function createBlankWebsite() {
     };
     APP_STATE.settings.layoutStyle = 'single';
     APP_STATE.unsavedChanges = true;
+    setConversionReport(null);
     document.getElementById('pdfName').textContent = 'Blank Project';
     window.LWB_Editor.renderSections(APP_STATE.currentProject);
     showScreen('editor');
@@ -1885,6 +2594,17 @@ function getStartedFromModal() {
 window.goHome = goHome;
 window.showInfo = showInfo;
 window.closeInfoModal = closeInfoModal;
+window.closeImportReportModal = closeImportReportModal;
+window.showConversionReport = showConversionReport;
+window.closeConversionReport = closeConversionReport;
+window.cancelProcessing = cancelProcessing;
+window.updatePdfPageSelection = updatePdfPageSelection;
+window.applyPdfPageRange = applyPdfPageRange;
+window.setAllPdfPages = setAllPdfPages;
+window.confirmPdfPageSelection = confirmPdfPageSelection;
+window.updateOcrPreprocessStep = updateOcrPreprocessStep;
+window.updateOcrLanguageSummary = updateOcrLanguageSummary;
+window.confirmOcrImageReview = confirmOcrImageReview;
 window.getStartedFromModal = getStartedFromModal;
 window.updateColorScheme = updateColorScheme;
 window.updateTitleSize = updateTitleSize;
@@ -1913,6 +2633,7 @@ window.addSection = () => window.LWB_Editor.addSection(APP_STATE.currentProject,
 window.deleteSection = (index) => window.LWB_Editor.deleteSection(APP_STATE.currentProject, index, updateProject);
 window.moveSection = (index, direction) => window.LWB_Editor.moveSection(APP_STATE.currentProject, index, direction, updateProject);
 window.updateSectionName = (index, value) => window.LWB_Editor.updateSectionName(APP_STATE.currentProject, index, value, updateProject);
+window.updateSectionNotes = (index, value) => window.LWB_Editor.updateSectionNotes(APP_STATE.currentProject, index, value, updateProject);
 window.toggleSection = window.LWB_Editor.toggleSection;
 
 window.addTextToSection = (sectionIndex) => window.LWB_Editor.addTextToSection(APP_STATE.currentProject, sectionIndex, updateProject);
@@ -1932,6 +2653,11 @@ window.toggleHtml = (sectionIndex, contentIndex, enabled) => {
 };
 // Wrapper for updating HTML block content
 window.updateHtmlContent = (sectionIndex, contentIndex, value) => window.LWB_Editor.updateHtmlContent(APP_STATE.currentProject, sectionIndex, contentIndex, value, updateProject);
+window.pasteCsvToSection = (sectionIndex) => window.LWB_Editor.pasteCsvToSection(APP_STATE.currentProject, sectionIndex, updateProject);
+window.updateTableContent = (sectionIndex, contentIndex, value) => window.LWB_Editor.updateTableContent(APP_STATE.currentProject, sectionIndex, contentIndex, value, updateProject);
+window.toggleTableHeader = (sectionIndex, contentIndex, enabled) => window.LWB_Editor.toggleTableHeader(APP_STATE.currentProject, sectionIndex, contentIndex, enabled, updateProject);
+window.selectTableCell = (sectionIndex, contentIndex, event) => window.LWB_Editor.selectTableCell(sectionIndex, contentIndex, event);
+window.adjustTableStructure = (sectionIndex, contentIndex, action) => window.LWB_Editor.adjustTableStructure(APP_STATE.currentProject, sectionIndex, contentIndex, action, updateProject);
 window.formatText = (command, sectionIndex, contentIndex, value) => window.LWB_Editor.formatText(command, sectionIndex, contentIndex, value, APP_STATE.currentProject, updateProject);
 window.insertLink = (sectionIndex, contentIndex) => window.LWB_Editor.insertLink(sectionIndex, contentIndex, APP_STATE.currentProject, updateProject);
 window.formatCaption = (command, sectionIndex, contentIndex) => window.LWB_Editor.formatCaption(command, sectionIndex, contentIndex, APP_STATE.currentProject, updateProject);
@@ -1939,6 +2665,8 @@ window.insertCaptionLink = (sectionIndex, contentIndex) => window.LWB_Editor.ins
 
 window.handleImageUpload = (sectionIndex, contentIndex, event) => window.LWB_Editor.handleImageUpload(APP_STATE.currentProject, sectionIndex, contentIndex, event, updateProject);
 window.updateImageCaption = (sectionIndex, contentIndex, caption) => window.LWB_Editor.updateImageCaption(APP_STATE.currentProject, sectionIndex, contentIndex, caption, updateProject);
+window.openRegionOcr = (sectionIndex, contentIndex) => window.LWB_RegionOCR.openRegionOcr(APP_STATE.currentProject, sectionIndex, contentIndex, updateProject);
+window.openOcrReview = () => window.LWB_OCRReview.openOcrReview(APP_STATE.currentProject, updateProject);
 
 // ===================================================
 // APPLICATION STARTUP
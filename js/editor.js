@@ -24,6 +24,9 @@ function renderSections(project) {
     });
     
     container.innerHTML = '';
+    // The selected table cell is held by position, which may now point
+    // at another block; the caller re-selects it if it should stay
+    TABLE_CELL_SELECTION = null;
 
     // Ensure all sections have a defined showIcon property. When undefined,
     // default to true so icons remain visible unless explicitly hidden by the user.
@@ -132,6 +135,7 @@ function createSectionElement(section, sectionIndex, project) {
             </div>
             ${iconPickerHtml}
             ${contentHtml}
+            ${generateSectionNotesHtml(section, sectionIndex)}
             <div class="add-content-container">
                 <button class="btn btn-small btn-secondary" onclick="addTextToSection(${sectionIndex})">
                     + Add Text
@@ -142,6 +146,9 @@ function createSectionElement(section, sectionIndex, project) {
                 <button class="btn btn-small btn-secondary" onclick="addHtmlToSection(${sectionIndex})">
                     + Add HTML
                 </button>
+                <button class="btn btn-small btn-secondary" onclick="pasteCsvToSection(${sectionIndex})" title="Create a table from CSV or spreadsheet cells on the clipboard">
+                    + Paste CSV
+                </button>
             </div>
         </div>
     `;
@@ -149,6 +156,21 @@ function createSectionElement(section, sectionIndex, project) {
     return sectionElement;
 }
 
+/**
+ * Generate the presenter notes editor for sections imported with notes
+ */
+function generateSectionNotesHtml(section, sectionIndex) {
+    if (typeof section.notes !== 'string') return '';
+    return `
+            <div class="form-group">
+                <label class="form-label">
+                    Presenter Notes
+                    <span class="info-tooltip" title="Shown according to the Speaker Notes option in Settings">ℹ️</span>
+                </label>
+                <textarea class="form-textarea" rows="3" onchange="updateSectionNotes(${sectionIndex}, this.value)" placeholder="Notes imported from the presentation">${escapeHtml(section.notes)}</textarea>
+            </div>`;
+}
+
 /**
  * Generate icon picker HTML with accordion
  */
@@ -377,6 +399,8 @@ function generateSectionContentHtml(section, sectionIndex) {
                 contentHtml += generateImageBlockHtml(content, sectionIndex, contentIndex, section.content.length);
             } else if (content.type === 'html') {
                 contentHtml += generateHtmlBlockHtml(content, sectionIndex, contentIndex, section.content.length);
+            } else if (content.type === 'table') {
+                contentHtml += generateTableBlockHtml(content, sectionIndex, contentIndex, section.content.length);
             }
         });
     }
@@ -425,7 +449,12 @@ function generateImageBlockHtml(content, sectionIndex, contentIndex, totalConten
             <div class="image-container">
                 ${content.url ? 
                     `<img src="${content.url}" class="image-preview" alt="Section image" onclick="document.getElementById('img-${sectionIndex}-${contentIndex}').click()">
-                     <p style="text-align: center; color: #999; font-size: 12px; margin-top: 8px;">Click image to replace</p>` :
+                     <p style="text-align: center; color: #999; font-size: 12px; margin-top: 8px;">Click image to replace</p>
+                     <div style="text-align: center; margin-top: 8px;">
+                        <button class="btn btn-small btn-secondary" onclick="openRegionOcr(${sectionIndex}, ${contentIndex})" title="Mark parts of the image to read as sections or keep as figures">
+                            🔍 Read regions
+                        </button>
+                     </div>` :
                     `<div class="image-upload-area" onclick="document.getElementById('img-${sectionIndex}-${contentIndex}').click()">
                         <div>📷 Click to upload image</div>
                     </div>`
@@ -486,6 +515,59 @@ function generateHtmlBlockHtml(content, sectionIndex, contentIndex, totalContent
     `;
 }
 
+/**
+ * Generate HTML for a table content block
+ *
+ * Tables are edited as CSV text, which is what users paste from a
+ * spreadsheet anyway; the rendered table below updates as they type.
+ * Clicking a cell in the preview selects its row and column for the
+ * structure tools, which fix tables found by layout detection.
+ * @param {Object} content The content object (type: 'table')
+ * @param {number} sectionIndex Index of the section containing this block
+ * @param {number} contentIndex Index of this content block
+ * @param {number} totalContent Total number of content blocks in the section
+ */
+function generateTableBlockHtml(content, sectionIndex, contentIndex, totalContent) {
+    const contentId = content.id || createUniqueId();
+    const csv = window.LWB_Utils.formatCSV(content.rows || []);
+    const preview = window.LWB_Export ? window.LWB_Export.generateTableHtml(content) : '';
+    return `
+        <div class="content-block" data-content-id="${contentId}">
+            <div class="content-block-header">
+                <div class="content-block-title">📊 Table Block ${contentIndex + 1}</div>
+                <div class="content-block-controls">
+                    <button class="icon-btn" onclick="moveContent(${sectionIndex}, ${contentIndex}, 'up')" ${contentIndex === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                    <button class="icon-btn" onclick="moveContent(${sectionIndex}, ${contentIndex}, 'down')" ${contentIndex === totalContent - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                    <button class="icon-btn danger" onclick="deleteContent(${sectionIndex}, ${contentIndex})" title="Delete block">🗑</button>
+                </div>
+            </div>
+            <div class="table-editor">
+                <label style="display: flex; align-items: center; gap: 6px; font-size: 14px; margin-bottom: 8px;">
+                    <input type="checkbox" ${content.hasHeader ? 'checked' : ''} onchange="toggleTableHeader(${sectionIndex}, ${contentIndex}, this.checked)">
+                    <span>First row is a header</span>
+                </label>
+                ${content.detected ? `
+                    <p class="table-detected-note">🔍 Found in the document's layout. Check that the rows and columns are right: click a cell in the preview, then merge, add or remove its row or column.</p>
+                ` : ''}
+                <textarea class="form-input" style="font-family: var(--font-mono); min-height: 120px; width: 100%;" id="table-editor-${sectionIndex}-${contentIndex}" oninput="updateTableContent(${sectionIndex}, ${contentIndex}, this.value)" placeholder="Paste or type comma-separated values, one row per line...">${escapeHtml(csv)}</textarea>
+                <div class="table-structure-tools">
+                    <span class="table-selection" id="table-selection-${sectionIndex}-${contentIndex}">Click a cell to select it</span>
+                    <button class="btn btn-small btn-secondary" onclick="adjustTableStructure(${sectionIndex}, ${contentIndex}, 'merge-row')" title="Join the selected row with the row below, e.g. a cell whose text wrapped">⤓ Merge row down</button>
+                    <button class="btn btn-small btn-secondary" onclick="adjustTableStructure(${sectionIndex}, ${contentIndex}, 'merge-column')" title="Join the selected column with the column to its right">⇥ Merge column right</button>
+                    <button class="btn btn-small btn-secondary" onclick="adjustTableStructure(${sectionIndex}, ${contentIndex}, 'insert-row')" title="Add an empty row below the selected one">＋ Row</button>
+                    <button class="btn btn-small btn-secondary" onclick="adjustTableStructure(${sectionIndex}, ${contentIndex}, 'insert-column')" title="Add an empty column right of the selected one">＋ Column</button>
+                    <button class="btn btn-small btn-secondary" onclick="adjustTableStructure(${sectionIndex}, ${contentIndex}, 'delete-row')" title="Remove the selected row">− Row</button>
+                    <button class="btn btn-small btn-secondary" onclick="adjustTableStructure(${sectionIndex}, ${contentIndex}, 'delete-column')" title="Remove the selected column">− Column</button>
+                    ${content.detected ? `<button class="btn btn-small btn-secondary" onclick="adjustTableStructure(${sectionIndex}, ${contentIndex}, 'to-text')" title="Turn the table back into a text block">Not a table</button>` : ''}
+                </div>
+                <div class="table-preview" id="table-preview-${sectionIndex}-${contentIndex}" onclick="selectTableCell(${sectionIndex}, ${contentIndex}, event)">
+                    ${preview || '<p style="color:#6b7280;">Table preview will appear here as you type...</p>'}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Generate rich text editor HTML
  */
@@ -676,6 +758,14 @@ function updateSectionName(project, index, value, onUpdate) {
     if (onUpdate) onUpdate();
 }
 
+/**
+ * Update the presenter notes of a section
+ */
+function updateSectionNotes(project, index, value, onUpdate) {
+    project.sections[index].notes = value;
+    if (onUpdate) onUpdate();
+}
+
 // ===================================================
 // CONTENT MANAGEMENT
 // ===================================================
@@ -758,6 +848,57 @@ function addHtmlToSection(project, sectionIndex, onUpdate) {
     if (window.LWB_Utils) window.LWB_Utils.showToast('HTML block added', 'success');
 }
 
+/**
+ * Add a table content block to a section
+ * @param {Object} project
+ * @param {number} sectionIndex
+ * @param {Array<Array<string>>} rows Table cells, first row as header
+ * @param {Function} onUpdate
+ */
+function addTableToSection(project, sectionIndex, rows, onUpdate) {
+    if (!project.sections[sectionIndex].content) {
+        project.sections[sectionIndex].content = [];
+    }
+    project.sections[sectionIndex].content.push({
+        type: 'table',
+        rows: rows || [],
+        hasHeader: true,
+        id: createUniqueId()
+    });
+    const sectionId = project.sections[sectionIndex].id;
+    renderSections(project);
+    // Keep section expanded
+    expandSection(sectionId);
+    if (onUpdate) onUpdate();
+}
+
+/**
+ * Create a table block from CSV on the clipboard. When the clipboard
+ * cannot be read (no permission, unsupported browser) an empty table
+ * block is added for the user to paste into instead.
+ */
+async function pasteCsvToSection(project, sectionIndex, onUpdate) {
+    let rows = [];
+    try {
+        if (navigator.clipboard && navigator.clipboard.readText) {
+            rows = window.LWB_Utils.parseCSV(await navigator.clipboard.readText());
+        }
+    } catch (error) {
+        console.warn('Clipboard not readable, adding an empty table:', error);
+    }
+    
+    addTableToSection(project, sectionIndex, rows, onUpdate);
+    
+    if (rows.length > 0) {
+        if (window.LWB_Utils) window.LWB_Utils.showToast(`Table added (${rows.length} rows)`, 'success');
+    } else {
+        const contentIndex = project.sections[sectionIndex].content.length - 1;
+        const textarea = document.getElementById(`table-editor-${sectionIndex}-${contentIndex}`);
+        if (textarea) textarea.focus();
+        if (window.LWB_Utils) window.LWB_Utils.showToast('Table block added - paste your CSV into it', 'info');
+    }
+}
+
 /**
  * Delete content from section
  */
@@ -936,6 +1077,141 @@ function updateHtmlContent(project, sectionIndex, contentIndex, value, onUpdate)
     }
 }
 
+/**
+ * Update a table block from edited CSV text and refresh its preview
+ */
+function updateTableContent(project, sectionIndex, contentIndex, value, onUpdate) {
+    if (project && project.sections[sectionIndex]) {
+        const content = project.sections[sectionIndex].content[contentIndex];
+        content.rows = window.LWB_Utils.parseCSV(value);
+        const preview = document.getElementById(`table-preview-${sectionIndex}-${contentIndex}`);
+        if (preview && window.LWB_Export) {
+            preview.innerHTML = window.LWB_Export.generateTableHtml(content) || '<p style="color:#6b7280;">Table preview will appear here as you type...</p>';
+        }
+        if (onUpdate) onUpdate();
+    }
+}
+
+/**
+ * Set whether a table block's first row is its header
+ */
+function toggleTableHeader(project, sectionIndex, contentIndex, enabled, onUpdate) {
+    if (project && project.sections[sectionIndex]) {
+        const content = project.sections[sectionIndex].content[contentIndex];
+        content.hasHeader = enabled;
+        const preview = document.getElementById(`table-preview-${sectionIndex}-${contentIndex}`);
+        if (preview && window.LWB_Export) {
+            preview.innerHTML = window.LWB_Export.generateTableHtml(content);
+        }
+        if (onUpdate) onUpdate();
+    }
+}
+
+/**
+ * Cell selected in a table preview: { sectionIndex, contentIndex, row, column }
+ */
+let TABLE_CELL_SELECTION = null;
+
+/**
+ * Select the preview cell that was clicked
+ */
+function selectTableCell(sectionIndex, contentIndex, event) {
+    const cell = event.target.closest('th, td');
+    if (!cell) return;
+    TABLE_CELL_SELECTION = { sectionIndex, contentIndex, row: cell.parentElement.rowIndex, column: cell.cellIndex };
+    showTableCellSelection();
+}
+
+/**
+ * Highlight the selected cell's row and column in its preview
+ */
+function showTableCellSelection() {
+    document.querySelectorAll('.table-preview .table-cell-selected').forEach(cell => cell.classList.remove('table-cell-selected'));
+    const selection = TABLE_CELL_SELECTION;
+    if (!selection) return;
+    const preview = document.getElementById(`table-preview-${selection.sectionIndex}-${selection.contentIndex}`);
+    const table = preview ? preview.querySelector('table') : null;
+    if (!table) return;
+    Array.from(table.rows).forEach((row, rowIndex) => {
+        Array.from(row.cells).forEach((cell, columnIndex) => {
+            if (rowIndex === selection.row || columnIndex === selection.column) cell.classList.add('table-cell-selected');
+        });
+    });
+    const label = document.getElementById(`table-selection-${selection.sectionIndex}-${selection.contentIndex}`);
+    if (label) label.textContent = `Row ${selection.row + 1}, column ${selection.column + 1}`;
+}
+
+/**
+ * Change the rows and columns of a table block around the selected
+ * cell: 'merge-row' (with the row below), 'merge-column' (with the
+ * column to the right), 'insert-row', 'insert-column', 'delete-row',
+ * 'delete-column', or 'to-text', which replaces the table with a text
+ * block of its rows
+ */
+function adjustTableStructure(project, sectionIndex, contentIndex, action, onUpdate) {
+    const section = project && project.sections[sectionIndex];
+    const content = section && section.content[contentIndex];
+    if (!content || content.type !== 'table') return;
+    const selection = TABLE_CELL_SELECTION;
+    const selected = selection && selection.sectionIndex === sectionIndex && selection.contentIndex === contentIndex;
+    if (action !== 'to-text' && !selected) {
+        if (window.LWB_Utils) window.LWB_Utils.showToast('Click a cell in the table preview first', 'info');
+        return;
+    }
+    
+    // Work on a rectangular grid
+    const width = Math.max(1, ...content.rows.map(cells => cells.length));
+    const rows = content.rows.map(cells => Array.from({ length: width }, (_, i) => cells[i] === undefined || cells[i] === null ? '' : String(cells[i])));
+    const join = (a, b) => [a, b].filter(Boolean).join(' ');
+    const row = selected ? selection.row : 0;
+    const column = selected ? selection.column : 0;
+    // An empty table would leave nothing to click in the preview
+    if ((action === 'delete-row' && rows.length <= 1) || (action === 'delete-column' && width <= 1)) {
+        if (window.LWB_Utils) window.LWB_Utils.showToast('A table needs at least one row and one column; delete the block instead', 'info');
+        return;
+    }
+    
+    if (action === 'merge-row') {
+        if (row >= rows.length - 1) return;
+        rows.splice(row, 2, rows[row].map((cell, i) => join(cell, rows[row + 1][i])));
+    } else if (action === 'merge-column') {
+        if (column >= width - 1) return;
+        rows.forEach(cells => cells.splice(column, 2, join(cells[column], cells[column + 1])));
+    } else if (action === 'insert-row') {
+        rows.splice(row + 1, 0, Array(width).fill(''));
+    } else if (action === 'insert-column') {
+        rows.forEach(cells => cells.splice(column + 1, 0, ''));
+    } else if (action === 'delete-row') {
+        rows.splice(row, 1);
+    } else if (action === 'delete-column') {
+        rows.forEach(cells => cells.splice(column, 1));
+    } else if (action === 'to-text') {
+        section.content[contentIndex] = {
+            type: 'text',
+            value: rows.map(cells => `<p>${escapeHtml(cells.filter(Boolean).join(' '))}</p>`).join(''),
+            allowHtml: false,
+            id: content.id || createUniqueId()
+        };
+    }
+    
+    // Keep the selection on the table, within its new size
+    let nextSelection = null;
+    if (action !== 'to-text') {
+        content.rows = rows;
+        nextSelection = {
+            sectionIndex,
+            contentIndex,
+            row: Math.min(row, rows.length - 1),
+            column: Math.min(column, rows[0].length - 1)
+        };
+    }
+    renderSections(project);
+    TABLE_CELL_SELECTION = nextSelection;
+    expandSection(section.id);
+    showTableCellSelection();
+    if (onUpdate) onUpdate();
+}
+
 /**
  * Toggle HTML mode for content
  */
@@ -1071,27 +1347,38 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * Elements removed from user and imported HTML: anything that runs
+ * code, embeds another document (an iframe's srcdoc runs with the app's
+ * origin) or changes the page around the content
+ */
+const SANITIZE_REMOVED_ELEMENTS = 'script, iframe, frame, frameset, object, embed, applet, style, link, meta, base';
+
 /**
  * Sanitize raw HTML to remove scripts and inline event handlers
  *
- * This helper is used for live previews within HTML blocks. It removes
- * <script> tags entirely and strips any attributes starting with "on"
- * (e.g., onclick) to prevent execution of arbitrary JavaScript. It does
- * not encode the HTML itself; rather, it returns a safer version of
+ * This helper is used for live previews within HTML blocks, for imported
+ * HTML and markdown, and for exports. It removes the elements in
+ * SANITIZE_REMOVED_ELEMENTS and strips event handler attributes,
+ * `srcdoc`/`data` attributes and script URLs. The markup is parsed
+ * into an inert template, so nothing in it loads or runs meanwhile. It
+ * does not encode the HTML itself; rather, it returns a safer version of
  * whatever markup the user has entered. Use escapeHtml() when you need
  * to display unrendered HTML text instead of executing it.
  * @param {string} html
  * @returns {string}
  */
 function sanitizeHtmlContent(html) {
-    const temp = document.createElement('div');
+    const temp = document.createElement('template');
     temp.innerHTML = html || '';
-    // Remove script tags
-    temp.querySelectorAll('script').forEach(el => el.remove());
-    // Remove inline event handlers
-    temp.querySelectorAll('*').forEach(el => {
+    temp.content.querySelectorAll(SANITIZE_REMOVED_ELEMENTS).forEach(el => el.remove());
+    // Remove inline event handlers, embedded documents and script URLs
+    temp.content.querySelectorAll('*').forEach(el => {
         Array.from(el.attributes).forEach(attr => {
-            if (/^on/i.test(attr.name)) {
+            if (/^(on|srcdoc$|data$)/i.test(attr.name)) {
+                el.removeAttribute(attr.name);
+            } else if (/^(href|src|action|formaction|xlink:href)$/i.test(attr.name) &&
+                /^\s*(javascript|vbscript):/i.test(attr.value.replace(/[\u0000-\u001F]/g, ''))) {
                 el.removeAttribute(attr.name);
             }
         });
@@ -1126,6 +1413,7 @@ window.LWB_Editor = {
     deleteSection,
     moveSection,
     updateSectionName,
+    updateSectionNotes,
     toggleSection,
     expandSection,
     
@@ -1133,10 +1421,16 @@ window.LWB_Editor = {
     addTextToSection,
     addImageToSection,
     addHtmlToSection,
+    addTableToSection,
+    pasteCsvToSection,
     deleteContent,
     moveContent,
     updateContentValue,
     updateHtmlContent,
+    updateTableContent,
+    toggleTableHeader,
+    selectTableCell,
+    adjustTableStructure,
     
     // Rich text editing
     formatText,
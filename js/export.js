@@ -73,7 +73,7 @@ function generateHTMLExport(project, settings) {
     const printCSS = generatePrintCSS();
     
     return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${escapeHtml(project.language || 'en')}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -236,6 +236,50 @@ function generateHTMLStyles(settings) {
             color: ${secondaryColor};
         }
         
+        .content-block table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 16px;
+        }
+        
+        .content-block th,
+        .content-block td {
+            border: 1px solid #e5e7eb;
+            padding: 8px 12px;
+            text-align: left;
+            vertical-align: top;
+        }
+        
+        .content-block th {
+            background: #f9fafb;
+            font-weight: 600;
+        }
+        
+        .content-block code {
+            font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+            font-size: 0.9em;
+            background: #f3f4f6;
+            padding: 2px 4px;
+            border-radius: 4px;
+        }
+        
+        .content-block pre {
+            background: #f3f4f6;
+            padding: 12px 16px;
+            border-radius: 8px;
+            overflow-x: auto;
+            margin-bottom: 16px;
+        }
+        
+        .content-block pre code {
+            background: none;
+            padding: 0;
+        }
+        
+        .content-block .task-list-item {
+            list-style: none;
+        }
+        
         .image-block {
             text-align: center;
             margin: 32px 0;
@@ -255,6 +299,9 @@ function generateHTMLStyles(settings) {
             font-size: ${Math.round(contentSize * 0.9)}px;
         }
         
+        ${generateSpeakerNotesStyles()}
+        ${generateTableBlockStyles()}
+        
         ${generateNavigationStyles(settings)}
         ${generateButtonStyles(settings)}
         ${generateResponsiveStyles()}
@@ -588,7 +635,7 @@ function generateNavigationHtml(project, settings) {
  * Generate sections HTML
  */
 function generateSectionsHtml(project, settings) {
-    return project.sections.map(section => {
+    return getExportSections(project, settings).map(section => {
         if (section.isHeader) {
             // Header does not display the section name or icon; show logo and rich text content
             return `
@@ -597,9 +644,9 @@ function generateSectionsHtml(project, settings) {
             ${section.content.map(content => {
                 if (content.type === 'text') {
                     // Allow raw HTML only if explicitly flagged; otherwise wrap in a div
-                    return content.allowHtml ? sanitizeHtmlContent(content.value) : `<div>${content.value}</div>`;
+                    return content.allowHtml ? window.LWB_Editor.sanitizeHtmlContent(content.value) : `<div>${content.value}</div>`;
                 } else if (content.type === 'html') {
-                    return sanitizeHtmlContent(content.value);
+                    return window.LWB_Editor.sanitizeHtmlContent(content.value);
                 }
                 return '';
             }).join('')}
@@ -613,7 +660,9 @@ function generateSectionsHtml(project, settings) {
                 if (content.type === 'text') {
                     return `<div class="content-block">${content.value}</div>`;
                 } else if (content.type === 'html') {
-                    return `<div class="content-block">${sanitizeHtmlContent(content.value)}</div>`;
+                    return `<div class="content-block">${window.LWB_Editor.sanitizeHtmlContent(content.value)}</div>`;
+                } else if (content.type === 'table') {
+                    return generateTableHtml(content);
                 } else if (content.type === 'image' && content.url) {
                     return `
             <div class="image-block">
@@ -745,6 +794,9 @@ const Section = styled.section\`
       color: ${secondaryColor};
     }
   }
+  
+  ${generateSpeakerNotesStyles()}
+  ${generateTableBlockStyles()}
 \`;
 
 const ImageBlock = styled.div\`
@@ -839,7 +891,7 @@ const MenuDropdown = styled.div\`
 const WebsiteComponent = () => {
   ${layoutStyle === 'menu' ? 'const [menuOpen, setMenuOpen] = useState(false);' : ''}
   
-  const sections = ${JSON.stringify(project.sections, null, 2)};
+  const sections = ${JSON.stringify(getExportSections(project, settings), null, 2)};
   const logoUrl = ${project.logoUrl ? `"${project.logoUrl}"` : 'null'};
   
   return (
@@ -881,6 +933,26 @@ const WebsiteComponent = () => {
               if (content.type === 'text') {
                 return <div key={idx} dangerouslySetInnerHTML={{ __html: content.value }} />;
               }
+              if (content.type === 'table' && Array.isArray(content.rows) && content.rows.length > 0) {
+                const headRow = content.hasHeader ? content.rows[0] : null;
+                const bodyRows = content.hasHeader ? content.rows.slice(1) : content.rows;
+                return (
+                  <div key={idx} className="table-block">
+                    <table>
+                      {headRow && (
+                        <thead>
+                          <tr>{headRow.map((cell, i) => <th key={i}>{cell}</th>)}</tr>
+                        </thead>
+                      )}
+                      <tbody>
+                        {bodyRows.map((row, r) => (
+                          <tr key={r}>{row.map((cell, i) => <td key={i}>{cell}</td>)}</tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                );
+              }
               if (content.type === 'image' && content.url) {
                 return (
                   <ImageBlock key={idx}>
@@ -938,7 +1010,7 @@ import { useState } from 'react';
 export default function Page() {
   ${layoutStyle === 'menu' ? 'const [menuOpen, setMenuOpen] = useState(false);' : ''}
   
-  const sections = ${JSON.stringify(project.sections, null, 2)};
+  const sections = ${JSON.stringify(getExportSections(project, settings), null, 2)};
   const logoUrl = ${project.logoUrl ? `"${project.logoUrl}"` : 'null'};
   
   return (
@@ -968,6 +1040,8 @@ export default function Page() {
           transform: translateY(-2px);
           box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
         }
+        ${generateSpeakerNotesStyles()}
+        ${generateTableBlockStyles()}
       \`}</style>
       
       <div style={{ maxWidth: '1200px', margin: '0 auto', padding: '20px', minHeight: '100vh' }}>
@@ -1039,6 +1113,26 @@ export default function Page() {
                     />
                   );
                 }
+                if (content.type === 'table' && Array.isArray(content.rows) && content.rows.length > 0) {
+                  const headRow = content.hasHeader ? content.rows[0] : null;
+                  const bodyRows = content.hasHeader ? content.rows.slice(1) : content.rows;
+                  return (
+                    <div key={idx} className="table-block">
+                      <table>
+                        {headRow && (
+                          <thead>
+                            <tr>{headRow.map((cell, i) => <th key={i}>{cell}</th>)}</tr>
+                          </thead>
+                        )}
+                        <tbody>
+                          {bodyRows.map((row, r) => (
+                            <tr key={r}>{row.map((cell, i) => <td key={i}>{cell}</td>)}</tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  );
+                }
                 if (content.type === 'image' && content.url) {
                   return (
                     <div key={idx} style={{ textAlign: 'center', margin: '32px 0' }}>
@@ -1160,6 +1254,161 @@ function generateNextJSMenu(settings, buttons) {
         </div>`;
 }
 
+// ===================================================
+// SPEAKER NOTES
+// ===================================================
+
+/**
+ * Ways imported presenter notes can appear on the site
+ */
+const SPEAKER_NOTES_MODES = ['details', 'inline', 'omit'];
+
+/**
+ * Render a section's presenter notes for the chosen mode:
+ *  - 'details': a collapsible "Presenter notes" block
+ *  - 'inline': ordinary paragraphs after the section content
+ *  - 'omit': nothing
+ *
+ * @param {string} notes Plain-text notes
+ * @param {string} mode One of SPEAKER_NOTES_MODES
+ * @returns {string} HTML, or an empty string
+ */
+function generateSpeakerNotesHtml(notes, mode) {
+    if (!notes || !notes.trim() || mode === 'omit') return '';
+    
+    const paragraphs = notes.trim().split(/\n+/)
+        .filter(line => line.trim())
+        .map(line => `<p>${escapeHtml(line.trim())}</p>`)
+        .join('');
+    
+    if (mode === 'inline') {
+        return `<div class="speaker-notes-inline">${paragraphs}</div>`;
+    }
+    return `<details class="speaker-notes"><summary>Presenter notes</summary>${paragraphs}</details>`;
+}
+
+/**
+ * Unwrap the marks on words OCR was unsure of (see
+ * LWB_Parser.markLowConfidenceWords); they are only shown in the editor
+ */
+function stripOCRMarks(html) {
+    return (html || '').replace(/<mark\b[^>]*\bclass="ocr-low"[^>]*>([\s\S]*?)<\/mark>/gi, '$1');
+}
+
+/**
+ * Copy a content block for export without the editor's OCR review data
+ * or the flag on tables found by layout detection
+ */
+function getExportContent(content) {
+    if (content.type === 'text' || content.type === 'html') {
+        return { ...content, value: stripOCRMarks(content.value) };
+    }
+    if (content.type === 'image' && content.ocrSource) {
+        const { ocrSource, ...exported } = content;
+        return exported;
+    }
+    if (content.type === 'table' && content.detected) {
+        const { detected, ...exported } = content;
+        return exported;
+    }
+    return content;
+}
+
+/**
+ * Copy the project's sections for export, turning each section's
+ * presenter notes into a trailing text block according to
+ * `settings.speakerNotes`. The `notes` field itself is not exported,
+ * and OCR review marks are removed.
+ */
+function getExportSections(project, settings) {
+    const mode = SPEAKER_NOTES_MODES.includes(settings.speakerNotes) ? settings.speakerNotes : 'details';
+    
+    return project.sections.map(section => {
+        const { notes, ...exported } = section;
+        exported.content = (section.content || []).map(getExportContent);
+        const notesHtml = generateSpeakerNotesHtml(notes, mode);
+        if (notesHtml) {
+            exported.content = exported.content.concat([{ type: 'text', value: notesHtml, allowHtml: false }]);
+        }
+        return exported;
+    });
+}
+
+/**
+ * Styles for presenter notes, shared by all export formats
+ */
+function generateSpeakerNotesStyles() {
+    return `.speaker-notes {
+            margin-top: 24px;
+            padding: 12px 16px;
+            background: #f9fafb;
+            border: 1px solid #e5e7eb;
+            border-radius: 8px;
+            color: #4b5563;
+        }
+        .speaker-notes summary {
+            cursor: pointer;
+            font-weight: 600;
+        }
+        .speaker-notes p {
+            margin: 8px 0 0 0;
+        }`;
+}
+
+// ===================================================
+// TABLE BLOCKS
+// ===================================================
+
+/**
+ * Generate HTML for a table content block ({ type: 'table', rows,
+ * hasHeader }). Cells hold plain text and are escaped; short rows are
+ * padded so every row has the same number of columns.
+ */
+function generateTableHtml(content) {
+    const rows = Array.isArray(content.rows) ? content.rows.filter(Array.isArray) : [];
+    if (rows.length === 0) return '';
+    
+    const width = Math.max(...rows.map(cells => cells.length));
+    const renderRow = (cells, tag) => '<tr>' + Array.from({ length: width }, (_, i) => {
+        const value = cells[i] === null || cells[i] === undefined ? '' : String(cells[i]);
+        return `<${tag}>${escapeHtml(value)}</${tag}>`;
+    }).join('') + '</tr>';
+    
+    const head = content.hasHeader ? `<thead>${renderRow(rows[0], 'th')}</thead>` : '';
+    const body = (content.hasHeader ? rows.slice(1) : rows).map(cells => renderRow(cells, 'td')).join('');
+    return `<div class="table-block"><table>${head}<tbody>${body}</tbody></table></div>`;
+}
+
+/**
+ * CSS for table blocks, shared by the HTML, React and Next.js exports
+ * and the preview
+ */
+function generateTableBlockStyles() {
+    return `.table-block {
+            overflow-x: auto;
+            margin: 24px 0;
+        }
+        .table-block table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.95em;
+        }
+        .table-block th,
+        .table-block td {
+            border: 1px solid #e5e7eb;
+            padding: 8px 12px;
+            text-align: left;
+            vertical-align: top;
+        }
+        .table-block th {
+            background: #f9fafb;
+            font-weight: 600;
+        }
+        .table-block tbody tr:nth-child(even) td {
+            background: #fcfcfd;
+        }`;
+}
+
 // ===================================================
 // HELPER FUNCTIONS
 // ===================================================
@@ -1187,27 +1436,6 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
-/**
- * Sanitize HTML content for safe embedding in exports and previews.
- * This function strips out potentially dangerous tags such as
- * <script> and event handler attributes. It does not escape all
- * markup; instead it removes scripts while preserving markup
- * structure. Use this when injecting user‑provided HTML into the
- * exported site.
- *
- * @param {string} html Raw HTML string
- * @returns {string} Sanitised HTML
- */
-function sanitizeHtmlContent(html) {
-    if (!html) return '';
-    // Remove <script> tags and their content
-    let safe = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
-    // Remove inline event handlers (onmouseover, onclick, etc.)
-    safe = safe.replace(/ on\w+="[^"]*"/gi, '');
-    safe = safe.replace(/ on\w+='[^']*'/gi, '');
-    return safe;
-}
-
 /**
  * Compute a contrasting text color (black or white) given a background hex color.
  * Uses relative luminance to determine readability.
@@ -1240,8 +1468,8 @@ function sanitizeFilename(filename) {
  */
 function generateSEOTags(project, settings) {
     const title = escapeHtml(project.title || 'Website');
-    // Use a generic description without referencing SiteWeave
-    const description = 'Professional website';
+    // Use the imported description, else a generic one without referencing SiteWeave
+    const description = escapeHtml(project.description || 'Professional website');
     
     return `
     <meta name="description" content="${description}">
@@ -1434,6 +1662,11 @@ window.LWB_Export = {
     generateHTMLExport,
     generateReactExport,
     generateNextJSExport,
+    getExportSections,
+    generateSpeakerNotesHtml,
+    generateSpeakerNotesStyles,
+    generateTableHtml,
+    generateTableBlockStyles,
     getFontFamily,
     escapeHtml,
     sanitizeFilename
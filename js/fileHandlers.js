@@ -1,6 +1,6 @@
 /**
  * SITEWEAVE - FILE HANDLERS
- * File upload and processing logic for PDF, PowerPoint, text, images, and future formats
+ * File upload and processing logic for PDF, PowerPoint, Word, OpenDocument, spreadsheets, text, images, and future formats
  */
 
 // ===================================================
@@ -9,16 +9,29 @@
 
 /**
  * Main file handler that routes to appropriate processor
+ * @param {File} file
+ * @param {function(Array, string, Object=)} onSuccess Receives sections, file name and optional document
+ *        metadata. PDF and image imports add `diagnostics`, a conversion report (see
+ *        LWB_Layout.createPDFDiagnostics).
+ * @param {function(string)} onError
+ * @param {Object} [options] Import options, e.g. { markdownHeadingDepth }. A
+ *        `job` from LWB_Jobs.startJob lets the import be cancelled.
  */
-function handleFile(file, onSuccess, onError) {
+function handleFile(file, onSuccess, onError, options = {}) {
     if (!file) {
         onError('No file provided');
         return;
     }
 
+    // Processing libraries load in the background at startup
+    if (!window.LWB_Libraries.areLibrariesLoaded()) {
+        window.LWB_Libraries.whenLibrariesReady().then(() => handleFile(file, onSuccess, onError, options));
+        return;
+    }
+
     // Validate file type
     if (!isValidFileType(file)) {
-        onError('Unsupported file format. Please use PDF, PowerPoint, Text, or Image files.');
+        onError('Unsupported file format. Please use PDF, PowerPoint, Word, OpenDocument, spreadsheet (CSV, XLSX), Text, Markdown, HTML, ZIP, or Image files.');
         return;
     }
 
@@ -27,7 +40,7 @@ function handleFile(file, onSuccess, onError) {
     try {
         switch (fileExtension) {
             case 'pdf':
-                handlePDF(file, onSuccess, onError);
+                handlePDF(file, onSuccess, onError, options);
                 break;
             case 'pptx':
                 handlePPTX(file, onSuccess, onError);
@@ -35,11 +48,30 @@ function handleFile(file, onSuccess, onError) {
             case 'docx':
                 handleDOCX(file, onSuccess, onError);
                 break;
+            case 'odt':
+                handleODT(file, onSuccess, onError);
+                break;
+            case 'odp':
+                handleODP(file, onSuccess, onError);
+                break;
+            case 'csv':
+                handleCSV(file, onSuccess, onError);
+                break;
+            case 'xlsx':
+                handleXLSX(file, onSuccess, onError);
+                break;
             case 'txt':
                 handleText(file, onSuccess, onError);
                 break;
             case 'md':
-                handleMarkdown(file, onSuccess, onError);
+                handleMarkdown(file, onSuccess, onError, options);
+                break;
+            case 'html':
+            case 'htm':
+                handleHTML(file, onSuccess, onError, options);
+                break;
+            case 'zip':
+                handleZIP(file, onSuccess, onError, options);
                 break;
             case 'png':
             case 'jpg':
@@ -48,7 +80,7 @@ function handleFile(file, onSuccess, onError) {
             case 'webp':
             case 'svg':
             case 'tiff':
-                handleImage(file, onSuccess, onError);
+                handleImage(file, onSuccess, onError, options);
                 break;
             default:
                 onError('Unsupported file format: ' + fileExtension);
@@ -59,20 +91,220 @@ function handleFile(file, onSuccess, onError) {
     }
 }
 
+/**
+ * File types that can drive a batch import, most preferred first. Other
+ * files in the batch (images, notes) are merged into its sections.
+ */
+const BATCH_PRIMARY_PRIORITY = ['pdf', 'pptx', 'docx', 'odt', 'odp', 'zip', 'html', 'htm', 'md', 'txt', 'xlsx', 'csv'];
+
+/**
+ * Import several files into one project. The primary document (see
+ * BATCH_PRIMARY_PRIORITY) produces the sections; every other file is
+ * attached to the section whose name matches its file name, or else
+ * appended as new sections. Extra images are added without OCR.
+ *
+ * onSuccess receives the primary document's sections, file name and
+ * meta, with `meta.importReport` listing what happened to each file:
+ * [{ fileName, action: 'primary' | 'attached' | 'appended' | 'skipped', target, reason }]
+ */
+async function handleFiles(files, onSuccess, onError, options = {}) {
+    files = Array.from(files || []);
+    if (files.length === 0) {
+        onError('No file provided');
+        return;
+    }
+    if (files.length === 1) {
+        handleFile(files[0], onSuccess, onError, options);
+        return;
+    }
+    
+    const report = [];
+    const accepted = files.filter(file => {
+        const errors = validateFile(file);
+        if (errors.length === 0) return true;
+        report.push({ fileName: file.name, action: 'skipped', reason: errors[0] });
+        return false;
+    });
+    if (accepted.length === 0) {
+        onError('None of the selected files are in a supported format.');
+        return;
+    }
+    
+    const getExtension = file => file.name.split('.').pop().toLowerCase();
+    const rank = file => {
+        const index = BATCH_PRIMARY_PRIORITY.indexOf(getExtension(file));
+        return index === -1 ? BATCH_PRIMARY_PRIORITY.length : index;
+    };
+    const primary = accepted.slice().sort((a, b) => rank(a) - rank(b))[0];
+    
+    let result;
+    try {
+        result = await processFileAsync(primary, options);
+    } catch (error) {
+        onError(window.LWB_Jobs.isCancelledError(error) ? error : `${primary.name}: ${error}`);
+        return;
+    }
+    
+    const sections = result.sections;
+    report.unshift({ fileName: primary.name, action: 'primary' });
+    
+    const extras = accepted.filter(file => file !== primary);
+    for (let i = 0; i < extras.length; i++) {
+        if (options.job && options.job.isCancelled()) return;
+        const file = extras[i];
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Adding files', 0.9 + 0.1 * (i / extras.length), `Adding ${file.name}...`);
+        }
+        try {
+            report.push(await mergeFileIntoSections(file, sections, options));
+        } catch (error) {
+            console.error('Batch import error:', file.name, error);
+            report.push({ fileName: file.name, action: 'skipped', reason: String(error) });
+        }
+    }
+    
+    onSuccess(sections, result.fileName, { ...result.meta, importReport: report });
+}
+
+/**
+ * Promise wrapper around handleFile
+ * @returns {Promise<{ sections: Array, fileName: string, meta: Object }>}
+ */
+function processFileAsync(file, options = {}) {
+    return new Promise((resolve, reject) => {
+        handleFile(file, (sections, fileName, meta) => {
+            resolve({ sections, fileName, meta: meta || {} });
+        }, reject, options);
+    });
+}
+
+/**
+ * Find the section a file belongs to by name, e.g. "results-fig2.png"
+ * matches a section called "Results". The longest matching name wins.
+ */
+function findSectionForFile(sections, fileName) {
+    const normalize = text => ` ${text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+    const stem = normalize(fileName.replace(/\.[^/.]+$/, ''));
+    let best = null;
+    
+    sections.forEach(section => {
+        if (section.isHeader) return;
+        const name = normalize(section.name || '');
+        if (!name.trim()) return;
+        if ((stem.includes(name) || name.includes(stem)) && (!best || name.length > normalize(best.name).length)) {
+            best = section;
+        }
+    });
+    return best;
+}
+
+/**
+ * Merge one extra file of a batch into the primary document's sections
+ * and describe what was done for the import report
+ */
+async function mergeFileIntoSections(file, sections, options) {
+    const match = findSectionForFile(sections, file.name);
+    const cleanName = file.name.replace(/\.[^/.]+$/, '');
+    
+    if (file.type.startsWith('image/') || getImageMimeType(file.name)) {
+        if (file.size > 10 * 1024 * 1024) {
+            return { fileName: file.name, action: 'skipped', reason: 'Image larger than 10MB' };
+        }
+        const url = await readBlobAsDataUrl(file, file.name);
+        const imageBlock = { type: 'image', url, caption: escapeDocumentText(cleanName) };
+        if (match) {
+            match.content.push(imageBlock);
+            return { fileName: file.name, action: 'attached', target: match.name };
+        }
+        const section = {
+            id: getUniqueSectionId(sections, `figure-${cleanName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`),
+            icon: '🖼️',
+            name: cleanName.substring(0, 60),
+            content: [imageBlock]
+        };
+        sections.push(section);
+        return { fileName: file.name, action: 'appended', target: section.name };
+    }
+    
+    const result = await processFileAsync(file, options);
+    const bodySections = result.sections.filter(section => !section.isHeader && section.content.length > 0);
+    if (bodySections.length === 0) {
+        return { fileName: file.name, action: 'skipped', reason: 'No content found' };
+    }
+    
+    if (match) {
+        bodySections.forEach(section => match.content.push(...section.content));
+        return { fileName: file.name, action: 'attached', target: match.name };
+    }
+    bodySections.forEach(section => {
+        section.id = getUniqueSectionId(sections, section.id);
+        sections.push(section);
+    });
+    return { fileName: file.name, action: 'appended', target: bodySections.map(section => section.name).join(', ') };
+}
+
+/**
+ * Make a section id unique within a project by adding a counter
+ */
+function getUniqueSectionId(sections, id) {
+    const taken = new Set(sections.map(section => section.id));
+    if (!taken.has(id)) return id;
+    let counter = 2;
+    while (taken.has(`${id}-${counter}`)) counter++;
+    return `${id}-${counter}`;
+}
+
 // ===================================================
 // PDF PROCESSING
 // ===================================================
 
 /**
- * Handle PDF file upload and text extraction
+ * Handle PDF file upload and text extraction.
+ *
+ * `options.pdfPages` ({ pages, imagePages }, 1-based) limits extraction to
+ * some pages and imports `imagePages` as whole-page pictures. Without it,
+ * `options.selectPdfPages(pdf, fileName)` is asked for a selection when
+ * the document has several pages; it resolves to null to cancel the
+ * import (`options.job` is cancelled).
+ * Cancelling `options.job` terminates the worker or stops the
+ * main-thread extraction between pages. `options.ocrPreprocess` picks
+ * the LWB_Preprocess steps applied to pages read with OCR.
  */
-function handlePDF(file, onSuccess, onError) {
+function handlePDF(file, onSuccess, onError, options = {}) {
+    if (typeof pdfjsLib === 'undefined') {
+        onError(window.LWB_Libraries.describeMissingLibrary('pdfjs'));
+        return;
+    }
+    if (!options.pdfPages && typeof options.selectPdfPages === 'function' && typeof pdfjsLib !== 'undefined') {
+        choosePDFPages(file, options.selectPdfPages)
+            .then(pdfPages => {
+                if (pdfPages) {
+                    handlePDF(file, onSuccess, onError, { ...options, pdfPages });
+                    return;
+                }
+                // Closing the picker cancels the import rather than failing it;
+                // callers without a job get the cancellation error
+                if (options.job) options.job.cancel();
+                onError(window.LWB_Jobs.createCancelledError('PDF import cancelled'));
+            })
+            .catch(error => {
+                // Let extraction report unreadable files as before
+                console.warn('PDF page selection failed:', error);
+                handlePDF(file, onSuccess, onError, { ...options, pdfPages: null, selectPdfPages: null });
+            });
+        return;
+    }
+    const pageSelection = options.pdfPages || null;
+    const job = options.job || null;
+    const ocrPreprocess = options.ocrPreprocess || null;
+    
     // If Web Workers are supported, delegate heavy processing to the
     // documentProcessor worker. This prevents the UI from blocking
     // during large file processing. If worker initialization fails or
     // the browser does not support workers, fall back to the main
-    // thread implementation.
-    if (window.Worker) {
+    // thread implementation. The worker reads scans with Tesseract.js
+    // only, so other OCR engines run on the main thread.
+    if (window.Worker && window.LWB_OCRProviders.getActiveOCRProvider().id === 'tesseract') {
         try {
             const reader = new FileReader();
             reader.onload = function(e) {
@@ -83,14 +315,17 @@ function handlePDF(file, onSuccess, onError) {
                 const cleanup = () => {
                     try { worker.terminate(); } catch (err) { /* noop */ }
                 };
+                if (job) job.onCancel(cleanup);
                 worker.onmessage = function(event) {
                     const data = event.data || {};
                     // Route progress updates to the loading UI
                     if (data.type === 'progress') {
-                        if (typeof window.updateLoadingProgress === 'function') {
-                            const step = data.step || 'Processing';
-                            const progress = typeof data.progress === 'number' ? data.progress : 0;
-                            const message = data.message || '';
+                        const step = data.step || 'Processing';
+                        const progress = typeof data.progress === 'number' ? data.progress : 0;
+                        const message = data.message || '';
+                        if (job) {
+                            job.progress(step, progress, message);
+                        } else if (typeof window.updateLoadingProgress === 'function') {
                             window.updateLoadingProgress(step, progress, message);
                         }
                         return;
@@ -104,38 +339,51 @@ function handlePDF(file, onSuccess, onError) {
                         if (typeof window.updateLoadingProgress === 'function') {
                             window.updateLoadingProgress('Creating website', 0.95, 'Creating website...');
                         }
-                        onSuccess(data.sections, file.name);
+                        onSuccess(data.sections, file.name, data.diagnostics
+                            ? { diagnostics: data.diagnostics, language: data.diagnostics.language }
+                            : undefined);
                     } else if (data.type === 'error') {
                         console.error('Worker error:', data.error);
                         cleanup();
                         // Fallback to main thread processing on error
-                        processPDFMainThread(file, onSuccess, onError);
+                        processPDFMainThread(file, onSuccess, onError, pageSelection, job, ocrPreprocess);
                     } else if (data.type === 'imageResult') {
                         // Not used for PDF; ignore
                         cleanup();
-                        processPDFMainThread(file, onSuccess, onError);
+                        processPDFMainThread(file, onSuccess, onError, pageSelection, job, ocrPreprocess);
                     }
                 };
                 worker.onerror = function(err) {
                     console.error('Worker failed:', err);
                     cleanup();
-                    processPDFMainThread(file, onSuccess, onError);
+                    processPDFMainThread(file, onSuccess, onError, pageSelection, job, ocrPreprocess);
                 };
                 // Send file to worker
-                worker.postMessage({ id: workerId, type: 'processDocument', fileType: 'pdf', fileData: arrayBuffer, fileName: file.name });
+                worker.postMessage({
+                    id: workerId,
+                    type: 'processDocument',
+                    fileType: 'pdf',
+                    fileData: arrayBuffer,
+                    fileName: file.name,
+                    pageSelection,
+                    ocrPreprocess,
+                    ocrLanguages: window.LWB_OCR.getOCRLanguageSettings(),
+                    // Same pdf.js and Tesseract files as the page
+                    libraries: window.LWB_Libraries.getLibrarySources()
+                });
             };
             reader.onerror = function() {
-                processPDFMainThread(file, onSuccess, onError);
+                processPDFMainThread(file, onSuccess, onError, pageSelection, job, ocrPreprocess);
             };
             reader.readAsArrayBuffer(file);
         } catch (err) {
             console.error('Worker setup error:', err);
             // Fallback to main thread processing
-            processPDFMainThread(file, onSuccess, onError);
+            processPDFMainThread(file, onSuccess, onError, pageSelection, job, ocrPreprocess);
         }
     } else {
         // Workers not supported; use main thread
-        processPDFMainThread(file, onSuccess, onError);
+        processPDFMainThread(file, onSuccess, onError, pageSelection, job, ocrPreprocess);
     }
 }
 
@@ -150,8 +398,14 @@ function handlePDF(file, onSuccess, onError) {
  * @param {File} file The PDF file to process
  * @param {function(Array, string)} onSuccess Callback with sections and filename
  * @param {function(string)} onError Callback on error
+ * @param {Object} [pageSelection] { pages, imagePages } to extract; all pages when omitted
+ * @param {Object} [job] LWB_Jobs job; cancelling it stops work between pages
+ * @param {Object} [ocrPreprocess] LWB_Preprocess steps for pages read with OCR
  */
-function processPDFMainThread(file, onSuccess, onError) {
+function processPDFMainThread(file, onSuccess, onError, pageSelection, job, ocrPreprocess) {
+    // The worker may fail while the job is being cancelled
+    if (job && job.isCancelled()) return;
+    
     const reader = new FileReader();
     reader.onload = function(e) {
         try {
@@ -160,45 +414,52 @@ function processPDFMainThread(file, onSuccess, onError) {
                 window.updateLoadingProgress('Extracting text', 0.3, 'Extracting text from PDF...');
             }
             const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(e.target.result) });
+            if (job) job.onCancel(() => loadingTask.destroy());
             loadingTask.promise.then(function(pdf) {
-                _extractTextFromPDF(pdf, file.name)
-                    .then(async ({ sections, fullText, alphaRatio }) => {
+                _extractTextFromPDF(pdf, file.name, pageSelection, job)
+                    .then(async ({ sections, fullText, alphaRatio, textPageCount, diagnostics }) => {
+                        const meta = { diagnostics };
                         try {
                             // Update progress: analyzing sections
                             if (typeof window.updateLoadingProgress === 'function') {
                                 window.updateLoadingProgress('Analyzing sections', 0.6, 'Analyzing document structure...');
                             }
-                            // If text quality is poor, fallback to OCR
-                            const poorQuality = (alphaRatio < 0.5) || (fullText.replace(/\s+/g, '').length < 100);
+                            // If text quality is poor, fallback to OCR (unless every
+                            // chosen page is imported as an image)
+                            const poorQuality = textPageCount > 0 &&
+                                ((alphaRatio < 0.5) || (fullText.replace(/\s+/g, '').length < 100));
                             if (poorQuality) {
                                 if (typeof window.updateLoadingProgress === 'function') {
                                     window.updateLoadingProgress('Fallback OCR', 0.3, 'Low quality text detected. Performing OCR...');
                                 }
+                                diagnostics.warnings.push(window.LWB_Layout.describeLowQualityText(alphaRatio));
                                 try {
-                                    const ocrSections = await performOCRFallback(file);
+                                    const ocrSections = await performOCRFallback(file, pageSelection, job, diagnostics, ocrPreprocess);
+                                    meta.language = diagnostics.language;
                                     if (typeof window.updateLoadingProgress === 'function') {
                                         window.updateLoadingProgress('Creating website', 0.9, 'Creating website...');
                                     }
-                                    onSuccess(ocrSections, file.name);
+                                    onSuccess(ocrSections, file.name, meta);
                                 } catch (ocrError) {
                                     console.error('OCR fallback error:', ocrError);
+                                    diagnostics.warnings.push('OCR failed, so the text layer was used as it is.');
                                     if (typeof window.updateLoadingProgress === 'function') {
                                         window.updateLoadingProgress('Creating website', 0.9, 'Creating website...');
                                     }
-                                    onSuccess(sections, file.name);
+                                    onSuccess(sections, file.name, meta);
                                 }
                             } else {
                                 if (typeof window.updateLoadingProgress === 'function') {
                                     window.updateLoadingProgress('Creating website', 0.9, 'Creating website...');
                                 }
-                                onSuccess(sections, file.name);
+                                onSuccess(sections, file.name, meta);
                             }
                         } catch (innerErr) {
                             console.error('PDF post-processing error:', innerErr);
                             if (typeof window.updateLoadingProgress === 'function') {
                                 window.updateLoadingProgress('Creating website', 0.9, 'Creating website...');
                             }
-                            onSuccess(sections, file.name);
+                            onSuccess(sections, file.name, meta);
                         }
                     })
                     .catch(error => {
@@ -221,33 +482,38 @@ function processPDFMainThread(file, onSuccess, onError) {
 }
 
 /**
- * Extract text from all pages of a PDF
+ * Extract text and figures from the selected pages of a PDF (all pages
+ * by default). Pages are read with the layout analyser so that
+ * multi-column posters come out column by column, headings are
+ * recognised by font size and weight, and pictures land in the section
+ * whose text surrounds them. Pages chosen as images become one figure.
  */
-async function _extractTextFromPDF(pdf, fileName) {
-    let fullText = '';
-    // Extract text from each page of the PDF.  We accumulate a
-    // single string `fullText` which will later be used to assess
-    // extraction quality.  PDF.js occasionally inserts strange
-    // characters or whitespace; we normalise by joining items with a
-    // space and inserting a newline when the y‑coordinate jumps.
-    for (let i = 1; i <= pdf.numPages; i++) {
+async function _extractTextFromPDF(pdf, fileName, pageSelection, job) {
+    const selection = window.LWB_Layout.resolvePageSelection(pageSelection, pdf.numPages);
+    const diagnostics = window.LWB_Layout.createPDFDiagnostics(fileName, pdf.numPages, selection);
+    const pages = [];
+    for (const i of selection.pages) {
+        if (job) job.throwIfCancelled();
         try {
             const page = await pdf.getPage(i);
-            const textContent = await page.getTextContent();
-            let pageText = '';
-            let lastY = null;
-            textContent.items.forEach(item => {
-                if (lastY !== null && Math.abs(item.transform[5] - lastY) > 5) {
-                    pageText += '\n';
-                }
-                pageText += item.str + ' ';
-                lastY = item.transform[5];
-            });
-            fullText += pageText + '\n\n';
+            const layout = selection.imagePages.has(i)
+                ? window.LWB_Layout.createImagePageLayout(page, i)
+                : await window.LWB_Layout.extractPageLayout(page, i);
+            try {
+                await window.LWB_Layout.renderPageFigures(page, layout, createWorkCanvas);
+            } catch (figureError) {
+                console.warn(`Could not extract figures from page ${i}:`, figureError);
+            }
+            pages.push(layout);
+            diagnostics.pages.push(selection.imagePages.has(i)
+                ? { page: i, method: 'image' }
+                : { page: i, method: 'text', characters: window.LWB_Layout.getLayoutText([layout]).replace(/\s+/g, '').length });
         } catch (error) {
             console.error(`Error extracting text from page ${i}:`, error);
+            diagnostics.pages.push({ page: i, method: 'failed', error: error.message || String(error) });
         }
     }
+    const fullText = window.LWB_Layout.getLayoutText(pages);
     // Compute a simple quality metric.  We count the number of
     // alphabetic characters and compare to the total number of
     // non‑whitespace characters.  If there are very few letters
@@ -257,9 +523,82 @@ async function _extractTextFromPDF(pdf, fileName) {
     const alphaMatches = fullText.match(/[A-Za-z]/g) || [];
     const nonSpaceLength = fullText.replace(/\s+/g, '').length;
     const alphaRatio = nonSpaceLength > 0 ? (alphaMatches.length / nonSpaceLength) : 0;
-    // Parse into sections using the existing heuristic
-    const sections = parseTextIntoSections(fullText, fileName);
-    return { sections, fullText, alphaRatio };
+    // Build sections from the detected headings, falling back to the
+    // keyword heuristic when the document has no distinct heading styles
+    const sections = window.LWB_Parser.parseLayoutPages(pages, fileName);
+    const textPageCount = selection.pages.length - selection.imagePages.size;
+    diagnostics.alphaRatio = alphaRatio;
+    return { sections, fullText, alphaRatio, textPageCount, diagnostics };
+}
+
+/**
+ * Load a PDF on the main thread and ask the page picker which pages to
+ * import. Single-page documents (posters) skip the picker.
+ *
+ * @param {File} file
+ * @param {function(Object, string): Promise<Object|null>} selectPdfPages Picker given the pdf.js document
+ * @returns {Promise<Object|null>} { pages, imagePages }, or null when cancelled
+ */
+async function choosePDFPages(file, selectPdfPages) {
+    const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+    try {
+        if (pdf.numPages <= 1) {
+            return { pages: [1], imagePages: [] };
+        }
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Choosing pages', 0.1, 'Choose the pages to import...');
+        }
+        return await selectPdfPages(pdf, file.name);
+    } finally {
+        pdf.destroy();
+    }
+}
+
+/**
+ * Canvas factory for main-thread image work (PDF figures, OCR
+ * preprocessing)
+ */
+function createWorkCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Clean up an image before OCR with LWB_Preprocess. Falls back to the
+ * untouched image if preprocessing fails, so OCR still gets a chance.
+ *
+ * @param {HTMLImageElement|HTMLCanvasElement} source
+ * @param {Object} [steps] Preprocessing steps; all on by default
+ * @returns {{dataUrl: string, scale: number, skewAngle: number, sourceWidth: number,
+ *            sourceHeight: number, width: number, height: number}}
+ *          The image to read and how it maps back onto the source (see LWB_Preprocess.mapBoxToSource)
+ */
+function prepareImageForOCR(source, steps) {
+    try {
+        const { canvas, ...prepared } = window.LWB_Preprocess.preprocessImage(source, steps, createWorkCanvas);
+        return Object.assign(prepared, { dataUrl: canvas.toDataURL('image/png'), width: canvas.width, height: canvas.height });
+    } catch (error) {
+        console.warn('Image preprocessing failed, reading the original image:', error);
+        const width = source.naturalWidth || source.width;
+        const height = source.naturalHeight || source.height;
+        const canvas = createWorkCanvas(width, height);
+        canvas.getContext('2d').drawImage(source, 0, 0);
+        return { dataUrl: canvas.toDataURL('image/png'), scale: 1, skewAngle: 0, sourceWidth: width, sourceHeight: height, width, height };
+    }
+}
+
+/**
+ * Load a data URL into an image element
+ */
+function loadImageElement(dataUrl) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not load image'));
+        image.src = dataUrl;
+    });
 }
 
 /**
@@ -273,26 +612,35 @@ async function _extractTextFromPDF(pdf, fileName) {
  *
  * @param {Object} pdf PDF document returned from pdfjsLib.getDocument().promise
  * @param {string} fileName The file name being processed
+ * @param {Object} [pageSelection] { pages, imagePages } to extract
  * @returns {Promise<Array>} Array of section objects
  */
-async function extractTextFromPDF(pdf, fileName) {
-    const { sections } = await _extractTextFromPDF(pdf, fileName);
+async function extractTextFromPDF(pdf, fileName, pageSelection) {
+    const { sections } = await _extractTextFromPDF(pdf, fileName, pageSelection);
     return sections;
 }
 
 /**
- * Perform an OCR fallback for scanned PDFs using Tesseract.js.
- * This method renders each page of the PDF onto an off‑screen
- * canvas and then feeds the resulting image into Tesseract.js to
- * extract the text.  Progress updates are emitted via
- * window.updateLoadingProgress if available.  The aggregated text
- * is then parsed into sections using the existing parsing
- * heuristics.
+ * Perform an OCR fallback for scanned PDFs using the OCR engine chosen
+ * in the settings (LWB_OCRProviders). This method renders each page of
+ * the PDF onto an off‑screen canvas and then feeds the resulting image
+ * to the engine to extract the text. Tesseract.js reads several pages
+ * at once with a pool of workers (LWB_OCRPool); other engines read one
+ * page at a time. Progress updates are emitted via
+ * window.updateLoadingProgress if available.  The recognised lines
+ * keep their positions, so columns are read in order and headings are
+ * found from their size, as for PDFs with a text layer.
  *
  * @param {File} file The original PDF file supplied by the user
+ * @param {Object} [pageSelection] { pages, imagePages }; image pages are not read
+ * @param {Object} [job] LWB_Jobs job; cancelling it stops recognition
+ * @param {Object} [diagnostics] Conversion report whose page entries are updated with the OCR
+ *        results; its `language` is set to the language the text was read as and its
+ *        `ocrProvider` to the engine that read it
+ * @param {Object} [ocrPreprocess] LWB_Preprocess steps applied to each rendered page
  * @returns {Promise<Array>} A promise resolving to an array of sections
  */
-async function performOCRFallback(file) {
+async function performOCRFallback(file, pageSelection, job, diagnostics, ocrPreprocess) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onload = async function(e) {
@@ -300,50 +648,60 @@ async function performOCRFallback(file) {
                 const uint8 = new Uint8Array(e.target.result);
                 const loadingTask = pdfjsLib.getDocument({ data: uint8 });
                 const pdf = await loadingTask.promise;
-                const numPages = pdf.numPages;
+                const selection = window.LWB_Layout.resolvePageSelection(pageSelection, pdf.numPages);
+                const textPages = selection.pages.filter(n => !selection.imagePages.has(n));
+                const provider = window.LWB_OCRProviders.getActiveOCRProvider();
+                
+                // Render a page into an offscreen canvas and clean it up for OCR
+                const renderPage = async pageNumber => {
+                    const page = await pdf.getPage(pageNumber);
+                    const viewport = page.getViewport({ scale: 2.0 });
+                    const canvas = document.createElement('canvas');
+                    canvas.width = viewport.width;
+                    canvas.height = viewport.height;
+                    await page.render({ canvasContext: canvas.getContext('2d'), viewport: viewport }).promise;
+                    return prepareImageForOCR(canvas, ocrPreprocess).dataUrl;
+                };
+                // Allocate 60% of progress to OCR, from 0.3
+                const onProgress = (progress, done, total) => {
+                    if (typeof window.updateLoadingProgress === 'function') {
+                        window.updateLoadingProgress('Reading text', 0.3 + progress * 0.6, `Reading text: ${done} of ${total} pages done...`);
+                    }
+                };
+                
+                const read = provider.id === 'tesseract'
+                    ? await readPDFPagesWithPool(textPages, renderPage, job, onProgress)
+                    : await readPDFPagesInTurn(textPages, renderPage, job, onProgress);
+                
+                // Reassemble in page order
+                const layouts = [];
                 let combinedText = '';
-                for (let i = 1; i <= numPages; i++) {
-                    try {
-                        // Emit progress: rendering page
-                        if (typeof window.updateLoadingProgress === 'function') {
-                            const base = 0.3; // base progress when OCR fallback starts
-                            const fraction = 0.6 / numPages; // allocate 60% of progress to OCR
-                            const progress = base + (i - 1) * fraction;
-                            window.updateLoadingProgress(`Rendering page ${i}`, progress, `Rendering page ${i} of ${numPages}...`);
-                        }
-                        const page = await pdf.getPage(i);
-                        const viewport = page.getViewport({ scale: 2.0 });
-                        // Create an offscreen canvas
-                        const canvas = document.createElement('canvas');
-                        const context = canvas.getContext('2d');
-                        canvas.width = viewport.width;
-                        canvas.height = viewport.height;
-                        // Render the page into the canvas
-                        await page.render({ canvasContext: context, viewport: viewport }).promise;
-                        const dataURL = canvas.toDataURL('image/png');
-                        // Recognize text using Tesseract.js
-                        if (typeof window.LWB_OCR !== 'undefined' && typeof window.LWB_OCR.processWithTesseract === 'function') {
-                            const ocrResult = await window.LWB_OCR.processWithTesseract(dataURL, {
-                                logger: m => {
-                                    if (typeof window.updateLoadingProgress === 'function') {
-                                        const base = 0.3 + (i - 1) * (0.6 / numPages);
-                                        const fraction = 0.6 / numPages;
-                                        const progress = base + (m.progress || 0) * fraction;
-                                        window.updateLoadingProgress('Reading text', progress, `Reading text on page ${i}...`);
-                                    }
-                                }
-                            });
-                            if (ocrResult && ocrResult.text) {
-                                combinedText += ocrResult.text + '\n\n';
-                            }
-                        }
-                    } catch (pageErr) {
-                        console.error('OCR fallback page error:', pageErr);
+                let detectedLanguage = null;
+                read.pages.forEach(result => {
+                    if (result.error) {
+                        console.error('OCR fallback page error:', result.error);
+                        window.LWB_Layout.recordOCRPage(diagnostics, result.page, null, result.error);
+                        return;
+                    }
+                    if (result.text) {
+                        detectedLanguage = detectedLanguage || result.language;
+                        combinedText += result.text + '\n\n';
+                        layouts.push(window.LWB_Layout.createOCRPageLayout(result.blocks, result.page));
+                    }
+                    window.LWB_Layout.recordOCRPage(diagnostics, result.page, result);
+                });
+                if (diagnostics) {
+                    diagnostics.ocrProvider = provider.id;
+                    // Tesseract's languages tell which one the text was in; other engines report it
+                    if (read.languages) {
+                        diagnostics.language = window.LWB_OCRLanguages.getLanguageTag(
+                            window.LWB_OCRLanguages.guessTextLanguage(combinedText, read.languages.split('+'))
+                        );
+                    } else if (detectedLanguage) {
+                        diagnostics.language = window.LWB_OCRLanguages.getLanguageTag(detectedLanguage);
                     }
                 }
-                // Parse aggregated text into sections
-                const sections = window.LWB_FileHandlers.parseTextIntoSections(combinedText, file.name);
-                resolve(sections);
+                resolve(window.LWB_Parser.parseLayoutPages(layouts, file.name, combinedText));
             } catch (err) {
                 reject(err);
             }
@@ -355,17 +713,279 @@ async function performOCRFallback(file) {
     });
 }
 
+/**
+ * Read PDF pages with a pool of Tesseract.js workers. The languages
+ * come from the OCR settings, narrowed to the script of the first page
+ * when automatic detection is on.
+ *
+ * @returns {Promise<{languages: string, pages: Array}>} See LWB_OCRPool.recognizePages
+ */
+async function readPDFPagesWithPool(pageNumbers, renderPage, job, onProgress) {
+    if (typeof Tesseract === 'undefined') {
+        throw new Error(window.LWB_Libraries.describeMissingLibrary('tesseract'));
+    }
+    const tesseractOptions = window.LWB_Libraries.getTesseractOptions();
+    return window.LWB_OCRPool.recognizePages(pageNumbers, {
+        renderPage,
+        languages: image => window.LWB_OCR.resolveTesseractLanguages(image, job ? job.signal : undefined),
+        tesseractOptions,
+        signal: job ? job.signal : undefined,
+        onProgress
+    });
+}
+
+/**
+ * Read PDF pages one at a time with the chosen OCR engine, for engines
+ * other than Tesseract.js
+ *
+ * @returns {Promise<{languages: null, pages: Array}>} In page order, each the
+ *          engine's result with its `page`, or { page, error }
+ */
+async function readPDFPagesInTurn(pageNumbers, renderPage, job, onProgress) {
+    const pages = [];
+    for (let n = 0; n < pageNumbers.length; n++) {
+        const pageNumber = pageNumbers[n];
+        if (job) job.throwIfCancelled();
+        onProgress(n / pageNumbers.length, n, pageNumbers.length);
+        try {
+            const image = await renderPage(pageNumber);
+            const result = await window.LWB_OCRProviders.recognizeText(image, { signal: job ? job.signal : undefined });
+            pages.push(Object.assign({ page: pageNumber }, result));
+        } catch (error) {
+            if (window.LWB_Jobs.isCancelledError(error)) throw error;
+            pages.push({ page: pageNumber, error });
+        }
+    }
+    onProgress(1, pageNumbers.length, pageNumbers.length);
+    return { languages: null, pages };
+}
+
+// ===================================================
+// OFFICE XML HELPERS
+// ===================================================
+
+/**
+ * Image MIME types that browsers can display, keyed by file extension.
+ * Office packages may also embed EMF/WMF vector images; those are
+ * skipped because no browser can render them.
+ */
+const IMAGE_MIME_TYPES = {
+    'png': 'image/png',
+    'jpg': 'image/jpeg',
+    'jpeg': 'image/jpeg',
+    'gif': 'image/gif',
+    'bmp': 'image/bmp',
+    'webp': 'image/webp',
+    'svg': 'image/svg+xml',
+    'tif': 'image/tiff',
+    'tiff': 'image/tiff'
+};
+
+/**
+ * Parse an XML part from an Office package into a DOM document
+ */
+function parseXmlString(xml) {
+    return new DOMParser().parseFromString(xml, 'application/xml');
+}
+
+/**
+ * Get the direct child elements of a node, optionally filtered by
+ * qualified tag name (e.g. 'w:p')
+ */
+function getChildElements(node, tagName) {
+    if (!node) return [];
+    return Array.from(node.childNodes).filter(child => {
+        return child.nodeType === 1 && (!tagName || child.nodeName === tagName);
+    });
+}
+
+/**
+ * Get the first descendant element with the given qualified tag name
+ */
+function getFirstElement(node, tagName) {
+    if (!node) return null;
+    return node.getElementsByTagName(tagName)[0] || null;
+}
+
+/**
+ * Resolve a relationship target against the folder of the part that
+ * owns it, e.g. ('word', 'media/image1.png') -> 'word/media/image1.png'
+ * and ('ppt/slides', '../media/image2.png') -> 'ppt/media/image2.png'
+ */
+function resolveZipPath(baseDir, target) {
+    if (target.startsWith('/')) return target.slice(1);
+    const parts = (baseDir || '').split('/').filter(Boolean);
+    target.split('/').forEach(segment => {
+        if (segment === '..') {
+            parts.pop();
+        } else if (segment && segment !== '.') {
+            parts.push(segment);
+        }
+    });
+    return parts.join('/');
+}
+
+/**
+ * Read a .rels part into a map of relationship id -> { target, type, external }.
+ * Internal targets are resolved to full paths inside the zip.
+ */
+async function readZipRelationships(zip, relsPath, baseDir) {
+    const relations = {};
+    const relsFile = zip.file(relsPath);
+    if (!relsFile) return relations;
+    
+    const doc = parseXmlString(await relsFile.async('string'));
+    Array.from(doc.getElementsByTagName('Relationship')).forEach(rel => {
+        const external = rel.getAttribute('TargetMode') === 'External';
+        const target = rel.getAttribute('Target') || '';
+        relations[rel.getAttribute('Id')] = {
+            target: external ? target : resolveZipPath(baseDir, target),
+            type: (rel.getAttribute('Type') || '').split('/').pop(),
+            external: external
+        };
+    });
+    return relations;
+}
+
+/**
+ * Get the displayable image MIME type for a path, or null if the
+ * browser cannot render it
+ */
+function getImageMimeType(path) {
+    const extension = (path || '').split('.').pop().toLowerCase();
+    return IMAGE_MIME_TYPES[extension] || null;
+}
+
+/**
+ * Read an image stored inside a zip as a data URL. Returns null when the
+ * entry is missing or is not a browser-displayable image.
+ */
+async function readZipImageAsDataUrl(zip, path) {
+    const mimeType = getImageMimeType(path);
+    const entry = zip.file(path);
+    if (!mimeType || !entry) return null;
+    
+    const base64 = await entry.async('base64');
+    return `data:${mimeType};base64,${base64}`;
+}
+
+/**
+ * Escape text for HTML output. Attribute values also need quotes escaped.
+ */
+function escapeDocumentText(text) {
+    return window.LWB_Utils.sanitizeHtml(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * Only keep links that are safe to put in an exported site
+ */
+function isSafeLinkTarget(href) {
+    return /^(https?:|mailto:|#)/i.test(href || '');
+}
+
+/**
+ * Render text segments ({ format: { bold, italic, underline, vertAlign,
+ * href }, html, text }) as inline HTML. Neighbouring segments with
+ * identical formatting are merged first, so that word processors' habit
+ * of splitting text into many runs does not produce noisy markup.
+ *
+ * @returns {{ html: string, text: string }}
+ */
+function renderFormattedSegments(segments) {
+    const merged = [];
+    segments.forEach(segment => {
+        const last = merged[merged.length - 1];
+        if (last && JSON.stringify(last.format) === JSON.stringify(segment.format)) {
+            last.html += segment.html;
+            last.text += segment.text;
+        } else {
+            merged.push({ ...segment });
+        }
+    });
+    
+    const html = merged.map(segment => {
+        const { bold, italic, underline, vertAlign, href } = segment.format;
+        let inner = segment.html;
+        if (!segment.text.trim()) return inner;
+        if (vertAlign === 'superscript') inner = `<sup>${inner}</sup>`;
+        if (vertAlign === 'subscript') inner = `<sub>${inner}</sub>`;
+        if (underline) inner = `<u>${inner}</u>`;
+        if (italic) inner = `<em>${inner}</em>`;
+        if (bold) inner = `<strong>${inner}</strong>`;
+        if (href) inner = `<a href="${escapeDocumentText(href)}" target="_blank">${inner}</a>`;
+        return inner;
+    }).join('');
+    
+    return {
+        html: html.trim(),
+        text: merged.map(segment => segment.text).join('').trim()
+    };
+}
+
+/**
+ * Nest a flat list of { level, ordered, html } items into <ul>/<ol> markup
+ */
+function renderNestedList(items) {
+    let html = '';
+    const stack = [];
+    
+    items.forEach(item => {
+        while (stack.length > 0 && stack[stack.length - 1].level > item.level) {
+            html += `</li></${stack.pop().tag}>`;
+        }
+        const top = stack[stack.length - 1];
+        if (!top || top.level < item.level) {
+            const tag = item.ordered ? 'ol' : 'ul';
+            html += `<${tag}><li>`;
+            stack.push({ tag, level: item.level });
+        } else {
+            html += '</li><li>';
+        }
+        html += item.html;
+    });
+    
+    while (stack.length > 0) {
+        html += `</li></${stack.pop().tag}>`;
+    }
+    return html;
+}
+
+/**
+ * Render a grid of cell HTML strings as a table. The first row is used
+ * as a header row when `hasHeader` is true.
+ */
+function renderHtmlTable(rows, hasHeader) {
+    if (!rows || rows.length === 0) return '';
+    
+    const renderRow = (cells, tag) => '<tr>' + cells.map(cell => `<${tag}>${cell}</${tag}>`).join('') + '</tr>';
+    const headRows = hasHeader ? rows.slice(0, 1) : [];
+    const bodyRows = hasHeader ? rows.slice(1) : rows;
+    
+    let html = '<table>';
+    if (headRows.length > 0) {
+        html += '<thead>' + headRows.map(cells => renderRow(cells, 'th')).join('') + '</thead>';
+    }
+    html += '<tbody>' + bodyRows.map(cells => renderRow(cells, 'td')).join('') + '</tbody>';
+    html += '</table>';
+    return html;
+}
+
 // ===================================================
 // POWERPOINT PROCESSING
 // ===================================================
 
+/**
+ * Placeholder types that carry no slide content
+ */
+const PPTX_SKIPPED_PLACEHOLDERS = ['sldNum', 'dt', 'ftr', 'hdr', 'sldImg'];
+
 /**
  * Handle PowerPoint file upload and content extraction
  */
 async function handlePPTX(file, onSuccess, onError) {
     try {
         if (typeof JSZip === 'undefined') {
-            onError('PowerPoint processing library not loaded. Please refresh the page and try again.');
+            onError(window.LWB_Libraries.describeMissingLibrary('jszip'));
             return;
         }
         // Update progress: extracting slides
@@ -374,213 +994,377 @@ async function handlePPTX(file, onSuccess, onError) {
         }
         
         const zip = await JSZip.loadAsync(file);
+        const slidePaths = await getPPTXSlidePaths(zip);
         const slides = [];
-        const slideFiles = [];
+        const notes = [];
         
-        // Find all slide files
-        zip.folder("ppt/slides").forEach((relativePath, file) => {
-            if (relativePath.match(/slide\d+\.xml$/)) {
-                slideFiles.push({
-                    name: relativePath,
-                    order: parseInt(relativePath.match(/\d+/)[0])
-                });
+        for (let i = 0; i < slidePaths.length; i++) {
+            const slidePath = slidePaths[i];
+            const slideFile = zip.file(slidePath);
+            if (!slideFile) continue;
+            
+            const slideDir = slidePath.substring(0, slidePath.lastIndexOf('/'));
+            const slideName = slidePath.substring(slidePath.lastIndexOf('/') + 1);
+            const relations = await readZipRelationships(zip, `${slideDir}/_rels/${slideName}.rels`, slideDir);
+            const slide = await extractPPTXSlide(parseXmlString(await slideFile.async('string')), zip, relations);
+            slide.order = i + 1;
+            
+            if (slide.title || slide.content.length > 0) {
+                slides.push(slide);
             }
-        });
-        
-        // Sort slides by order
-        slideFiles.sort((a, b) => a.order - b.order);
-        
-        // Extract text from each slide
-        for (const slideFile of slideFiles) {
-            const slideXml = await zip.file(`ppt/slides/${slideFile.name}`).async("string");
-            const slideText = extractTextFromSlideXML(slideXml);
-            if (slideText.trim()) {
-                slides.push({
-                    order: slideFile.order,
-                    text: slideText
-                });
+            
+            // Speaker notes are linked from the slide's relationships
+            const notesRelation = Object.values(relations).find(rel => rel.type === 'notesSlide' && !rel.external);
+            if (notesRelation && zip.file(notesRelation.target)) {
+                try {
+                    const noteXml = await zip.file(notesRelation.target).async('string');
+                    const noteText = extractTextFromSlideXML(noteXml);
+                    if (noteText.trim()) {
+                        notes.push({
+                            order: slide.order,
+                            text: noteText
+                        });
+                    }
+                } catch (e) {
+                    // Skip problematic note files
+                }
             }
         }
         
-        // Also try to extract from presentation notes
-        const notesFiles = [];
-        try {
-            zip.folder("ppt/notesSlides").forEach((relativePath, file) => {
-                if (relativePath.match(/notesSlide\d+\.xml$/)) {
-                    notesFiles.push({
-                        name: relativePath,
-                        order: parseInt(relativePath.match(/\d+/)[0])
-                    });
-                }
-            });
-        } catch (e) {
-            // No notes folder
+        // Update progress: processing content
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Processing content', 0.7, 'Processing content...');
+        }
+        // Convert slides to sections
+        const sections = convertPPTXToSections(slides, notes, file.name);
+        // Update progress: creating website
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Creating website', 0.9, 'Creating website...');
         }
+        onSuccess(sections, file.name);
         
-        notesFiles.sort((a, b) => a.order - b.order);
+    } catch (error) {
+        console.error('PPTX processing error:', error);
+        onError('Failed to process PowerPoint file. The file may be corrupted or in an unsupported format.');
+    }
+}
+
+/**
+ * List slide parts in presentation order. The order comes from the
+ * slide id list in ppt/presentation.xml; file numbering is only used
+ * when that list cannot be read.
+ */
+async function getPPTXSlidePaths(zip) {
+    const presentationFile = zip.file('ppt/presentation.xml');
+    if (presentationFile) {
+        try {
+            const relations = await readZipRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+            const doc = parseXmlString(await presentationFile.async('string'));
+            const paths = Array.from(doc.getElementsByTagName('p:sldId'))
+                .map(slideId => relations[slideId.getAttribute('r:id')])
+                .filter(relation => relation && !relation.external)
+                .map(relation => relation.target);
+            if (paths.length > 0) return paths;
+        } catch (e) {
+            // Fall back to file numbering below
+        }
+    }
+    
+    return Object.keys(zip.files)
+        .filter(path => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+        .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+}
+
+/**
+ * Extract plain text from slide or notes XML, one paragraph per line.
+ * Slide numbers, dates, footers and slide thumbnails are skipped.
+ */
+function extractTextFromSlideXML(xml) {
+    const doc = parseXmlString(xml);
+    const lines = [];
+    
+    Array.from(doc.getElementsByTagName('p:sp')).forEach(shape => {
+        const placeholder = getFirstElement(shape, 'p:ph');
+        if (placeholder && PPTX_SKIPPED_PLACEHOLDERS.includes(placeholder.getAttribute('type'))) return;
         
-        const notes = [];
-        for (const noteFile of notesFiles) {
-            try {
-                const noteXml = await zip.file(`ppt/notesSlides/${noteFile.name}`).async("string");
-                const noteText = extractTextFromSlideXML(noteXml);
-                if (noteText.trim()) {
-                    notes.push({
-                        order: noteFile.order,
-                        text: noteText
-                    });
-                }
-            } catch (e) {
-                // Skip problematic note files
-            }
+        Array.from(shape.getElementsByTagName('a:p')).forEach(paragraph => {
+            const text = getPPTXParagraphText(paragraph);
+            if (text.trim()) lines.push(text.trim());
+        });
+    });
+    
+    return lines.join('\n');
+}
+
+/**
+ * Plain text of a DrawingML paragraph
+ */
+function getPPTXParagraphText(paragraph) {
+    return getChildElements(paragraph).map(child => {
+        if (child.nodeName === 'a:br') return '\n';
+        if (child.nodeName === 'a:r' || child.nodeName === 'a:fld') {
+            const textElement = getFirstElement(child, 'a:t');
+            return textElement ? textElement.textContent : '';
         }
+        return '';
+    }).join('');
+}
+
+/**
+ * Convert a DrawingML paragraph's runs into inline HTML
+ */
+function convertPPTXRuns(paragraph, relations) {
+    return getChildElements(paragraph).map(child => {
+        if (child.nodeName === 'a:br') return '<br>';
+        if (child.nodeName !== 'a:r' && child.nodeName !== 'a:fld') return '';
         
-        // Update progress: processing content
-        if (typeof window.updateLoadingProgress === 'function') {
-            window.updateLoadingProgress('Processing content', 0.7, 'Processing content...');
+        const textElement = getFirstElement(child, 'a:t');
+        if (!textElement || !textElement.textContent) return '';
+        let html = escapeDocumentText(textElement.textContent);
+        if (!textElement.textContent.trim()) return html;
+        
+        const runProps = getFirstElement(child, 'a:rPr');
+        if (runProps) {
+            const baseline = parseInt(runProps.getAttribute('baseline') || '0', 10);
+            if (baseline > 0) html = `<sup>${html}</sup>`;
+            if (baseline < 0) html = `<sub>${html}</sub>`;
+            if (runProps.getAttribute('u') && runProps.getAttribute('u') !== 'none') html = `<u>${html}</u>`;
+            if (runProps.getAttribute('i') === '1') html = `<em>${html}</em>`;
+            if (runProps.getAttribute('b') === '1') html = `<strong>${html}</strong>`;
+            
+            const link = getFirstElement(runProps, 'a:hlinkClick');
+            const relation = link ? relations[link.getAttribute('r:id')] : null;
+            if (relation && relation.external && isSafeLinkTarget(relation.target)) {
+                html = `<a href="${escapeDocumentText(relation.target)}" target="_blank">${html}</a>`;
+            }
         }
-        // Convert slides to sections
-        const sections = convertPPTXToSections(slides, notes, file.name);
-        // Update progress: creating website
-        if (typeof window.updateLoadingProgress === 'function') {
-            window.updateLoadingProgress('Creating website', 0.9, 'Creating website...');
+        return html;
+    }).join('').trim();
+}
+
+/**
+ * Convert a text body (shape or table cell) into HTML. Paragraphs with
+ * bullets or numbering become nested lists using their indent level;
+ * other paragraphs become <p> elements. Body placeholders inherit
+ * bullets from the slide master, so they are bulleted unless a
+ * paragraph turns bullets off.
+ */
+function convertPPTXTextBody(textBody, relations, bulletsByDefault) {
+    let html = '';
+    let listItems = [];
+    
+    const flushList = () => {
+        if (listItems.length > 0) {
+            html += renderNestedList(listItems);
+            listItems = [];
         }
-        onSuccess(sections, file.name);
+    };
+    
+    getChildElements(textBody, 'a:p').forEach(paragraph => {
+        const content = convertPPTXRuns(paragraph, relations);
+        if (!content) return;
         
-    } catch (error) {
-        console.error('PPTX processing error:', error);
-        onError('Failed to process PowerPoint file. The file may be corrupted or in an unsupported format.');
-    }
+        const paragraphProps = getFirstElement(paragraph, 'a:pPr');
+        const level = paragraphProps ? parseInt(paragraphProps.getAttribute('lvl') || '0', 10) : 0;
+        const noBullet = !!getFirstElement(paragraphProps, 'a:buNone');
+        const autoNumber = !!getFirstElement(paragraphProps, 'a:buAutoNum');
+        const explicitBullet = autoNumber || !!getFirstElement(paragraphProps, 'a:buChar') || !!getFirstElement(paragraphProps, 'a:buBlip');
+        
+        if (!noBullet && (explicitBullet || bulletsByDefault)) {
+            listItems.push({ level, ordered: autoNumber, html: content });
+        } else {
+            flushList();
+            html += `<p>${content}</p>`;
+        }
+    });
+    flushList();
+    
+    return html;
 }
 
 /**
- * Extract text content from slide XML
+ * Convert a DrawingML table (a:tbl) into an HTML table. Cells covered
+ * by a merged neighbour are skipped.
  */
-function extractTextFromSlideXML(xml) {
-    // Remove XML tags but preserve text content
-    let text = '';
-    
-    // Extract text between <a:t> tags (PowerPoint text elements)
-    const textMatches = xml.match(/<a:t[^>]*>([^<]*)<\/a:t>/g);
-    if (textMatches) {
-        text = textMatches
-            .map(match => match.replace(/<[^>]*>/g, ''))
-            .join(' ');
-    }
+function convertPPTXTable(table, relations) {
+    const rows = getChildElements(table, 'a:tr').map(row => {
+        return getChildElements(row, 'a:tc')
+            .filter(cell => cell.getAttribute('hMerge') !== '1' && cell.getAttribute('vMerge') !== '1')
+            .map(cell => {
+                const textBody = getFirstElement(cell, 'a:txBody');
+                return textBody ? convertPPTXTextBody(textBody, relations, false).replace(/^<p>([\s\S]*)<\/p>$/, '$1') : '';
+            });
+    }).filter(cells => cells.length > 0);
+    
+    const tableProps = getFirstElement(table, 'a:tblPr');
+    const hasHeader = !!tableProps && tableProps.getAttribute('firstRow') === '1';
+    return renderHtmlTable(rows, hasHeader);
+}
+
+/**
+ * Read a shape's position so slide content can be put in reading order
+ */
+function getPPTXShapePosition(shape) {
+    const offset = getFirstElement(shape, 'a:off');
+    return {
+        x: offset ? parseInt(offset.getAttribute('x') || '0', 10) : 0,
+        y: offset ? parseInt(offset.getAttribute('y') || '0', 10) : 0
+    };
+}
+
+/**
+ * Extract the title and content blocks of a slide. Shapes are read in
+ * top-to-bottom, left-to-right order; text becomes paragraphs and
+ * lists, pictures become image blocks and tables become HTML tables.
+ *
+ * @returns {Promise<{title: string, subtitle: string, text: string, content: Array}>}
+ */
+async function extractPPTXSlide(doc, zip, relations) {
+    const slide = { title: '', subtitle: '', text: '', content: [] };
+    const shapes = [];
+    
+    const collectShapes = (container) => {
+        getChildElements(container).forEach(child => {
+            if (child.nodeName === 'p:grpSp') {
+                collectShapes(child);
+            } else if (['p:sp', 'p:pic', 'p:graphicFrame'].includes(child.nodeName)) {
+                shapes.push({ node: child, position: getPPTXShapePosition(child) });
+            }
+        });
+    };
+    collectShapes(getFirstElement(doc, 'p:spTree'));
+    
+    // Shapes on roughly the same row (within ~0.1") are read left to right
+    const rowTolerance = 91440;
+    shapes.sort((a, b) => {
+        if (Math.abs(a.position.y - b.position.y) > rowTolerance) return a.position.y - b.position.y;
+        return a.position.x - b.position.x;
+    });
+    
+    const textParts = [];
+    let pendingHtml = '';
+    const flushHtml = () => {
+        if (pendingHtml) {
+            slide.content.push({ type: 'text', value: pendingHtml, allowHtml: false });
+            pendingHtml = '';
+        }
+    };
     
-    // Clean up the text
-    text = text
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .replace(/&#x[0-9A-F]+;/gi, '') // Remove hex entities
-        .replace(/\s+/g, ' ')
-        .trim();
+    for (const { node } of shapes) {
+        if (node.nodeName === 'p:sp') {
+            const placeholder = getFirstElement(node, 'p:ph');
+            const placeholderType = placeholder ? (placeholder.getAttribute('type') || 'body') : null;
+            if (PPTX_SKIPPED_PLACEHOLDERS.includes(placeholderType)) continue;
+            
+            const textBody = getFirstElement(node, 'p:txBody');
+            if (!textBody) continue;
+            
+            if ((placeholderType === 'title' || placeholderType === 'ctrTitle') && !slide.title) {
+                slide.title = getChildElements(textBody, 'a:p').map(getPPTXParagraphText).join(' ').replace(/\s+/g, ' ').trim();
+                continue;
+            }
+            if (placeholderType === 'subTitle' && !slide.subtitle) {
+                slide.subtitle = convertPPTXTextBody(textBody, relations, false);
+                textParts.push(getChildElements(textBody, 'a:p').map(getPPTXParagraphText).join('\n'));
+                continue;
+            }
+            
+            const html = convertPPTXTextBody(textBody, relations, placeholderType === 'body' || placeholderType === 'obj');
+            if (html) {
+                pendingHtml += html;
+                textParts.push(getChildElements(textBody, 'a:p').map(getPPTXParagraphText).join('\n'));
+            }
+        } else if (node.nodeName === 'p:pic') {
+            const blip = getFirstElement(node, 'a:blip');
+            const relation = blip ? relations[blip.getAttribute('r:embed')] : null;
+            if (!relation || relation.external) continue;
+            
+            const url = await readZipImageAsDataUrl(zip, relation.target);
+            if (url) {
+                const properties = getFirstElement(node, 'p:cNvPr');
+                const description = properties ? (properties.getAttribute('descr') || '') : '';
+                flushHtml();
+                slide.content.push({ type: 'image', url, caption: description ? escapeDocumentText(description) : '' });
+            }
+        } else if (node.nodeName === 'p:graphicFrame') {
+            const table = getFirstElement(node, 'a:tbl');
+            if (table) {
+                pendingHtml += convertPPTXTable(table, relations);
+                textParts.push(Array.from(table.getElementsByTagName('a:t')).map(t => t.textContent).join(' '));
+            }
+        }
+    }
+    flushHtml();
     
-    return text;
+    slide.text = [slide.title].concat(textParts).filter(Boolean).join('\n');
+    return slide;
 }
 
 /**
- * Convert PowerPoint slides to website sections
+ * Convert PowerPoint slides to website sections. A leading title slide
+ * (a title with little else) becomes the header; every other slide
+ * becomes a section named after its title.
  */
 function convertPPTXToSections(slides, notes, fileName) {
     const sections = [];
     const cleanFileName = fileName.replace(/\.[^/.]+$/, '');
+    slides = slides.slice();
     
     // Create header section
+    let headerHtml = `<h1>${escapeDocumentText(cleanFileName)}</h1>`;
     if (slides.length > 0) {
         const firstSlide = slides[0];
-        const isTitle = firstSlide.text.length < 200; // Likely a title slide if short
+        const isTitle = firstSlide.text.length < 200 &&
+            firstSlide.content.every(block => block.type === 'text'); // Likely a title slide if short
         
         if (isTitle) {
-            sections.push({
-                id: 'header',
-                icon: '📊',
-                name: 'Header',
-                isHeader: true,
-                content: [
-                    { 
-                        type: 'text', 
-                        value: `<h1>${firstSlide.text || cleanFileName}</h1>`, 
-                        allowHtml: false 
-                    }
-                ]
-            });
+            const title = firstSlide.title || firstSlide.text.split('\n')[0] || cleanFileName;
+            const rest = firstSlide.title ? firstSlide.content.map(block => block.value).join('') : '';
+            headerHtml = `<h1>${escapeDocumentText(title)}</h1>${firstSlide.subtitle || ''}${rest}`;
             slides.shift(); // Remove first slide from array
-        } else {
-            // Create generic header
-            sections.push({
-                id: 'header',
-                icon: '📊',
-                name: 'Header',
-                isHeader: true,
-                content: [
-                    { 
-                        type: 'text', 
-                        value: `<h1>${cleanFileName}</h1>`, 
-                        allowHtml: false 
-                    }
-                ]
-            });
         }
-    } else {
-        // Create default header if no slides
-        sections.push({
-            id: 'header',
-            icon: '📊',
-            name: 'Header',
-            isHeader: true,
-            content: [
-                { 
-                    type: 'text', 
-                    value: `<h1>${cleanFileName}</h1>`, 
-                    allowHtml: false 
-                }
-            ]
-        });
     }
+    sections.push({
+        id: 'header',
+        icon: '📊',
+        name: 'Header',
+        isHeader: true,
+        content: [
+            { 
+                type: 'text', 
+                value: headerHtml, 
+                allowHtml: false 
+            }
+        ]
+    });
     
     // Process remaining slides
-    slides.forEach((slide, index) => {
-        if (!slide.text.trim()) return;
+    slides.forEach((slide) => {
+        const lowerText = slide.text.toLowerCase();
+        const sectionName = slide.title ? slide.title.substring(0, 60) : detectSectionName(lowerText, 'Slide ' + slide.order);
+        const icon = detectSectionIcon((slide.title || slide.text).toLowerCase());
         
-        // Try to detect section headers (usually shorter text)
-        const lines = slide.text.split(/[.!?]\s+/).filter(l => l.trim());
-        let sectionName = 'Slide ' + (index + 2);
-        let icon = '📄';
-        
-        // If first line is short, it might be a title
-        if (lines[0] && lines[0].length < 50) {
-            sectionName = lines[0].substring(0, 30).trim();
-            
-            // Try to assign appropriate icon based on content
-            const lowerText = slide.text.toLowerCase();
-            icon = detectSectionIcon(lowerText);
-            sectionName = detectSectionName(lowerText, sectionName);
+        const content = slide.content.slice();
+        if (slide.subtitle) {
+            content.unshift({ type: 'text', value: slide.subtitle, allowHtml: false });
         }
+        if (content.length === 0) return;
         
-        // Format the content
-        let formattedContent = formatSlideContent(slide.text);
+        const section = {
+            id: `slide-${slide.order}`,
+            icon: icon,
+            name: sectionName,
+            content: content
+        };
         
-        // Add note content if available
+        // Keep notes separate from the content; how they are shown is
+        // decided when the site is previewed or exported
         const noteForSlide = notes.find(n => n.order === slide.order);
         if (noteForSlide && noteForSlide.text) {
-            formattedContent += `<hr><p><em>Speaker Notes: ${noteForSlide.text}</em></p>`;
+            section.notes = noteForSlide.text;
         }
         
-        sections.push({
-            id: `slide-${slide.order}`,
-            icon: icon,
-            name: sectionName,
-            content: [
-                { 
-                    type: 'text', 
-                    value: formattedContent, 
-                    allowHtml: false 
-                }
-            ]
-        });
+        sections.push(section);
     });
     
     // If no sections were created, add a default one
@@ -629,42 +1413,10 @@ function formatSlideContent(text) {
 }
 
 /**
- * Detect appropriate icon for section based on content
+ * Detect appropriate icon for section based on content (see parser.js)
  */
 function detectSectionIcon(text) {
-    const iconMap = {
-        'introduction': '📖',
-        'overview': '📖',
-        'objective': '🎯',
-        'goal': '🎯',
-        'method': '🔬',
-        'result': '📊',
-        'finding': '📊',
-        'conclusion': '✅',
-        'summary': '✅',
-        'question': '❓',
-        'q&a': '❓',
-        'thank': '🙏',
-        'reference': '📚',
-        'bibliography': '📚',
-        'contact': '📧',
-        'background': '📚',
-        'discussion': '💬',
-        'analysis': '📈',
-        'data': '📊',
-        'recommendation': '💡',
-        'future': '🔮',
-        'challenge': '⚠️',
-        'solution': '💡'
-    };
-    
-    for (const [keyword, icon] of Object.entries(iconMap)) {
-        if (text.includes(keyword)) {
-            return icon;
-        }
-    }
-    
-    return '📄';
+    return window.LWB_Parser.getHeadingIcon(text);
 }
 
 /**
@@ -707,45 +1459,1321 @@ function detectSectionName(text, defaultName) {
 }
 
 // ===================================================
-// DOCX PROCESSING (Basic implementation)
+// DOCX PROCESSING
 // ===================================================
 
 /**
- * Handle DOCX file upload - basic implementation
+ * Handle DOCX file upload. Unzips the document, walks word/document.xml
+ * and maps headings to sections, paragraphs and lists to rich text,
+ * tables to HTML tables and embedded pictures to image blocks.
+ */
+async function handleDOCX(file, onSuccess, onError) {
+    try {
+        if (typeof JSZip === 'undefined') {
+            onError(window.LWB_Libraries.describeMissingLibrary('jszip'));
+            return;
+        }
+        // Update progress: reading document
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Reading document', 0.3, 'Reading Word document...');
+        }
+        
+        const zip = await JSZip.loadAsync(file);
+        const documentFile = zip.file('word/document.xml');
+        if (!documentFile) {
+            onError('This Word file does not contain a document body.');
+            return;
+        }
+        
+        const [documentXml, relations, styles, numbering] = await Promise.all([
+            documentFile.async('string'),
+            readZipRelationships(zip, 'word/_rels/document.xml.rels', 'word'),
+            readDocxStyles(zip),
+            readDocxNumbering(zip)
+        ]);
+        
+        // Update progress: processing content
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Processing content', 0.6, 'Processing headings, text and images...');
+        }
+        
+        const blocks = await extractDocxBlocks(parseXmlString(documentXml), { zip, relations, styles, numbering });
+        const sections = convertDocumentBlocksToSections(blocks, file.name);
+        
+        // Update progress: creating website
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Creating website', 0.9, 'Creating website...');
+        }
+        onSuccess(sections, file.name);
+        
+    } catch (error) {
+        console.error('DOCX processing error:', error);
+        onError('Failed to process Word document. The file may be corrupted or in an unsupported format.');
+    }
+}
+
+/**
+ * Read word/styles.xml into a map of style id -> { name, headingLevel }.
+ * headingLevel is 0 for the Title style, 1-9 for Heading 1-9 and null
+ * for everything else.
  */
-function handleDOCX(file, onSuccess, onError) {
-    // For now, provide a helpful message and create basic sections
-    const fileName = file.name.replace(/\.[^/.]+$/, '');
+async function readDocxStyles(zip) {
+    const styles = {};
+    const stylesFile = zip.file('word/styles.xml');
+    if (!stylesFile) return styles;
     
-    const sections = [
-        {
-            id: 'header',
-            icon: '📝',
-            name: 'Header',
-            isHeader: true,
-            content: [
-                { 
-                    type: 'text', 
-                    value: `<h1>${fileName}</h1>`, 
-                    allowHtml: false 
+    const doc = parseXmlString(await stylesFile.async('string'));
+    Array.from(doc.getElementsByTagName('w:style')).forEach(style => {
+        const id = style.getAttribute('w:styleId');
+        const nameElement = getFirstElement(style, 'w:name');
+        const name = (nameElement ? nameElement.getAttribute('w:val') : id || '').toLowerCase();
+        const outline = getFirstElement(style, 'w:outlineLvl');
+        
+        let headingLevel = null;
+        const headingMatch = name.match(/^heading\s*(\d)$/);
+        if (name === 'title') {
+            headingLevel = 0;
+        } else if (headingMatch) {
+            headingLevel = parseInt(headingMatch[1], 10);
+        } else if (outline) {
+            headingLevel = parseInt(outline.getAttribute('w:val'), 10) + 1;
+        }
+        
+        styles[id] = { name, headingLevel };
+    });
+    return styles;
+}
+
+/**
+ * Read word/numbering.xml into a map of numId -> { [ilvl]: isOrdered }
+ */
+async function readDocxNumbering(zip) {
+    const numbering = {};
+    const numberingFile = zip.file('word/numbering.xml');
+    if (!numberingFile) return numbering;
+    
+    const doc = parseXmlString(await numberingFile.async('string'));
+    const abstractFormats = {};
+    Array.from(doc.getElementsByTagName('w:abstractNum')).forEach(abstractNum => {
+        const levels = {};
+        getChildElements(abstractNum, 'w:lvl').forEach(lvl => {
+            const format = getFirstElement(lvl, 'w:numFmt');
+            const value = format ? format.getAttribute('w:val') : 'bullet';
+            levels[lvl.getAttribute('w:ilvl')] = value !== 'bullet' && value !== 'none';
+        });
+        abstractFormats[abstractNum.getAttribute('w:abstractNumId')] = levels;
+    });
+    Array.from(doc.getElementsByTagName('w:num')).forEach(num => {
+        const abstractRef = getFirstElement(num, 'w:abstractNumId');
+        if (abstractRef) {
+            numbering[num.getAttribute('w:numId')] = abstractFormats[abstractRef.getAttribute('w:val')] || {};
+        }
+    });
+    return numbering;
+}
+
+/**
+ * Determine the heading level of a paragraph (0 = title, null = body text)
+ */
+function getDocxHeadingLevel(paragraphProps, styles) {
+    if (!paragraphProps) return null;
+    
+    const styleElement = getFirstElement(paragraphProps, 'w:pStyle');
+    if (styleElement) {
+        const styleId = styleElement.getAttribute('w:val');
+        const style = styles[styleId];
+        if (style && style.headingLevel !== null) return style.headingLevel;
+        // Documents without a styles part still use the built-in ids
+        const idMatch = (styleId || '').match(/^heading\s*(\d)$/i);
+        if (idMatch) return parseInt(idMatch[1], 10);
+        if (/^title$/i.test(styleId || '')) return 0;
+    }
+    
+    const outline = getFirstElement(paragraphProps, 'w:outlineLvl');
+    if (outline) return parseInt(outline.getAttribute('w:val'), 10) + 1;
+    
+    return null;
+}
+
+/**
+ * Check whether a paragraph uses the Caption style
+ */
+function isDocxCaption(paragraphProps, styles) {
+    const styleElement = getFirstElement(paragraphProps, 'w:pStyle');
+    if (!styleElement) return false;
+    const styleId = styleElement.getAttribute('w:val') || '';
+    const style = styles[styleId];
+    return (style ? style.name : styleId.toLowerCase()) === 'caption';
+}
+
+/**
+ * Check whether a run property toggle (w:b, w:i, ...) is switched on
+ */
+function isDocxToggleOn(runProps, tagName) {
+    const element = getFirstElement(runProps, tagName);
+    if (!element) return false;
+    const value = element.getAttribute('w:val');
+    return value === null || !['0', 'false', 'none'].includes(value);
+}
+
+/**
+ * Convert the runs of a paragraph (or table cell paragraph) into inline
+ * HTML. Picture references found along the way are returned separately
+ * so the caller can turn them into image blocks.
+ *
+ * @returns {{ html: string, text: string, images: Array<{ relId: string, alt: string }> }}
+ */
+function convertDocxRuns(paragraph, relations) {
+    const segments = [];
+    const images = [];
+    
+    const visit = (node, href) => {
+        getChildElements(node).forEach(child => {
+            switch (child.nodeName) {
+                case 'w:r':
+                    collectRun(child, href);
+                    break;
+                case 'w:hyperlink': {
+                    const relation = relations[child.getAttribute('r:id')];
+                    const anchor = child.getAttribute('w:anchor');
+                    const target = relation ? relation.target : (anchor ? `#${anchor}` : null);
+                    visit(child, isSafeLinkTarget(target) ? target : null);
+                    break;
                 }
-            ]
-        },
-        {
-            id: 'content',
-            icon: '📄',
-            name: 'Document Content',
-            content: [
-                { 
-                    type: 'text', 
-                    value: '<p>Word document processing is coming soon!</p><p>For now, you can:</p><ul><li>Save your document as PDF and upload it</li><li>Copy and paste your content into a text file</li><li>Use the editor below to manually add your content</li></ul>', 
-                    allowHtml: false 
+                case 'w:ins':
+                case 'w:smartTag':
+                case 'w:fldSimple':
+                case 'w:sdt':
+                case 'w:sdtContent':
+                    visit(child, href);
+                    break;
+                default:
+                    // Deleted text, bookmarks and proofing marks are ignored
+                    break;
+            }
+        });
+    };
+    
+    const collectRun = (run, href) => {
+        const runProps = getFirstElement(run, 'w:rPr');
+        const vertAlign = getFirstElement(runProps, 'w:vertAlign');
+        const format = {
+            bold: isDocxToggleOn(runProps, 'w:b'),
+            italic: isDocxToggleOn(runProps, 'w:i'),
+            underline: isDocxToggleOn(runProps, 'w:u') && !href,
+            vertAlign: vertAlign ? vertAlign.getAttribute('w:val') : null,
+            href: href
+        };
+        getChildElements(run).forEach(child => {
+            if (child.nodeName === 'w:t') {
+                segments.push({ format, html: escapeDocumentText(child.textContent), text: child.textContent });
+            } else if (child.nodeName === 'w:tab') {
+                segments.push({ format, html: ' ', text: ' ' });
+            } else if (child.nodeName === 'w:br' || child.nodeName === 'w:cr') {
+                segments.push({ format, html: '<br>', text: '\n' });
+            } else if (child.nodeName === 'w:drawing' || child.nodeName === 'w:pict') {
+                const blip = getFirstElement(child, 'a:blip');
+                const imageData = getFirstElement(child, 'v:imagedata');
+                const docProps = getFirstElement(child, 'wp:docPr');
+                const relId = blip ? blip.getAttribute('r:embed') : (imageData ? imageData.getAttribute('r:id') : null);
+                if (relId) {
+                    images.push({ relId, alt: docProps ? (docProps.getAttribute('descr') || '') : '' });
                 }
-            ]
-        }
-    ];
+            }
+        });
+    };
+    
+    visit(paragraph, null);
+    
+    return { ...renderFormattedSegments(segments), images };
+}
+
+/**
+ * Convert a w:tbl element into an HTML table
+ */
+function convertDocxTable(table, relations) {
+    const rows = getChildElements(table, 'w:tr').map(row => {
+        return getChildElements(row, 'w:tc').map(cell => {
+            return getChildElements(cell, 'w:p')
+                .map(paragraph => convertDocxRuns(paragraph, relations).html)
+                .filter(Boolean)
+                .join('<br>');
+        });
+    }).filter(cells => cells.length > 0);
+    
+    const firstRow = getChildElements(table, 'w:tr')[0];
+    const tableLook = getFirstElement(getFirstElement(table, 'w:tblPr'), 'w:tblLook');
+    const hasHeader = !!getFirstElement(firstRow, 'w:tblHeader') ||
+        (tableLook !== null && (tableLook.getAttribute('w:firstRow') === '1' || tableLook.getAttribute('w:firstRow') === 'true'));
+    
+    return renderHtmlTable(rows, hasHeader);
+}
+
+/**
+ * Walk the document body and produce a flat list of blocks:
+ *  - { type: 'heading', level, text }
+ *  - { type: 'html', html }
+ *  - { type: 'image', url, caption }
+ */
+async function extractDocxBlocks(doc, context) {
+    const { zip, relations, styles, numbering } = context;
+    const blocks = [];
+    let listItems = [];
+    
+    const flushList = () => {
+        if (listItems.length > 0) {
+            blocks.push({ type: 'html', html: renderNestedList(listItems) });
+            listItems = [];
+        }
+    };
+    
+    const processParagraph = async (paragraph) => {
+        const paragraphProps = getFirstElement(paragraph, 'w:pPr');
+        const runs = convertDocxRuns(paragraph, relations);
+        const headingLevel = getDocxHeadingLevel(paragraphProps, styles);
+        const numProps = getFirstElement(paragraphProps, 'w:numPr');
+        
+        if (headingLevel !== null && runs.text) {
+            flushList();
+            blocks.push({ type: 'heading', level: headingLevel, text: runs.text });
+        } else if (numProps && runs.html && headingLevel === null) {
+            const levelElement = getFirstElement(numProps, 'w:ilvl');
+            const numIdElement = getFirstElement(numProps, 'w:numId');
+            const level = levelElement ? parseInt(levelElement.getAttribute('w:val'), 10) : 0;
+            const formats = numbering[numIdElement ? numIdElement.getAttribute('w:val') : ''] || {};
+            listItems.push({ level, ordered: !!formats[level], html: runs.html });
+        } else if (runs.html) {
+            flushList();
+            const previous = blocks[blocks.length - 1];
+            if (previous && previous.type === 'image' && !previous.caption && isDocxCaption(paragraphProps, styles)) {
+                previous.caption = runs.html;
+            } else {
+                blocks.push({ type: 'html', html: `<p>${runs.html}</p>` });
+            }
+        }
+        
+        for (const image of runs.images) {
+            const relation = relations[image.relId];
+            if (!relation || relation.external) continue;
+            const url = await readZipImageAsDataUrl(zip, relation.target);
+            if (url) {
+                flushList();
+                blocks.push({ type: 'image', url, caption: image.alt ? escapeDocumentText(image.alt) : '' });
+            }
+        }
+    };
+    
+    const processContainer = async (container) => {
+        for (const child of getChildElements(container)) {
+            if (child.nodeName === 'w:p') {
+                await processParagraph(child);
+            } else if (child.nodeName === 'w:tbl') {
+                flushList();
+                const tableHtml = convertDocxTable(child, relations);
+                if (tableHtml) blocks.push({ type: 'html', html: tableHtml });
+            } else if (child.nodeName === 'w:sdt') {
+                await processContainer(getFirstElement(child, 'w:sdtContent'));
+            }
+        }
+    };
+    
+    await processContainer(getFirstElement(doc, 'w:body'));
+    flushList();
+    return blocks;
+}
+
+/**
+ * Group word processor blocks (DOCX or ODT) into website sections. The
+ * Title style (or a lone leading Heading 1) becomes the header; Heading 1
+ * and Heading 2 start new sections and deeper headings stay inside the
+ * section content.
+ *
+ * @param {Array} blocks Blocks from extractDocxBlocks or extractOdtBlocks
+ * @param {string} fileName
+ * @param {Object} [options] { idPrefix, documentName } for section ids and messages
+ */
+function convertDocumentBlocksToSections(blocks, fileName, options = {}) {
+    const { idPrefix = 'docx', documentName = 'Word document' } = options;
+    const cleanFileName = fileName.replace(/\.[^/.]+$/, '');
+    blocks = blocks.slice();
+    
+    // Work out the document title
+    let title = null;
+    const titleIndex = blocks.findIndex(block => block.type === 'heading' && block.level === 0);
+    if (titleIndex !== -1) {
+        title = blocks.splice(titleIndex, 1)[0].text;
+    } else {
+        const headings = blocks.filter(block => block.type === 'heading' && block.level <= 2);
+        const topLevel = headings.filter(block => block.level === 1);
+        if (topLevel.length === 1 && headings[0] === topLevel[0] && headings.length > 1) {
+            title = topLevel[0].text;
+            blocks.splice(blocks.indexOf(topLevel[0]), 1);
+        }
+    }
+    
+    const preamble = { content: [] };
+    const bodySections = [];
+    let current = preamble;
+    let pendingHtml = '';
+    
+    const flushHtml = () => {
+        if (pendingHtml) {
+            current.content.push({ type: 'text', value: pendingHtml, allowHtml: false });
+            pendingHtml = '';
+        }
+    };
+    
+    blocks.forEach(block => {
+        if (block.type === 'heading' && block.level >= 1 && block.level <= 2) {
+            flushHtml();
+            current = {
+                id: `${idPrefix}-section-${bodySections.length + 1}`,
+                icon: detectSectionIcon(block.text.toLowerCase()),
+                name: block.text.substring(0, 60),
+                content: []
+            };
+            bodySections.push(current);
+        } else if (block.type === 'heading') {
+            pendingHtml += `<h3>${escapeDocumentText(block.text)}</h3>`;
+        } else if (block.type === 'html') {
+            pendingHtml += block.html;
+        } else if (block.type === 'image') {
+            flushHtml();
+            current.content.push({ type: 'image', url: block.url, caption: block.caption || '' });
+        }
+    });
+    flushHtml();
+    
+    // Short text-only preambles (authors, affiliations) belong in the header
+    const preambleText = preamble.content.map(c => (c.value || '').replace(/<[^>]+>/g, '')).join(' ');
+    const preambleFitsHeader = bodySections.length > 0 &&
+        preamble.content.every(c => c.type === 'text') &&
+        preambleText.length < 600;
+    
+    const headerContent = `<h1>${escapeDocumentText(title || cleanFileName)}</h1>` +
+        (preambleFitsHeader ? preamble.content.map(c => c.value).join('') : '');
+    
+    const sections = [{
+        id: 'header',
+        icon: '📝',
+        name: 'Header',
+        isHeader: true,
+        content: [
+            { 
+                type: 'text', 
+                value: headerContent, 
+                allowHtml: false 
+            }
+        ]
+    }];
+    
+    if (!preambleFitsHeader && preamble.content.length > 0) {
+        sections.push({
+            id: `${idPrefix}-introduction`,
+            icon: bodySections.length > 0 ? '📖' : '📄',
+            name: bodySections.length > 0 ? 'Introduction' : 'Content',
+            content: preamble.content
+        });
+    }
+    
+    bodySections.forEach(section => sections.push(section));
+    
+    // Nothing extracted at all: leave a helpful placeholder
+    if (sections.length === 1) {
+        sections.push({
+            id: 'content',
+            icon: '📄',
+            name: 'Content',
+            content: [
+                { 
+                    type: 'text', 
+                    value: `<p>No text content could be extracted from this ${documentName}.</p><p>You can still add your own content using the editor below.</p>`, 
+                    allowHtml: false 
+                }
+            ]
+        });
+    }
+    
+    return sections;
+}
+
+// ===================================================
+// OPENDOCUMENT PROCESSING
+// ===================================================
+
+/**
+ * Paragraph styles LibreOffice uses for figure and table captions
+ */
+const ODF_CAPTION_STYLES = ['caption', 'illustration', 'figure', 'table', 'drawing'];
+
+/**
+ * Presentation placeholders that never carry slide content
+ */
+const ODP_SKIPPED_CLASSES = ['page-number', 'footer', 'header', 'date-time', 'notes', 'handout'];
+
+/**
+ * Element names whose content is not part of the running text
+ */
+const ODF_SKIPPED_ELEMENTS = ['text:note', 'office:annotation', 'text:tracked-changes', 'text:bookmark-ref', 'draw:frame', 'draw:a'];
+
+/**
+ * Handle ODT (LibreOffice Writer) file upload. Maps text:h headings to
+ * sections, paragraphs and lists to rich text, tables to HTML tables and
+ * pictures to image blocks, using the same rules as Word documents.
+ */
+async function handleODT(file, onSuccess, onError) {
+    try {
+        if (typeof JSZip === 'undefined') {
+            onError(window.LWB_Libraries.describeMissingLibrary('jszip'));
+            return;
+        }
+        // Update progress: reading document
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Reading document', 0.3, 'Reading OpenDocument text...');
+        }
+        
+        const zip = await JSZip.loadAsync(file);
+        const contentFile = zip.file('content.xml');
+        if (!contentFile) {
+            onError('This OpenDocument file does not contain a document body.');
+            return;
+        }
+        
+        const doc = parseXmlString(await contentFile.async('string'));
+        const styles = await readOdfStyles(zip, doc);
+        
+        // Update progress: processing content
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Processing content', 0.6, 'Processing headings, text and images...');
+        }
+        
+        const blocks = await extractOdtBlocks(doc, { zip, styles });
+        const sections = convertDocumentBlocksToSections(blocks, file.name, {
+            idPrefix: 'odt',
+            documentName: 'OpenDocument text'
+        });
+        
+        // Update progress: creating website
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Creating website', 0.9, 'Creating website...');
+        }
+        onSuccess(sections, file.name);
+        
+    } catch (error) {
+        console.error('ODT processing error:', error);
+        onError('Failed to process OpenDocument text. The file may be corrupted or in an unsupported format.');
+    }
+}
+
+/**
+ * Handle ODP (LibreOffice Impress) file upload. Each draw:page becomes a
+ * slide and is converted with the same rules as PowerPoint slides,
+ * including presenter notes.
+ */
+async function handleODP(file, onSuccess, onError) {
+    try {
+        if (typeof JSZip === 'undefined') {
+            onError(window.LWB_Libraries.describeMissingLibrary('jszip'));
+            return;
+        }
+        // Update progress: extracting slides
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Extracting slides', 0.4, 'Extracting slides...');
+        }
+        
+        const zip = await JSZip.loadAsync(file);
+        const contentFile = zip.file('content.xml');
+        if (!contentFile) {
+            onError('This OpenDocument file does not contain any slides.');
+            return;
+        }
+        
+        const doc = parseXmlString(await contentFile.async('string'));
+        const styles = await readOdfStyles(zip, doc);
+        const pages = Array.from(doc.getElementsByTagName('draw:page'));
+        const slides = [];
+        const notes = [];
+        
+        for (let i = 0; i < pages.length; i++) {
+            const slide = await extractODPSlide(pages[i], { zip, styles });
+            slide.order = i + 1;
+            
+            if (slide.title || slide.content.length > 0) {
+                slides.push(slide);
+            }
+            
+            const notesElement = getChildElements(pages[i], 'presentation:notes')[0];
+            if (notesElement) {
+                const noteText = getChildElements(notesElement, 'draw:frame')
+                    .filter(frame => frame.getAttribute('presentation:class') === 'notes')
+                    .map(frame => getOdfParagraphTexts(frame).join('\n'))
+                    .join('\n');
+                if (noteText.trim()) {
+                    notes.push({
+                        order: slide.order,
+                        text: noteText
+                    });
+                }
+            }
+        }
+        
+        // Update progress: processing content
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Processing content', 0.7, 'Processing content...');
+        }
+        const sections = convertPPTXToSections(slides, notes, file.name);
+        // Update progress: creating website
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Creating website', 0.9, 'Creating website...');
+        }
+        onSuccess(sections, file.name);
+        
+    } catch (error) {
+        console.error('ODP processing error:', error);
+        onError('Failed to process OpenDocument presentation. The file may be corrupted or in an unsupported format.');
+    }
+}
+
+/**
+ * Read the text formatting of a style:text-properties element
+ */
+function readOdfTextFormat(textProps) {
+    if (!textProps) return {};
+    const format = {};
+    const weight = textProps.getAttribute('fo:font-weight');
+    if (weight === 'bold' || parseInt(weight, 10) >= 600) format.bold = true;
+    if (['italic', 'oblique'].includes(textProps.getAttribute('fo:font-style'))) format.italic = true;
+    const underline = textProps.getAttribute('style:text-underline-style');
+    if (underline && underline !== 'none') format.underline = true;
+    const position = (textProps.getAttribute('style:text-position') || '').split(' ')[0];
+    if (position === 'super' || parseFloat(position) > 0) format.vertAlign = 'superscript';
+    if (position === 'sub' || parseFloat(position) < 0) format.vertAlign = 'subscript';
+    return format;
+}
+
+/**
+ * Read paragraph, text and list styles from styles.xml and the automatic
+ * styles in content.xml:
+ *  - paragraph: name -> { name, parent, format }
+ *  - text: name -> format
+ *  - lists: name -> { level: ordered }
+ */
+async function readOdfStyles(zip, contentDoc) {
+    const styles = { paragraph: {}, text: {}, lists: {} };
+    const docs = [contentDoc];
+    const stylesFile = zip.file('styles.xml');
+    if (stylesFile) {
+        docs.unshift(parseXmlString(await stylesFile.async('string')));
+    }
+    
+    docs.forEach(doc => {
+        Array.from(doc.getElementsByTagName('style:style')).forEach(style => {
+            const name = style.getAttribute('style:name');
+            const format = readOdfTextFormat(getFirstElement(style, 'style:text-properties'));
+            if (style.getAttribute('style:family') === 'paragraph') {
+                styles.paragraph[name] = {
+                    name: (style.getAttribute('style:display-name') || name.replace(/_20_/g, ' ')).toLowerCase(),
+                    parent: style.getAttribute('style:parent-style-name'),
+                    format
+                };
+            } else if (style.getAttribute('style:family') === 'text') {
+                styles.text[name] = format;
+            }
+        });
+        
+        Array.from(doc.getElementsByTagName('text:list-style')).forEach(listStyle => {
+            const levels = {};
+            getChildElements(listStyle).forEach(levelStyle => {
+                const level = parseInt(levelStyle.getAttribute('text:level'), 10) - 1;
+                levels[level] = levelStyle.nodeName === 'text:list-level-style-number' &&
+                    !!levelStyle.getAttribute('style:num-format');
+            });
+            styles.lists[listStyle.getAttribute('style:name')] = levels;
+        });
+    });
+    
+    return styles;
+}
+
+/**
+ * Resolve what a paragraph style means for import by following its
+ * parent chain: { headingLevel, caption }. headingLevel is 0 for Title,
+ * 1-10 for Heading N and null otherwise.
+ */
+function getOdfParagraphInfo(styleName, styles) {
+    const info = { headingLevel: null, caption: false };
+    const seen = new Set();
+    let style = styles.paragraph[styleName];
+    
+    while (style && !seen.has(style)) {
+        seen.add(style);
+        const heading = style.name.match(/^heading (\d+)$/);
+        if (info.headingLevel === null && style.name === 'title') info.headingLevel = 0;
+        if (info.headingLevel === null && heading) info.headingLevel = parseInt(heading[1], 10);
+        if (ODF_CAPTION_STYLES.includes(style.name)) info.caption = true;
+        style = styles.paragraph[style.parent];
+    }
+    return info;
+}
+
+/**
+ * Convert the spans of a text:p or text:h into inline HTML. Frames found
+ * along the way (pictures, text boxes) are returned separately so the
+ * caller can turn them into blocks.
+ *
+ * @returns {{ html: string, text: string, frames: Array<Element> }}
+ */
+function convertOdfSpans(paragraph, styles) {
+    const segments = [];
+    const frames = [];
+    const paragraphStyle = styles.paragraph[paragraph.getAttribute('text:style-name')];
+    
+    const visit = (node, format) => {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === 3) {
+                segments.push({ format, html: escapeDocumentText(child.textContent), text: child.textContent });
+                return;
+            }
+            if (child.nodeType !== 1) return;
+            
+            switch (child.nodeName) {
+                case 'text:span':
+                    visit(child, { ...format, ...styles.text[child.getAttribute('text:style-name')] });
+                    break;
+                case 'text:a': {
+                    const target = child.getAttribute('xlink:href');
+                    const linkFormat = { ...format, underline: false, href: isSafeLinkTarget(target) ? target : null };
+                    visit(child, linkFormat);
+                    break;
+                }
+                case 'text:s': {
+                    const count = parseInt(child.getAttribute('text:c'), 10) || 1;
+                    segments.push({ format, html: ' '.repeat(count), text: ' '.repeat(count) });
+                    break;
+                }
+                case 'text:tab':
+                    segments.push({ format, html: ' ', text: ' ' });
+                    break;
+                case 'text:line-break':
+                    segments.push({ format, html: '<br>', text: '\n' });
+                    break;
+                case 'draw:frame':
+                    frames.push(child);
+                    break;
+                case 'draw:a':
+                    frames.push(...getChildElements(child, 'draw:frame'));
+                    break;
+                default:
+                    // Footnotes and comments are not body text; other
+                    // wrappers (fields, bookmarks, metadata) are read through
+                    if (!ODF_SKIPPED_ELEMENTS.includes(child.nodeName)) {
+                        visit(child, format);
+                    }
+                    break;
+            }
+        });
+    };
+    
+    visit(paragraph, { href: null, ...(paragraphStyle ? paragraphStyle.format : {}) });
+    return { ...renderFormattedSegments(segments), frames };
+}
+
+/**
+ * Flatten a text:list into { level, ordered, html, frames } items for
+ * renderNestedList. Nested lists inherit their parent's list style.
+ */
+function collectOdfListItems(list, styles, level = 0, inheritedStyle = null) {
+    const styleName = list.getAttribute('text:style-name') || inheritedStyle;
+    const ordered = !!(styles.lists[styleName] || {})[level];
+    const items = [];
+    
+    getChildElements(list).forEach(item => {
+        if (item.nodeName !== 'text:list-item' && item.nodeName !== 'text:list-header') return;
+        getChildElements(item).forEach(child => {
+            if (child.nodeName === 'text:list') {
+                items.push(...collectOdfListItems(child, styles, level + 1, styleName));
+            } else if (child.nodeName === 'text:p' || child.nodeName === 'text:h') {
+                const runs = convertOdfSpans(child, styles);
+                if (runs.html || runs.frames.length > 0) {
+                    items.push({ level, ordered, html: runs.html, frames: runs.frames });
+                }
+            }
+        });
+    });
+    
+    return items;
+}
+
+/**
+ * Convert a table:table element into an HTML table. Repeated empty cells
+ * and rows (LibreOffice pads tables this way) are collapsed.
+ */
+function convertOdfTable(table, styles) {
+    const rows = [];
+    let hasHeader = false;
+    
+    const readCell = cell => getChildElements(cell)
+        .filter(child => child.nodeName === 'text:p' || child.nodeName === 'text:h')
+        .map(paragraph => convertOdfSpans(paragraph, styles).html)
+        .filter(Boolean)
+        .join('<br>');
+    
+    const collectRows = (container, isHeader) => {
+        getChildElements(container).forEach(child => {
+            if (child.nodeName === 'table:table-row') {
+                const cells = [];
+                getChildElements(child, 'table:table-cell').forEach(cell => {
+                    const html = readCell(cell);
+                    const repeat = parseInt(cell.getAttribute('table:number-columns-repeated'), 10) || 1;
+                    for (let i = 0; i < (html ? Math.min(repeat, 50) : Math.min(repeat, 1)); i++) cells.push(html);
+                });
+                while (cells.length > 0 && !cells[cells.length - 1]) cells.pop();
+                if (cells.length > 0) {
+                    rows.push(cells);
+                    if (isHeader && rows.length === 1) hasHeader = true;
+                }
+            } else if (['table:table-header-rows', 'table:table-rows', 'table:table-row-group'].includes(child.nodeName)) {
+                collectRows(child, isHeader || child.nodeName === 'table:table-header-rows');
+            }
+        });
+    };
+    collectRows(table, false);
+    
+    const width = Math.max(0, ...rows.map(cells => cells.length));
+    rows.forEach(cells => {
+        while (cells.length < width) cells.push('');
+    });
+    return renderHtmlTable(rows, hasHeader);
+}
+
+/**
+ * Read the picture inside a draw:frame as a data URL. Frames may hold
+ * several draw:image alternatives (e.g. SVG plus a PNG fallback); the
+ * first displayable one wins.
+ */
+async function readOdfFrameImage(frame, zip) {
+    for (const image of getChildElements(frame, 'draw:image')) {
+        const href = image.getAttribute('xlink:href');
+        if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href)) continue;
+        const url = await readZipImageAsDataUrl(zip, resolveZipPath('', href));
+        if (url) return url;
+    }
+    return null;
+}
+
+/**
+ * Get the alternative text of a frame from its svg:title or svg:desc
+ */
+function getOdfFrameDescription(frame) {
+    const title = getChildElements(frame, 'svg:title')[0] || getChildElements(frame, 'svg:desc')[0];
+    return title ? title.textContent.trim() : '';
+}
+
+/**
+ * Collect the plain text of every paragraph under an element, in order
+ */
+function getOdfParagraphTexts(container) {
+    const texts = [];
+    const visit = node => {
+        getChildElements(node).forEach(child => {
+            if (child.nodeName === 'text:p' || child.nodeName === 'text:h') {
+                texts.push(child.textContent.replace(/\s+/g, ' ').trim());
+            } else {
+                visit(child);
+            }
+        });
+    };
+    visit(container);
+    return texts.filter(Boolean);
+}
+
+/**
+ * Walk office:text and produce the same flat block list as
+ * extractDocxBlocks: heading, html and image blocks.
+ */
+async function extractOdtBlocks(doc, context) {
+    const { zip, styles } = context;
+    const blocks = [];
+    
+    // Pictures become image blocks; text boxes (LibreOffice's captioned
+    // figure frames) are read like the body
+    const processFrames = async (frames, caption) => {
+        const images = [];
+        for (const frame of frames) {
+            const url = await readOdfFrameImage(frame, zip);
+            if (url) {
+                const description = getOdfFrameDescription(frame);
+                images.push({ type: 'image', url, caption: description ? escapeDocumentText(description) : '' });
+                continue;
+            }
+            const textBox = getChildElements(frame, 'draw:text-box')[0];
+            if (textBox) await processContainer(textBox);
+        }
+        if (caption && images.length > 0) images[images.length - 1].caption = caption;
+        blocks.push(...images);
+    };
+    
+    const processParagraph = async (paragraph) => {
+        const info = getOdfParagraphInfo(paragraph.getAttribute('text:style-name'), styles);
+        const runs = convertOdfSpans(paragraph, styles);
+        const outlineLevel = parseInt(paragraph.getAttribute('text:outline-level'), 10);
+        const headingLevel = paragraph.nodeName === 'text:h'
+            ? (info.headingLevel === 0 ? 0 : (outlineLevel || info.headingLevel || 1))
+            : info.headingLevel;
+        
+        // A caption paragraph holding its picture, e.g. "[image] Figure 1: ..."
+        if (info.caption && runs.frames.length > 0) {
+            await processFrames(runs.frames, runs.html);
+            return;
+        }
+        
+        if (headingLevel !== null && runs.text) {
+            blocks.push({ type: 'heading', level: headingLevel, text: runs.text });
+        } else if (runs.html) {
+            const previous = blocks[blocks.length - 1];
+            if (previous && previous.type === 'image' && !previous.caption && info.caption) {
+                previous.caption = runs.html;
+            } else {
+                blocks.push({ type: 'html', html: `<p>${runs.html}</p>` });
+            }
+        }
+        await processFrames(runs.frames, '');
+    };
+    
+    const processContainer = async (container) => {
+        for (const child of getChildElements(container)) {
+            if (child.nodeName === 'text:p' || child.nodeName === 'text:h') {
+                await processParagraph(child);
+            } else if (child.nodeName === 'text:list') {
+                const items = collectOdfListItems(child, styles);
+                const listHtml = renderNestedList(items.filter(item => item.html));
+                if (listHtml) blocks.push({ type: 'html', html: listHtml });
+                for (const item of items) await processFrames(item.frames, '');
+            } else if (child.nodeName === 'table:table') {
+                const tableHtml = convertOdfTable(child, styles);
+                if (tableHtml) blocks.push({ type: 'html', html: tableHtml });
+            } else if (child.nodeName === 'text:section') {
+                await processContainer(child);
+            } else if (child.nodeName === 'draw:frame') {
+                // Frames anchored to the page rather than a paragraph
+                await processFrames([child], '');
+            }
+        }
+    };
+    
+    await processContainer(getFirstElement(doc, 'office:text'));
+    return blocks;
+}
+
+/**
+ * Convert a length such as "2.5cm" or "1in" to centimetres
+ */
+function parseOdfLength(value) {
+    const match = (value || '').match(/^(-?[\d.]+)(cm|mm|in|pt|pc|px)?$/);
+    if (!match) return 0;
+    const factors = { cm: 1, mm: 0.1, in: 2.54, pt: 2.54 / 72, pc: 2.54 / 6, px: 2.54 / 96 };
+    return parseFloat(match[1]) * (factors[match[2]] || 1);
+}
+
+/**
+ * Convert the paragraphs and lists of a text box into HTML
+ */
+function convertOdfTextBox(container, styles) {
+    let html = '';
+    getChildElements(container).forEach(child => {
+        if (child.nodeName === 'text:p' || child.nodeName === 'text:h') {
+            const runs = convertOdfSpans(child, styles);
+            if (runs.html) html += `<p>${runs.html}</p>`;
+        } else if (child.nodeName === 'text:list') {
+            html += renderNestedList(collectOdfListItems(child, styles).filter(item => item.html));
+        }
+    });
+    return html;
+}
+
+/**
+ * Extract the title and content blocks of an ODP slide, in the same shape
+ * as extractPPTXSlide. Shapes are read top-to-bottom, left-to-right.
+ *
+ * @returns {Promise<{title: string, subtitle: string, text: string, content: Array}>}
+ */
+async function extractODPSlide(page, context) {
+    const { zip, styles } = context;
+    const slide = { title: '', subtitle: '', text: '', content: [] };
+    const shapes = [];
+    
+    const collectShapes = (container) => {
+        getChildElements(container).forEach(child => {
+            if (child.nodeName === 'draw:g') {
+                collectShapes(child);
+            } else if (['draw:frame', 'draw:custom-shape', 'draw:rect', 'draw:ellipse'].includes(child.nodeName)) {
+                shapes.push({
+                    node: child,
+                    x: parseOdfLength(child.getAttribute('svg:x')),
+                    y: parseOdfLength(child.getAttribute('svg:y'))
+                });
+            }
+        });
+    };
+    collectShapes(page);
+    
+    // Shapes on roughly the same row (within ~0.25cm) are read left to right
+    shapes.sort((a, b) => (Math.abs(a.y - b.y) > 0.25 ? a.y - b.y : a.x - b.x));
+    
+    const textParts = [];
+    let pendingHtml = '';
+    const flushHtml = () => {
+        if (pendingHtml) {
+            slide.content.push({ type: 'text', value: pendingHtml, allowHtml: false });
+            pendingHtml = '';
+        }
+    };
+    
+    for (const { node } of shapes) {
+        const presentationClass = node.getAttribute('presentation:class');
+        if (ODP_SKIPPED_CLASSES.includes(presentationClass)) continue;
+        // Untouched layout placeholders only hold prompt text
+        if (node.getAttribute('presentation:placeholder') === 'true') continue;
+        
+        const url = await readOdfFrameImage(node, zip);
+        if (url) {
+            const description = getOdfFrameDescription(node);
+            flushHtml();
+            slide.content.push({ type: 'image', url, caption: description ? escapeDocumentText(description) : '' });
+            continue;
+        }
+        
+        const table = getChildElements(node, 'table:table')[0];
+        if (table) {
+            pendingHtml += convertOdfTable(table, styles);
+            textParts.push(getOdfParagraphTexts(table).join(' '));
+            continue;
+        }
+        
+        // Frames keep their text in a draw:text-box; shapes hold it directly
+        const textBox = node.nodeName === 'draw:frame' ? getChildElements(node, 'draw:text-box')[0] : node;
+        if (!textBox) continue;
+        
+        if (presentationClass === 'title' && !slide.title) {
+            slide.title = getOdfParagraphTexts(textBox).join(' ');
+            continue;
+        }
+        if (presentationClass === 'subtitle' && !slide.subtitle) {
+            slide.subtitle = convertOdfTextBox(textBox, styles);
+            textParts.push(getOdfParagraphTexts(textBox).join('\n'));
+            continue;
+        }
+        
+        const html = convertOdfTextBox(textBox, styles);
+        if (html) {
+            pendingHtml += html;
+            textParts.push(getOdfParagraphTexts(textBox).join('\n'));
+        }
+    }
+    flushHtml();
+    
+    slide.text = [slide.title].concat(textParts).filter(Boolean).join('\n');
+    return slide;
+}
+
+// ===================================================
+// SPREADSHEET PROCESSING
+// ===================================================
+
+/**
+ * Largest table imported from a sheet; bigger sheets are truncated so
+ * the generated page stays usable
+ */
+const MAX_SPREADSHEET_ROWS = 500;
+
+/**
+ * Built-in SpreadsheetML number formats that display dates or times
+ */
+const XLSX_DATE_FORMAT_IDS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+/**
+ * Handle CSV file upload. The file becomes a single section holding a
+ * table block.
+ */
+function handleCSV(file, onSuccess, onError) {
+    const reader = new FileReader();
+    
+    reader.onload = function(e) {
+        try {
+            const rows = window.LWB_Utils.parseCSV(e.target.result);
+            if (rows.length === 0) {
+                onError('This CSV file does not contain any data.');
+                return;
+            }
+            const name = file.name.replace(/\.[^/.]+$/, '');
+            onSuccess(createSpreadsheetSections([{ name, rows }], file.name), file.name);
+        } catch (error) {
+            console.error('CSV processing error:', error);
+            onError('Failed to process CSV file');
+        }
+    };
+    
+    reader.onerror = function() {
+        onError('Failed to read CSV file');
+    };
+    
+    reader.readAsText(file);
+}
+
+/**
+ * Handle XLSX file upload. Every visible, non-empty worksheet becomes a
+ * section holding a table block with the sheet's displayed values.
+ */
+async function handleXLSX(file, onSuccess, onError) {
+    try {
+        if (typeof JSZip === 'undefined') {
+            onError(window.LWB_Libraries.describeMissingLibrary('jszip'));
+            return;
+        }
+        // Update progress: reading workbook
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Reading workbook', 0.3, 'Reading spreadsheet...');
+        }
+        
+        const zip = await JSZip.loadAsync(file);
+        const workbookFile = zip.file('xl/workbook.xml');
+        if (!workbookFile) {
+            onError('This Excel file does not contain a workbook.');
+            return;
+        }
+        
+        const [workbookXml, relations, sharedStrings, dateStyles] = await Promise.all([
+            workbookFile.async('string'),
+            readZipRelationships(zip, 'xl/_rels/workbook.xml.rels', 'xl'),
+            readXlsxSharedStrings(zip),
+            readXlsxDateStyles(zip)
+        ]);
+        const workbook = parseXmlString(workbookXml);
+        const workbookProps = getFirstElement(workbook, 'workbookPr');
+        const date1904 = !!workbookProps && ['1', 'true'].includes(workbookProps.getAttribute('date1904'));
+        
+        // Update progress: reading sheets
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Processing sheets', 0.6, 'Processing sheets...');
+        }
+        
+        const sheets = [];
+        for (const sheet of Array.from(workbook.getElementsByTagName('sheet'))) {
+            if (['hidden', 'veryHidden'].includes(sheet.getAttribute('state'))) continue;
+            const relation = relations[sheet.getAttribute('r:id')];
+            const sheetFile = relation && !relation.external ? zip.file(relation.target) : null;
+            if (!sheetFile) continue;
+            
+            const rows = readXlsxSheetRows(parseXmlString(await sheetFile.async('string')), {
+                sharedStrings,
+                dateStyles,
+                date1904
+            });
+            if (rows.length > 0) {
+                sheets.push({ name: sheet.getAttribute('name') || `Sheet ${sheets.length + 1}`, rows });
+            }
+        }
+        
+        if (sheets.length === 0) {
+            onError('This Excel file does not contain any data.');
+            return;
+        }
+        
+        // Update progress: creating website
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Creating website', 0.9, 'Creating website...');
+        }
+        onSuccess(createSpreadsheetSections(sheets, file.name), file.name);
+        
+    } catch (error) {
+        console.error('XLSX processing error:', error);
+        onError('Failed to process Excel file. The file may be corrupted or in an unsupported format.');
+    }
+}
+
+/**
+ * Read xl/sharedStrings.xml into an array of plain strings. Rich text
+ * runs are joined; phonetic guides are skipped.
+ */
+async function readXlsxSharedStrings(zip) {
+    const stringsFile = zip.file('xl/sharedStrings.xml');
+    if (!stringsFile) return [];
+    
+    const doc = parseXmlString(await stringsFile.async('string'));
+    return Array.from(doc.getElementsByTagName('si')).map(getXlsxStringText);
+}
+
+/**
+ * Get the text of a shared or inline string item (si / is)
+ */
+function getXlsxStringText(item) {
+    return Array.from(item.getElementsByTagName('t'))
+        .filter(t => t.parentNode.nodeName !== 'rPh')
+        .map(t => t.textContent)
+        .join('');
+}
+
+/**
+ * Read xl/styles.xml and return the set of cell style indexes (the `s`
+ * attribute on cells) whose number format displays a date
+ */
+async function readXlsxDateStyles(zip) {
+    const dateStyles = new Set();
+    const stylesFile = zip.file('xl/styles.xml');
+    if (!stylesFile) return dateStyles;
+    
+    const doc = parseXmlString(await stylesFile.async('string'));
+    const dateFormatIds = new Set(XLSX_DATE_FORMAT_IDS);
+    Array.from(doc.getElementsByTagName('numFmt')).forEach(numFmt => {
+        // Strip quoted text, escapes and colours before looking for date parts
+        const code = (numFmt.getAttribute('formatCode') || '').replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+        if (/[dmyhs]/i.test(code)) {
+            dateFormatIds.add(parseInt(numFmt.getAttribute('numFmtId'), 10));
+        }
+    });
+    
+    const cellXfs = getFirstElement(doc, 'cellXfs');
+    getChildElements(cellXfs, 'xf').forEach((xf, index) => {
+        if (dateFormatIds.has(parseInt(xf.getAttribute('numFmtId'), 10))) {
+            dateStyles.add(index);
+        }
+    });
+    return dateStyles;
+}
+
+/**
+ * Convert a column reference such as "C" or "AB" to a zero-based index
+ */
+function getXlsxColumnIndex(reference) {
+    const letters = (reference || '').match(/^[A-Z]+/i);
+    if (!letters) return -1;
+    return letters[0].toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Format a cell the way it is most likely displayed: shared and inline
+ * strings as-is, booleans as TRUE/FALSE, date-formatted serials as ISO
+ * dates and other numbers without floating point noise
+ */
+function formatXlsxCellValue(cell, context) {
+    const type = cell.getAttribute('t');
+    const valueElement = getChildElements(cell, 'v')[0];
+    const raw = valueElement ? valueElement.textContent : '';
+    
+    switch (type) {
+        case 's':
+            return context.sharedStrings[parseInt(raw, 10)] || '';
+        case 'inlineStr': {
+            const inline = getChildElements(cell, 'is')[0];
+            return inline ? getXlsxStringText(inline) : '';
+        }
+        case 'b':
+            return raw === '1' ? 'TRUE' : 'FALSE';
+        case 'str':
+        case 'e':
+            return raw;
+        default: {
+            if (raw === '') return '';
+            const number = parseFloat(raw);
+            if (isNaN(number)) return raw;
+            
+            if (context.dateStyles.has(parseInt(cell.getAttribute('s'), 10) || 0)) {
+                // Serial day numbers count from 1899-12-30 (or 1904-01-01)
+                const epoch = context.date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+                const date = new Date(epoch + Math.round(number * 86400000));
+                const iso = date.toISOString();
+                if (number < 1) return iso.slice(11, 16);
+                return number % 1 === 0 ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+            }
+            return String(Number(number.toPrecision(15)));
+        }
+    }
+}
+
+/**
+ * Read a worksheet into rows of display strings, placing cells by their
+ * references so gaps are kept. Trailing empty rows and columns are
+ * dropped.
+ */
+function readXlsxSheetRows(doc, context) {
+    const rows = [];
+    const sheetData = getFirstElement(doc, 'sheetData');
+    
+    getChildElements(sheetData, 'row').forEach((row, rowPosition) => {
+        const rowNumber = parseInt(row.getAttribute('r'), 10);
+        const rowIndex = rowNumber ? rowNumber - 1 : rowPosition;
+        // Header row plus the row limit, and one more to detect truncation
+        if (rowIndex > MAX_SPREADSHEET_ROWS + 1) return;
+        
+        const cells = [];
+        getChildElements(row, 'c').forEach((cell, cellPosition) => {
+            const columnIndex = getXlsxColumnIndex(cell.getAttribute('r'));
+            cells[columnIndex >= 0 ? columnIndex : cellPosition] = formatXlsxCellValue(cell, context);
+        });
+        rows[rowIndex] = Array.from(cells, value => value || '');
+    });
+    
+    // Fill gaps left by missing rows, then trim empty edges
+    const filled = Array.from(rows, cells => cells || []);
+    while (filled.length > 0 && !filled[filled.length - 1].some(Boolean)) filled.pop();
+    const width = filled.reduce((max, cells) => {
+        let last = cells.length;
+        while (last > 0 && !cells[last - 1]) last--;
+        return Math.max(max, last);
+    }, 0);
+    
+    if (width === 0) return [];
+    return filled.map(cells => Array.from({ length: width }, (_, i) => cells[i] || ''));
+}
+
+/**
+ * Build website sections from spreadsheet data: a header named after the
+ * file and one section per sheet holding a table block (first row as
+ * the header row)
+ *
+ * @param {Array<{name: string, rows: Array<Array<string>>}>} sheets
+ * @param {string} fileName
+ */
+function createSpreadsheetSections(sheets, fileName) {
+    const cleanFileName = fileName.replace(/\.[^/.]+$/, '');
+    const sections = [{
+        id: 'header',
+        icon: '📝',
+        name: 'Header',
+        isHeader: true,
+        content: [
+            { 
+                type: 'text', 
+                value: `<h1>${escapeDocumentText(cleanFileName)}</h1>`, 
+                allowHtml: false 
+            }
+        ]
+    }];
+    
+    sheets.forEach((sheet, index) => {
+        const content = [{
+            type: 'table',
+            rows: sheet.rows.slice(0, MAX_SPREADSHEET_ROWS + 1),
+            hasHeader: true
+        }];
+        if (sheet.rows.length > MAX_SPREADSHEET_ROWS + 1) {
+            content.push({
+                type: 'text',
+                value: `<p><em>Showing the first ${MAX_SPREADSHEET_ROWS} rows of this sheet.</em></p>`,
+                allowHtml: false
+            });
+        }
+        
+        const detectedIcon = detectSectionIcon(sheet.name.toLowerCase());
+        sections.push({
+            id: `sheet-${index + 1}`,
+            icon: detectedIcon === '📄' ? '📊' : detectedIcon,
+            name: sheet.name.substring(0, 60),
+            content
+        });
+    });
     
-    onSuccess(sections, file.name);
+    return sections;
 }
 
 // ===================================================
@@ -777,16 +2805,24 @@ function handleText(file, onSuccess, onError) {
 }
 
 /**
- * Handle Markdown file upload
+ * Handle Markdown file upload. Front matter (title, description, colour
+ * scheme) is passed to onSuccess as a third `meta` argument. Relative
+ * image paths are inlined from `options.assets` as in handleHTML.
  */
-function handleMarkdown(file, onSuccess, onError) {
+function handleMarkdown(file, onSuccess, onError, options = {}) {
     const reader = new FileReader();
     
-    reader.onload = function(e) {
+    reader.onload = async function(e) {
         try {
             const markdown = e.target.result;
-            const sections = parseMarkdownIntoSections(markdown, file.name);
-            onSuccess(sections, file.name);
+            const result = window.LWB_Markdown.convertMarkdownToSections(markdown, file.name, {
+                headingDepth: options.markdownHeadingDepth,
+                detectIcon: detectSectionIcon
+            });
+            if (options.assets) {
+                await inlineMarkdownAssets(result.sections, options.assets, options.assetPath || file.name);
+            }
+            onSuccess(result.sections, file.name, result.meta);
         } catch (error) {
             console.error('Markdown processing error:', error);
             onError('Failed to process Markdown file');
@@ -800,99 +2836,462 @@ function handleMarkdown(file, onSuccess, onError) {
     reader.readAsText(file);
 }
 
+/**
+ * Replace relative image paths in converted markdown sections (image
+ * blocks and images inside text) with data URLs from the asset map.
+ * Relative images that are not in the map are removed, since they could
+ * not load from the generated site.
+ */
+async function inlineMarkdownAssets(sections, assets, assetPath) {
+    const isRelative = url => !/^(data:|[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url || '');
+    let missingImages = 0;
+    
+    for (const section of sections) {
+        const content = [];
+        for (const block of section.content) {
+            if (block.type === 'image' && isRelative(block.url)) {
+                const dataUrl = await resolveBundleAsset(block.url, assets, assetPath);
+                if (!dataUrl) {
+                    missingImages++;
+                    continue;
+                }
+                block.url = dataUrl;
+            } else if (block.type === 'text' && /<img\s/i.test(block.value || '')) {
+                const template = document.createElement('template');
+                template.innerHTML = block.value;
+                for (const img of Array.from(template.content.querySelectorAll('img[src]'))) {
+                    const src = img.getAttribute('src');
+                    if (!isRelative(src)) continue;
+                    const dataUrl = await resolveBundleAsset(src, assets, assetPath);
+                    if (dataUrl) {
+                        img.setAttribute('src', dataUrl);
+                    } else {
+                        missingImages++;
+                        img.remove();
+                    }
+                }
+                block.value = template.innerHTML;
+            }
+            content.push(block);
+        }
+        section.content = content;
+    }
+    
+    if (missingImages > 0) {
+        console.warn(`Markdown import: ${missingImages} image(s) with relative paths could not be found`);
+    }
+}
+
 /**
  * Parse Markdown into sections
  */
-function parseMarkdownIntoSections(markdown, fileName) {
-    const sections = [];
-    const cleanFileName = fileName.replace(/\.[^/.]+$/, '');
+function parseMarkdownIntoSections(markdown, fileName, headingDepth) {
+    return window.LWB_Markdown.convertMarkdownToSections(markdown, fileName, {
+        headingDepth: headingDepth,
+        detectIcon: detectSectionIcon
+    }).sections;
+}
+
+/**
+ * Markdown to HTML conversion
+ */
+function convertMarkdownToHtml(markdown) {
+    return window.LWB_Markdown.renderMarkdown(markdown);
+}
+
+// ===================================================
+// HTML FILE PROCESSING
+// ===================================================
+
+/**
+ * Page furniture that never becomes section content: scripts and embeds,
+ * site navigation, and the chrome our own HTML export adds around sections
+ */
+const HTML_IMPORT_REMOVED_SELECTORS = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed',
+    'link', 'meta', 'form', 'button', 'nav', 'footer', '[role="navigation"]',
+    '#hamburgerMenu', '.dark-mode-toggle', '.pdf-download-container'
+].join(', ');
+
+/**
+ * Containers we look inside rather than keeping as a single block
+ */
+const HTML_IMPORT_CONTAINER_TAGS = ['body', 'main', 'div', 'article', 'header', 'aside', 'center'];
+
+/**
+ * Handle HTML page upload. Relative image paths are resolved against
+ * `options.assets`, a map of folder-relative path -> File/Blob (from a
+ * dropped folder or archive), with `options.assetPath` giving the page's
+ * own path in that map.
+ */
+function handleHTML(file, onSuccess, onError, options = {}) {
+    const reader = new FileReader();
     
-    // Split by headers
-    const parts = markdown.split(/^#{1,3}\s+(.+)$/gm);
+    reader.onload = async function(e) {
+        try {
+            const result = await parseHtmlIntoSections(e.target.result, file.name, {
+                assets: options.assets,
+                assetPath: options.assetPath || file.name
+            });
+            onSuccess(result.sections, file.name, result.meta);
+        } catch (error) {
+            console.error('HTML processing error:', error);
+            onError('Failed to process HTML file');
+        }
+    };
     
-    // Create header section
-    sections.push({
+    reader.onerror = function() {
+        onError('Failed to read HTML file');
+    };
+    
+    reader.readAsText(file);
+}
+
+/**
+ * Read a Blob as a data URL, using the file extension for the MIME type
+ * when the Blob has none (zip entries, some dropped files)
+ */
+function readBlobAsDataUrl(blob, path) {
+    const mimeType = blob.type || getImageMimeType(path);
+    const typedBlob = mimeType && blob.type !== mimeType ? new Blob([blob], { type: mimeType }) : blob;
+    
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(typedBlob);
+    });
+}
+
+/**
+ * Resolve a relative image URL from a page or markdown document against
+ * the asset map and inline it as a data URL. Returns null when the URL is
+ * absolute or not in the map.
+ */
+async function resolveBundleAsset(src, assets, assetPath) {
+    if (!src || !assets || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(src)) return null;
+    
+    let path = src.split(/[?#]/)[0];
+    try {
+        path = decodeURIComponent(path);
+    } catch (error) {
+        // Keep the raw path when it is not valid percent-encoding
+    }
+    const baseDir = assetPath.includes('/') ? assetPath.slice(0, assetPath.lastIndexOf('/')) : '';
+    const resolved = resolveZipPath(baseDir, path);
+    const blob = assets[resolved] || assets[path];
+    
+    if (!blob || !getImageMimeType(resolved)) return null;
+    return readBlobAsDataUrl(blob, resolved);
+}
+
+/**
+ * Split a leading emoji icon (as written by our export's <h2>) from a
+ * heading's text
+ */
+function splitHeadingIcon(text) {
+    const match = text.match(/^(\p{Extended_Pictographic}(?:️|‍\p{Extended_Pictographic})*)\s+(.+)$/u);
+    return match ? { icon: match[1], name: match[2] } : { icon: null, name: text };
+}
+
+/**
+ * Parse an HTML page into website sections.
+ *
+ * The title comes from <title> (falling back to the first <h1>), and the
+ * <h1> plus any introduction before the first section goes into the
+ * header. Each <section> element, or each <h2> when the page has none,
+ * starts a new section. Pages produced by our own HTML export are
+ * recognised so that content blocks, images, captions, the logo and
+ * presenter notes round-trip.
+ *
+ * @param {string} html Page source
+ * @param {string} fileName Original file name, used when there is no title
+ * @param {Object} [options] { assets, assetPath } for inlining relative images
+ * @returns {Promise<{ sections: Array, meta: Object }>}
+ */
+async function parseHtmlIntoSections(html, fileName, options = {}) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const meta = {};
+    let missingImages = 0;
+    
+    const description = doc.querySelector('meta[name="description"]');
+    if (description && description.getAttribute('content')) {
+        meta.description = description.getAttribute('content').trim();
+    }
+    
+    doc.querySelectorAll(HTML_IMPORT_REMOVED_SELECTORS).forEach(el => el.remove());
+    
+    // Inline relative images up front so they survive in text blocks too
+    for (const img of Array.from(doc.querySelectorAll('img[src]'))) {
+        const src = img.getAttribute('src');
+        const dataUrl = await resolveBundleAsset(src, options.assets, options.assetPath || fileName);
+        if (dataUrl) {
+            img.setAttribute('src', dataUrl);
+        } else if (!/^(data:|https?:|\/\/)/i.test(src)) {
+            // Relative paths cannot load from the generated site
+            missingImages++;
+            img.remove();
+        }
+    }
+    if (missingImages > 0) {
+        console.warn(`HTML import: ${missingImages} image(s) with relative paths could not be found`);
+    }
+    
+    const sanitize = value => window.LWB_Editor.sanitizeHtmlContent(value).trim();
+    const headingText = el => (el.textContent || '').replace(/\s+/g, ' ').trim();
+    
+    let title = headingText(doc.querySelector('title') || doc.createElement('title'));
+    let headerHeading = '';
+    const preamble = { content: [] };
+    const bodySections = [];
+    let current = preamble;
+    let pendingHtml = '';
+    
+    const flush = () => {
+        const value = sanitize(pendingHtml);
+        if (value) {
+            current.content.push({ type: 'text', value, allowHtml: false });
+        }
+        pendingHtml = '';
+    };
+    
+    const startSection = (text, sourceId) => {
+        flush();
+        const heading = splitHeadingIcon(text);
+        const name = heading.name || `Section ${bodySections.length + 1}`;
+        current = {
+            id: sourceId || `section-${bodySections.length + 1}-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 30)}`,
+            icon: heading.icon || detectSectionIcon(name.toLowerCase()),
+            name: name.substring(0, 60),
+            content: []
+        };
+        bodySections.push(current);
+    };
+    
+    const pushImage = (img, captionHtml) => {
+        flush();
+        current.content.push({
+            type: 'image',
+            url: img.getAttribute('src'),
+            caption: captionHtml ? sanitize(captionHtml) : escapeDocumentText(img.getAttribute('alt') || '')
+        });
+    };
+    
+    // An element that is only an image (optionally linked), e.g. <p><img></p>
+    const getSoleImage = el => {
+        if (el.tagName === 'IMG') return el;
+        const images = el.querySelectorAll('img');
+        if (images.length !== 1 || headingText(el)) return null;
+        return el.children.length === 1 && (el.firstElementChild === images[0] || el.firstElementChild.firstElementChild === images[0]) ? images[0] : null;
+    };
+    
+    const isSectionElement = el => el.tagName === 'SECTION' ||
+        (el.classList.contains('section') && el.querySelector(':scope > h2'));
+    
+    const walk = parent => {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (node.textContent.trim()) pendingHtml += `<p>${escapeDocumentText(node.textContent.trim())}</p>`;
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            
+            const tag = node.tagName.toLowerCase();
+            
+            if (isSectionElement(node)) {
+                const heading = node.querySelector(':scope > h1, :scope > h2, :scope > h3, :scope > header h2');
+                const label = heading ? headingText(heading) : (node.getAttribute('aria-label') || '');
+                if (heading && heading.tagName === 'H1' && !headerHeading) {
+                    // A section holding the page's <h1> is the page header
+                    headerHeading = label;
+                    heading.remove();
+                    walk(node);
+                    return;
+                }
+                startSection(label, node.classList.contains('section') ? node.id : '');
+                if (heading) heading.remove();
+                walk(node);
+                flush();
+                return;
+            }
+            
+            if (tag === 'h1' && !headerHeading) {
+                headerHeading = headingText(node);
+                return;
+            }
+            if (tag === 'h2') {
+                startSection(headingText(node));
+                return;
+            }
+            
+            // Export structure: logo, captioned image blocks and notes
+            if (tag === 'img' && node.classList.contains('logo') && current === preamble) {
+                meta.logoUrl = node.getAttribute('src');
+                return;
+            }
+            if (node.classList.contains('image-block') && node.querySelector('img')) {
+                const caption = node.querySelector('.image-caption');
+                pushImage(node.querySelector('img'), caption ? caption.innerHTML : '');
+                return;
+            }
+            if (node.classList.contains('speaker-notes') || node.classList.contains('speaker-notes-inline')) {
+                const summary = node.querySelector('summary');
+                if (summary) summary.remove();
+                const lines = Array.from(node.querySelectorAll('p')).map(headingText).filter(Boolean);
+                current.notes = (lines.length > 0 ? lines : [headingText(node)]).join('\n');
+                return;
+            }
+            if (node.classList.contains('content-block')) {
+                flush();
+                pendingHtml = node.innerHTML;
+                flush();
+                return;
+            }
+            
+            if (tag === 'figure' && node.querySelector('img')) {
+                const caption = node.querySelector('figcaption');
+                pushImage(node.querySelector('img'), caption ? caption.innerHTML : '');
+                return;
+            }
+            const soleImage = ['img', 'p', 'a', 'picture'].includes(tag) ? getSoleImage(node) : null;
+            if (soleImage) {
+                pushImage(soleImage, '');
+                return;
+            }
+            
+            // Look inside layout containers that hold structure we split on
+            if (HTML_IMPORT_CONTAINER_TAGS.includes(tag) &&
+                node.querySelector('h1, h2, section, .section, figure, img, .content-block, .speaker-notes')) {
+                walk(node);
+                return;
+            }
+            
+            pendingHtml += node.outerHTML;
+        });
+    };
+    
+    walk(doc.body);
+    flush();
+    
+    if (!title) title = headerHeading || fileName.replace(/\.[^/.]+$/, '');
+    meta.title = title;
+    
+    // Header: the page heading plus any text before the first section.
+    // Images found there move to an introduction section, since the
+    // header only shows text.
+    const headerText = preamble.content.filter(c => c.type === 'text');
+    const headerImages = preamble.content.filter(c => c.type === 'image');
+    const sections = [{
         id: 'header',
         icon: '📝',
         name: 'Header',
         isHeader: true,
         content: [
-            { 
-                type: 'text', 
-                value: `<h1>${parts[1] || cleanFileName}</h1>`, 
-                allowHtml: false 
-            }
+            {
+                type: 'text',
+                value: `<h1>${escapeDocumentText(headerHeading || title)}</h1>`,
+                allowHtml: false
+            },
+            ...headerText
         ]
-    });
+    }];
     
-    // Process remaining content
-    for (let i = 2; i < parts.length; i += 2) {
-        const heading = parts[i - 1];
-        const content = parts[i];
-        
-        if (heading && content) {
-            sections.push({
-                id: `section-${i}`,
-                icon: detectSectionIcon(heading.toLowerCase()),
-                name: heading.substring(0, 30),
-                content: [
-                    { 
-                        type: 'text', 
-                        value: convertMarkdownToHtml(content), 
-                        allowHtml: false 
-                    }
-                ]
-            });
-        }
+    if (headerImages.length > 0) {
+        sections.push({ id: 'introduction', icon: '📖', name: 'Introduction', content: headerImages });
     }
+    bodySections.forEach(section => {
+        if (section.content.length > 0 || section.notes) sections.push(section);
+    });
     
-    // If no sections found, put all content in one section
-    if (sections.length === 1) {
-        sections.push({
-            id: 'content',
-            icon: '📄',
-            name: 'Content',
-            content: [
-                { 
-                    type: 'text', 
-                    value: convertMarkdownToHtml(markdown), 
-                    allowHtml: false 
-                }
-            ]
-        });
+    // Pages without any structure still get a content section
+    if (sections.length === 1 && headerText.length > 1) {
+        sections.push({ id: 'content', icon: '📄', name: 'Content', content: sections[0].content.splice(1) });
     }
     
-    return sections;
+    return { sections, meta };
 }
 
+// ===================================================
+// ZIP BUNDLE PROCESSING
+// ===================================================
+
 /**
- * Basic Markdown to HTML conversion
+ * Archives with more entries than this are refused rather than unpacked
  */
-function convertMarkdownToHtml(markdown) {
-    let html = markdown
-        // Bold
-        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-        .replace(/__(.+?)__/g, '<strong>$1</strong>')
-        // Italic
-        .replace(/\*(.+?)\*/g, '<em>$1</em>')
-        .replace(/_(.+?)_/g, '<em>$1</em>')
-        // Links
-        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank">$1</a>')
-        // Line breaks
-        .replace(/\n\n/g, '</p><p>')
-        // Lists
-        .replace(/^\* (.+)$/gm, '<li>$1</li>')
-        .replace(/^\d+\. (.+)$/gm, '<li>$1</li>');
-    
-    // Wrap in paragraph tags
-    if (!html.startsWith('<')) {
-        html = '<p>' + html + '</p>';
+const MAX_BUNDLE_ENTRIES = 1000;
+
+/**
+ * Handle a .zip bundle: a markdown or HTML document plus the images it
+ * references. The document is imported with the archive's files as its
+ * asset map so relative image paths become data URLs. An archive without
+ * such a document is imported like a multi-file drop.
+ */
+async function handleZIP(file, onSuccess, onError, options = {}) {
+    try {
+        if (typeof JSZip === 'undefined') {
+            onError(window.LWB_Libraries.describeMissingLibrary('jszip'));
+            return;
+        }
+        if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress('Unpacking archive', 0.3, 'Unpacking archive...');
+        }
+        
+        const zip = await JSZip.loadAsync(file);
+        // Skip folders, macOS resource forks and hidden files such as .DS_Store
+        const paths = Object.keys(zip.files).filter(path => {
+            return !zip.files[path].dir && !/(^|\/)(__MACOSX\/|\.)/.test(path);
+        });
+        if (paths.length === 0) {
+            onError('The archive is empty');
+            return;
+        }
+        if (paths.length > MAX_BUNDLE_ENTRIES) {
+            onError(`The archive contains too many files (maximum ${MAX_BUNDLE_ENTRIES})`);
+            return;
+        }
+        
+        // Archives made by zipping a folder put everything under one
+        // directory; drop it so paths are relative to the bundle root
+        const firstDir = paths[0].includes('/') ? paths[0].slice(0, paths[0].indexOf('/') + 1) : '';
+        const prefix = firstDir && paths.every(path => path.startsWith(firstDir)) ? firstDir : '';
+        
+        const assets = {};
+        for (const path of paths) {
+            const name = path.slice(prefix.length);
+            const blob = await zip.file(path).async('blob');
+            assets[name] = new File([blob], name.split('/').pop(), { type: getImageMimeType(name) || '' });
+        }
+        
+        const documentPath = findBundleDocument(Object.keys(assets));
+        if (!documentPath) {
+            await handleFiles(Object.values(assets), onSuccess, onError, options);
+            return;
+        }
+        
+        handleFile(assets[documentPath], (sections, fileName, meta) => {
+            onSuccess(sections, file.name, meta);
+        }, onError, { ...options, assets, assetPath: documentPath });
+    } catch (error) {
+        console.error('ZIP processing error:', error);
+        onError('Failed to process archive. Please ensure it is a valid .zip file.');
     }
+}
+
+/**
+ * Pick the document to import from a bundle or dropped folder: the
+ * shallowest web page or markdown file, preferring index and README files
+ */
+function findBundleDocument(paths) {
+    const documents = paths
+        .filter(path => /\.(html?|md)$/i.test(path))
+        .sort((a, b) => a.split('/').length - b.split('/').length);
+    if (documents.length === 0) return null;
     
-    // Wrap list items in ul/ol tags
-    html = html.replace(/(<li>.*<\/li>)+/g, '<ul>$&</ul>');
-    
-    return html;
+    const depth = documents[0].split('/').length;
+    const shallowest = documents.filter(path => path.split('/').length === depth);
+    return shallowest.find(path => /(^|\/)(index|readme)\.(html?|md)$/i.test(path)) ||
+        shallowest.find(path => /\.html?$/i.test(path)) ||
+        shallowest[0];
 }
 
 // ===================================================
@@ -900,9 +3299,12 @@ function convertMarkdownToHtml(markdown) {
 // ===================================================
 
 /**
- * Handle image file upload
+ * Handle image file upload. The image is cleaned up with the
+ * `options.ocrPreprocess` steps before OCR; `options.reviewOcrImage`,
+ * when given, is shown the image first and resolves the steps to use,
+ * or null to cancel. The original image is kept for the site.
  */
-function handleImage(file, onSuccess, onError) {
+function handleImage(file, onSuccess, onError, options = {}) {
     // Validate image size (max 10MB)
     const maxSize = 10 * 1024 * 1024; // 10MB
     if (file.size > maxSize) {
@@ -917,12 +3319,30 @@ function handleImage(file, onSuccess, onError) {
     reader.onload = async function(e) {
         try {
             const dataUrl = e.target.result;
-            // Perform OCR using Tesseract.js on the image
+            // Conversion report, shaped like the PDF one with a single page
+            const diagnostics = { fileName: file.name, fileType: 'image', pages: [], warnings: [] };
+            const image = await loadImageElement(dataUrl);
+            let steps = options.ocrPreprocess || null;
+            if (typeof options.reviewOcrImage === 'function') {
+                steps = await options.reviewOcrImage(image, file.name, steps);
+                if (!steps) {
+                    onError('Image import cancelled');
+                    return;
+                }
+            }
+            if (typeof window.updateLoadingProgress === 'function') {
+                window.updateLoadingProgress('Cleaning up image', 0.2, 'Cleaning up image for OCR...');
+            }
+            const prepared = prepareImageForOCR(image, steps);
+            diagnostics.preprocessing = { scale: prepared.scale, skewAngle: prepared.skewAngle };
+            // Perform OCR on the image with the chosen engine
             let ocrText = '';
-            let ocrConfidence = 0;
+            let ocrConfidence = null;
+            let ocrBlocks = [];
             try {
-                if (typeof window.LWB_OCR !== 'undefined' && typeof window.LWB_OCR.processWithTesseract === 'function') {
-                    const ocrResult = await window.LWB_OCR.processWithTesseract(dataUrl, {
+                if (typeof window.LWB_OCRProviders !== 'undefined') {
+                    const ocrResult = await window.LWB_OCRProviders.recognizeText(prepared.dataUrl, {
+                        signal: options.job ? options.job.signal : undefined,
                         logger: m => {
                             if (typeof window.updateLoadingProgress === 'function') {
                                 // Allocate 50% of progress for OCR (from 0.2 to 0.7)
@@ -931,13 +3351,19 @@ function handleImage(file, onSuccess, onError) {
                             }
                         }
                     });
+                    diagnostics.ocrProvider = ocrResult.provider;
                     if (ocrResult && ocrResult.text) {
                         ocrText = ocrResult.text.trim();
-                        ocrConfidence = ocrResult.confidence || 0;
+                        ocrConfidence = ocrResult.confidence;
+                        ocrBlocks = ocrResult.blocks || [];
+                        diagnostics.language = window.LWB_OCRLanguages.getLanguageTag(ocrResult.language);
                     }
+                    diagnostics.pages.push({ page: 1, method: 'ocr', characters: ocrText.replace(/\s+/g, '').length, confidence: ocrConfidence });
                 }
             } catch (ocrErr) {
+                if (window.LWB_Jobs.isCancelledError(ocrErr)) return;
                 console.error('Image OCR error:', ocrErr);
+                diagnostics.pages.push({ page: 1, method: 'failed', error: 'OCR failed: ' + ocrErr.message });
             }
             // Determine whether to use OCR text based on confidence and length
             if (ocrText && ocrText.length > 20) {
@@ -945,42 +3371,32 @@ function handleImage(file, onSuccess, onError) {
                 if (typeof window.updateLoadingProgress === 'function') {
                     window.updateLoadingProgress('Processing content', 0.8, 'Processing content...');
                 }
-                const cleanFileName = file.name.replace(/\.[^/.]+$/, '');
-                const textSections = window.LWB_FileHandlers.parseTextIntoSections(ocrText, file.name);
-                // Prepend header and image sections similar to createImagePosterSections
-                const headerSection = {
-                    id: 'header',
-                    icon: '🖼️',
-                    name: 'Header',
-                    isHeader: true,
-                    content: [ { type: 'text', value: `<h1>${cleanFileName}</h1>`, allowHtml: false } ]
-                };
+                // Sections follow the poster's columns and headings; the
+                // recognised title (or the file name) heads the page, with
+                // the original image right after it. Words OCR was unsure
+                // of point back into that image for review.
+                const ocrSource = window.LWB_Utils.createUniqueId();
+                const [headerSection, ...textSections] = window.LWB_Parser.parseLayoutPages(
+                    [window.LWB_Layout.createOCRPageLayout(ocrBlocks, 1)],
+                    file.name,
+                    ocrText,
+                    { ocrSource: { id: ocrSource, mapBox: box => window.LWB_Preprocess.mapBoxToSource(box, prepared) } }
+                );
+                headerSection.icon = '🖼️';
                 const imageSection = {
                     id: 'image-section',
                     icon: '📷',
                     name: 'Poster Image',
                     isHeader: false,
-                    content: [ { type: 'image', url: dataUrl, caption: 'Original image' } ]
+                    content: [ { type: 'image', url: dataUrl, caption: 'Original image', ocrSource } ]
                 };
-                const allSections = [ headerSection, imageSection ];
-                // Append OCR text sections (mark them as non-header)
-                textSections.forEach((sec, idx) => {
-                    // Avoid duplicating header
-                    if (sec.isHeader) return;
-                    // For OCR text sections, keep the icon and name
-                    allSections.push({
-                        id: `ocr-${idx}`,
-                        icon: sec.icon || '📝',
-                        name: sec.name || `Text ${idx + 1}`,
-                        isHeader: false,
-                        content: sec.content
-                    });
-                });
-                onSuccess(allSections, file.name);
+                const allSections = [ headerSection, imageSection ].concat(textSections);
+                onSuccess(allSections, file.name, { diagnostics, language: diagnostics.language });
             } else {
                 // Fallback to original image poster sections
+                diagnostics.warnings.push('No readable text was found, so the image was imported as a picture only.');
                 const sections = createImagePosterSections(dataUrl, file.name);
-                onSuccess(sections, file.name);
+                onSuccess(sections, file.name, { diagnostics });
             }
         } catch (error) {
             console.error('Image processing error:', error);
@@ -1039,104 +3455,10 @@ function createImagePosterSections(imageDataUrl, fileName) {
 }
 
 /**
- * Parse text into sections intelligently
+ * Parse text into sections (shared with the document worker, see parser.js)
  */
 function parseTextIntoSections(text, fileName) {
-    const sections = [];
-    const cleanFileName = fileName.replace(/\.[^/.]+$/, '');
-    
-    // Common section headers to look for
-    const sectionHeaders = [
-        'abstract', 'introduction', 'background', 'methods', 'methodology',
-        'results', 'discussion', 'conclusion', 'references', 'acknowledgments',
-        'summary', 'objectives', 'materials', 'analysis', 'findings',
-        'recommendations', 'future work', 'limitations', 'appendix'
-    ];
-    
-    // Create header section
-    sections.push({
-        id: 'header',
-        icon: '📄',
-        name: 'Header',
-        isHeader: true,
-        content: [
-            { 
-                type: 'text', 
-                value: `<h1>${cleanFileName}</h1>`, 
-                allowHtml: false 
-            }
-        ]
-    });
-    
-    // Split text into lines
-    const lines = text.split(/\r?\n/).filter(line => line.trim());
-    
-    let currentSection = null;
-    let currentContent = [];
-    
-    for (const line of lines) {
-        const lowerLine = line.toLowerCase().trim();
-        
-        // Check if this line is a section header
-        const matchedHeader = sectionHeaders.find(header => {
-            return lowerLine.startsWith(header) || 
-                   lowerLine === header ||
-                   lowerLine.includes(header + ':');
-        });
-        
-        if (matchedHeader) {
-            // Save previous section if exists
-            if (currentSection && currentContent.length > 0) {
-                currentSection.content.push({
-                    type: 'text',
-                    value: '<p>' + currentContent.join('</p><p>') + '</p>',
-                    allowHtml: false
-                });
-                sections.push(currentSection);
-            }
-            
-            // Start new section
-            currentSection = {
-                id: matchedHeader.replace(/\s+/g, '-'),
-                icon: detectSectionIcon(matchedHeader),
-                name: matchedHeader.charAt(0).toUpperCase() + matchedHeader.slice(1),
-                content: []
-            };
-            currentContent = [];
-        } else if (line.trim()) {
-            // Add line to current content
-            currentContent.push(line.trim());
-        }
-    }
-    
-    // Save last section
-    if (currentSection && currentContent.length > 0) {
-        currentSection.content.push({
-            type: 'text',
-            value: '<p>' + currentContent.join('</p><p>') + '</p>',
-            allowHtml: false
-        });
-        sections.push(currentSection);
-    }
-    
-    // If no sections were detected, put all content in one section
-    if (sections.length === 1) {
-        const allContent = lines.join('</p><p>');
-        sections.push({
-            id: 'content',
-            icon: '📄',
-            name: 'Content',
-            content: [
-                { 
-                    type: 'text', 
-                    value: '<p>' + allContent + '</p>', 
-                    allowHtml: false 
-                }
-            ]
-        });
-    }
-    
-    return sections;
+    return window.LWB_Parser.parsePlainText(text, fileName);
 }
 
 /**
@@ -1181,9 +3503,11 @@ function createBasicSections(fileName, onSuccess) {
 // ===================================================
 
 /**
- * Initialize drag and drop functionality for a drop zone
+ * Initialize drag and drop functionality for a drop zone. Several files
+ * dropped at once (or a folder with no web page in it) go to
+ * onFilesDropped when given; otherwise only the first file is used.
  */
-function initializeDragAndDrop(dropZoneElement, onFileDropped) {
+function initializeDragAndDrop(dropZoneElement, onFileDropped, onFilesDropped) {
     if (!dropZoneElement) return;
     
     // Prevent default drag behaviors
@@ -1213,16 +3537,75 @@ function initializeDragAndDrop(dropZoneElement, onFileDropped) {
         e.stopPropagation();
     }
     
-    function handleDrop(e) {
+    async function handleDrop(e) {
         const dt = e.dataTransfer;
         const files = dt.files;
         
-        if (files.length > 0) {
+        // A dropped folder (e.g. a saved web page or markdown document with
+        // its images) is read whole so it can resolve its relative assets. The entry must
+        // be taken before any await, while the drop data is still readable.
+        const entry = dt.items && dt.items.length === 1 && typeof dt.items[0].webkitGetAsEntry === 'function'
+            ? dt.items[0].webkitGetAsEntry()
+            : null;
+        if (entry && entry.isDirectory) {
+            try {
+                const assets = await readDroppedDirectory(entry);
+                const pagePath = findBundleDocument(Object.keys(assets));
+                if (pagePath) {
+                    onFileDropped(assets[pagePath], { assets, assetPath: pagePath });
+                    return;
+                }
+                // Hidden files such as .DS_Store are not part of the content
+                const visibleFiles = Object.keys(assets)
+                    .filter(path => !/(^|\/)\./.test(path))
+                    .map(path => assets[path]);
+                if (onFilesDropped && visibleFiles.length > 0) {
+                    onFilesDropped(visibleFiles);
+                    return;
+                }
+            } catch (error) {
+                console.error('Failed to read dropped folder:', error);
+            }
+        }
+        
+        if (files.length > 1 && onFilesDropped) {
+            onFilesDropped(Array.from(files));
+        } else if (files.length > 0) {
             onFileDropped(files[0]);
         }
     }
 }
 
+/**
+ * Read every file under a dropped directory entry into a map of
+ * folder-relative path -> File
+ */
+async function readDroppedDirectory(directoryEntry) {
+    const files = {};
+    const rootPrefix = directoryEntry.fullPath.replace(/\/?$/, '/');
+    
+    const readEntries = reader => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    const readFile = fileEntry => new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+    
+    const visit = async entry => {
+        if (entry.isFile) {
+            files[entry.fullPath.slice(rootPrefix.length)] = await readFile(entry);
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // readEntries returns results in batches until it returns none
+            let batch = await readEntries(reader);
+            while (batch.length > 0) {
+                for (const child of batch) await visit(child);
+                batch = await readEntries(reader);
+            }
+        }
+    };
+    
+    await visit(directoryEntry);
+    return files;
+}
+
+
 // ===================================================
 // FILE VALIDATION
 // ===================================================
@@ -1231,7 +3614,7 @@ function initializeDragAndDrop(dropZoneElement, onFileDropped) {
  * Check if file type is valid
  */
 function isValidFileType(file) {
-    const allowedTypes = ['pdf', 'pptx', 'docx', 'txt', 'md', 'png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'tiff'];
+    const allowedTypes = ['pdf', 'pptx', 'docx', 'odt', 'odp', 'csv', 'xlsx', 'txt', 'md', 'html', 'htm', 'zip', 'png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'tiff'];
     const extension = file.name.split('.').pop().toLowerCase();
     return allowedTypes.includes(extension);
 }
@@ -1256,7 +3639,7 @@ function validateFile(file) {
     // Check file type
     if (!isValidFileType(file)) {
         const extension = file.name.split('.').pop().toLowerCase();
-        errors.push(`Unsupported file type: .${extension}. Please use PDF, PowerPoint, Text, or Image files.`);
+        errors.push(`Unsupported file type: .${extension}. Please use PDF, PowerPoint, Word, OpenDocument, spreadsheet (CSV, XLSX), Text, Markdown, HTML, ZIP, or Image files.`);
     }
     
     // Check file name
@@ -1275,13 +3658,20 @@ function validateFile(file) {
 window.LWB_FileHandlers = {
     // Main handler
     handleFile,
+    handleFiles,
     
     // Specific handlers
     handlePDF,
     handlePPTX,
     handleDOCX,
+    handleODT,
+    handleODP,
+    handleCSV,
+    handleXLSX,
     handleText,
     handleMarkdown,
+    handleHTML,
+    handleZIP,
     handleImage,
     
     // Utilities
@@ -1294,7 +3684,9 @@ window.LWB_FileHandlers = {
     convertPPTXToSections,
     parseTextIntoSections,
     parseMarkdownIntoSections,
+    parseHtmlIntoSections,
     createBasicSections,
+    createSpreadsheetSections,
     
     // Helper functions
     detectSectionIcon,
@@ -0,0 +1,343 @@
+/**
+ * SITEWEAVE - IMAGE PREPROCESSING
+ * Cleans up images before OCR: enlarges small images, converts to
+ * grayscale, straightens tilted photos and turns uneven lighting into
+ * clean black text on white. Shared by the page and the document worker,
+ * so it only uses canvases handed to it and never touches the DOM.
+ */
+
+// ===================================================
+// CONFIGURATION
+// ===================================================
+
+const PREPROCESS_CONFIG = {
+    // Images narrower than this are enlarged, at most by MAX_UPSCALE;
+    // Tesseract reads small text poorly
+    MIN_OCR_WIDTH: 1800,
+    MAX_UPSCALE: 3,
+    // Larger images are reduced to this longest side, which is plenty for
+    // OCR and keeps the threshold's working memory bounded
+    MAX_OCR_SIZE: 4000,
+    // Skew angles tried when straightening, in degrees
+    MAX_SKEW_ANGLE: 15,
+    SKEW_STEP: 0.25,
+    // Skew is measured on a copy this wide
+    SKEW_SAMPLE_WIDTH: 800,
+    // Tilts smaller than this are left alone
+    MIN_SKEW_ANGLE: 0.3,
+    // Adaptive threshold: a pixel is ink when it is this much darker than
+    // the average of the window around it (window = width / THRESHOLD_WINDOW_DIVISOR)
+    THRESHOLD_OFFSET: 0.15,
+    THRESHOLD_WINDOW_DIVISOR: 32
+};
+
+/**
+ * Preprocessing steps with labels for settings, in the order shown
+ */
+const PREPROCESS_STEPS = [
+    { id: 'upscale', label: 'Enlarge small images' },
+    { id: 'grayscale', label: 'Grayscale' },
+    { id: 'deskew', label: 'Straighten tilted photos' },
+    { id: 'threshold', label: 'Black and white (adaptive threshold)' }
+];
+
+/**
+ * Every step on
+ */
+function getDefaultPreprocessSteps() {
+    const steps = {};
+    PREPROCESS_STEPS.forEach(step => { steps[step.id] = true; });
+    return steps;
+}
+
+// ===================================================
+// PIXEL OPERATIONS
+// ===================================================
+
+/**
+ * Luminance of each pixel of RGBA data, 0-255
+ * @returns {Uint8ClampedArray}
+ */
+function toGrayscale(rgba) {
+    const gray = new Uint8ClampedArray(rgba.length / 4);
+    for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+        gray[p] = 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+    }
+    return gray;
+}
+
+/**
+ * Write one channel of values back into RGBA data as gray pixels
+ */
+function writeGrayscale(rgba, gray) {
+    for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+        rgba[i] = rgba[i + 1] = rgba[i + 2] = gray[p];
+        rgba[i + 3] = 255;
+    }
+}
+
+/**
+ * Adaptive (Bradley) threshold: each pixel is compared with the mean
+ * of the window around it, so shadows and uneven lighting across a
+ * photographed poster do not swallow the text.
+ *
+ * @param {Uint8ClampedArray} gray
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8ClampedArray} 0 for ink, 255 for background
+ */
+function adaptiveThreshold(gray, width, height) {
+    // Sums can pass 2^32: deskewing enlarges images beyond MAX_OCR_SIZE,
+    // so the integral image is kept in doubles, exact up to 2^53
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += gray[y * width + x];
+            integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+        }
+    }
+
+    const half = Math.max(7, Math.round(width / PREPROCESS_CONFIG.THRESHOLD_WINDOW_DIVISOR / 2));
+    const factor = 1 - PREPROCESS_CONFIG.THRESHOLD_OFFSET;
+    const output = new Uint8ClampedArray(gray.length);
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - half);
+        const y1 = Math.min(height, y + half + 1);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - half);
+            const x1 = Math.min(width, x + half + 1);
+            const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] -
+                integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+            const area = (x1 - x0) * (y1 - y0);
+            output[y * width + x] = gray[y * width + x] * area <= sum * factor ? 0 : 255;
+        }
+    }
+    return output;
+}
+
+/**
+ * Estimate how far text lines are tilted using projection profiles:
+ * ink pixels are projected onto rows at each candidate angle, and the
+ * angle at which rows are most sharply split into lines and gaps wins.
+ *
+ * @param {Uint8ClampedArray} binary Output of adaptiveThreshold
+ * @param {number} width
+ * @param {number} height
+ * @returns {number} Tilt in degrees, clockwise positive
+ */
+function estimateSkewAngle(binary, width, height) {
+    const xs = [];
+    const ys = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (binary[y * width + x] === 0) {
+                xs.push(x);
+                ys.push(y);
+            }
+        }
+    }
+    if (xs.length === 0) return 0;
+
+    const diagonal = Math.ceil(Math.hypot(width, height));
+    const bins = new Uint32Array(diagonal * 2 + 1);
+    let bestAngle = 0;
+    let bestScore = -1;
+    for (let angle = -PREPROCESS_CONFIG.MAX_SKEW_ANGLE; angle <= PREPROCESS_CONFIG.MAX_SKEW_ANGLE; angle += PREPROCESS_CONFIG.SKEW_STEP) {
+        const radians = angle * Math.PI / 180;
+        const sin = Math.sin(radians);
+        const cos = Math.cos(radians);
+        bins.fill(0);
+        for (let i = 0; i < xs.length; i++) {
+            bins[Math.round(ys[i] * cos - xs[i] * sin) + diagonal]++;
+        }
+        let score = 0;
+        for (let i = 0; i < bins.length; i++) score += bins[i] * bins[i];
+        // Prefer the smaller correction on ties
+        if (score > bestScore || (score === bestScore && Math.abs(angle) < Math.abs(bestAngle))) {
+            bestScore = score;
+            bestAngle = angle;
+        }
+    }
+    return Math.abs(bestAngle) < PREPROCESS_CONFIG.MIN_SKEW_ANGLE ? 0 : bestAngle;
+}
+
+// ===================================================
+// CANVAS OPERATIONS
+// ===================================================
+
+/**
+ * Scale factor applied before OCR: small images are enlarged (when
+ * upscaling is on) and very large ones reduced
+ */
+function getPreprocessScale(width, height, upscale) {
+    const longest = Math.max(width, height);
+    if (longest > PREPROCESS_CONFIG.MAX_OCR_SIZE) {
+        return PREPROCESS_CONFIG.MAX_OCR_SIZE / longest;
+    }
+    if (upscale && width < PREPROCESS_CONFIG.MIN_OCR_WIDTH) {
+        return Math.min(
+            PREPROCESS_CONFIG.MAX_UPSCALE,
+            PREPROCESS_CONFIG.MIN_OCR_WIDTH / width,
+            PREPROCESS_CONFIG.MAX_OCR_SIZE / longest
+        );
+    }
+    return 1;
+}
+
+/**
+ * Draw a source onto a new canvas at the given size
+ */
+function drawScaled(source, width, height, createCanvas) {
+    const canvas = createCanvas(Math.max(1, Math.round(width)), Math.max(1, Math.round(height)));
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * Rotate a canvas by -angle degrees on a white background, levelling
+ * text tilted by `angle`
+ */
+function rotateCanvas(canvas, angle, createCanvas) {
+    const radians = -angle * Math.PI / 180;
+    const sin = Math.abs(Math.sin(radians));
+    const cos = Math.abs(Math.cos(radians));
+    const rotated = createCanvas(
+        Math.ceil(canvas.width * cos + canvas.height * sin),
+        Math.ceil(canvas.width * sin + canvas.height * cos)
+    );
+    const context = rotated.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, rotated.width, rotated.height);
+    context.translate(rotated.width / 2, rotated.height / 2);
+    context.rotate(radians);
+    context.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+    return rotated;
+}
+
+/**
+ * Measure the tilt of a canvas on a reduced copy
+ */
+function measureCanvasSkew(canvas, createCanvas) {
+    const scale = Math.min(1, PREPROCESS_CONFIG.SKEW_SAMPLE_WIDTH / canvas.width);
+    const sample = drawScaled(canvas, canvas.width * scale, canvas.height * scale, createCanvas);
+    const pixels = sample.getContext('2d').getImageData(0, 0, sample.width, sample.height);
+    const binary = adaptiveThreshold(toGrayscale(pixels.data), sample.width, sample.height);
+    return estimateSkewAngle(binary, sample.width, sample.height);
+}
+
+// ===================================================
+// PIPELINE
+// ===================================================
+
+/**
+ * Prepare an image for OCR. The image is enlarged (or reduced), then
+ * straightened, then made grayscale and thresholded; each step can be
+ * switched off.
+ *
+ * @param {CanvasImageSource} source Image, bitmap or canvas, drawn with drawImage
+ * @param {Object} [steps] { upscale, grayscale, deskew, threshold } booleans; all on by default
+ * @param {function(number, number): (HTMLCanvasElement|OffscreenCanvas)} createCanvas
+ * @returns {{canvas: (HTMLCanvasElement|OffscreenCanvas), scale: number, skewAngle: number,
+ *            sourceWidth: number, sourceHeight: number}}
+ *          The prepared image, how much it was resized and how far it was
+ *          rotated, and the size of the source
+ */
+function preprocessImage(source, steps, createCanvas) {
+    steps = Object.assign(getDefaultPreprocessSteps(), steps || {});
+    const width = source.naturalWidth || source.width;
+    const height = source.naturalHeight || source.height;
+
+    const scale = getPreprocessScale(width, height, steps.upscale);
+    let canvas = drawScaled(source, width * scale, height * scale, createCanvas);
+
+    let skewAngle = 0;
+    if (steps.deskew) {
+        skewAngle = measureCanvasSkew(canvas, createCanvas);
+        if (skewAngle !== 0) canvas = rotateCanvas(canvas, skewAngle, createCanvas);
+    }
+
+    if (steps.grayscale || steps.threshold) {
+        const context = canvas.getContext('2d');
+        const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+        const gray = toGrayscale(pixels.data);
+        writeGrayscale(pixels.data, steps.threshold ? adaptiveThreshold(gray, canvas.width, canvas.height) : gray);
+        context.putImageData(pixels, 0, 0);
+    }
+
+    return { canvas, scale, skewAngle, sourceWidth: width, sourceHeight: height };
+}
+
+/**
+ * Map a box on a prepared image (e.g. an OCR word) back onto the source
+ * image, undoing the rotation and resizing
+ *
+ * @param {{x:number, y:number, width:number, height:number}} box Pixels of the prepared image
+ * @param {Object} prepared { scale, skewAngle, sourceWidth, sourceHeight, width, height },
+ *        where width and height are those of the prepared image
+ * @returns {{x:number, y:number, width:number, height:number}} Percentages of the source image
+ */
+function mapBoxToSource(box, prepared) {
+    const radians = prepared.skewAngle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const scaledWidth = Math.round(prepared.sourceWidth * prepared.scale);
+    const scaledHeight = Math.round(prepared.sourceHeight * prepared.scale);
+    const corners = [[box.x, box.y], [box.x + box.width, box.y], [box.x, box.y + box.height], [box.x + box.width, box.y + box.height]]
+        .map(([x, y]) => {
+            const dx = x - prepared.width / 2;
+            const dy = y - prepared.height / 2;
+            return [
+                (dx * cos - dy * sin + scaledWidth / 2) / prepared.scale / prepared.sourceWidth * 100,
+                (dx * sin + dy * cos + scaledHeight / 2) / prepared.scale / prepared.sourceHeight * 100
+            ];
+        });
+    const clamp = value => Math.min(100, Math.max(0, value));
+    const x = clamp(Math.min(...corners.map(corner => corner[0])));
+    const y = clamp(Math.min(...corners.map(corner => corner[1])));
+    return {
+        x,
+        y,
+        width: clamp(Math.max(...corners.map(corner => corner[0]))) - x,
+        height: clamp(Math.max(...corners.map(corner => corner[1]))) - y
+    };
+}
+
+/**
+ * PNG data URL of a canvas; OffscreenCanvas (in the worker) has no
+ * toDataURL, so its blob is read back instead
+ */
+async function preprocessedCanvasToDataUrl(canvas) {
+    if (typeof canvas.toDataURL === 'function') {
+        return canvas.toDataURL('image/png');
+    }
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// ===================================================
+// EXPORT FOR GLOBAL ACCESS
+// ===================================================
+
+// `self` is the window on the page and the global scope in the worker
+self.LWB_Preprocess = {
+    PREPROCESS_CONFIG,
+    PREPROCESS_STEPS,
+    getDefaultPreprocessSteps,
+    getPreprocessScale,
+    preprocessImage,
+    mapBoxToSource,
+    preprocessedCanvasToDataUrl,
+    toGrayscale,
+    adaptiveThreshold,
+    estimateSkewAngle
+};
@@ -0,0 +1,165 @@
+/**
+ * SITEWEAVE - JOB CONTROLLER
+ * Cancellable background work (document imports, OCR) with progress
+ * and result reporting
+ */
+
+// ===================================================
+// JOB REGISTRY
+// ===================================================
+
+/**
+ * Jobs that are still running, by id
+ */
+const ACTIVE_JOBS = new Map();
+
+let nextJobId = 1;
+
+/**
+ * Error used to stop work when a job is cancelled. Its name matches
+ * the error fetch and AbortSignal use, so either can be checked the same way.
+ */
+function createCancelledError(message) {
+    const error = new Error(message || 'Processing cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Whether an error came from a cancelled job rather than a failure
+ */
+function isCancelledError(error) {
+    return !!error && error.name === 'AbortError';
+}
+
+// ===================================================
+// JOB LIFECYCLE
+// ===================================================
+
+/**
+ * Start a job. The returned job is handed to the code doing the work,
+ * which reports through it; the handlers are only called while the job
+ * is running, so results and progress that arrive after a cancel are
+ * dropped.
+ *
+ * Work that can be stopped registers a cleanup with `job.onCancel(fn)`
+ * (e.g. terminating a worker) or watches `job.signal`.
+ *
+ * @param {string} label Short description, e.g. 'import'
+ * @param {Object} [handlers]
+ * @param {function(string, number, string)} [handlers.onProgress] Step, progress (0-1) and message
+ * @param {function(...*)} [handlers.onResult] Receives whatever job.result is called with
+ * @param {function(string)} [handlers.onError] Receives the failure message
+ * @param {function()} [handlers.onCancel] Called once the job has been cancelled
+ * @returns {Object} The job
+ */
+function startJob(label, handlers = {}) {
+    const controller = new AbortController();
+    const cleanups = [];
+
+    const job = {
+        id: nextJobId++,
+        label: label,
+        status: 'running',
+        signal: controller.signal,
+
+        isRunning: () => job.status === 'running',
+        isCancelled: () => job.status === 'cancelled',
+
+        /**
+         * Throw a cancellation error if the job was cancelled; called
+         * between steps of long-running work
+         */
+        throwIfCancelled: () => {
+            if (job.isCancelled()) throw createCancelledError();
+        },
+
+        /**
+         * Register cleanup to run if the job is cancelled
+         */
+        onCancel: fn => {
+            if (job.isCancelled()) {
+                fn();
+            } else if (job.isRunning()) {
+                cleanups.push(fn);
+            }
+        },
+
+        progress: (step, progress, message) => {
+            if (job.isRunning() && handlers.onProgress) {
+                handlers.onProgress(step, progress, message);
+            }
+        },
+
+        result: (...args) => {
+            if (!settle('done')) return;
+            if (handlers.onResult) handlers.onResult(...args);
+        },
+
+        fail: message => {
+            if (isCancelledError(message) || !settle('failed')) return;
+            if (handlers.onError) handlers.onError(message);
+        },
+
+        cancel: () => {
+            if (!settle('cancelled')) return false;
+            controller.abort();
+            cleanups.forEach(fn => {
+                try {
+                    fn();
+                } catch (error) {
+                    console.warn(`Cleanup for job ${job.id} failed:`, error);
+                }
+            });
+            if (handlers.onCancel) handlers.onCancel();
+            return true;
+        }
+    };
+
+    // Move the job out of the running state exactly once
+    function settle(status) {
+        if (!job.isRunning()) return false;
+        job.status = status;
+        ACTIVE_JOBS.delete(job.id);
+        return true;
+    }
+
+    ACTIVE_JOBS.set(job.id, job);
+    return job;
+}
+
+/**
+ * Cancel a running job by id
+ * @returns {boolean} Whether a running job was cancelled
+ */
+function cancelJob(id) {
+    const job = ACTIVE_JOBS.get(id);
+    return job ? job.cancel() : false;
+}
+
+/**
+ * Cancel every running job
+ */
+function cancelAllJobs() {
+    Array.from(ACTIVE_JOBS.values()).forEach(job => job.cancel());
+}
+
+/**
+ * Running jobs, oldest first
+ */
+function getActiveJobs() {
+    return Array.from(ACTIVE_JOBS.values());
+}
+
+// ===================================================
+// EXPORTS
+// ===================================================
+
+window.LWB_Jobs = {
+    startJob,
+    cancelJob,
+    cancelAllJobs,
+    getActiveJobs,
+    createCancelledError,
+    isCancelledError
+};
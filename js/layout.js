@@ -0,0 +1,1289 @@
+/**
+ * SITEWEAVE - LAYOUT ANALYSIS
+ * Turns positioned PDF text and OCR lines into reading-ordered lines,
+ * headings and sections. Loaded both by the page and by the document
+ * processor worker, so it must not touch the DOM.
+ */
+
+// ===================================================
+// CONFIGURATION
+// ===================================================
+
+const LAYOUT_CONFIG = {
+    // Items whose baselines differ by less than this fraction of the
+    // font size are treated as being on the same line
+    SAME_LINE_TOLERANCE: 0.4,
+    // Largest horizontal gap (in font sizes) still joined into one line;
+    // anything wider is treated as a column gutter or table cell
+    MAX_WORD_GAP: 1.0,
+    // Smallest vertical whitespace strip (in body font sizes) that splits
+    // a region into columns
+    MIN_COLUMN_GAP: 1.0,
+    // Lines this much larger than body text are heading candidates
+    HEADING_SIZE_RATIO: 1.2,
+    // Title text is at least this much larger than body text
+    TITLE_SIZE_RATIO: 1.5,
+    // Title must start within this fraction of the first page's height
+    TITLE_TOP_FRACTION: 0.3,
+    // Headings are short; longer lines are body text whatever their style
+    MAX_HEADING_LENGTH: 120,
+    // Preambles (authors, affiliations) shorter than this go in the header
+    MAX_HEADER_PREAMBLE_LENGTH: 400,
+    // Images covering less than this fraction of the page are icons or
+    // bullets, and more than MAX_FIGURE_AREA is a page background
+    MIN_FIGURE_AREA: 0.005,
+    MAX_FIGURE_AREA: 0.6,
+    // Text inside a figure up to this length is a label (axis ticks,
+    // legends) and belongs to the figure; an image holding
+    // FIGURE_MAX_BODY_LINES or more longer lines is a background panel
+    // behind body text, not a figure
+    FIGURE_MAX_LABEL_LENGTH: 40,
+    FIGURE_MAX_BODY_LINES: 3,
+    // Figures are cropped from a page render at this scale, capped so the
+    // longest side of a large poster stays within MAX_RENDER_SIZE pixels
+    FIGURE_RENDER_SCALE: 2,
+    MAX_RENDER_SIZE: 4096,
+    FIGURE_IMAGE_QUALITY: 0.85,
+    // OCR lines within this fraction of their paragraph's typical row
+    // height are given that height as their font size, evening out the
+    // jitter of recognised boxes
+    OCR_SIZE_TOLERANCE: 0.15,
+    // Recognised words below this confidence (0-1) are marked for review
+    OCR_LOW_WORD_CONFIDENCE: 0.6,
+    // Recognised words further apart than this many line heights are in
+    // different table cells
+    OCR_CELL_GAP: 1.2,
+    // Tables have at least this many rows of at least two cells, spaced
+    // no further apart than TABLE_MAX_ROW_GAP row heights
+    TABLE_MIN_ROWS: 3,
+    TABLE_MIN_COLUMNS: 2,
+    TABLE_MAX_COLUMNS: 12,
+    TABLE_MAX_ROW_GAP: 1.5,
+    // Cells are short: longer text, or a median of more words per cell,
+    // is running text set in columns
+    TABLE_MAX_CELL_LENGTH: 60,
+    TABLE_MAX_CELL_WORDS: 3
+};
+
+const BOLD_FONT_PATTERN = /bold|black|heavy|semibold|demi/i;
+const BULLET_PATTERN = /^\s*(?:[•◦▪▫■□●○►▶➢➤✓✔]\s*|[–—-]\s+)/;
+const FIGURE_CAPTION_PATTERN = /^(fig(ure)?\.?)\s*\d+/i;
+
+// ===================================================
+// PAGE EXTRACTION
+// ===================================================
+
+/**
+ * Multiply two PDF transformation matrices
+ */
+function multiplyLayoutTransforms(m1, m2) {
+    return [
+        m1[0] * m2[0] + m1[2] * m2[1],
+        m1[1] * m2[0] + m1[3] * m2[1],
+        m1[0] * m2[2] + m1[2] * m2[3],
+        m1[1] * m2[2] + m1[3] * m2[3],
+        m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+        m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+    ];
+}
+
+/**
+ * Look up which of a page's fonts are bold. Font objects are only
+ * available once the operator list has been loaded, so this returns
+ * an empty map when that failed (e.g. a damaged page).
+ */
+function getPageBoldFonts(page, textContent, operatorList) {
+    const boldFonts = {};
+    if (!operatorList) return boldFonts;
+
+    const fontNames = new Set(textContent.items.map(item => item.fontName));
+    fontNames.forEach(fontName => {
+        try {
+            const font = page.commonObjs.get(fontName);
+            const style = textContent.styles && textContent.styles[fontName];
+            boldFonts[fontName] = !!(font && (font.bold || font.black || BOLD_FONT_PATTERN.test(font.name || ''))) ||
+                !!(style && BOLD_FONT_PATTERN.test(style.fontFamily || ''));
+        } catch (error) {
+            boldFonts[fontName] = false;
+        }
+    });
+    return boldFonts;
+}
+
+/**
+ * Convert pdf.js text items into boxes in top-down page coordinates
+ */
+function normalizeTextItems(textContent, viewport, boldFonts) {
+    const boxes = [];
+    textContent.items.forEach(item => {
+        if (!item.str || !item.str.trim()) return;
+        const tx = multiplyLayoutTransforms(viewport.transform, item.transform);
+        const fontSize = Math.hypot(tx[2], tx[3]);
+        if (!fontSize) return;
+        // Skip vertical and rotated text such as margin labels
+        if (Math.abs(tx[1]) > Math.abs(tx[0]) * 0.1) return;
+        boxes.push({
+            text: item.str,
+            x: tx[4],
+            y: tx[5] - fontSize,
+            width: item.width * viewport.scale,
+            height: fontSize,
+            baseline: tx[5],
+            fontSize: fontSize,
+            bold: !!boldFonts[item.fontName]
+        });
+    });
+    return boxes;
+}
+
+/**
+ * Join text boxes that sit on the same baseline and are close together
+ * into lines. Boxes separated by a wide gap (columns, table cells)
+ * stay on separate lines.
+ */
+function groupTextItemsIntoLines(boxes) {
+    const sorted = boxes.slice().sort((a, b) => (a.baseline - b.baseline) || (a.x - b.x));
+    const lines = [];
+
+    sorted.forEach(box => {
+        const line = lines.find(candidate => {
+            const size = Math.min(candidate.fontSize, box.fontSize);
+            const right = candidate.x + candidate.width;
+            return Math.abs(candidate.baseline - box.baseline) <= size * LAYOUT_CONFIG.SAME_LINE_TOLERANCE &&
+                box.x >= right - size * 0.5 &&
+                box.x - right <= size * LAYOUT_CONFIG.MAX_WORD_GAP;
+        });
+
+        if (!line) {
+            lines.push({
+                text: box.text,
+                x: box.x,
+                y: box.y,
+                width: box.width,
+                height: box.height,
+                baseline: box.baseline,
+                fontSize: box.fontSize,
+                boldChars: box.bold ? box.text.length : 0,
+                totalChars: box.text.length
+            });
+            return;
+        }
+
+        const right = line.x + line.width;
+        const needsSpace = box.x - right > box.fontSize * 0.15 && !/\s$/.test(line.text) && !/^\s/.test(box.text);
+        line.text += (needsSpace ? ' ' : '') + box.text;
+        line.width = Math.max(right, box.x + box.width) - line.x;
+        const bottom = Math.max(line.y + line.height, box.y + box.height);
+        line.y = Math.min(line.y, box.y);
+        line.height = bottom - line.y;
+        line.fontSize = Math.max(line.fontSize, box.fontSize);
+        line.boldChars += box.bold ? box.text.length : 0;
+        line.totalChars += box.text.length;
+    });
+
+    return lines.map(line => ({
+        type: 'text',
+        text: line.text.replace(/\s+/g, ' ').trim(),
+        x: line.x,
+        y: line.y,
+        width: line.width,
+        height: line.height,
+        fontSize: line.fontSize,
+        bold: line.totalChars > 0 && line.boldChars / line.totalChars > 0.9
+    })).filter(line => line.text);
+}
+
+/**
+ * Find the raster images painted on a page from its operator list.
+ * The current transformation matrix is tracked through save/restore
+ * and form XObjects so each image's unit square can be mapped to page
+ * coordinates. Overlapping images (tiled or masked pictures) are merged.
+ *
+ * @returns {Array<{type:'figure', x:number, y:number, width:number, height:number}>}
+ */
+function findPageFigures(operatorList, viewport) {
+    const OPS = self.pdfjsLib && self.pdfjsLib.OPS;
+    if (!OPS || !operatorList) return [];
+
+    const stack = [];
+    let ctm = [1, 0, 0, 1, 0, 0];
+    const boxes = [];
+
+    operatorList.fnArray.forEach((fn, index) => {
+        const args = operatorList.argsArray[index];
+        if (fn === OPS.save) {
+            stack.push(ctm);
+        } else if (fn === OPS.restore) {
+            ctm = stack.pop() || ctm;
+        } else if (fn === OPS.transform) {
+            ctm = multiplyLayoutTransforms(ctm, args);
+        } else if (fn === OPS.paintFormXObjectBegin) {
+            stack.push(ctm);
+            if (Array.isArray(args[0]) && args[0].length === 6) {
+                ctm = multiplyLayoutTransforms(ctm, args[0]);
+            }
+        } else if (fn === OPS.paintFormXObjectEnd) {
+            ctm = stack.pop() || ctm;
+        } else if (fn === OPS.paintImageXObject || fn === OPS.paintInlineImageXObject || fn === OPS.paintJpegXObject) {
+            const matrix = multiplyLayoutTransforms(viewport.transform, ctm);
+            const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([u, v]) => [
+                matrix[0] * u + matrix[2] * v + matrix[4],
+                matrix[1] * u + matrix[3] * v + matrix[5]
+            ]);
+            const xs = corners.map(point => point[0]);
+            const ys = corners.map(point => point[1]);
+            const x = Math.max(0, Math.min(...xs));
+            const y = Math.max(0, Math.min(...ys));
+            boxes.push({
+                x: x,
+                y: y,
+                width: Math.min(viewport.width, Math.max(...xs)) - x,
+                height: Math.min(viewport.height, Math.max(...ys)) - y
+            });
+        }
+    });
+
+    const pageArea = viewport.width * viewport.height;
+    return mergeOverlappingBoxes(boxes)
+        .filter(box => {
+            const area = box.width * box.height / pageArea;
+            return area >= LAYOUT_CONFIG.MIN_FIGURE_AREA && area <= LAYOUT_CONFIG.MAX_FIGURE_AREA;
+        })
+        .map(box => Object.assign({ type: 'figure' }, box));
+}
+
+/**
+ * Merge boxes that overlap or touch into their combined bounding boxes
+ */
+function mergeOverlappingBoxes(boxes) {
+    const merged = boxes.map(box => Object.assign({}, box));
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let i = 0; i < merged.length && !changed; i++) {
+            for (let j = i + 1; j < merged.length && !changed; j++) {
+                const a = merged[i];
+                const b = merged[j];
+                if (a.x <= b.x + b.width + 1 && b.x <= a.x + a.width + 1 &&
+                    a.y <= b.y + b.height + 1 && b.y <= a.y + a.height + 1) {
+                    const right = Math.max(a.x + a.width, b.x + b.width);
+                    const bottom = Math.max(a.y + a.height, b.y + b.height);
+                    a.x = Math.min(a.x, b.x);
+                    a.y = Math.min(a.y, b.y);
+                    a.width = right - a.x;
+                    a.height = bottom - a.y;
+                    merged.splice(j, 1);
+                    changed = true;
+                }
+            }
+        }
+    }
+    return merged;
+}
+
+/**
+ * Check whether box `inner` lies entirely inside box `outer`
+ */
+function isBoxInside(inner, outer) {
+    return inner.x >= outer.x - 1 && inner.y >= outer.y - 1 &&
+        inner.x + inner.width <= outer.x + outer.width + 1 &&
+        inner.y + inner.height <= outer.y + outer.height + 1;
+}
+
+/**
+ * Tell figures from background panels by the text on them, and leave
+ * the figures' labels out of the text flow. Panels are dropped as
+ * figures and their text kept; longer text over a figure (a caption
+ * set on the image) is kept too.
+ *
+ * @param {Array} lines Text lines of the page
+ * @param {Array} figures Image boxes from findPageFigures
+ * @returns {{lines: Array, figures: Array}}
+ */
+function separateFigureText(lines, figures) {
+    const isLabel = line => line.text.length <= LAYOUT_CONFIG.FIGURE_MAX_LABEL_LENGTH;
+    const kept = figures.filter(figure => {
+        const bodyLines = lines.filter(line => !isLabel(line) && isBoxInside(line, figure));
+        return bodyLines.length < LAYOUT_CONFIG.FIGURE_MAX_BODY_LINES;
+    });
+    return {
+        figures: kept,
+        lines: lines.filter(line => !isLabel(line) || !kept.some(figure => isBoxInside(line, figure)))
+    };
+}
+
+/**
+ * Split boxes into groups separated by empty strips along one axis
+ */
+function splitBoxesByGaps(boxes, axis, minGap) {
+    const start = axis === 'x' ? 'x' : 'y';
+    const size = axis === 'x' ? 'width' : 'height';
+    const sorted = boxes.slice().sort((a, b) => a[start] - b[start]);
+    const groups = [];
+    let current = [];
+    let currentEnd = -Infinity;
+
+    sorted.forEach(box => {
+        if (current.length > 0 && box[start] - currentEnd > minGap) {
+            groups.push(current);
+            current = [];
+        }
+        current.push(box);
+        currentEnd = Math.max(currentEnd, box[start] + box[size]);
+    });
+    if (current.length > 0) groups.push(current);
+    return groups;
+}
+
+/**
+ * Put boxes into reading order with a recursive XY-cut. Columns are
+ * preferred over rows so that a multi-column poster is read column by
+ * column; rows are only used to peel off full-width bands such as the
+ * title block or a footer.
+ *
+ * @param {Array<{x:number, y:number, width:number, height:number}>} boxes
+ * @param {number} minColumnGap Smallest gutter width that separates columns
+ * @returns {Array} The same boxes, in reading order
+ */
+function orderLayoutBoxes(boxes, minColumnGap) {
+    if (boxes.length <= 1) return boxes.slice();
+
+    const columns = splitBoxesByGaps(boxes, 'x', minColumnGap);
+    if (columns.length > 1) {
+        return columns.reduce((ordered, column) => ordered.concat(orderLayoutBoxes(column, minColumnGap)), []);
+    }
+
+    const rows = splitBoxesByGaps(boxes, 'y', 0);
+    if (rows.length <= 1) {
+        return boxes.slice().sort((a, b) => (a.y - b.y) || (a.x - b.x));
+    }
+
+    // Neighbouring multi-column rows are re-joined so that a whitespace
+    // strip shared by every column does not interleave the columns
+    const isMultiColumn = row => splitBoxesByGaps(row, 'x', minColumnGap).length > 1;
+    const bands = [];
+    rows.forEach(row => {
+        const previous = bands[bands.length - 1];
+        if (previous && previous.multiColumn && isMultiColumn(row)) {
+            previous.boxes = previous.boxes.concat(row);
+        } else {
+            bands.push({ boxes: row, multiColumn: isMultiColumn(row) });
+        }
+    });
+    const groups = bands.length > 1 ? bands.map(band => band.boxes) : rows;
+
+    return groups.reduce((ordered, group) => ordered.concat(orderLayoutBoxes(group, minColumnGap)), []);
+}
+
+/**
+ * Extract the lines and figures of a pdf.js page in reading order.
+ * Short text lying inside a figure (axis labels, legends) is treated as
+ * part of the figure and left out of the text flow; images behind body
+ * text are backgrounds (see separateFigureText).
+ *
+ * @param {Object} page pdf.js page proxy
+ * @param {number} pageNumber 1-based page number
+ * @returns {Promise<{pageNumber:number, width:number, height:number, lines:Array}>}
+ */
+async function extractPageLayout(page, pageNumber) {
+    const viewport = page.getViewport({ scale: 1.0 });
+    const textContent = await page.getTextContent();
+    let operatorList = null;
+    try {
+        operatorList = await page.getOperatorList();
+    } catch (error) {
+        console.warn(`Could not read drawing operators on page ${pageNumber}:`, error);
+    }
+
+    const boldFonts = getPageBoldFonts(page, textContent, operatorList);
+    const { lines, figures } = separateFigureText(
+        groupTextItemsIntoLines(normalizeTextItems(textContent, viewport, boldFonts)),
+        findPageFigures(operatorList, viewport)
+    );
+    const bodySize = getBodyFontSize(lines) || 10;
+    // Lines are already split at wide gaps, so each can be a table cell;
+    // tables are ordered as whole boxes
+    const tables = findLayoutTables(lines);
+    const tableCells = new Set(tables.reduce((all, table) => all.concat(table.cells), []));
+    const flowLines = lines.filter(line => !tableCells.has(line)).concat(tables.map(toTableLine));
+
+    return {
+        pageNumber: pageNumber,
+        width: viewport.width,
+        height: viewport.height,
+        lines: orderLayoutBoxes(flowLines.concat(figures), bodySize * LAYOUT_CONFIG.MIN_COLUMN_GAP)
+            .map(line => Object.assign({ page: pageNumber }, line))
+    };
+}
+
+/**
+ * Layout for a page imported as a single picture rather than as text,
+ * e.g. a poster panel or a page of charts. renderPageFigures fills in
+ * its image.
+ *
+ * @param {Object} page pdf.js page proxy
+ * @param {number} pageNumber 1-based page number
+ * @returns {{pageNumber:number, width:number, height:number, lines:Array}}
+ */
+function createImagePageLayout(page, pageNumber) {
+    const viewport = page.getViewport({ scale: 1.0 });
+    return {
+        pageNumber: pageNumber,
+        width: viewport.width,
+        height: viewport.height,
+        lines: [{ type: 'figure', page: pageNumber, x: 0, y: 0, width: viewport.width, height: viewport.height }]
+    };
+}
+
+/**
+ * Resolve a PDF page selection ({ pages, imagePages }, 1-based) against
+ * the document. Without a selection every page is read as text.
+ *
+ * @param {{pages?: number[], imagePages?: number[]}|null} selection
+ * @param {number} numPages Page count of the document
+ * @returns {{pages: number[], imagePages: Set<number>}} Pages in order, and those to render as images
+ */
+function resolvePageSelection(selection, numPages) {
+    const isValid = n => Number.isInteger(n) && n >= 1 && n <= numPages;
+    const all = Array.from({ length: numPages }, (_, i) => i + 1);
+    const pages = selection && Array.isArray(selection.pages)
+        ? Array.from(new Set(selection.pages.filter(isValid))).sort((a, b) => a - b)
+        : all;
+    const imagePages = new Set(((selection && selection.imagePages) || []).filter(n => pages.includes(n)));
+    return { pages, imagePages };
+}
+
+/**
+ * Start the conversion report for a PDF import, passed on to the app as
+ * `meta.diagnostics`. Extraction adds an entry to `pages` for each
+ * chosen page: { page, method, characters?, confidence?, error? }, where
+ * method is 'text' (text layer), 'ocr', 'image' (imported as a picture)
+ * or 'failed'. OCR confidence is from 0 to 1.
+ *
+ * @param {string} fileName
+ * @param {number} numPages Page count of the document
+ * @param {{pages: number[]}} selection Output of resolvePageSelection
+ * @returns {Object} { fileName, fileType, pageCount, pages, skippedPages, warnings }
+ */
+function createPDFDiagnostics(fileName, numPages, selection) {
+    return {
+        fileName,
+        fileType: 'pdf',
+        pageCount: numPages,
+        pages: [],
+        skippedPages: Array.from({ length: numPages }, (_, i) => i + 1).filter(n => !selection.pages.includes(n)),
+        warnings: []
+    };
+}
+
+/**
+ * Replace a page's entry in a PDF conversion report with its OCR result
+ *
+ * @param {Object} [diagnostics] Report from createPDFDiagnostics; nothing is recorded without one
+ * @param {number} pageNumber
+ * @param {{text: string, confidence: number}|null} ocrResult Confidence from 0 to 1
+ * @param {Error} [error] Why recognition failed
+ */
+function recordOCRPage(diagnostics, pageNumber, ocrResult, error) {
+    if (!diagnostics) return;
+    const entry = error
+        ? { page: pageNumber, method: 'failed', error: 'OCR failed: ' + (error.message || String(error)) }
+        : {
+            page: pageNumber,
+            method: 'ocr',
+            characters: ((ocrResult && ocrResult.text) || '').replace(/\s+/g, '').length,
+            confidence: ocrResult ? ocrResult.confidence : 0
+        };
+    const index = diagnostics.pages.findIndex(page => page.page === pageNumber);
+    if (index === -1) {
+        diagnostics.pages.push(entry);
+    } else {
+        diagnostics.pages[index] = entry;
+    }
+}
+
+/**
+ * Conversion report warning for a text layer too poor to use
+ */
+function describeLowQualityText(alphaRatio) {
+    return `The text layer is mostly symbols or empty (${Math.round(alphaRatio * 100)}% letters), ` +
+        'so the pages were read with OCR. Check the text against the original.';
+}
+
+/**
+ * pdf.js canvas factory for the temporary canvases used while rendering
+ * (soft masks, image masks, patterns, transparency groups). pdf.js
+ * otherwise creates them with `document`, which the worker lacks.
+ *
+ * @param {function(number, number): (HTMLCanvasElement|OffscreenCanvas)} createCanvas
+ * @returns {Object} Passed to page.render as `canvasFactory`
+ */
+function createCanvasFactory(createCanvas) {
+    return {
+        create(width, height) {
+            const canvas = createCanvas(Math.max(1, Math.ceil(width)), Math.max(1, Math.ceil(height)));
+            return { canvas, context: canvas.getContext('2d') };
+        },
+        reset(canvasAndContext, width, height) {
+            canvasAndContext.canvas.width = Math.max(1, Math.ceil(width));
+            canvasAndContext.canvas.height = Math.max(1, Math.ceil(height));
+        },
+        destroy(canvasAndContext) {
+            // Zero-sized canvases release their memory straight away
+            canvasAndContext.canvas.width = 0;
+            canvasAndContext.canvas.height = 0;
+            canvasAndContext.canvas = null;
+            canvasAndContext.context = null;
+        }
+    };
+}
+
+/**
+ * Render the figures of an extracted page into image data URLs. The
+ * page is rendered once and each figure region is cropped from it;
+ * figures that cannot be rendered are left without a `url` and are
+ * skipped when building sections.
+ *
+ * @param {Object} page pdf.js page proxy
+ * @param {Object} layout Output of extractPageLayout for the same page
+ * @param {function(number, number): (HTMLCanvasElement|OffscreenCanvas)} createCanvas
+ */
+async function renderPageFigures(page, layout, createCanvas) {
+    const figures = layout.lines.filter(line => line.type === 'figure');
+    if (figures.length === 0) return;
+
+    const scale = Math.min(
+        LAYOUT_CONFIG.FIGURE_RENDER_SCALE,
+        LAYOUT_CONFIG.MAX_RENDER_SIZE / Math.max(layout.width, layout.height)
+    );
+    const viewport = page.getViewport({ scale: scale });
+    const pageCanvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const pageContext = pageCanvas.getContext('2d');
+    // JPEG has no transparency, so start from a white page
+    pageContext.fillStyle = '#ffffff';
+    pageContext.fillRect(0, 0, pageCanvas.width, pageCanvas.height);
+    await page.render({
+        canvasContext: pageContext,
+        viewport: viewport,
+        canvasFactory: createCanvasFactory(createCanvas)
+    }).promise;
+
+    for (const figure of figures) {
+        const width = Math.max(1, Math.round(figure.width * scale));
+        const height = Math.max(1, Math.round(figure.height * scale));
+        const canvas = createCanvas(width, height);
+        canvas.getContext('2d').drawImage(
+            pageCanvas,
+            Math.round(figure.x * scale), Math.round(figure.y * scale), width, height,
+            0, 0, width, height
+        );
+        figure.url = await canvasToDataUrl(canvas, 'image/jpeg', LAYOUT_CONFIG.FIGURE_IMAGE_QUALITY);
+    }
+}
+
+/**
+ * Read a canvas as a data URL. OffscreenCanvas (used in the worker)
+ * has no toDataURL, so its blob is read back instead.
+ */
+async function canvasToDataUrl(canvas, type, quality) {
+    if (typeof canvas.toDataURL === 'function') {
+        return canvas.toDataURL(type, quality);
+    }
+    const blob = await canvas.convertToBlob({ type: type, quality: quality });
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Plain text of a set of extracted pages, in reading order
+ */
+function getLayoutText(pages) {
+    return pages.map(page => {
+        return page.lines.map(line => {
+            if (line.type === 'table') return line.rows.map(cells => cells.join('  ')).join('\n');
+            return line.type === 'text' ? line.text : null;
+        }).filter(text => text !== null).join('\n');
+    }).join('\n\n');
+}
+
+// ===================================================
+// OCR LAYOUT
+// ===================================================
+
+/**
+ * Median of a list of numbers
+ */
+function medianOf(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Convert a Tesseract bounding box to x/y/width/height
+ */
+function ocrBoxToLayoutBox(bbox) {
+    return { x: bbox.x0, y: bbox.y0, width: bbox.x1 - bbox.x0, height: bbox.y1 - bbox.y0 };
+}
+
+/**
+ * Keep the block, paragraph and line structure of a Tesseract.js
+ * result, with boxes in image pixels. The LSTM engine reports no font
+ * sizes, so each line's size is estimated from its row height.
+ *
+ * @param {Object} data Tesseract.js result data
+ * @returns {Array<{x:number, y:number, width:number, height:number, paragraphs:Array}>}
+ *          Blocks; each paragraph has a box and `lines` of
+ *          { text, x, y, width, height, fontSize, bold, confidence, words },
+ *          confidence from 0 to 1 and `words` of { text, x, y, width, height, confidence }
+ */
+function normalizeOCRBlocks(data) {
+    if (!data) return [];
+    // Older results only list paragraphs; treat each as its own block
+    const blocks = Array.isArray(data.blocks) && data.blocks.length > 0
+        ? data.blocks
+        : (data.paragraphs || []).map(paragraph => ({ bbox: paragraph.bbox, paragraphs: [paragraph] }));
+
+    return blocks.map(block => {
+        const paragraphs = (block.paragraphs || []).map(paragraph => {
+            const lines = (paragraph.lines || []).map(line => {
+                const box = ocrBoxToLayoutBox(line.bbox);
+                const rowHeight = line.rowAttributes && line.rowAttributes.row_height;
+                const words = line.words || [];
+                return Object.assign(box, {
+                    text: (line.text || '').replace(/\s+/g, ' ').trim(),
+                    fontSize: rowHeight > 0 ? rowHeight : box.height,
+                    bold: words.length > 0 && words.every(word => word.is_bold),
+                    confidence: (line.confidence || 0) / 100,
+                    words: words.filter(word => word.text && word.text.trim() && word.bbox).map(word => {
+                        return Object.assign(ocrBoxToLayoutBox(word.bbox), {
+                            text: word.text.trim(),
+                            confidence: (word.confidence || 0) / 100
+                        });
+                    })
+                });
+            }).filter(line => line.text);
+
+            if (lines.length > 0) {
+                const typical = medianOf(lines.map(line => line.fontSize));
+                lines.forEach(line => {
+                    if (Math.abs(line.fontSize - typical) <= typical * LAYOUT_CONFIG.OCR_SIZE_TOLERANCE) {
+                        line.fontSize = typical;
+                    }
+                });
+            }
+            return Object.assign(ocrBoxToLayoutBox(paragraph.bbox), { lines });
+        }).filter(paragraph => paragraph.lines.length > 0);
+        return Object.assign(ocrBoxToLayoutBox(block.bbox), { paragraphs });
+    }).filter(block => block.paragraphs.length > 0);
+}
+
+/**
+ * Page layout from OCR blocks, in the same form as extractPageLayout so
+ * that scanned pages and poster images get the same column ordering,
+ * heading detection and sections as PDF text. Paragraphs and tables
+ * (found from word positions) are ordered as whole boxes, which keeps
+ * a paragraph's lines together.
+ *
+ * @param {Array} blocks Output of normalizeOCRBlocks
+ * @param {number} pageNumber 1-based page number
+ * @returns {{pageNumber:number, width:number, height:number, lines:Array}}
+ */
+function createOCRPageLayout(blocks, pageNumber) {
+    const paragraphs = blocks.reduce((all, block) => all.concat(block.paragraphs), []);
+    const textLines = paragraphs.reduce((all, paragraph) => all.concat(paragraph.lines), [])
+        .map(line => Object.assign({ type: 'text' }, line));
+    const bodySize = getBodyFontSize(textLines) || 10;
+    const flow = separateOCRTables(paragraphs);
+    const lines = [];
+    orderLayoutBoxes(flow.paragraphs.concat(flow.tables), bodySize * LAYOUT_CONFIG.MIN_COLUMN_GAP).forEach(box => {
+        if (box.type === 'table') {
+            lines.push(Object.assign({ page: pageNumber }, toTableLine(box)));
+            return;
+        }
+        box.lines.forEach(line => {
+            lines.push(Object.assign({ type: 'text', page: pageNumber }, line));
+        });
+    });
+
+    return {
+        pageNumber: pageNumber,
+        // The image size is not part of the result; the text extent is
+        // close enough for placing the title
+        width: textLines.reduce((max, line) => Math.max(max, line.x + line.width), 0),
+        height: textLines.reduce((max, line) => Math.max(max, line.y + line.height), 0),
+        lines: lines
+    };
+}
+
+/**
+ * Recognised words below OCR_LOW_WORD_CONFIDENCE, in reading order
+ *
+ * @param {Array} pages Page layouts from createOCRPageLayout
+ * @returns {Array<{text:string, confidence:number, page:number, x:number, y:number, width:number, height:number}>}
+ *          Boxes are in the pixels of the image that was read
+ */
+function getLowConfidenceWords(pages) {
+    const words = [];
+    pages.forEach(page => {
+        page.lines.forEach(line => {
+            (line.words || []).forEach(word => {
+                if (word.confidence < LAYOUT_CONFIG.OCR_LOW_WORD_CONFIDENCE) {
+                    words.push(Object.assign({ page: page.pageNumber }, word));
+                }
+            });
+        });
+    });
+    return words;
+}
+
+// ===================================================
+// TABLE DETECTION
+// ===================================================
+
+/**
+ * Whether a cell holds a value: digits with at most a short unit
+ * ("12.5 mg", "45%", "0.3 ± 0.1", "p<0.05")
+ */
+function isNumericCell(text) {
+    return /\d/.test(text) && text.replace(/[\d\s.,%±+\-–−<>≤≥=~$€£()*/]/g, '').length <= 3;
+}
+
+/**
+ * Split an OCR line into table cell candidates where its words are
+ * further apart than OCR_CELL_GAP line heights. Lines without word
+ * boxes are one candidate. Each cell keeps its `line`.
+ */
+function splitOCRLineIntoCells(line) {
+    const words = (line.words || []).slice().sort((a, b) => a.x - b.x);
+    if (words.length < 2) {
+        return [{ text: line.text, x: line.x, y: line.y, width: line.width, height: line.height, fontSize: line.fontSize, bold: line.bold, line }];
+    }
+    const gap = line.height * LAYOUT_CONFIG.OCR_CELL_GAP;
+    const cells = [];
+    words.forEach(word => {
+        const cell = cells[cells.length - 1];
+        if (cell && word.x - (cell.x + cell.width) <= gap) {
+            const bottom = Math.max(cell.y + cell.height, word.y + word.height);
+            cell.text += ' ' + word.text;
+            cell.width = word.x + word.width - cell.x;
+            cell.y = Math.min(cell.y, word.y);
+            cell.height = bottom - cell.y;
+        } else {
+            cells.push({ text: word.text, x: word.x, y: word.y, width: word.width, height: word.height, fontSize: line.fontSize, bold: line.bold, line });
+        }
+    });
+    return cells;
+}
+
+/**
+ * Group boxes into rows by their vertical centres, top to bottom, each
+ * row's cells left to right
+ */
+function groupBoxesIntoRows(boxes) {
+    const rows = [];
+    boxes.slice().sort((a, b) => (a.y + a.height / 2) - (b.y + b.height / 2)).forEach(box => {
+        const centre = box.y + box.height / 2;
+        const row = rows[rows.length - 1];
+        if (row && Math.abs(centre - row.centre) <= Math.min(row.height, box.height) * 0.5) {
+            row.cells.push(box);
+            row.top = Math.min(row.top, box.y);
+            row.bottom = Math.max(row.bottom, box.y + box.height);
+        } else {
+            rows.push({ cells: [box], centre, height: box.height, top: box.y, bottom: box.y + box.height });
+        }
+    });
+    rows.forEach(row => row.cells.sort((a, b) => a.x - b.x));
+    return rows;
+}
+
+/**
+ * Column bands of a run of rows: the cells of the row with the most
+ * cells, widened by the cells of other rows that overlap only one of
+ * them. Cells in the gaps between bands add bands of their own.
+ */
+function findColumnBands(rows) {
+    const widest = rows.reduce((best, row) => row.cells.length > best.cells.length ? row : best, rows[0]);
+    const bands = widest.cells.map(cell => ({ start: cell.x, end: cell.x + cell.width }));
+    const overlapping = cell => bands.filter(band => cell.x < band.end && cell.x + cell.width > band.start);
+    rows.forEach(row => row.cells.forEach(cell => {
+        const hits = overlapping(cell);
+        if (hits.length === 1) {
+            hits[0].start = Math.min(hits[0].start, cell.x);
+            hits[0].end = Math.max(hits[0].end, cell.x + cell.width);
+        } else if (hits.length === 0) {
+            bands.push({ start: cell.x, end: cell.x + cell.width });
+        }
+    }));
+    bands.sort((a, b) => a.start - b.start);
+    // Widening can make neighbours meet
+    return bands.reduce((merged, band) => {
+        const last = merged[merged.length - 1];
+        if (last && band.start < last.end) {
+            last.end = Math.max(last.end, band.end);
+        } else {
+            merged.push(Object.assign({}, band));
+        }
+        return merged;
+    }, []);
+}
+
+/**
+ * Turn a run of aligned rows into a table entry, or null when they do
+ * not look like a table: too few columns, or cells with as many words
+ * as running text
+ */
+function createLayoutTable(rows) {
+    const cells = rows.reduce((all, row) => all.concat(row.cells), []);
+    const wordCounts = cells.map(cell => cell.text.split(/\s+/).length);
+    if (medianOf(wordCounts) > LAYOUT_CONFIG.TABLE_MAX_CELL_WORDS) return null;
+
+    const bands = findColumnBands(rows);
+    if (bands.length < LAYOUT_CONFIG.TABLE_MIN_COLUMNS || bands.length > LAYOUT_CONFIG.TABLE_MAX_COLUMNS) return null;
+    // A cell spanning several bands (a merged heading) goes in the first
+    const bandOf = cell => {
+        const index = bands.findIndex(band => cell.x < band.end && cell.x + cell.width > band.start);
+        return index === -1 ? 0 : index;
+    };
+    const grid = rows.map(row => {
+        const values = bands.map(() => []);
+        row.cells.forEach(cell => values[bandOf(cell)].push(cell.text));
+        return values.map(parts => parts.join(' '));
+    });
+    // Each row must fill at least two columns
+    if (grid.some(values => values.filter(Boolean).length < 2)) return null;
+
+    const first = grid[0];
+    const hasNumbers = values => values.some(value => value && isNumericCell(value));
+    const left = Math.min(...cells.map(cell => cell.x));
+    const top = Math.min(...cells.map(cell => cell.y));
+    return {
+        type: 'table',
+        x: left,
+        y: top,
+        width: Math.max(...cells.map(cell => cell.x + cell.width)) - left,
+        height: Math.max(...cells.map(cell => cell.y + cell.height)) - top,
+        rows: grid,
+        // A bold first row, or a row of labels above rows of numbers, is a header
+        hasHeader: rows[0].cells.every(cell => cell.bold) || (!hasNumbers(first) && grid.slice(1).some(hasNumbers)),
+        cells
+    };
+}
+
+/**
+ * Find tables among positioned text: runs of at least TABLE_MIN_ROWS
+ * rows, close together, whose short cells line up in columns. Boxes
+ * are cells (pdf.js lines, which are already split at wide gaps, or
+ * OCR lines split with splitOCRLineIntoCells).
+ *
+ * @param {Array<{text:string, x:number, y:number, width:number, height:number, bold?:boolean}>} boxes
+ * @returns {Array<{type:'table', x:number, y:number, width:number, height:number, rows:string[][],
+ *          hasHeader:boolean, cells:Array}>} Tables with the boxes they were made from
+ */
+function findLayoutTables(boxes) {
+    // Bullets are list items, however short
+    const candidates = boxes.filter(box => box.text && box.text.length <= LAYOUT_CONFIG.TABLE_MAX_CELL_LENGTH &&
+        !BULLET_PATTERN.test(box.text));
+    const rows = groupBoxesIntoRows(candidates);
+    const tables = [];
+    let run = [];
+    const closeRun = () => {
+        if (run.length >= LAYOUT_CONFIG.TABLE_MIN_ROWS) {
+            const table = createLayoutTable(run);
+            if (table) tables.push(table);
+        }
+        run = [];
+    };
+
+    rows.forEach(row => {
+        if (row.cells.length < 2) {
+            closeRun();
+            return;
+        }
+        const previous = run[run.length - 1];
+        if (previous && row.top - previous.bottom > Math.min(previous.height, row.height) * LAYOUT_CONFIG.TABLE_MAX_ROW_GAP) {
+            closeRun();
+        }
+        run.push(row);
+    });
+    closeRun();
+    return tables;
+}
+
+/**
+ * Bounding box of a list of boxes
+ */
+function boundingBoxOf(boxes) {
+    const left = Math.min(...boxes.map(box => box.x));
+    const top = Math.min(...boxes.map(box => box.y));
+    return {
+        x: left,
+        y: top,
+        width: Math.max(...boxes.map(box => box.x + box.width)) - left,
+        height: Math.max(...boxes.map(box => box.y + box.height)) - top
+    };
+}
+
+/**
+ * Find tables in OCR paragraphs from their word positions. Lines with
+ * a cell in a table leave their paragraphs; their other cells (text
+ * beside the table on the same line) stay as lines of their own.
+ *
+ * @param {Array} paragraphs Paragraphs of normalizeOCRBlocks
+ * @returns {{paragraphs: Array, tables: Array}} Remaining paragraphs and the tables
+ */
+function separateOCRTables(paragraphs) {
+    const cellsByLine = new Map();
+    paragraphs.forEach(paragraph => paragraph.lines.forEach(line => {
+        cellsByLine.set(line, splitOCRLineIntoCells(line));
+    }));
+    const tables = findLayoutTables(Array.from(cellsByLine.values()).reduce((all, cells) => all.concat(cells), []));
+    if (tables.length === 0) return { paragraphs, tables };
+
+    const used = new Set(tables.reduce((all, table) => all.concat(table.cells), []));
+    const inTable = line => cellsByLine.get(line).some(cell => used.has(cell));
+    const remaining = [];
+    paragraphs.forEach(paragraph => {
+        const lines = paragraph.lines.filter(line => !inTable(line));
+        if (lines.length === paragraph.lines.length) {
+            remaining.push(paragraph);
+            return;
+        }
+        if (lines.length > 0) remaining.push(Object.assign(boundingBoxOf(lines), { lines }));
+        paragraph.lines.filter(inTable).forEach(line => {
+            cellsByLine.get(line).filter(cell => !used.has(cell)).forEach(cell => {
+                const words = (line.words || []).filter(word => word.x >= cell.x && word.x + word.width <= cell.x + cell.width);
+                const text = Object.assign({}, line, boundingBoxOf([cell]), { text: cell.text, words });
+                remaining.push(Object.assign(boundingBoxOf([cell]), { lines: [text] }));
+            });
+        });
+    });
+    return { paragraphs: remaining, tables };
+}
+
+/**
+ * Table entry for a page layout, without the boxes it was made from
+ */
+function toTableLine(table) {
+    const { cells, ...line } = table;
+    return line;
+}
+
+// ===================================================
+// LINE CLASSIFICATION
+// ===================================================
+
+/**
+ * The most common font size, weighted by the number of characters
+ */
+function getBodyFontSize(lines) {
+    const weights = {};
+    lines.filter(line => line.type === 'text').forEach(line => {
+        const size = Math.round(line.fontSize * 2) / 2;
+        weights[size] = (weights[size] || 0) + line.text.length;
+    });
+    let bodySize = 0;
+    let bestWeight = 0;
+    Object.keys(weights).forEach(size => {
+        if (weights[size] > bestWeight) {
+            bestWeight = weights[size];
+            bodySize = parseFloat(size);
+        }
+    });
+    return bodySize;
+}
+
+/**
+ * Check whether a line looks like a heading by size or weight
+ */
+function isHeadingLine(line, bodySize) {
+    const text = line.text;
+    if (text.length > LAYOUT_CONFIG.MAX_HEADING_LENGTH || !/[A-Za-z]/.test(text)) return false;
+    if (BULLET_PATTERN.test(text)) return false;
+    if (line.fontSize >= bodySize * LAYOUT_CONFIG.HEADING_SIZE_RATIO) return true;
+    return line.bold && line.fontSize >= bodySize * 0.95 && text.length <= 80 && !/[.,;]$/.test(text);
+}
+
+/**
+ * Classify reading-ordered lines into title, heading, paragraph and
+ * figure blocks. Heading levels are ranked by font size: the largest
+ * heading size is level 1 and bold body-size headings come last.
+ * Figures take their caption from an adjacent "Figure N" paragraph;
+ * tables pass through as they are.
+ *
+ * @param {Array} pages Output of extractPageLayout for each page
+ * @returns {Array<{type:string, text?:string, level?:number, lines?:string[], url?:string, caption?:string,
+ *          rows?:string[][], hasHeader?:boolean}>}
+ */
+function classifyLayoutLines(pages) {
+    const entries = pages.reduce((lines, page) => lines.concat(page.lines), []);
+    const allLines = entries.filter(line => line.type === 'text');
+    const bodySize = getBodyFontSize(allLines);
+    if (!bodySize) return [];
+
+    const sizeKey = line => Math.round(line.fontSize * 2) / 2;
+
+    // The title is the largest text near the top of the first page
+    const firstPage = pages[0];
+    const titleCandidates = firstPage ? firstPage.lines.filter(line => {
+        return line.type === 'text' &&
+            line.y <= firstPage.height * LAYOUT_CONFIG.TITLE_TOP_FRACTION &&
+            line.fontSize >= bodySize * LAYOUT_CONFIG.TITLE_SIZE_RATIO &&
+            line.text.length <= 300;
+    }) : [];
+    const titleSize = titleCandidates.reduce((max, line) => Math.max(max, sizeKey(line)), 0);
+    const titleLines = new Set(titleCandidates.filter(line => sizeKey(line) === titleSize));
+    // Images beside the title are institution logos rather than figures
+    const titleTop = Math.min(...Array.from(titleLines).map(line => line.y));
+    const titleBottom = Math.max(...Array.from(titleLines).map(line => line.y + line.height));
+    const isLogo = figure => figure.page === 1 && titleLines.size > 0 &&
+        figure.y + figure.height / 2 >= titleTop && figure.y + figure.height / 2 <= titleBottom;
+
+    const headingSizes = Array.from(new Set(allLines
+        .filter(line => !titleLines.has(line) && isHeadingLine(line, bodySize))
+        .map(line => line.fontSize >= bodySize * LAYOUT_CONFIG.HEADING_SIZE_RATIO ? sizeKey(line) : 0)))
+        .sort((a, b) => b - a);
+    // Size 0 stands for "bold at body size", which sorts last
+    const levelOf = line => headingSizes.indexOf(line.fontSize >= bodySize * LAYOUT_CONFIG.HEADING_SIZE_RATIO ? sizeKey(line) : 0) + 1;
+
+    const blocks = [];
+    let previous = null;
+
+    entries.forEach(line => {
+        if (line.type === 'figure') {
+            if (line.url && !isLogo(line)) {
+                blocks.push({ type: 'figure', url: line.url, caption: '' });
+            }
+            previous = null;
+            return;
+        }
+        if (line.type === 'table') {
+            blocks.push({ type: 'table', rows: line.rows, hasHeader: line.hasHeader });
+            previous = null;
+            return;
+        }
+
+        const last = blocks[blocks.length - 1];
+        const samePage = previous && previous.page === line.page;
+        const gap = samePage ? line.y - (previous.y + previous.height) : Infinity;
+        const adjacent = samePage && gap >= -line.fontSize * 0.5 && gap <= line.fontSize * 0.8;
+
+        if (titleLines.has(line)) {
+            if (last && last.type === 'title' && adjacent) {
+                last.text += ' ' + line.text;
+            } else if (!blocks.some(block => block.type === 'title')) {
+                blocks.push({ type: 'title', text: line.text });
+            } else {
+                blocks.push({ type: 'heading', level: 1, text: line.text });
+            }
+        } else if (isHeadingLine(line, bodySize)) {
+            const level = levelOf(line);
+            if (last && last.type === 'heading' && last.level === level && adjacent) {
+                last.text += ' ' + line.text;
+            } else {
+                blocks.push({ type: 'heading', level: level, text: line.text });
+            }
+        } else {
+            const indentShift = previous ? Math.abs(line.x - previous.x) > line.fontSize * 1.5 : true;
+            if (last && last.type === 'paragraph' && adjacent && !indentShift) {
+                appendParagraphLine(last, line.text);
+            } else {
+                blocks.push({ type: 'paragraph', lines: [] });
+                appendParagraphLine(blocks[blocks.length - 1], line.text);
+            }
+        }
+        previous = line;
+    });
+
+    return attachFigureCaptions(blocks);
+}
+
+/**
+ * Move "Figure N: ..." paragraphs next to a figure into its caption,
+ * preferring the paragraph below the figure over the one above it
+ */
+function attachFigureCaptions(blocks) {
+    const isCaption = block => block && block.type === 'paragraph' && FIGURE_CAPTION_PATTERN.test(block.lines[0] || '');
+    const used = new Set();
+
+    blocks.forEach((block, index) => {
+        if (block.type !== 'figure') return;
+        const candidates = [blocks[index + 1], blocks[index - 1]];
+        const caption = candidates.find(candidate => isCaption(candidate) && !used.has(candidate));
+        if (caption) {
+            block.caption = caption.lines.join(' ');
+            used.add(caption);
+        }
+    });
+
+    return blocks.filter(block => !used.has(block));
+}
+
+/**
+ * Add a line to a paragraph block, keeping bullets as separate items,
+ * re-joining hyphenated words and folding wrapped text into the
+ * previous item
+ */
+function appendParagraphLine(block, text) {
+    if (BULLET_PATTERN.test(text)) {
+        block.lines.push('• ' + text.replace(BULLET_PATTERN, ''));
+        return;
+    }
+    const lastIndex = block.lines.length - 1;
+    if (lastIndex < 0) {
+        block.lines.push(text);
+    } else if (/[A-Za-z]-$/.test(block.lines[lastIndex])) {
+        block.lines[lastIndex] = block.lines[lastIndex].slice(0, -1) + text;
+    } else {
+        block.lines[lastIndex] += ' ' + text;
+    }
+}
+
+// ===================================================
+// SECTION BUILDING
+// ===================================================
+
+/**
+ * Escape text for HTML when no escaper is supplied by the caller
+ */
+function escapeLayoutText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Group classified blocks into website sections. Headings at the
+ * shallowest level that occurs more than once start sections; any
+ * deeper headings become sub-headings inside the section.
+ *
+ * @param {Array} blocks Output of classifyLayoutLines
+ * @param {string} fileName Original file name, used when there is no title
+ * @param {Object} options
+ * @param {function(string[]): string} options.formatLines Converts lines to HTML
+ * @param {function(string): string} [options.escapeHtml] Escapes headings
+ * @param {function(string): string} [options.detectIcon] Picks a section icon
+ * @returns {Array|null} Sections, or null when no headings, figures or tables were found
+ */
+function buildSectionsFromLayout(blocks, fileName, options) {
+    const escape = options.escapeHtml || escapeLayoutText;
+    const detectIcon = options.detectIcon || (() => '📄');
+    const headings = blocks.filter(block => block.type === 'heading');
+    if (headings.length === 0 && !blocks.some(block => block.type === 'figure' || block.type === 'table')) return null;
+
+    const levelCounts = {};
+    headings.forEach(block => { levelCounts[block.level] = (levelCounts[block.level] || 0) + 1; });
+    const levels = Object.keys(levelCounts).map(Number).sort((a, b) => a - b);
+    const sectionLevel = levels.find(level => levelCounts[level] > 1) || levels[0] || 0;
+
+    const titleBlock = blocks.find(block => block.type === 'title');
+    const title = titleBlock ? titleBlock.text : fileName.replace(/\.[^/.]+$/, '');
+
+    const preamble = { content: [] };
+    const bodySections = [];
+    let current = preamble;
+    let pendingHtml = '';
+    let pendingLines = [];
+
+    const flushLines = () => {
+        if (pendingLines.length > 0) {
+            pendingHtml += options.formatLines(pendingLines);
+            pendingLines = [];
+        }
+    };
+    const flushHtml = () => {
+        flushLines();
+        if (pendingHtml) {
+            current.content.push({ type: 'text', value: pendingHtml, allowHtml: false });
+            pendingHtml = '';
+        }
+    };
+
+    blocks.forEach(block => {
+        if (block.type === 'heading' && block.level <= sectionLevel) {
+            flushHtml();
+            const name = block.text.replace(/^\d+(\.\d+)*\.?\s+/, '').replace(/:$/, '');
+            current = {
+                id: `section-${bodySections.length + 1}-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 30)}`,
+                icon: detectIcon(name.toLowerCase()),
+                name: name.substring(0, 60),
+                content: []
+            };
+            bodySections.push(current);
+        } else if (block.type === 'heading') {
+            flushLines();
+            pendingHtml += `<h3>${escape(block.text)}</h3>`;
+        } else if (block.type === 'paragraph') {
+            if (pendingLines.length > 0) pendingLines.push('');
+            pendingLines = pendingLines.concat(block.lines);
+        } else if (block.type === 'figure') {
+            flushHtml();
+            current.content.push({ type: 'image', url: block.url, caption: block.caption ? escape(block.caption) : '' });
+        } else if (block.type === 'table') {
+            flushHtml();
+            // `detected` asks the editor to offer checking its rows and columns
+            current.content.push({ type: 'table', rows: block.rows, hasHeader: block.hasHeader, detected: true });
+        }
+    });
+    flushHtml();
+
+    // The header only shows text, so figures and tables placed before
+    // the first heading open the first section instead
+    const preambleText = preamble.content.filter(block => block.type === 'text');
+    const preambleImages = preamble.content.filter(block => block.type !== 'text');
+    const preambleHtml = preambleText.map(block => block.value).join('');
+    const preambleFitsHeader = bodySections.length > 0 &&
+        preambleHtml.replace(/<[^>]+>/g, '').length <= LAYOUT_CONFIG.MAX_HEADER_PREAMBLE_LENGTH;
+    if (preambleFitsHeader && preambleImages.length > 0) {
+        bodySections[0].content = preambleImages.concat(bodySections[0].content);
+    }
+
+    const sections = [{
+        id: 'header',
+        icon: '📄',
+        name: 'Header',
+        isHeader: true,
+        content: [
+            { type: 'text', value: `<h1>${escape(title)}</h1>` + (preambleFitsHeader ? preambleHtml : ''), allowHtml: false }
+        ]
+    }];
+    if (!preambleFitsHeader && preamble.content.length > 0) {
+        sections.push({
+            id: 'introduction',
+            icon: bodySections.length > 0 ? '📖' : '📄',
+            name: bodySections.length > 0 ? 'Introduction' : 'Content',
+            content: preamble.content
+        });
+    }
+    return sections.concat(bodySections.filter(section => section.content.length > 0));
+}
+
+// ===================================================
+// EXPORT FOR GLOBAL ACCESS
+// ===================================================
+
+// `self` is the window on the page and the global scope in the worker
+self.LWB_Layout = {
+    LAYOUT_CONFIG,
+    extractPageLayout,
+    createImagePageLayout,
+    resolvePageSelection,
+    createPDFDiagnostics,
+    recordOCRPage,
+    describeLowQualityText,
+    normalizeOCRBlocks,
+    createOCRPageLayout,
+    getLowConfidenceWords,
+    createCanvasFactory,
+    renderPageFigures,
+    getLayoutText,
+    groupTextItemsIntoLines,
+    orderLayoutBoxes,
+    findLayoutTables,
+    getBodyFontSize,
+    classifyLayoutLines,
+    buildSectionsFromLayout
+};
@@ -0,0 +1,312 @@
+/**
+ * SITEWEAVE - LIBRARY LOADER
+ * Loads the document processing libraries (pdf.js, JSZip, Tesseract.js)
+ * from a self-hosted vendor folder first and falls back to public CDNs,
+ * so imports keep working offline once the vendor folder is filled.
+ * Shared by the page and the document worker.
+ */
+
+// ===================================================
+// CONFIGURATION
+// ===================================================
+
+const LIBRARY_CONFIG = {
+    // Folder with self-hosted copies, relative to index.html
+    VENDOR_PATH: 'vendor/',
+
+    // Fall back to public CDNs for anything missing from the vendor folder
+    ALLOW_CDN: true
+};
+
+/**
+ * Libraries and the files they need. Scripts define `global` when
+ * loaded; the other entries are URLs handed to the libraries. Vendor
+ * paths are relative to LIBRARY_CONFIG.VENDOR_PATH. pdf.js and its
+ * worker must be the same version, on the page and in the worker.
+ */
+const LIBRARIES = {
+    pdfjs: {
+        label: 'PDF.js',
+        usedFor: 'PDF import',
+        global: 'pdfjsLib',
+        local: 'pdfjs/pdf.min.js',
+        cdn: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.11.338/pdf.min.js'
+    },
+    pdfjsWorker: {
+        label: 'PDF.js worker',
+        usedFor: 'PDF import',
+        local: 'pdfjs/pdf.worker.min.js',
+        cdn: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.11.338/pdf.worker.min.js'
+    },
+    jszip: {
+        label: 'JSZip',
+        usedFor: 'PowerPoint, Word, OpenDocument, Excel and ZIP import',
+        global: 'JSZip',
+        local: 'jszip/jszip.min.js',
+        cdn: 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js'
+    },
+    tesseract: {
+        label: 'Tesseract.js',
+        usedFor: 'OCR',
+        global: 'Tesseract',
+        local: 'tesseract/tesseract.min.js',
+        cdn: 'https://cdn.jsdelivr.net/npm/tesseract.js@4.1.4/dist/tesseract.min.js'
+    },
+    tesseractWorker: {
+        label: 'Tesseract.js worker',
+        usedFor: 'OCR',
+        local: 'tesseract/worker.min.js',
+        cdn: 'https://cdn.jsdelivr.net/npm/tesseract.js@4.1.4/dist/worker.min.js'
+    },
+    tesseractCore: {
+        label: 'Tesseract core',
+        usedFor: 'OCR',
+        local: 'tesseract/tesseract-core.wasm.js',
+        cdn: 'https://cdn.jsdelivr.net/npm/tesseract.js-core@4.0.4/tesseract-core.wasm.js'
+    },
+    tesseractLang: {
+        label: 'Tesseract language data',
+        usedFor: 'OCR',
+        // A folder of <lang>.traineddata.gz files; English is checked for
+        local: 'tesseract/lang/',
+        probe: 'eng.traineddata.gz',
+        cdn: 'https://tessdata.projectnaptha.com/4.0.0/'
+    }
+};
+
+/**
+ * Where each library was loaded from: library name -> URL, or null when
+ * it could not be found
+ */
+const LIBRARY_SOURCES = {};
+
+let librariesReady = null;
+
+// ===================================================
+// LOADING
+// ===================================================
+
+/**
+ * Change where libraries are loaded from. Call before the app starts,
+ * e.g. LWB_Libraries.configureLibraries({ vendorPath: '/static/vendor/', allowCdn: false })
+ */
+function configureLibraries(options = {}) {
+    if (typeof options.vendorPath === 'string') {
+        LIBRARY_CONFIG.VENDOR_PATH = options.vendorPath.replace(/\/?$/, '/');
+    }
+    if (typeof options.allowCdn === 'boolean') {
+        LIBRARY_CONFIG.ALLOW_CDN = options.allowCdn;
+    }
+}
+
+/**
+ * Absolute URL of a file in the vendor folder
+ */
+function getVendorUrl(path) {
+    return new URL(LIBRARY_CONFIG.VENDOR_PATH + path, document.baseURI).href;
+}
+
+/**
+ * Check that a URL can be fetched. Fails for file:// pages, which then
+ * fall back to the CDN.
+ */
+async function urlExists(url) {
+    try {
+        const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+        return response.ok;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Add a script tag and wait for it to load
+ */
+function loadScript(url) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url;
+        script.onload = resolve;
+        script.onerror = () => {
+            script.remove();
+            reject(new Error(`Failed to load ${url}`));
+        };
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Candidate URLs for a library, vendor copy first
+ */
+function getLibraryCandidates(name) {
+    const library = LIBRARIES[name];
+    const candidates = [getVendorUrl(library.local)];
+    if (LIBRARY_CONFIG.ALLOW_CDN) candidates.push(library.cdn);
+    return candidates;
+}
+
+/**
+ * Load or locate one library, recording where it came from
+ * @returns {Promise<string|null>} The URL used, or null if unavailable
+ */
+async function loadLibrary(name) {
+    const library = LIBRARIES[name];
+    if (library.global && self[library.global]) {
+        LIBRARY_SOURCES[name] = LIBRARY_SOURCES[name] || 'preloaded';
+        return LIBRARY_SOURCES[name];
+    }
+
+    for (const url of getLibraryCandidates(name)) {
+        // CDN files are not probed: cross-origin HEAD requests are often
+        // refused even when the file is there
+        const found = library.global
+            ? await loadScript(url).then(() => !!self[library.global], () => false)
+            : url === library.cdn || await urlExists(url + (library.probe || ''));
+        if (found) {
+            LIBRARY_SOURCES[name] = url;
+            return url;
+        }
+    }
+
+    LIBRARY_SOURCES[name] = null;
+    return null;
+}
+
+/**
+ * Load every library once. Resolves when all have been tried, with the
+ * ones that could not be found.
+ * @returns {Promise<{ missing: Array<{name: string, label: string, usedFor: string}> }>}
+ */
+function whenLibrariesReady() {
+    if (!librariesReady) {
+        librariesReady = (async () => {
+            for (const name of Object.keys(LIBRARIES)) {
+                await loadLibrary(name);
+            }
+            if (self.pdfjsLib && LIBRARY_SOURCES.pdfjsWorker) {
+                self.pdfjsLib.GlobalWorkerOptions.workerSrc = LIBRARY_SOURCES.pdfjsWorker;
+            }
+            const missing = getMissingLibraries();
+            if (missing.length > 0) {
+                console.warn('Processing libraries not found:', missing.map(library => library.label).join(', '));
+            }
+            return { missing };
+        })();
+    }
+    return librariesReady;
+}
+
+/**
+ * Whether the libraries have finished loading (whether or not all
+ * were found)
+ */
+function areLibrariesLoaded() {
+    return Object.keys(LIBRARIES).every(name => name in LIBRARY_SOURCES);
+}
+
+/**
+ * Libraries that could not be loaded from the vendor folder or a CDN
+ */
+function getMissingLibraries() {
+    return Object.keys(LIBRARIES)
+        .filter(name => name in LIBRARY_SOURCES && !LIBRARY_SOURCES[name])
+        .map(name => ({ name, label: LIBRARIES[name].label, usedFor: LIBRARIES[name].usedFor }));
+}
+
+/**
+ * User-facing explanation of a missing library and how to fix it
+ */
+function describeMissingLibrary(name) {
+    const library = LIBRARIES[name];
+    return `${library.label} could not be loaded, so ${library.usedFor} is unavailable. ` +
+        `Add ${LIBRARY_CONFIG.VENDOR_PATH}${library.local} for offline use, or check your internet connection and reload.`;
+}
+
+/**
+ * The URLs libraries were loaded from, to hand to the document worker
+ * so that it uses exactly the same files as the page
+ */
+function getLibrarySources() {
+    const sources = {};
+    Object.keys(LIBRARIES).forEach(name => {
+        const source = LIBRARY_SOURCES[name];
+        // A library the host page included itself is fetched from the
+        // last candidate (the CDN, or the vendor copy when CDNs are off)
+        sources[name] = source === 'preloaded' ? getLibraryCandidates(name).pop() : source;
+    });
+    return sources;
+}
+
+/**
+ * Tesseract.js path options for the located worker, core and language
+ * data. Spread into Tesseract.recognize / createWorker options.
+ */
+function getTesseractOptions() {
+    const options = {};
+    if (LIBRARY_SOURCES.tesseractWorker) options.workerPath = LIBRARY_SOURCES.tesseractWorker;
+    if (LIBRARY_SOURCES.tesseractCore) options.corePath = LIBRARY_SOURCES.tesseractCore;
+    if (LIBRARY_SOURCES.tesseractLang) options.langPath = LIBRARY_SOURCES.tesseractLang.replace(/\/$/, '');
+    return options;
+}
+
+// ===================================================
+// WORKER SUPPORT
+// ===================================================
+
+/**
+ * Load libraries inside a web worker from the URLs the page resolved
+ * (see getLibrarySources). importScripts is synchronous, so this
+ * returns the labels of the libraries that failed to load.
+ *
+ * @param {Object} sources Library name -> URL
+ * @param {string[]} names Libraries the worker needs
+ * @returns {string[]} Labels of missing libraries
+ */
+function importLibraryScripts(sources, names) {
+    const missing = [];
+    names.forEach(name => {
+        const library = LIBRARIES[name];
+        const url = sources && sources[name];
+        if (library.global && self[library.global]) {
+            LIBRARY_SOURCES[name] = url || 'preloaded';
+            return;
+        }
+        if (!url) {
+            LIBRARY_SOURCES[name] = null;
+            missing.push(library.label);
+            return;
+        }
+        if (library.global) {
+            try {
+                importScripts(url);
+            } catch (error) {
+                LIBRARY_SOURCES[name] = null;
+                missing.push(library.label);
+                return;
+            }
+        }
+        LIBRARY_SOURCES[name] = url;
+    });
+    if (self.pdfjsLib && LIBRARY_SOURCES.pdfjsWorker) {
+        self.pdfjsLib.GlobalWorkerOptions.workerSrc = LIBRARY_SOURCES.pdfjsWorker;
+    }
+    return missing;
+}
+
+// ===================================================
+// EXPORT FOR GLOBAL ACCESS
+// ===================================================
+
+// `self` is the window on the page and the global scope in the worker
+self.LWB_Libraries = {
+    LIBRARY_CONFIG,
+    LIBRARIES,
+    configureLibraries,
+    whenLibrariesReady,
+    areLibrariesLoaded,
+    getMissingLibraries,
+    describeMissingLibrary,
+    getLibrarySources,
+    getTesseractOptions,
+    importLibraryScripts
+};
@@ -0,0 +1,820 @@
+/**
+ * SITEWEAVE - MARKDOWN
+ * CommonMark/GFM parser: front matter, nested lists, task lists, fenced
+ * code, blockquotes, tables, images and reference links
+ */
+
+// ===================================================
+// CONFIGURATION
+// ===================================================
+
+const MARKDOWN_CONFIG = {
+    // Headings at this level or above start a new section by default
+    DEFAULT_HEADING_DEPTH: 2,
+    // Text before the first section shorter than this goes in the header
+    MAX_HEADER_PREAMBLE_LENGTH: 400
+};
+
+/**
+ * HTML elements that start an HTML block (CommonMark block type 6)
+ */
+const MARKDOWN_HTML_BLOCK_TAGS = [
+    'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div', 'dl',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4',
+    'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section',
+    'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul', 'center', 'img'
+];
+
+const MARKDOWN_PATTERNS = {
+    fence: /^ {0,3}(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/,
+    atxHeading: /^ {0,3}(#{1,6})(?:[ \t]+|$)(.*?)(?:[ \t]+#+)?[ \t]*$/,
+    thematicBreak: /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/,
+    blockquote: /^ {0,3}> ?/,
+    listItem: /^( {0,3})([-+*]|\d{1,9}[.)])([ \t]+|$)/,
+    setextHeading: /^ {0,3}(=+|-+)[ \t]*$/,
+    tableDelimiter: /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+    linkDefinition: /^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?[ \t]*$/,
+    htmlBlock: /^ {0,3}(?:<!--|<\/?([a-zA-Z][a-zA-Z0-9-]*)(?:[\s/>]|$))/
+};
+
+// ===================================================
+// FRONT MATTER
+// ===================================================
+
+/**
+ * Split YAML-style front matter from the start of a document. Only flat
+ * `key: value` pairs are read, which covers the fields we use (title,
+ * description and colour scheme); nested structures are ignored.
+ *
+ * @param {string} markdown
+ * @returns {{ data: Object, body: string }}
+ */
+function parseFrontMatter(markdown) {
+    const match = markdown.match(/^﻿?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+    if (!match) return { data: {}, body: markdown };
+
+    const data = {};
+    match[1].split(/\r?\n/).forEach(line => {
+        const pair = line.match(/^([A-Za-z_][\w-]*)[ \t]*:[ \t]*(.*)$/);
+        if (!pair) return;
+        let value = pair[2].trim();
+        if (/^(["']).*\1$/.test(value)) {
+            value = value.slice(1, -1);
+        }
+        data[pair[1]] = value;
+    });
+
+    return { data, body: markdown.slice(match[0].length) };
+}
+
+// ===================================================
+// BLOCK PARSING
+// ===================================================
+
+/**
+ * Expand tabs to spaces so indentation can be measured in columns
+ */
+function expandMarkdownTabs(line) {
+    let result = '';
+    for (const char of line) {
+        result += char === '\t' ? ' '.repeat(4 - (result.length % 4)) : char;
+    }
+    return result;
+}
+
+/**
+ * Number of leading spaces on a line
+ */
+function getMarkdownIndent(line) {
+    return line.match(/^ */)[0].length;
+}
+
+/**
+ * Check whether a line starts a block that interrupts a paragraph
+ */
+function startsMarkdownBlock(line) {
+    if (MARKDOWN_PATTERNS.fence.test(line) || MARKDOWN_PATTERNS.atxHeading.test(line) ||
+        MARKDOWN_PATTERNS.thematicBreak.test(line) || MARKDOWN_PATTERNS.blockquote.test(line)) {
+        return true;
+    }
+    const list = line.match(MARKDOWN_PATTERNS.listItem);
+    // Only bullets and lists starting at 1 may interrupt a paragraph, and
+    // never with an empty first line
+    if (list && list[3] && (/^[-+*]$/.test(list[2]) || /^1[.)]$/.test(list[2]))) {
+        return true;
+    }
+    const html = line.match(MARKDOWN_PATTERNS.htmlBlock);
+    return !!html && (!html[1] || MARKDOWN_HTML_BLOCK_TAGS.includes(html[1].toLowerCase()));
+}
+
+/**
+ * Split a table row into trimmed cell strings, honouring escaped pipes
+ */
+function splitMarkdownTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+    return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Parse lines of markdown into a block tree. Link reference definitions
+ * are collected into `refs` as they are found.
+ *
+ * Block shapes:
+ *  - { type: 'heading', level, text }
+ *  - { type: 'paragraph', text }
+ *  - { type: 'code', lang, text }
+ *  - { type: 'html', text }
+ *  - { type: 'hr' }
+ *  - { type: 'blockquote', children }
+ *  - { type: 'list', ordered, start, loose, items: [{ checked, children }] }
+ *  - { type: 'table', align, header, rows }
+ */
+function parseMarkdownBlocks(lines, refs) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Fenced code
+        const fence = line.match(MARKDOWN_PATTERNS.fence);
+        if (fence) {
+            const marker = fence[1];
+            const fenceIndent = getMarkdownIndent(line);
+            const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !closing.test(lines[i])) {
+                codeLines.push(lines[i].replace(new RegExp(`^ {0,${fenceIndent}}`), ''));
+                i++;
+            }
+            i++; // Skip the closing fence (or run past the end)
+            blocks.push({ type: 'code', lang: fence[2] || '', text: codeLines.join('\n') });
+            continue;
+        }
+
+        // Indented code
+        if (getMarkdownIndent(line) >= 4) {
+            const codeLines = [];
+            while (i < lines.length && (getMarkdownIndent(lines[i]) >= 4 || !lines[i].trim())) {
+                codeLines.push(lines[i].slice(4));
+                i++;
+            }
+            while (codeLines.length > 0 && !codeLines[codeLines.length - 1].trim()) codeLines.pop();
+            blocks.push({ type: 'code', lang: '', text: codeLines.join('\n') });
+            continue;
+        }
+
+        // ATX heading
+        const heading = line.match(MARKDOWN_PATTERNS.atxHeading);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].trim() });
+            i++;
+            continue;
+        }
+
+        // Thematic break
+        if (MARKDOWN_PATTERNS.thematicBreak.test(line)) {
+            blocks.push({ type: 'hr' });
+            i++;
+            continue;
+        }
+
+        // Blockquote, including lazy continuation lines
+        if (MARKDOWN_PATTERNS.blockquote.test(line)) {
+            const quoteLines = [];
+            while (i < lines.length) {
+                if (MARKDOWN_PATTERNS.blockquote.test(lines[i])) {
+                    quoteLines.push(lines[i].replace(MARKDOWN_PATTERNS.blockquote, ''));
+                } else if (lines[i].trim() && quoteLines.length > 0 && quoteLines[quoteLines.length - 1].trim() && !startsMarkdownBlock(lines[i])) {
+                    quoteLines.push(lines[i]);
+                } else {
+                    break;
+                }
+                i++;
+            }
+            blocks.push({ type: 'blockquote', children: parseMarkdownBlocks(quoteLines, refs) });
+            continue;
+        }
+
+        // List
+        const listMatch = line.match(MARKDOWN_PATTERNS.listItem);
+        if (listMatch) {
+            const result = parseMarkdownList(lines, i, refs);
+            blocks.push(result.block);
+            i = result.next;
+            continue;
+        }
+
+        // HTML block, passed through to the sanitizer
+        const html = line.match(MARKDOWN_PATTERNS.htmlBlock);
+        if (html && (!html[1] || MARKDOWN_HTML_BLOCK_TAGS.includes(html[1].toLowerCase()))) {
+            const htmlLines = [];
+            while (i < lines.length && lines[i].trim()) {
+                htmlLines.push(lines[i]);
+                i++;
+            }
+            blocks.push({ type: 'html', text: htmlLines.join('\n') });
+            continue;
+        }
+
+        // GFM table: a header row followed by a delimiter row
+        if (line.includes('|') && i + 1 < lines.length && MARKDOWN_PATTERNS.tableDelimiter.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+            const header = splitMarkdownTableRow(line);
+            const align = splitMarkdownTableRow(lines[i + 1]).map(cell => {
+                if (/^:-+:$/.test(cell)) return 'center';
+                if (/^-+:$/.test(cell)) return 'right';
+                if (/^:-+$/.test(cell)) return 'left';
+                return null;
+            });
+            if (align.length === header.length) {
+                const rows = [];
+                i += 2;
+                while (i < lines.length && lines[i].trim() && !startsMarkdownBlock(lines[i])) {
+                    const cells = splitMarkdownTableRow(lines[i]);
+                    rows.push(header.map((_, index) => cells[index] || ''));
+                    i++;
+                }
+                blocks.push({ type: 'table', align, header, rows });
+                continue;
+            }
+        }
+
+        // Paragraph (possibly a setext heading or link definitions)
+        const paragraphLines = [];
+        let setextLevel = 0;
+        while (i < lines.length && lines[i].trim()) {
+            if (paragraphLines.length > 0) {
+                const setext = lines[i].match(MARKDOWN_PATTERNS.setextHeading);
+                if (setext) {
+                    setextLevel = setext[1][0] === '=' ? 1 : 2;
+                    i++;
+                    break;
+                }
+                if (startsMarkdownBlock(lines[i])) break;
+            }
+            paragraphLines.push(lines[i]);
+            i++;
+        }
+
+        // Leading link reference definitions are not paragraph text
+        while (paragraphLines.length > 0 && !setextLevel) {
+            const definition = paragraphLines[0].match(MARKDOWN_PATTERNS.linkDefinition);
+            if (!definition) break;
+            const label = normalizeMarkdownLabel(definition[1]);
+            if (!refs[label]) {
+                refs[label] = { url: definition[2], title: definition[3] || definition[4] || definition[5] || '' };
+            }
+            paragraphLines.shift();
+        }
+        if (paragraphLines.length === 0) continue;
+
+        const text = paragraphLines.map(l => l.replace(/^ +/, '')).join('\n');
+        if (setextLevel) {
+            blocks.push({ type: 'heading', level: setextLevel, text: text.trim() });
+        } else {
+            blocks.push({ type: 'paragraph', text: text });
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Parse a list starting at `start`. Items continue while lines are
+ * indented to the item's content column (or are lazy paragraph
+ * continuations); a list is loose when its items are separated by
+ * blank lines.
+ *
+ * @returns {{ block: Object, next: number }}
+ */
+function parseMarkdownList(lines, start, refs) {
+    const first = lines[start].match(MARKDOWN_PATTERNS.listItem);
+    const ordered = !/^[-+*]$/.test(first[2]);
+    const delimiter = ordered ? first[2].slice(-1) : first[2];
+    const block = {
+        type: 'list',
+        ordered: ordered,
+        start: ordered ? parseInt(first[2], 10) : 1,
+        loose: false,
+        items: []
+    };
+
+    // Items of another type or delimiter start a new list
+    const isSameListItem = match => {
+        if (!match) return false;
+        const itemOrdered = !/^[-+*]$/.test(match[2]);
+        const itemDelimiter = itemOrdered ? match[2].slice(-1) : match[2];
+        return itemOrdered === ordered && itemDelimiter === delimiter;
+    };
+
+    let i = start;
+    let sawBlankBetweenItems = false;
+
+    while (i < lines.length) {
+        const match = lines[i].match(MARKDOWN_PATTERNS.listItem);
+        if (!isSameListItem(match)) break;
+
+        // Content column: marker width plus 1-4 spaces
+        const spacing = match[3].length;
+        const markerEnd = match[1].length + match[2].length;
+        const contentIndent = markerEnd + (spacing >= 1 && spacing <= 4 ? spacing : 1);
+        const itemLines = [lines[i].slice(Math.min(contentIndent, lines[i].length))];
+        i++;
+
+        while (i < lines.length) {
+            const next = lines[i];
+            if (!next.trim()) {
+                itemLines.push('');
+                i++;
+                continue;
+            }
+            if (getMarkdownIndent(next) >= contentIndent) {
+                itemLines.push(next.slice(contentIndent));
+                i++;
+                continue;
+            }
+            const previous = itemLines[itemLines.length - 1];
+            if (previous && previous.trim() && !startsMarkdownBlock(next) && !MARKDOWN_PATTERNS.listItem.test(next)) {
+                itemLines.push(next.trim());
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        // Trailing blank lines belong between items, not inside them
+        let trailingBlank = false;
+        while (itemLines.length > 1 && !itemLines[itemLines.length - 1].trim()) {
+            itemLines.pop();
+            trailingBlank = true;
+        }
+        if (trailingBlank && i < lines.length && isSameListItem(lines[i].match(MARKDOWN_PATTERNS.listItem))) {
+            sawBlankBetweenItems = true;
+        }
+
+        // GFM task list marker
+        let checked = null;
+        const task = itemLines[0].match(/^\[([ xX])\][ \t]+/);
+        if (task) {
+            checked = task[1] !== ' ';
+            itemLines[0] = itemLines[0].slice(task[0].length);
+        }
+
+        const children = parseMarkdownBlocks(itemLines, refs);
+        const innerBlank = itemLines.some((l, index) => !l.trim() && index > 0 && index < itemLines.length - 1);
+        if (innerBlank && children.length > 1) block.loose = true;
+        block.items.push({ checked, children });
+
+        if (trailingBlank && !(i < lines.length && MARKDOWN_PATTERNS.listItem.test(lines[i]))) break;
+    }
+
+    if (sawBlankBetweenItems) block.loose = true;
+    return { block, next: i };
+}
+
+// ===================================================
+// INLINE PARSING
+// ===================================================
+
+/**
+ * Normalise a reference label for case-insensitive matching
+ */
+function normalizeMarkdownLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeMarkdownHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Make a URL safe for an href/src attribute. Script URLs are dropped;
+ * data URLs are only allowed for images.
+ */
+function sanitizeMarkdownUrl(url) {
+    const trimmed = (url || '').trim().replace(/^<|>$/g, '');
+    const scheme = trimmed.replace(/[\s\u0000-\u001F]/g, '').toLowerCase();
+    if (/^(javascript|vbscript|file):/.test(scheme)) return '#';
+    if (/^data:/.test(scheme) && !/^data:image\/(png|jpe?g|gif|webp|svg\+xml);/.test(scheme)) return '#';
+    return escapeMarkdownHtml(trimmed);
+}
+
+/**
+ * Find the index of the bracket closing the one at `start`, or -1
+ */
+function findClosingBracket(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '`') {
+            const run = text.slice(i).match(/^`+/)[0];
+            const close = text.indexOf(run, i + run.length);
+            if (close !== -1) i = close + run.length - 1;
+        } else if (text[i] === '[') {
+            depth++;
+        } else if (text[i] === ']') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Parse an inline link destination "(url "title")" starting at `start`.
+ * Returns the destination, title and the index after ")" or null.
+ */
+function parseLinkDestination(text, start) {
+    const match = text.slice(start).match(/^\(\s*(<[^>]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+("[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/);
+    if (!match) return null;
+    return {
+        url: match[1].replace(/^<|>$/g, ''),
+        title: match[2] ? match[2].slice(1, -1) : '',
+        end: start + match[0].length
+    };
+}
+
+/**
+ * Render inline markdown to HTML. Code spans, links, images, autolinks
+ * and raw HTML are replaced by placeholders first so that emphasis
+ * rules never reach inside them.
+ *
+ * @param {string} text Inline markdown
+ * @param {Object} refs Link reference definitions
+ * @returns {string} HTML
+ */
+function renderMarkdownInline(text, refs) {
+    const tokens = [];
+    const hold = html => `\u0000${tokens.push(html) - 1}\u0000`;
+    let output = '';
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        const rest = text.slice(i);
+
+        // Backslash escapes and hard breaks
+        if (char === '\\') {
+            if (text[i + 1] === '\n') {
+                output += hold('<br>\n');
+                i += 2;
+                continue;
+            }
+            if (/[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/.test(text[i + 1] || '')) {
+                output += hold(escapeMarkdownHtml(text[i + 1]));
+                i += 2;
+                continue;
+            }
+        }
+
+        // Code spans
+        if (char === '`') {
+            const run = rest.match(/^`+/)[0];
+            const close = text.indexOf(run, i + run.length);
+            if (close !== -1 && text[close + run.length] !== '`') {
+                let code = text.slice(i + run.length, close).replace(/\n/g, ' ');
+                if (/^ .* $/.test(code) && code.trim()) code = code.slice(1, -1);
+                output += hold(`<code>${escapeMarkdownHtml(code)}</code>`);
+                i = close + run.length;
+                continue;
+            }
+            output += run;
+            i += run.length;
+            continue;
+        }
+
+        // Autolinks and raw inline HTML
+        if (char === '<') {
+            const autolink = rest.match(/^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/);
+            if (autolink) {
+                output += hold(`<a href="${sanitizeMarkdownUrl(autolink[1])}" target="_blank">${escapeMarkdownHtml(autolink[1])}</a>`);
+                i += autolink[0].length;
+                continue;
+            }
+            const email = rest.match(/^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*)>/);
+            if (email) {
+                output += hold(`<a href="mailto:${escapeMarkdownHtml(email[1])}">${escapeMarkdownHtml(email[1])}</a>`);
+                i += email[0].length;
+                continue;
+            }
+            const tag = rest.match(/^(?:<\/?[a-zA-Z][a-zA-Z0-9-]*(?:\s+[a-zA-Z_:][\w.:-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>|<!--[\s\S]*?-->)/);
+            if (tag) {
+                output += hold(tag[0]);
+                i += tag[0].length;
+                continue;
+            }
+        }
+
+        // Links and images
+        if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+            const isImage = char === '!';
+            const open = isImage ? i + 1 : i;
+            const close = findClosingBracket(text, open);
+            if (close !== -1) {
+                const label = text.slice(open + 1, close);
+                let target = parseLinkDestination(text, close + 1);
+                let end = target ? target.end : -1;
+
+                if (!target) {
+                    // Reference links: [text][ref], [text][] and [text]
+                    const full = text.slice(close + 1).match(/^\[([^\]]*)\]/);
+                    const key = normalizeMarkdownLabel(full && full[1] ? full[1] : label);
+                    if (refs[key]) {
+                        target = refs[key];
+                        end = close + 1 + (full ? full[0].length : 0);
+                    }
+                }
+
+                if (target) {
+                    const title = target.title ? ` title="${escapeMarkdownHtml(target.title)}"` : '';
+                    if (isImage) {
+                        const alt = label.replace(/[*_`[\]!]/g, '');
+                        output += hold(`<img src="${sanitizeMarkdownUrl(target.url)}" alt="${escapeMarkdownHtml(alt)}"${title}>`);
+                    } else {
+                        output += hold(`<a href="${sanitizeMarkdownUrl(target.url)}"${title} target="_blank">${renderMarkdownInline(label, refs)}</a>`);
+                    }
+                    i = end;
+                    continue;
+                }
+            }
+        }
+
+        // GFM bare URLs
+        if ((char === 'h' || char === 'w') && (i === 0 || /[\s*_~(]/.test(text[i - 1]))) {
+            const bare = rest.match(/^(?:https?:\/\/|www\.)[^\s<]*[^\s<?!.,:*_~'")\]]/);
+            if (bare) {
+                const href = bare[0].startsWith('www.') ? `http://${bare[0]}` : bare[0];
+                output += hold(`<a href="${sanitizeMarkdownUrl(href)}" target="_blank">${escapeMarkdownHtml(bare[0])}</a>`);
+                i += bare[0].length;
+                continue;
+            }
+        }
+
+        output += char;
+        i++;
+    }
+
+    let html = escapeMarkdownHtml(output)
+        // Hard line breaks (two or more trailing spaces)
+        .replace(/ {2,}\n/g, '<br>\n')
+        .replace(/ +\n/g, '\n')
+        // Strong, emphasis and strikethrough
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+        .replace(/\*(?=[^\s*])([^*])\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    // Restore held tokens (they may nest, e.g. code inside a link label)
+    while (/\u0000\d+\u0000/.test(html)) {
+        html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+    }
+    return html;
+}
+
+// ===================================================
+// RENDERING
+// ===================================================
+
+/**
+ * Render a block tree to HTML
+ */
+function renderMarkdownBlocks(blocks, refs, tight) {
+    return blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `<h${block.level}>${renderMarkdownInline(block.text, refs)}</h${block.level}>`;
+            case 'paragraph':
+                // Paragraphs in tight lists are not wrapped in <p>
+                return tight
+                    ? renderMarkdownInline(block.text, refs)
+                    : `<p>${renderMarkdownInline(block.text, refs)}</p>`;
+            case 'code': {
+                const langClass = block.lang ? ` class="language-${escapeMarkdownHtml(block.lang)}"` : '';
+                return `<pre><code${langClass}>${escapeMarkdownHtml(block.text)}</code></pre>`;
+            }
+            case 'html':
+                return block.text;
+            case 'hr':
+                return '<hr>';
+            case 'blockquote':
+                return `<blockquote>${renderMarkdownBlocks(block.children, refs, false)}</blockquote>`;
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const startAttr = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                const hasTasks = block.items.some(item => item.checked !== null);
+                const items = block.items.map(item => {
+                    const checkbox = item.checked === null ? '' :
+                        `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+                    const itemClass = item.checked === null ? '' : ' class="task-list-item"';
+                    return `<li${itemClass}>${checkbox}${renderMarkdownBlocks(item.children, refs, !block.loose)}</li>`;
+                }).join('');
+                return `<${tag}${startAttr}${hasTasks ? ' class="contains-task-list"' : ''}>${items}</${tag}>`;
+            }
+            case 'table': {
+                const alignAttr = index => block.align[index] ? ` style="text-align: ${block.align[index]}"` : '';
+                const head = block.header.map((cell, index) => `<th${alignAttr(index)}>${renderMarkdownInline(cell, refs)}</th>`).join('');
+                const body = block.rows.map(row => {
+                    return '<tr>' + row.map((cell, index) => `<td${alignAttr(index)}>${renderMarkdownInline(cell, refs)}</td>`).join('') + '</tr>';
+                }).join('');
+                return `<table><thead><tr>${head}</tr></thead>${body ? `<tbody>${body}</tbody>` : ''}</table>`;
+            }
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+/**
+ * Remove scripts, embedded documents, event handlers and script URLs
+ * from rendered HTML.
+ * Raw HTML in markdown is passed through CommonMark-style, so the
+ * shared editor sanitizer is applied to the result.
+ */
+function sanitizeMarkdownHtml(html) {
+    if (window.LWB_Editor && typeof window.LWB_Editor.sanitizeHtmlContent === 'function') {
+        return window.LWB_Editor.sanitizeHtmlContent(html);
+    }
+    return html
+        .replace(/<(script|iframe|object|embed|style)\b[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<\/?(script|iframe|frame|frameset|object|embed|applet|style|link|meta|base)\b[^>]*>/gi, '')
+        .replace(/ (on\w+|srcdoc|data)=("[^"]*"|'[^']*')/gi, '');
+}
+
+/**
+ * Convert a markdown document (without front matter) to sanitized HTML
+ */
+function renderMarkdown(markdown) {
+    const refs = {};
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n').map(expandMarkdownTabs);
+    const blocks = parseMarkdownBlocks(lines, refs);
+    return sanitizeMarkdownHtml(renderMarkdownBlocks(blocks, refs, false));
+}
+
+// ===================================================
+// SECTION BUILDING
+// ===================================================
+
+/**
+ * Check whether a paragraph is only an image (optionally linked), which
+ * becomes an image block rather than text
+ */
+function getStandaloneImage(block, refs) {
+    if (block.type !== 'paragraph') return null;
+    const html = renderMarkdownInline(block.text.trim(), refs);
+    const match = html.match(/^(?:<a [^>]*>)?<img src="([^"]*)" alt="([^"]*)"(?: title="([^"]*)")?>(?:<\/a>)?$/);
+    if (!match || match[1] === '#') return null;
+    return { url: match[1].replace(/&amp;/g, '&'), caption: match[3] || match[2] || '' };
+}
+
+/**
+ * Convert a markdown document into website sections.
+ *
+ * The title comes from front matter, or from the document's only H1.
+ * Headings down to `headingDepth` start new sections; deeper headings
+ * stay inside their section as sub-headings. Paragraphs holding just an
+ * image become image blocks.
+ *
+ * @param {string} markdown Markdown source, optionally with front matter
+ * @param {string} fileName Original file name, used when there is no title
+ * @param {Object} [options]
+ * @param {number} [options.headingDepth] Deepest heading level that starts a section (1-6)
+ * @param {function(string): string} [options.detectIcon] Picks a section icon from its name
+ * @returns {{ sections: Array, meta: { title?: string, description?: string, colorScheme?: string, primaryColor?: string, secondaryColor?: string } }}
+ */
+function convertMarkdownToSections(markdown, fileName, options = {}) {
+    const { data, body } = parseFrontMatter(markdown);
+    const depth = Math.min(6, Math.max(1, parseInt(options.headingDepth, 10) || MARKDOWN_CONFIG.DEFAULT_HEADING_DEPTH));
+    const detectIcon = options.detectIcon || (() => '📄');
+
+    const refs = {};
+    const lines = body.replace(/\r\n?/g, '\n').split('\n').map(expandMarkdownTabs);
+    let blocks = parseMarkdownBlocks(lines, refs);
+
+    // Work out the title
+    const plain = text => renderMarkdownInline(text, refs).replace(/<[^>]+>/g, '')
+        .replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    let title = data.title || '';
+    const topHeadings = blocks.filter(block => block.type === 'heading' && block.level === 1);
+    if (topHeadings.length === 1 && (!title || plain(topHeadings[0].text) === title) &&
+        blocks.indexOf(topHeadings[0]) === blocks.findIndex(block => block.type === 'heading')) {
+        title = title || plain(topHeadings[0].text);
+        blocks = blocks.filter(block => block !== topHeadings[0]);
+    }
+    if (!title) {
+        title = fileName.replace(/\.[^/.]+$/, '');
+    }
+
+    const preamble = { content: [] };
+    const bodySections = [];
+    let current = preamble;
+    let pending = [];
+
+    const flush = () => {
+        if (pending.length > 0) {
+            const html = sanitizeMarkdownHtml(renderMarkdownBlocks(pending, refs, false));
+            if (html.trim()) current.content.push({ type: 'text', value: html, allowHtml: false });
+            pending = [];
+        }
+    };
+
+    blocks.forEach(block => {
+        if (block.type === 'heading' && block.level <= depth) {
+            flush();
+            const name = plain(block.text);
+            current = {
+                id: `section-${bodySections.length + 1}-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 30)}`,
+                icon: detectIcon(name.toLowerCase()),
+                name: name.substring(0, 60),
+                content: []
+            };
+            bodySections.push(current);
+            return;
+        }
+
+        if (block.type === 'heading') {
+            // Sub-headings sit below the section's own <h2>
+            pending.push(Object.assign({}, block, { level: Math.max(3, block.level) }));
+            return;
+        }
+
+        const image = getStandaloneImage(block, refs);
+        if (image) {
+            flush();
+            current.content.push({ type: 'image', url: image.url, caption: escapeMarkdownHtml(image.caption) });
+            return;
+        }
+
+        pending.push(block);
+    });
+    flush();
+
+    // Short text-only preambles belong in the header
+    const preambleText = preamble.content.map(c => (c.value || '').replace(/<[^>]+>/g, '')).join(' ');
+    const preambleFitsHeader = bodySections.length > 0 &&
+        preamble.content.every(c => c.type === 'text') &&
+        preambleText.length <= MARKDOWN_CONFIG.MAX_HEADER_PREAMBLE_LENGTH;
+
+    const sections = [{
+        id: 'header',
+        icon: '📝',
+        name: 'Header',
+        isHeader: true,
+        content: [
+            {
+                type: 'text',
+                value: `<h1>${escapeMarkdownHtml(title)}</h1>` +
+                    (preambleFitsHeader ? preamble.content.map(c => c.value).join('') : ''),
+                allowHtml: false
+            }
+        ]
+    }];
+
+    if (!preambleFitsHeader && preamble.content.length > 0) {
+        sections.push({
+            id: 'introduction',
+            icon: bodySections.length > 0 ? '📖' : '📄',
+            name: bodySections.length > 0 ? 'Introduction' : 'Content',
+            content: preamble.content
+        });
+    }
+    bodySections.forEach(section => {
+        if (section.content.length > 0) sections.push(section);
+    });
+
+    const meta = {};
+    if (data.title) meta.title = data.title;
+    if (data.description) meta.description = data.description;
+    const colorScheme = data.colorScheme || data.color_scheme || data['color-scheme'] || data.theme;
+    if (colorScheme) meta.colorScheme = colorScheme;
+    if (data.primaryColor || data.primary_color) meta.primaryColor = data.primaryColor || data.primary_color;
+    if (data.secondaryColor || data.secondary_color) meta.secondaryColor = data.secondaryColor || data.secondary_color;
+
+    return { sections, meta };
+}
+
+// ===================================================
+// EXPORT FOR GLOBAL ACCESS
+// ===================================================
+
+window.LWB_Markdown = {
+    MARKDOWN_CONFIG,
+    parseFrontMatter,
+    renderMarkdown,
+    renderMarkdownInline,
+    convertMarkdownToSections
+};
@@ -1,7 +1,8 @@
 /**
  * SITEWEAVE - OCR MODULE
- * Optical Character Recognition integration for image processing
- * Currently a placeholder for future Google Vision API integration
+ * Optical Character Recognition integration for image processing:
+ * Tesseract.js, the Google Vision API and the OCR settings. The engine
+ * used for imports is picked through LWB_OCRProviders.
  */
 
 // ===================================================
@@ -12,7 +13,7 @@ const OCR_CONFIG = {
     // Google Vision API endpoint
     GOOGLE_VISION_API_URL: 'https://vision.googleapis.com/v1/images:annotate',
     
-    // API key (should be stored securely, not in code)
+    // Google Vision API key for this session (see API KEY MANAGEMENT)
     API_KEY: null,
     
     // Maximum image size for OCR (in bytes)
@@ -24,70 +25,185 @@ const OCR_CONFIG = {
     // OCR confidence threshold
     CONFIDENCE_THRESHOLD: 0.7,
     
-    // Language hints for better recognition
+    // Language hints for better recognition; also the Tesseract
+    // languages used until a choice is saved in the OCR settings
     LANGUAGE_HINTS: ['en', 'es', 'fr', 'de', 'it', 'pt']
 };
 
+// ===================================================
+// LANGUAGE SETTINGS
+// ===================================================
+
+/**
+ * Languages chosen for Tesseract (codes from LWB_OCRLanguages) and
+ * whether the script is detected first. Remembered as preferences.
+ * @returns {{languages: string[], autoDetect: boolean}}
+ */
+function getOCRLanguageSettings() {
+    const defaults = OCR_CONFIG.LANGUAGE_HINTS
+        .map(hint => window.LWB_OCRLanguages.OCR_LANGUAGES.find(language => language.tag === hint))
+        .filter(Boolean)
+        .map(language => language.code);
+    return {
+        languages: window.LWB_Utils.loadPreference('ocrLanguages', defaults),
+        autoDetect: window.LWB_Utils.loadPreference('ocrAutoDetect', false)
+    };
+}
+
+/**
+ * Remember the OCR language choice
+ * @param {{languages: string[], autoDetect: boolean}} settings
+ */
+function setOCRLanguageSettings(settings) {
+    window.LWB_Utils.savePreference('ocrLanguages', settings.languages);
+    window.LWB_Utils.savePreference('ocrAutoDetect', !!settings.autoDetect);
+}
+
+/**
+ * Short description of the OCR language choice for settings
+ */
+function describeOCRLanguages() {
+    const settings = getOCRLanguageSettings();
+    const labels = settings.languages.map(code => {
+        const language = window.LWB_OCRLanguages.getOCRLanguage(code);
+        return language ? language.label : code;
+    });
+    return labels.join(', ') + (settings.autoDetect ? ' (script detected automatically)' : '');
+}
+
 // ===================================================
 // TESSERACT.JS OCR
 // ===================================================
 
+/**
+ * Tesseract languages ('eng+fra') to read an image with: the languages
+ * chosen in the OCR settings, narrowed to the image's script when
+ * automatic detection is on. Detection starts its own Tesseract worker,
+ * so callers reading several images of one document, or several parts
+ * of one image, resolve the languages once and pass them on as `lang`.
+ *
+ * @param {*} imageData Anything Tesseract.js can read
+ * @param {AbortSignal} [signal] Aborting stops detection
+ * @returns {Promise<string>}
+ */
+async function resolveTesseractLanguages(imageData, signal) {
+    const resolved = await window.LWB_OCRLanguages.resolveOCRLanguages(
+        imageData, getOCRLanguageSettings(), window.LWB_Libraries.getTesseractOptions(), signal
+    );
+    if (signal && signal.aborted) throw window.LWB_Jobs.createCancelledError('Text recognition cancelled');
+    return resolved.languages.join('+');
+}
+
 /**
  * Recognize text from an image using Tesseract.js.
  * This helper abstracts Tesseract.js and supports progress callbacks
- * via the `logger` option. It automatically maps ISO language codes
- * defined in OCR_CONFIG.LANGUAGE_HINTS to the corresponding
- * Tesseract language codes. If no language is specified, English
- * will be used by default. The returned object includes the
- * extracted text, a confidence score (0–1), and the primary
- * language used.
+ * via the `logger` option. Unless `lang` is given, the image is read
+ * with the languages chosen in the OCR settings, narrowed to the
+ * detected script when automatic detection is on. The returned object
+ * includes the extracted text, a confidence score (0–1), the language
+ * the text was most likely written in and the languages it was read
+ * with (pass those as `lang` to read further pages of the same
+ * document without detecting again).
  *
  * @param {string|HTMLImageElement|HTMLCanvasElement|File|Blob} imageData
  *        The source image. This can be a Data URL, an image element,
  *        a canvas element, or a File/Blob.
  * @param {Object} options
  *        Additional options to pass to Tesseract.js. Supports
- *        `logger` for progress updates and `lang` to override
- *        automatic language detection.
- * @returns {Promise<{text: string, confidence: number, language: string}>}
+ *        `logger` for progress updates and `lang` ('eng+fra') to override
+ *        the language settings. An AbortSignal given as `signal`
+ *        terminates recognition when it aborts.
+ * @returns {Promise<{text: string, confidence: number, language: string, languages: string, blocks: Array}>}
+ *          `language` is a Tesseract code (see LWB_OCRLanguages.getLanguageTag).
+ *          `blocks` keeps where the text was found (see
+ *          LWB_Layout.normalizeOCRBlocks), for LWB_Layout.createOCRPageLayout
  */
 async function processWithTesseract(imageData, options = {}) {
     if (typeof Tesseract === 'undefined' || !Tesseract.recognize) {
-        throw new Error('Tesseract.js is not loaded. Please ensure the CDN script is included.');
-    }
-    // Build language string.  Use provided option first, then OCR_CONFIG hints.
-    let languages = 'eng';
-    if (options.lang) {
-        languages = options.lang;
-    } else if (Array.isArray(OCR_CONFIG.LANGUAGE_HINTS) && OCR_CONFIG.LANGUAGE_HINTS.length > 0) {
-        // Map ISO 639-1 codes to Tesseract language codes where possible
-        const langMap = { en: 'eng', es: 'spa', fr: 'fra', de: 'deu', it: 'ita', pt: 'por' };
-        languages = OCR_CONFIG.LANGUAGE_HINTS.map(l => langMap[l] || l).join('+');
+        throw new Error(window.LWB_Libraries.describeMissingLibrary('tesseract'));
     }
     // Compose options with a no-op logger by default
-    const combinedOptions = Object.assign({ logger: () => {} }, options);
+    const { signal, lang, ...tesseractOptions } = options;
+    // Use the given languages, else the settings (detecting the script first if asked)
+    const languages = lang || await resolveTesseractLanguages(imageData, signal);
+    // Worker, core and language data come from the vendor folder when present
+    const combinedOptions = Object.assign({ logger: () => {} }, window.LWB_Libraries.getTesseractOptions(), tesseractOptions);
     // Invoke Tesseract
-    const result = await Tesseract.recognize(imageData, languages, combinedOptions);
-    const { data } = result;
-    const text = (data && data.text) ? data.text : '';
-    let confidence = 0;
-    if (data && Array.isArray(data.words) && data.words.length > 0) {
-        const totalConf = data.words.reduce((sum, w) => sum + (w.confidence || 0), 0);
-        confidence = totalConf / data.words.length;
-    } else if (data && typeof data.confidence === 'number') {
-        confidence = data.confidence;
+    const result = signal
+        ? await recognizeWithSignal(imageData, languages, combinedOptions, signal)
+        : await Tesseract.recognize(imageData, languages, combinedOptions);
+    const { text, confidence, blocks } = window.LWB_OCRPool.readTesseractData(result.data);
+    const language = window.LWB_OCRLanguages.guessTextLanguage(text, languages.split('+'));
+    return { text, confidence, language, languages, blocks };
+}
+
+/**
+ * Run Tesseract in its own worker so that an aborted signal can
+ * terminate it mid-recognition. Tesseract.recognize gives no handle on
+ * the worker it creates.
+ */
+async function recognizeWithSignal(imageData, languages, options, signal) {
+    const cancelled = () => window.LWB_Jobs.createCancelledError('Text recognition cancelled');
+    if (signal.aborted) throw cancelled();
+    
+    const { workerPath, corePath, langPath, logger } = options;
+    const worker = await Tesseract.createWorker({ workerPath, corePath, langPath, logger });
+    if (signal.aborted) {
+        await worker.terminate();
+        throw cancelled();
+    }
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+        onAbort = () => {
+            worker.terminate();
+            reject(cancelled());
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+    const recognize = (async () => {
+        await worker.loadLanguage(languages);
+        await worker.initialize(languages);
+        return worker.recognize(imageData);
+    })();
+    
+    try {
+        return await Promise.race([recognize, aborted]);
+    } finally {
+        signal.removeEventListener('abort', onAbort);
+        if (!signal.aborted) await worker.terminate();
     }
-    // Derive language from requested languages (use first component)
-    const language = languages.split('+')[0] || 'eng';
-    return { text, confidence, language };
 }
 
 // ===================================================
 // API KEY MANAGEMENT
 // ===================================================
 
+// The key is kept in memory for the session. Saved with a passphrase,
+// it is also stored encrypted (LWB_SecretStore) and unlocked on demand;
+// it is never written to storage in plain text.
+const OCR_API_KEY_SECRET = 'google_vision_api_key';
+const LEGACY_API_KEY_STORAGE = 'siteweave_ocr_api_key';
+
 /**
- * Set Google Vision API key
+ * Move a key stored in plain text by earlier versions into memory and
+ * delete the stored copy
+ */
+function migrateLegacyApiKey() {
+    [window.sessionStorage, window.localStorage].forEach(storage => {
+        try {
+            const stored = storage && storage.getItem(LEGACY_API_KEY_STORAGE);
+            if (stored) {
+                if (!OCR_CONFIG.API_KEY) OCR_CONFIG.API_KEY = stored;
+                storage.removeItem(LEGACY_API_KEY_STORAGE);
+            }
+        } catch (error) {
+            console.error('Failed to migrate API key:', error);
+        }
+    });
+}
+
+/**
+ * Set Google Vision API key for this session only
  */
 function setApiKey(apiKey) {
     if (!apiKey) {
@@ -96,38 +212,31 @@ function setApiKey(apiKey) {
     }
     
     OCR_CONFIG.API_KEY = apiKey;
-    
-    // Store in sessionStorage for this session only
-    try {
-        sessionStorage.setItem('siteweave_ocr_api_key', apiKey);
-    } catch (error) {
-        console.error('Failed to store API key:', error);
+    return true;
+}
+
+/**
+ * Set the Google Vision API key, and with a passphrase also store it
+ * encrypted so it can be unlocked in later sessions. Without one, any
+ * encrypted copy of an older key is removed.
+ * @throws {Error} When the key cannot be encrypted (see LWB_SecretStore.storeSecret)
+ */
+async function saveApiKey(apiKey, passphrase) {
+    if (!setApiKey(apiKey)) return false;
+    if (passphrase) {
+        await window.LWB_SecretStore.storeSecret(OCR_API_KEY_SECRET, apiKey, passphrase);
+    } else {
+        window.LWB_SecretStore.forgetSecret(OCR_API_KEY_SECRET);
     }
-    
     return true;
 }
 
 /**
- * Get stored API key
+ * Get the API key, if set or unlocked this session
  */
 function getApiKey() {
-    // First check if it's in memory
-    if (OCR_CONFIG.API_KEY) {
-        return OCR_CONFIG.API_KEY;
-    }
-    
-    // Then check sessionStorage
-    try {
-        const stored = sessionStorage.getItem('siteweave_ocr_api_key');
-        if (stored) {
-            OCR_CONFIG.API_KEY = stored;
-            return stored;
-        }
-    } catch (error) {
-        console.error('Failed to retrieve API key:', error);
-    }
-    
-    return null;
+    if (!OCR_CONFIG.API_KEY) migrateLegacyApiKey();
+    return OCR_CONFIG.API_KEY;
 }
 
 /**
@@ -137,6 +246,34 @@ function hasApiKey() {
     return !!getApiKey();
 }
 
+/**
+ * Whether an encrypted key is stored but not unlocked this session
+ */
+function hasLockedApiKey() {
+    return !hasApiKey() && window.LWB_SecretStore.hasStoredSecret(OCR_API_KEY_SECRET);
+}
+
+/**
+ * Decrypt the stored key for this session
+ * @returns {Promise<boolean>} False when the passphrase is wrong
+ */
+async function unlockApiKey(passphrase) {
+    const apiKey = await window.LWB_SecretStore.loadSecret(OCR_API_KEY_SECRET, passphrase);
+    if (!apiKey) return false;
+    OCR_CONFIG.API_KEY = apiKey;
+    return true;
+}
+
+/**
+ * Remove the key from memory and storage
+ */
+function forgetApiKey() {
+    // Clears any plain-text copy left by earlier versions too
+    migrateLegacyApiKey();
+    OCR_CONFIG.API_KEY = null;
+    window.LWB_SecretStore.forgetSecret(OCR_API_KEY_SECRET);
+}
+
 // ===================================================
 // IMAGE PROCESSING
 // ===================================================
@@ -165,7 +302,7 @@ async function processImage(image) {
         const ocrResult = await performOCR(base64Image);
         
         // Parse and structure the results
-        const structuredContent = parseOCRResults(ocrResult);
+        const structuredContent = parseOCRResults(ocrResult, (image && image.name) || 'Scanned image');
         
         return {
             success: true,
@@ -212,9 +349,12 @@ async function convertToBase64(image) {
 
 /**
  * Perform OCR using Google Vision API
+ * @param {string} base64Image Image data without the data URL prefix
+ * @param {Object} [options] `languageHints` (BCP 47 tags) and an AbortSignal as `signal`
  */
-async function performOCR(base64Image) {
+async function performOCR(base64Image, options = {}) {
     const apiKey = getApiKey();
+    const { languageHints = OCR_CONFIG.LANGUAGE_HINTS, signal } = options;
     
     const requestBody = {
         requests: [
@@ -229,7 +369,7 @@ async function performOCR(base64Image) {
                     }
                 ],
                 imageContext: {
-                    languageHints: OCR_CONFIG.LANGUAGE_HINTS
+                    languageHints
                 }
             }
         ]
@@ -241,7 +381,8 @@ async function performOCR(base64Image) {
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal
         });
         
         if (!response.ok) {
@@ -266,7 +407,7 @@ async function performOCR(base64Image) {
 /**
  * Parse OCR results into structured content
  */
-function parseOCRResults(ocrResult) {
+function parseOCRResults(ocrResult, fileName) {
     const structured = {
         text: '',
         sections: [],
@@ -289,92 +430,34 @@ function parseOCRResults(ocrResult) {
         }
         
         // Parse into sections based on layout
-        structured.sections = parseTextIntoSections(structured.text);
+        structured.sections = window.LWB_Parser.parsePlainText(structured.text, fileName);
         
     } else if (ocrResult.textAnnotations && ocrResult.textAnnotations.length > 0) {
         // Fallback to simple text annotations
         structured.text = ocrResult.textAnnotations[0].description;
-        structured.sections = parseTextIntoSections(structured.text);
+        structured.sections = window.LWB_Parser.parsePlainText(structured.text, fileName);
     }
     
     return structured;
 }
 
-/**
- * Parse text into sections based on structure
- */
-function parseTextIntoSections(text) {
-    if (!text) return [];
-    
-    const sections = [];
-    
-    // Split by common headers or double line breaks
-    const blocks = text.split(/\n\n+/);
-    
-    blocks.forEach((block, index) => {
-        const trimmedBlock = block.trim();
-        if (!trimmedBlock) return;
-        
-        // Try to detect if this is a header
-        const lines = trimmedBlock.split('\n');
-        const firstLine = lines[0].trim();
-        
-        // Check if first line might be a header (shorter, possibly all caps, etc.)
-        const isHeader = firstLine.length < 50 && 
-                        (firstLine === firstLine.toUpperCase() || 
-                         firstLine.match(/^[A-Z][A-Za-z\s]+:?$/));
-        
-        if (isHeader && lines.length > 1) {
-            // Treat first line as section header
-            sections.push({
-                id: `section-${index}`,
-                name: firstLine.replace(/:$/, ''),
-                icon: window.LWB_Utils?.getIconForSection(firstLine) || '📄',
-                content: [{
-                    type: 'text',
-                    value: '<p>' + lines.slice(1).join('</p><p>') + '</p>',
-                    allowHtml: false
-                }]
-            });
-        } else {
-            // Treat entire block as content
-            sections.push({
-                id: `section-${index}`,
-                name: `Section ${index + 1}`,
-                icon: '📄',
-                content: [{
-                    type: 'text',
-                    value: '<p>' + trimmedBlock.replace(/\n/g, '</p><p>') + '</p>',
-                    allowHtml: false
-                }]
-            });
-        }
-    });
-    
-    return sections;
-}
-
 // ===================================================
 // FALLBACK OCR (Browser-based)
 // ===================================================
 
 /**
- * Fallback OCR using browser APIs (if available)
- * This is a placeholder for future browser-based OCR APIs
+ * Fallback OCR using browser APIs (if available), through the
+ * 'text-detector' provider
  */
 async function fallbackOCR(image) {
-    // Check if browser supports any OCR APIs
-    if ('TextDetector' in window) {
+    const provider = window.LWB_OCRProviders && window.LWB_OCRProviders.getOCRProvider('text-detector');
+    if (provider && !provider.unavailableReason()) {
         try {
-            const detector = new window.TextDetector();
-            const imageElement = await createImageElement(image);
-            const texts = await detector.detect(imageElement);
-            
-            if (texts && texts.length > 0) {
-                const extractedText = texts.map(t => t.rawValue).join(' ');
+            const result = await window.LWB_OCRProviders.recognizeText(image, { provider: 'text-detector' });
+            if (result.text) {
                 return {
                     success: true,
-                    text: extractedText,
+                    text: result.text.replace(/\n/g, ' '),
                     method: 'browser'
                 };
             }
@@ -391,53 +474,140 @@ async function fallbackOCR(image) {
     };
 }
 
+// ===================================================
+// UI INTEGRATION
+// ===================================================
+
 /**
- * Create image element from various sources
+ * Language checkboxes grouped by script, ticked from the settings
  */
-async function createImageElement(source) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        
-        img.onload = () => resolve(img);
-        img.onerror = reject;
-        
-        if (typeof source === 'string') {
-            img.src = source;
-        } else if (source instanceof Blob || source instanceof File) {
-            img.src = URL.createObjectURL(source);
-        } else {
-            reject(new Error('Invalid image source'));
-        }
+function generateOCRLanguageOptionsHtml(selected) {
+    const scripts = [];
+    window.LWB_OCRLanguages.OCR_LANGUAGES.forEach(language => {
+        if (!scripts.includes(language.script)) scripts.push(language.script);
     });
+    return scripts.map(script => `
+        <fieldset class="ocr-language-group">
+            <legend>${script}</legend>
+            ${window.LWB_OCRLanguages.OCR_LANGUAGES.filter(language => language.script === script).map(language => `
+                <label class="ocr-language-option" lang="${language.tag}">
+                    <input type="checkbox" name="ocrLanguage" value="${language.code}" ${selected.includes(language.code) ? 'checked' : ''}>
+                    ${language.label}
+                </label>
+            `).join('')}
+        </fieldset>
+    `).join('');
 }
 
-// ===================================================
-// UI INTEGRATION
-// ===================================================
+/**
+ * Engine choices for the settings, with the chosen one selected
+ */
+function generateOCRProviderOptionsHtml(selected) {
+    return window.LWB_OCRProviders.listOCRProviders().map(provider => `
+        <option value="${provider.id}" ${provider.id === selected ? 'selected' : ''}>${provider.label}</option>
+    `).join('');
+}
+
+/**
+ * Show the chosen engine's description, and the endpoint URL only for
+ * the local endpoint
+ */
+function updateOCRProviderFields() {
+    const select = document.getElementById('ocrProvider');
+    if (!select) return;
+    const provider = window.LWB_OCRProviders.getOCRProvider(select.value);
+    document.getElementById('ocrProviderHelp').textContent = provider ? provider.description : '';
+    document.getElementById('ocrEndpointGroup').hidden = select.value !== 'local-endpoint';
+}
 
 /**
  * Show OCR settings modal
  */
 function showOCRSettings() {
+    const languageSettings = getOCRLanguageSettings();
+    const activeProvider = window.LWB_OCRProviders.getActiveOCRProvider();
     const modal = document.createElement('div');
     modal.className = 'modal active';
     modal.innerHTML = `
-        <div class="modal-content">
+        <div class="modal-content ocr-settings-modal">
             <button class="close-btn" onclick="this.closest('.modal').remove()">✕</button>
             <h2 class="modal-title">OCR Settings</h2>
-            <p class="modal-subtitle">Configure Google Vision API for text extraction from images</p>
+            <p class="modal-subtitle">Choose the engine and languages used to read images and scans</p>
+            
+            <div class="form-group">
+                <label class="form-label" for="ocrProvider">
+                    OCR engine
+                    <span class="info-tooltip" title="Reads image imports, scanned PDF pages and regions">ℹ️</span>
+                </label>
+                <select id="ocrProvider" class="form-select" onchange="updateOCRProviderFields()">
+                    ${generateOCRProviderOptionsHtml(activeProvider.id)}
+                </select>
+                <span class="form-help" id="ocrProviderHelp"></span>
+            </div>
+            
+            <div class="form-group" id="ocrEndpointGroup">
+                <label class="form-label" for="ocrEndpointUrl">
+                    Local endpoint URL
+                    <span class="info-tooltip" title="Images are posted as form data in an &quot;image&quot; field, with the chosen languages in &quot;languages&quot;">ℹ️</span>
+                </label>
+                <input type="url" id="ocrEndpointUrl" class="form-input" placeholder="http://localhost:8866/ocr">
+                <span class="form-help">
+                    The reply is JSON with the recognised lines; see the README for the format.
+                </span>
+            </div>
+            
+            <div class="form-group">
+                <label class="form-label">
+                    Text languages
+                    <span class="info-tooltip" title="Tesseract reads images with every ticked language; fewer languages is faster and more accurate">ℹ️</span>
+                </label>
+                <div class="ocr-language-groups">${generateOCRLanguageOptionsHtml(languageSettings.languages)}</div>
+                <label class="ocr-language-option">
+                    <input type="checkbox" id="ocrAutoDetect" ${languageSettings.autoDetect ? 'checked' : ''}>
+                    Detect the script automatically
+                </label>
+                <span class="form-help">
+                    Detection reads each image with the ticked languages written in its script, or that script's main language if none are ticked.
+                    Each language's data is downloaded the first time it is used.
+                </span>
+            </div>
             
             <div class="form-group">
                 <label class="form-label">
                     Google Vision API Key
                     <span class="info-tooltip" title="Get your API key from Google Cloud Console">ℹ️</span>
                 </label>
-                <input type="password" id="ocrApiKey" class="form-input" placeholder="Enter your API key">
+                <div class="ocr-key-locked" id="ocrKeyLocked" hidden>
+                    <span class="form-help">A key is saved with a passphrase. Enter it to use the key this session.</span>
+                    <div class="ocr-key-row">
+                        <input type="password" id="ocrUnlockPassphrase" class="form-input" placeholder="Passphrase" autocomplete="current-password">
+                        <button type="button" class="btn btn-secondary" onclick="unlockOCRApiKey()">Unlock</button>
+                    </div>
+                </div>
+                <input type="password" id="ocrApiKey" class="form-input" placeholder="Enter your API key" autocomplete="off">
+                <div class="ocr-key-storage">
+                    <label class="ocr-language-option">
+                        <input type="radio" name="ocrKeyStorage" value="session" onchange="updateOCRKeyStorageFields()" checked>
+                        Keep for this session only
+                    </label>
+                    <label class="ocr-language-option">
+                        <input type="radio" name="ocrKeyStorage" value="encrypted" onchange="updateOCRKeyStorageFields()">
+                        Save encrypted with a passphrase
+                    </label>
+                </div>
+                <div class="ocr-key-row" id="ocrKeyPassphraseGroup" hidden>
+                    <input type="password" id="ocrKeyPassphrase" class="form-input" placeholder="Passphrase (at least ${window.LWB_SecretStore.SECRET_STORE_CONFIG.MIN_PASSPHRASE_LENGTH} characters)" autocomplete="new-password">
+                </div>
+                <span class="form-help" id="ocrKeyStatus"></span>
                 <span class="form-help">
+                    The key is never saved in plain text or in projects. The passphrase cannot be recovered; if it is lost, forget the key and enter it again.
                     <a href="https://cloud.google.com/vision/docs/setup" target="_blank">
                         Get an API key from Google Cloud Console →
                     </a>
                 </span>
+                <button type="button" class="btn btn-secondary ocr-key-forget" id="ocrForgetKeyBtn" onclick="forgetOCRApiKey()">
+                    Forget key
+                </button>
             </div>
             
             <div class="form-group">
@@ -453,7 +623,7 @@ function showOCRSettings() {
                 <h3>About OCR</h3>
                 <p style="font-size: 14px; color: #6b7280; line-height: 1.5;">
                     OCR (Optical Character Recognition) allows SiteWeave to extract text from images and scanned documents.
-                    This feature requires a Google Vision API key for accurate text extraction.
+                    Tesseract.js reads them in the browser; Google Vision needs an API key, and a local endpoint needs your own OCR server.
                 </p>
                 <p style="font-size: 14px; color: #6b7280; line-height: 1.5;">
                     Without OCR configured, you can still:
@@ -469,32 +639,146 @@ function showOCRSettings() {
     
     document.body.appendChild(modal);
     
-    // Load existing API key if available
-    const existingKey = getApiKey();
-    if (existingKey) {
-        document.getElementById('ocrApiKey').value = existingKey;
+    document.getElementById('ocrEndpointUrl').value = window.LWB_OCRProviders.getOCREndpointUrl();
+    updateOCRProviderFields();
+    updateOCRKeyFields();
+}
+
+/**
+ * Show how the API key is kept, the unlock box for a locked key and the
+ * forget button. The key itself is never put back in the page.
+ */
+function updateOCRKeyFields() {
+    const status = document.getElementById('ocrKeyStatus');
+    if (!status) return;
+    const stored = window.LWB_SecretStore.hasStoredSecret(OCR_API_KEY_SECRET);
+    const locked = hasLockedApiKey();
+    document.getElementById('ocrKeyLocked').hidden = !locked;
+    document.getElementById('ocrApiKey').placeholder = hasApiKey()
+        ? 'Key set; enter a new one to replace it'
+        : 'Enter your API key';
+    document.getElementById('ocrForgetKeyBtn').hidden = !hasApiKey() && !stored;
+    if (locked) {
+        status.textContent = 'Saved encrypted, locked.';
+    } else if (hasApiKey()) {
+        status.textContent = stored ? 'Saved encrypted, unlocked for this session.' : 'Kept for this session only.';
+    } else {
+        status.textContent = 'No key set.';
     }
+
+    const encrypted = document.querySelector('input[name="ocrKeyStorage"][value="encrypted"]');
+    if (!window.LWB_SecretStore.isSecretStoreSupported()) {
+        encrypted.disabled = true;
+        encrypted.parentNode.title = 'Encrypted storage needs a secure (https://) page';
+    } else if (stored) {
+        encrypted.checked = true;
+    }
+    updateOCRKeyStorageFields();
 }
 
 /**
- * Save OCR settings
+ * Ask for a passphrase only when the key is to be saved encrypted
  */
-function saveOCRSettings() {
+function updateOCRKeyStorageFields() {
+    const choice = document.querySelector('input[name="ocrKeyStorage"]:checked');
+    const group = document.getElementById('ocrKeyPassphraseGroup');
+    if (!choice || !group) return;
+    group.hidden = choice.value !== 'encrypted';
+}
+
+/**
+ * Unlock the stored key with the passphrase in the settings
+ */
+async function unlockOCRApiKey() {
+    const input = document.getElementById('ocrUnlockPassphrase');
+    if (!input || !input.value) return;
+    if (!await unlockApiKey(input.value)) {
+        window.LWB_Utils?.showToast('Wrong passphrase', 'error');
+        input.select();
+        return;
+    }
+    input.value = '';
+    window.LWB_Utils?.showToast('API key unlocked for this session', 'success');
+    updateOCRKeyFields();
+}
+
+/**
+ * Forget the API key everywhere, after asking. Imports go back to
+ * Tesseract if Google Vision was the chosen engine.
+ */
+function forgetOCRApiKey() {
+    if (!confirm('Forget the Google Vision API key? It is removed from this browser and will need to be entered again.')) {
+        return;
+    }
+    forgetApiKey();
+    if (window.LWB_OCRProviders.getActiveOCRProvider().id === 'google-vision') {
+        window.LWB_OCRProviders.setActiveOCRProvider('tesseract');
+        const select = document.getElementById('ocrProvider');
+        if (select) select.value = 'tesseract';
+        updateOCRProviderFields();
+        if (typeof window.updateOcrLanguageSummary === 'function') {
+            window.updateOcrLanguageSummary();
+        }
+    }
+    const session = document.querySelector('input[name="ocrKeyStorage"][value="session"]');
+    if (session) session.checked = true;
+    window.LWB_Utils?.showToast('API key forgotten', 'success');
+    updateOCRKeyFields();
+}
+
+/**
+ * Save OCR settings. The API key and endpoint URL are optional unless
+ * the chosen engine needs them. Choosing encrypted storage with a
+ * passphrase but no new key encrypts the key already in use.
+ */
+async function saveOCRSettings() {
     const apiKeyInput = document.getElementById('ocrApiKey');
     if (!apiKeyInput) return;
+    const modal = apiKeyInput.closest('.modal');
     
-    const apiKey = apiKeyInput.value.trim();
+    const languages = Array.from(modal.querySelectorAll('input[name="ocrLanguage"]:checked')).map(input => input.value);
+    if (languages.length === 0) {
+        window.LWB_Utils?.showToast('Please choose at least one language', 'error');
+        return;
+    }
     
-    if (!apiKey) {
-        window.LWB_Utils?.showToast('Please enter an API key', 'error');
+    const newKey = apiKeyInput.value.trim();
+    const apiKey = newKey || getApiKey();
+    const encrypted = modal.querySelector('input[name="ocrKeyStorage"]:checked').value === 'encrypted';
+    const passphrase = encrypted ? modal.querySelector('#ocrKeyPassphrase').value : '';
+    const stored = window.LWB_SecretStore.hasStoredSecret(OCR_API_KEY_SECRET);
+    if (encrypted && !passphrase && (newKey || (apiKey && !stored))) {
+        window.LWB_Utils?.showToast('Please enter a passphrase to encrypt the API key', 'error');
+        return;
+    }
+    // An encrypted key already saved stays as it is unless it is replaced,
+    // given a new passphrase or moved to session-only
+    if (apiKey && (newKey || passphrase || !encrypted)) {
+        try {
+            await saveApiKey(apiKey, passphrase);
+        } catch (error) {
+            window.LWB_Utils?.showToast(error.message || 'Failed to save the API key', 'error');
+            return;
+        }
+    }
+    if (!window.LWB_OCRProviders.setOCREndpointUrl(modal.querySelector('#ocrEndpointUrl').value)) {
+        window.LWB_Utils?.showToast('Please enter an http:// or https:// endpoint URL', 'error');
         return;
     }
     
-    if (setApiKey(apiKey)) {
-        window.LWB_Utils?.showToast('OCR settings saved successfully', 'success');
-        document.querySelector('.modal').remove();
-    } else {
-        window.LWB_Utils?.showToast('Failed to save OCR settings', 'error');
+    const provider = window.LWB_OCRProviders.getOCRProvider(modal.querySelector('#ocrProvider').value);
+    const reason = provider ? provider.unavailableReason() : 'unknown engine';
+    if (reason) {
+        window.LWB_Utils?.showToast(`${provider ? provider.label : 'This engine'} cannot be used: ${reason}`, 'error');
+        return;
+    }
+    window.LWB_OCRProviders.setActiveOCRProvider(provider.id);
+    
+    setOCRLanguageSettings({ languages, autoDetect: modal.querySelector('#ocrAutoDetect').checked });
+    window.LWB_Utils?.showToast('OCR settings saved successfully', 'success');
+    modal.remove();
+    if (typeof window.updateOcrLanguageSummary === 'function') {
+        window.updateOcrLanguageSummary();
     }
 }
 
@@ -563,13 +847,22 @@ window.LWB_OCR = {
     // Configuration
     OCR_CONFIG,
     setApiKey,
+    saveApiKey,
     getApiKey,
     hasApiKey,
+    hasLockedApiKey,
+    unlockApiKey,
+    forgetApiKey,
+    getOCRLanguageSettings,
+    setOCRLanguageSettings,
+    describeOCRLanguages,
     
     // Processing
     processImage,
     processImageWithOCR,
     processWithTesseract,
+    resolveTesseractLanguages,
+    performOCR,
     
     // UI
     showOCRSettings,
@@ -577,10 +870,14 @@ window.LWB_OCR = {
     
     // Utilities
     convertToBase64,
-    parseTextIntoSections,
+    parseTextIntoSections: (text, fileName) => window.LWB_Parser.parsePlainText(text, fileName),
     fallbackOCR
 };
 
 // Also make some functions directly available
 window.showOCRSettings = showOCRSettings;
-window.saveOCRSettings = saveOCRSettings;
\ No newline at end of file
+window.saveOCRSettings = saveOCRSettings;
+window.updateOCRProviderFields = updateOCRProviderFields;
+window.updateOCRKeyStorageFields = updateOCRKeyStorageFields;
+window.unlockOCRApiKey = unlockOCRApiKey;
+window.forgetOCRApiKey = forgetOCRApiKey;
\ No newline at end of file
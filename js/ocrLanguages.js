@@ -0,0 +1,236 @@
+/**
+ * SITEWEAVE - OCR LANGUAGES
+ * The languages Tesseract can read, grouped by script, plus automatic
+ * script detection (Tesseract OSD) and a guess of the language of
+ * recognised text for the exported page's `lang`. Shared by the page and
+ * the document worker.
+ */
+
+/* global Tesseract */
+
+// ===================================================
+// CONFIGURATION
+// ===================================================
+
+/**
+ * Languages offered for OCR: Tesseract data file name, BCP 47 tag for
+ * `<html lang>`, label and script. The first language of each script is
+ * used when that script is detected but none of its languages are chosen.
+ */
+const OCR_LANGUAGES = [
+    { code: 'eng', tag: 'en', label: 'English', script: 'Latin' },
+    { code: 'spa', tag: 'es', label: 'Spanish', script: 'Latin' },
+    { code: 'fra', tag: 'fr', label: 'French', script: 'Latin' },
+    { code: 'deu', tag: 'de', label: 'German', script: 'Latin' },
+    { code: 'ita', tag: 'it', label: 'Italian', script: 'Latin' },
+    { code: 'por', tag: 'pt', label: 'Portuguese', script: 'Latin' },
+    { code: 'nld', tag: 'nl', label: 'Dutch', script: 'Latin' },
+    { code: 'pol', tag: 'pl', label: 'Polish', script: 'Latin' },
+    { code: 'tur', tag: 'tr', label: 'Turkish', script: 'Latin' },
+    { code: 'vie', tag: 'vi', label: 'Vietnamese', script: 'Latin' },
+    { code: 'rus', tag: 'ru', label: 'Russian', script: 'Cyrillic' },
+    { code: 'ukr', tag: 'uk', label: 'Ukrainian', script: 'Cyrillic' },
+    { code: 'ell', tag: 'el', label: 'Greek', script: 'Greek' },
+    { code: 'ara', tag: 'ar', label: 'Arabic', script: 'Arabic' },
+    { code: 'heb', tag: 'he', label: 'Hebrew', script: 'Hebrew' },
+    { code: 'hin', tag: 'hi', label: 'Hindi', script: 'Devanagari' },
+    { code: 'tha', tag: 'th', label: 'Thai', script: 'Thai' },
+    { code: 'chi_sim', tag: 'zh-Hans', label: 'Chinese (Simplified)', script: 'Han' },
+    { code: 'chi_tra', tag: 'zh-Hant', label: 'Chinese (Traditional)', script: 'Han' },
+    { code: 'jpn', tag: 'ja', label: 'Japanese', script: 'Japanese' },
+    { code: 'kor', tag: 'ko', label: 'Korean', script: 'Hangul' }
+];
+
+/**
+ * OSD script names that share a group above
+ */
+const OCR_SCRIPT_ALIASES = {
+    HanS: 'Han',
+    HanT: 'Han',
+    Katakana: 'Japanese',
+    Hiragana: 'Japanese',
+    Korean: 'Hangul',
+    Fraktur: 'Latin'
+};
+
+/**
+ * Common short words used to tell languages of the same script apart
+ * in recognised text
+ */
+const OCR_LANGUAGE_STOPWORDS = {
+    eng: ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'with', 'are', 'this', 'on'],
+    spa: ['el', 'la', 'los', 'las', 'que', 'y', 'en', 'por', 'para', 'una', 'con', 'del'],
+    fra: ['le', 'la', 'les', 'des', 'et', 'est', 'une', 'pour', 'dans', 'qui', 'sur', 'du'],
+    deu: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'für', 'ein', 'eine', 'den', 'von'],
+    ita: ['il', 'di', 'che', 'la', 'per', 'un', 'una', 'sono', 'con', 'della', 'non', 'gli'],
+    por: ['o', 'que', 'do', 'da', 'em', 'para', 'com', 'não', 'uma', 'os', 'as', 'dos'],
+    nld: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'voor', 'met', 'op', 'zijn'],
+    pol: ['i', 'w', 'na', 'z', 'nie', 'się', 'że', 'do', 'jest', 'to', 'jak', 'przez'],
+    tur: ['ve', 'bir', 'bu', 'için', 'ile', 'da', 'olarak', 'olan', 'gibi', 'daha', 'çok', 'ya'],
+    vie: ['của', 'và', 'là', 'các', 'có', 'trong', 'cho', 'được', 'những', 'một', 'với', 'không'],
+    rus: ['и', 'в', 'не', 'на', 'что', 'с', 'по', 'это', 'как', 'из', 'для', 'он'],
+    ukr: ['і', 'в', 'не', 'на', 'що', 'з', 'до', 'це', 'як', 'та', 'для', 'від']
+};
+
+// ===================================================
+// LOOKUP
+// ===================================================
+
+/**
+ * Catalogue entry for a Tesseract language code
+ */
+function getOCRLanguage(code) {
+    return OCR_LANGUAGES.find(language => language.code === code) || null;
+}
+
+/**
+ * BCP 47 tag for a Tesseract language code, e.g. 'fra' -> 'fr'
+ */
+function getLanguageTag(code) {
+    const language = getOCRLanguage(code);
+    return language ? language.tag : null;
+}
+
+/**
+ * Tesseract language code for a language reported by another engine,
+ * either a code already or a BCP 47 tag ('fr', 'zh-Hant', 'pt-BR')
+ */
+function getLanguageCode(value) {
+    if (!value) return null;
+    if (getOCRLanguage(value)) return value;
+    const tag = String(value).toLowerCase();
+    const language = OCR_LANGUAGES.find(entry => entry.tag.toLowerCase() === tag) ||
+        OCR_LANGUAGES.find(entry => entry.tag.split('-')[0] === tag.split('-')[0]);
+    return language ? language.code : null;
+}
+
+/**
+ * Languages to read a detected script with: the chosen languages written
+ * in it, or else its first catalogue language. Null for scripts not in
+ * the catalogue.
+ *
+ * @param {string} script OSD script name
+ * @param {string[]} selected Chosen language codes
+ * @returns {string[]|null}
+ */
+function getLanguagesForScript(script, selected) {
+    const group = OCR_SCRIPT_ALIASES[script] || script;
+    const inScript = OCR_LANGUAGES.filter(language => language.script === group);
+    if (inScript.length === 0) return null;
+    const chosen = (selected || []).filter(code => inScript.some(language => language.code === code));
+    return chosen.length > 0 ? chosen : [inScript[0].code];
+}
+
+/**
+ * Which of the languages text was most likely written in, by counting
+ * common words. The first language wins when nothing tells them apart.
+ *
+ * @param {string} text Recognised text
+ * @param {string[]} codes Languages it was read with
+ * @returns {string} Language code
+ */
+function guessTextLanguage(text, codes) {
+    if (codes.length <= 1) return codes[0];
+    const counts = {};
+    (text || '').toLowerCase().split(/[^\p{L}]+/u).forEach(word => {
+        if (word) counts[word] = (counts[word] || 0) + 1;
+    });
+    let best = codes[0];
+    let bestScore = 0;
+    codes.forEach(code => {
+        const score = (OCR_LANGUAGE_STOPWORDS[code] || []).reduce((sum, word) => sum + (counts[word] || 0), 0);
+        if (score > bestScore) {
+            best = code;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// ===================================================
+// SCRIPT DETECTION
+// ===================================================
+
+/**
+ * Error for detection stopped by its signal, named like the ones
+ * LWB_Jobs and fetch use (LWB_Jobs is not loaded in the worker)
+ */
+function createDetectionCancelledError() {
+    const error = new Error('Script detection cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Detect the script of an image with Tesseract's orientation and script
+ * detection. Needs osd.traineddata next to the other language data.
+ *
+ * @param {*} imageData Anything Tesseract.js can read
+ * @param {Object} tesseractOptions workerPath, corePath and langPath
+ * @param {AbortSignal} [signal] Aborting terminates the detection worker
+ * @returns {Promise<{script: string, confidence: number}|null>}
+ */
+async function detectOCRScript(imageData, tesseractOptions, signal) {
+    if (signal && signal.aborted) throw createDetectionCancelledError();
+    const worker = await Tesseract.createWorker(tesseractOptions);
+    let onAbort = null;
+    try {
+        const detect = (async () => {
+            await worker.loadLanguage('osd');
+            await worker.initialize('osd');
+            return worker.detect(imageData);
+        })();
+        const aborted = signal ? new Promise((resolve, reject) => {
+            onAbort = () => reject(createDetectionCancelledError());
+            signal.addEventListener('abort', onAbort, { once: true });
+        }) : null;
+        if (signal && signal.aborted) throw createDetectionCancelledError();
+        const { data } = await (aborted ? Promise.race([detect, aborted]) : detect);
+        return data && data.script ? { script: data.script, confidence: data.script_confidence || 0 } : null;
+    } finally {
+        if (onAbort) signal.removeEventListener('abort', onAbort);
+        await worker.terminate();
+    }
+}
+
+/**
+ * Languages to read an image with. With `autoDetect` on, the script is
+ * detected first and the chosen languages narrowed to it (or the
+ * script's main language used); if detection fails or finds a script
+ * not in the catalogue, the chosen languages are used as they are.
+ *
+ * @param {*} imageData Anything Tesseract.js can read
+ * @param {{languages: string[], autoDetect: boolean}} settings
+ * @param {Object} tesseractOptions workerPath, corePath and langPath
+ * @param {AbortSignal} [signal] Aborting stops detection and rejects with an AbortError
+ * @returns {Promise<{languages: string[], script: string|null}>}
+ */
+async function resolveOCRLanguages(imageData, settings, tesseractOptions, signal) {
+    const selected = settings.languages && settings.languages.length > 0 ? settings.languages : ['eng'];
+    if (!settings.autoDetect) return { languages: selected, script: null };
+    try {
+        const detected = await detectOCRScript(imageData, tesseractOptions, signal);
+        const languages = detected ? getLanguagesForScript(detected.script, selected) : null;
+        if (languages) return { languages, script: detected.script };
+    } catch (error) {
+        if (error && error.name === 'AbortError') throw error;
+        console.warn('Script detection failed, using the chosen OCR languages:', error);
+    }
+    return { languages: selected, script: null };
+}
+
+// ===================================================
+// EXPORT FOR GLOBAL ACCESS
+// ===================================================
+
+// `self` is the window on the page and the global scope in the worker
+self.LWB_OCRLanguages = {
+    OCR_LANGUAGES,
+    getOCRLanguage,
+    getLanguageTag,
+    getLanguageCode,
+    getLanguagesForScript,
+    guessTextLanguage,
+    detectOCRScript,
+    resolveOCRLanguages
+};
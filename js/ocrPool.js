@@ -0,0 +1,197 @@
+/**
+ * SITEWEAVE - OCR POOL
+ * Reads the pages of a scanned document with several Tesseract.js
+ * workers at once. Each worker loads its languages once and takes the
+ * next page when it finishes one; results come back in page order.
+ * Shared by the page and the document worker.
+ */
+
+/* global Tesseract */
+
+// ===================================================
+// CONFIGURATION
+// ===================================================
+
+const OCR_POOL_CONFIG = {
+    // Each worker holds its own copy of the language data, so the pool
+    // stays small even on machines with many cores
+    MAX_WORKERS: 4,
+    // Cores left free for the page (or the document worker's own work)
+    RESERVED_CORES: 1,
+    // Share of a page's progress taken by rendering it, before recognition
+    RENDER_SHARE: 0.1
+};
+
+// ===================================================
+// RESULTS
+// ===================================================
+
+/**
+ * Text, confidence (0–1, the mean of the word confidences) and layout
+ * blocks of a Tesseract.js result
+ *
+ * @param {Object} data Tesseract.js result data
+ * @returns {{text: string, confidence: number, blocks: Array}}
+ */
+function readTesseractData(data) {
+    const text = (data && data.text) ? data.text : '';
+    // Tesseract reports confidence from 0 to 100
+    let confidence = 0;
+    if (data && Array.isArray(data.words) && data.words.length > 0) {
+        const totalConf = data.words.reduce((sum, w) => sum + (w.confidence || 0), 0);
+        confidence = totalConf / data.words.length / 100;
+    } else if (data && typeof data.confidence === 'number') {
+        confidence = data.confidence / 100;
+    }
+    return { text, confidence, blocks: self.LWB_Layout.normalizeOCRBlocks(data) };
+}
+
+// ===================================================
+// POOL
+// ===================================================
+
+/**
+ * Number of workers for a document: one per core, less the reserved
+ * ones, at most MAX_WORKERS and never more than there are pages
+ */
+function getOCRPoolSize(pageCount) {
+    const cores = (self.navigator && self.navigator.hardwareConcurrency) || 2;
+    const size = Math.min(OCR_POOL_CONFIG.MAX_WORKERS, Math.max(1, cores - OCR_POOL_CONFIG.RESERVED_CORES));
+    return Math.max(1, Math.min(size, pageCount || 1));
+}
+
+/**
+ * Start a Tesseract worker with its languages loaded
+ */
+async function createPoolWorker(languages, tesseractOptions, logger) {
+    const { workerPath, corePath, langPath } = tesseractOptions || {};
+    const worker = await Tesseract.createWorker({ workerPath, corePath, langPath, logger });
+    try {
+        await worker.loadLanguage(languages);
+        await worker.initialize(languages);
+    } catch (error) {
+        await worker.terminate();
+        throw error;
+    }
+    return worker;
+}
+
+/**
+ * Read pages with a pool of Tesseract workers. The first page is
+ * rendered before the workers start, so its image can be used to choose
+ * the languages. A page that fails is reported with its error and the
+ * others are still read; failing to start the workers rejects.
+ *
+ * @param {number[]} pageNumbers Pages to read, in order
+ * @param {Object} options
+ * @param {function(number): Promise<*>} options.renderPage Image of a page, in any form Tesseract.js reads
+ * @param {string|function(*): Promise<string>} options.languages Tesseract languages ('eng+fra'),
+ *        or a function choosing them from the first page's image
+ * @param {Object} [options.tesseractOptions] workerPath, corePath and langPath
+ * @param {number} [options.poolSize] Number of workers (default from getOCRPoolSize)
+ * @param {AbortSignal} [options.signal] Aborting terminates the workers
+ * @param {function(number, number, number)} [options.onProgress] Called with the overall
+ *        progress (0–1), the pages finished and the page count
+ * @returns {Promise<{languages: string, pages: Array}>} Languages used and, in the order of
+ *          `pageNumbers`, { page, text, confidence, blocks } or { page, error }
+ */
+async function recognizePages(pageNumbers, options) {
+    const total = pageNumbers.length;
+    const results = new Array(total);
+    const signal = options.signal || null;
+    const cancelled = () => self.LWB_Jobs
+        ? self.LWB_Jobs.createCancelledError('Text recognition cancelled')
+        : new Error('Text recognition cancelled');
+    if (total === 0) return { languages: null, pages: results };
+
+    // Overall progress is the mean of the pages' own progress
+    const pageProgress = new Array(total).fill(0);
+    let finished = 0;
+    const report = () => {
+        if (options.onProgress) {
+            options.onProgress(pageProgress.reduce((sum, value) => sum + value, 0) / total, finished, total);
+        }
+    };
+
+    let firstImage = await options.renderPage(pageNumbers[0]);
+    const languages = typeof options.languages === 'function'
+        ? await options.languages(firstImage)
+        : options.languages;
+    if (signal && signal.aborted) throw cancelled();
+
+    // The page each worker is reading, for its progress messages
+    const reading = [];
+    const size = Math.min(options.poolSize || getOCRPoolSize(total), total);
+    const workers = [];
+    let onAbort = null;
+    try {
+        const started = await Promise.allSettled(Array.from({ length: size }, (unused, slot) => {
+            return createPoolWorker(languages, options.tesseractOptions, message => {
+                const index = reading[slot];
+                if (index === undefined || message.status !== 'recognizing text') return;
+                const share = OCR_POOL_CONFIG.RENDER_SHARE;
+                pageProgress[index] = share + (message.progress || 0) * (1 - share);
+                report();
+            });
+        }));
+        started.forEach(outcome => {
+            if (outcome.status === 'fulfilled') workers.push(outcome.value);
+        });
+        if (workers.length === 0) throw started[0].reason;
+        if (signal && signal.aborted) throw cancelled();
+
+        let next = 0;
+        const readPages = async (worker, slot) => {
+            while (next < total && !(signal && signal.aborted)) {
+                const index = next++;
+                reading[slot] = index;
+                try {
+                    let image = firstImage;
+                    if (index === 0) {
+                        firstImage = null;
+                    } else {
+                        image = await options.renderPage(pageNumbers[index]);
+                    }
+                    pageProgress[index] = OCR_POOL_CONFIG.RENDER_SHARE;
+                    report();
+                    const { data } = await worker.recognize(image);
+                    results[index] = Object.assign({ page: pageNumbers[index] }, readTesseractData(data));
+                } catch (error) {
+                    if (signal && signal.aborted) return;
+                    results[index] = { page: pageNumbers[index], error };
+                }
+                reading[slot] = undefined;
+                pageProgress[index] = 1;
+                finished++;
+                report();
+            }
+        };
+        const reads = Promise.all(workers.map(readPages));
+        if (signal) {
+            const aborted = new Promise((resolve, reject) => {
+                onAbort = () => reject(cancelled());
+                signal.addEventListener('abort', onAbort, { once: true });
+            });
+            await Promise.race([reads, aborted]);
+        } else {
+            await reads;
+        }
+        if (signal && signal.aborted) throw cancelled();
+        return { languages, pages: results };
+    } finally {
+        if (onAbort) signal.removeEventListener('abort', onAbort);
+        await Promise.all(workers.map(worker => worker.terminate().catch(() => {})));
+    }
+}
+
+// ===================================================
+// EXPORT FOR GLOBAL ACCESS
+// ===================================================
+
+// `self` is the window on the page and the global scope in the worker
+self.LWB_OCRPool = {
+    OCR_POOL_CONFIG,
+    getOCRPoolSize,
+    readTesseractData,
+    recognizePages
+};
@@ -0,0 +1,459 @@
+/**
+ * SITEWEAVE - OCR PROVIDERS
+ * The engines that can read text from images, behind one contract:
+ * `recognize(image, options)` resolves to { text, blocks, confidence }.
+ * Tesseract.js (the default, runs in the browser), Google Vision, the
+ * browser's TextDetector and a local HTTP endpoint (e.g. a self-hosted
+ * PaddleOCR) are registered here. The engine chosen in the OCR settings
+ * reads image imports, scanned PDF pages and regions.
+ */
+
+// ===================================================
+// CONFIGURATION
+// ===================================================
+
+const OCR_PROVIDER_CONFIG = {
+    DEFAULT_PROVIDER: 'tesseract',
+    // A local endpoint that has not answered after this long is given up on
+    ENDPOINT_TIMEOUT: 120000,
+    // Form field the image is posted in
+    ENDPOINT_IMAGE_FIELD: 'image'
+};
+
+/**
+ * Registered providers, in the order they are offered in the settings
+ */
+const OCR_PROVIDERS = [];
+
+// ===================================================
+// REGISTRY
+// ===================================================
+
+/**
+ * Add an OCR engine, replacing one with the same id.
+ *
+ * @param {Object} provider
+ * @param {string} provider.id Stored in the settings
+ * @param {string} provider.label Name shown in the settings
+ * @param {string} provider.description One line shown under the engine picker
+ * @param {function(): string|null} provider.unavailableReason Why it cannot be used now, or null
+ * @param {function(*, Object): Promise<{text: string, blocks: Array, confidence: number|null}>} provider.recognize
+ *        Reads an image (a data URL, Blob or canvas). `blocks` are in the
+ *        form of LWB_Layout.normalizeOCRBlocks, in pixels of the image given;
+ *        `confidence` is from 0 to 1, or null when the engine reports none.
+ *        The result may also carry `language`, an LWB_OCRLanguages code.
+ *        Options: `signal` (AbortSignal), `logger` (Tesseract progress) and
+ *        `lang` (Tesseract languages, 'eng+fra').
+ */
+function registerOCRProvider(provider) {
+    if (!provider || !provider.id || typeof provider.recognize !== 'function') {
+        throw new Error('An OCR provider needs an id and a recognize function');
+    }
+    const index = OCR_PROVIDERS.findIndex(entry => entry.id === provider.id);
+    if (index === -1) {
+        OCR_PROVIDERS.push(provider);
+    } else {
+        OCR_PROVIDERS[index] = provider;
+    }
+}
+
+/**
+ * Provider registered under an id
+ */
+function getOCRProvider(id) {
+    return OCR_PROVIDERS.find(provider => provider.id === id) || null;
+}
+
+/**
+ * Every registered provider
+ */
+function listOCRProviders() {
+    return OCR_PROVIDERS.slice();
+}
+
+/**
+ * Provider chosen in the OCR settings, or the default one
+ */
+function getActiveOCRProvider() {
+    return getOCRProvider(window.LWB_Utils.loadPreference('ocrProvider', OCR_PROVIDER_CONFIG.DEFAULT_PROVIDER)) ||
+        getOCRProvider(OCR_PROVIDER_CONFIG.DEFAULT_PROVIDER);
+}
+
+/**
+ * Remember the chosen provider
+ */
+function setActiveOCRProvider(id) {
+    if (!getOCRProvider(id)) return false;
+    window.LWB_Utils.savePreference('ocrProvider', id);
+    return true;
+}
+
+/**
+ * Read an image with the chosen provider (or `options.provider`).
+ *
+ * @param {string|Blob|HTMLCanvasElement} image Image to read
+ * @param {Object} [options] Passed to the provider's recognize
+ * @returns {Promise<{text: string, blocks: Array, confidence: number|null, provider: string}>}
+ *          `provider` is the id of the engine that read the image
+ */
+async function recognizeText(image, options = {}) {
+    const provider = options.provider ? getOCRProvider(options.provider) : getActiveOCRProvider();
+    if (!provider) throw new Error(`Unknown OCR engine: ${options.provider}`);
+    const reason = provider.unavailableReason();
+    if (reason) throw new Error(`${provider.label} cannot be used: ${reason}`);
+    try {
+        const result = await provider.recognize(image, options);
+        return Object.assign({ blocks: [], confidence: null }, result, { provider: provider.id });
+    } catch (error) {
+        // fetch rejects with an AbortError; report it like the other cancellations
+        if (options.signal && options.signal.aborted && !window.LWB_Jobs.isCancelledError(error)) {
+            throw window.LWB_Jobs.createCancelledError('Text recognition cancelled');
+        }
+        throw error;
+    }
+}
+
+// ===================================================
+// SHARED HELPERS
+// ===================================================
+
+/**
+ * The image as a Blob, for engines that take files
+ */
+async function imageToBlob(image) {
+    if (image instanceof Blob) return image;
+    if (typeof image === 'string') {
+        const response = await fetch(image);
+        return response.blob();
+    }
+    if (image && typeof image.toBlob === 'function') {
+        return new Promise((resolve, reject) => {
+            image.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not read the image')), 'image/png');
+        });
+    }
+    throw new Error('Invalid image source');
+}
+
+/**
+ * Tesseract-style bounding box around a list of points ({x, y} or [x, y])
+ */
+function boxFromPoints(points) {
+    const xs = points.map(point => (Array.isArray(point) ? point[0] : point.x) || 0);
+    const ys = points.map(point => (Array.isArray(point) ? point[1] : point.y) || 0);
+    return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+}
+
+/**
+ * Layout blocks from recognised lines, for engines that do not group
+ * lines into paragraphs. Each line becomes its own paragraph; the page
+ * layout orders them into columns.
+ *
+ * @param {Array<{text: string, bbox: Object, confidence: number|null, words?: Array}>} lines
+ *        Boxes as { x0, y0, x1, y1 }; confidence from 0 to 1. A line with a
+ *        confidence but no words counts as one word, so it can be marked
+ *        for review; lines without a confidence are never marked.
+ */
+function createBlocksFromLines(lines) {
+    const blocks = lines.filter(line => line.text && line.bbox).map(line => {
+        const hasConfidence = typeof line.confidence === 'number';
+        const words = line.words && line.words.length > 0 ? line.words : [line];
+        const paragraph = {
+            bbox: line.bbox,
+            lines: [{
+                bbox: line.bbox,
+                text: line.text,
+                confidence: hasConfidence ? line.confidence * 100 : 0,
+                words: hasConfidence ? words.map(word => ({
+                    bbox: word.bbox,
+                    text: word.text,
+                    confidence: (typeof word.confidence === 'number' ? word.confidence : line.confidence) * 100
+                })) : []
+            }]
+        };
+        return { bbox: line.bbox, paragraphs: [paragraph] };
+    });
+    return window.LWB_Layout.normalizeOCRBlocks({ blocks });
+}
+
+/**
+ * Average of the numbers in a list, or null when there are none
+ */
+function averageConfidence(values) {
+    const scores = values.filter(value => typeof value === 'number');
+    return scores.length > 0 ? scores.reduce((sum, value) => sum + value, 0) / scores.length : null;
+}
+
+// ===================================================
+// TESSERACT.JS
+// ===================================================
+
+registerOCRProvider({
+    id: 'tesseract',
+    label: 'Tesseract.js',
+    description: 'Runs in the browser; images never leave your computer. Uses the languages chosen below.',
+    unavailableReason: () => typeof Tesseract === 'undefined'
+        ? window.LWB_Libraries.describeMissingLibrary('tesseract')
+        : null,
+    recognize: (image, options) => window.LWB_OCR.processWithTesseract(image, options)
+});
+
+// ===================================================
+// GOOGLE VISION
+// ===================================================
+
+/**
+ * Text of a Vision word and what follows it: a space, a line end or nothing
+ */
+function readVisionWord(word) {
+    const symbols = word.symbols || [];
+    const last = symbols[symbols.length - 1];
+    const breakType = last && last.property && last.property.detectedBreak ? last.property.detectedBreak.type : null;
+    return {
+        text: symbols.map(symbol => symbol.text).join(''),
+        breakType
+    };
+}
+
+/**
+ * Layout blocks from a Vision DOCUMENT_TEXT_DETECTION response. Vision
+ * groups words into paragraphs but not lines, so lines are split where
+ * a word ends a line.
+ */
+function visionResponseToBlocks(response) {
+    const page = response.fullTextAnnotation && response.fullTextAnnotation.pages
+        ? response.fullTextAnnotation.pages[0]
+        : null;
+    if (!page) return [];
+    const blocks = (page.blocks || []).map(block => ({
+        bbox: boxFromPoints(block.boundingBox.vertices),
+        paragraphs: (block.paragraphs || []).map(paragraph => {
+            const lines = [];
+            let current = [];
+            const endLine = () => {
+                if (current.length === 0) return;
+                const text = current.map(entry => entry.text + entry.gap).join('').trim();
+                lines.push({
+                    bbox: boxFromPoints(current.reduce((points, entry) => points.concat(entry.vertices), [])),
+                    text,
+                    confidence: (averageConfidence(current.map(entry => entry.confidence)) || 0) * 100,
+                    words: current.map(entry => ({
+                        bbox: boxFromPoints(entry.vertices),
+                        text: entry.text,
+                        confidence: (entry.confidence || 0) * 100
+                    }))
+                });
+                current = [];
+            };
+            (paragraph.words || []).forEach(word => {
+                const { text, breakType } = readVisionWord(word);
+                const endsLine = breakType === 'EOL_SURE_SPACE' || breakType === 'LINE_BREAK' || breakType === 'HYPHEN';
+                current.push({
+                    text: breakType === 'HYPHEN' ? text + '-' : text,
+                    gap: breakType === 'SPACE' || breakType === 'SURE_SPACE' ? ' ' : '',
+                    vertices: word.boundingBox.vertices,
+                    confidence: word.confidence
+                });
+                if (endsLine) endLine();
+            });
+            endLine();
+            return { bbox: boxFromPoints(paragraph.boundingBox.vertices), lines };
+        })
+    }));
+    return window.LWB_Layout.normalizeOCRBlocks({ blocks });
+}
+
+registerOCRProvider({
+    id: 'google-vision',
+    label: 'Google Vision',
+    description: 'Sends images to Google Cloud; needs an API key. Often better on handwriting and photos.',
+    unavailableReason: () => {
+        if (window.LWB_OCR.hasApiKey()) return null;
+        return window.LWB_OCR.hasLockedApiKey()
+            ? 'unlock the saved API key in the OCR settings'
+            : 'add a Google Vision API key in the OCR settings';
+    },
+    recognize: async (image, options = {}) => {
+        const base64 = await window.LWB_OCR.convertToBase64(typeof image === 'string' ? image : await imageToBlob(image));
+        const languageHints = window.LWB_OCR.getOCRLanguageSettings().languages
+            .map(code => window.LWB_OCRLanguages.getLanguageTag(code))
+            .filter(Boolean);
+        const response = await window.LWB_OCR.performOCR(base64, { languageHints, signal: options.signal });
+        const annotation = response.fullTextAnnotation;
+        const text = annotation
+            ? annotation.text
+            : (response.textAnnotations && response.textAnnotations[0] ? response.textAnnotations[0].description : '');
+        const words = [];
+        ((annotation && annotation.pages) || []).forEach(page => (page.blocks || []).forEach(block => {
+            (block.paragraphs || []).forEach(paragraph => words.push(...(paragraph.words || [])));
+        }));
+        const detected = annotation && annotation.pages && annotation.pages[0] && annotation.pages[0].property
+            ? (annotation.pages[0].property.detectedLanguages || [])[0]
+            : null;
+        return {
+            text: text || '',
+            blocks: visionResponseToBlocks(response),
+            confidence: averageConfidence(words.map(word => word.confidence)),
+            language: detected ? window.LWB_OCRLanguages.getLanguageCode(detected.languageCode) : null
+        };
+    }
+});
+
+// ===================================================
+// BROWSER TEXT DETECTOR
+// ===================================================
+
+registerOCRProvider({
+    id: 'text-detector',
+    label: 'Browser text detection',
+    description: 'Uses the text detection built into some browsers (Shape Detection API). Fast, but reports no confidence.',
+    unavailableReason: () => 'TextDetector' in window ? null : 'this browser has no built-in text detection',
+    recognize: async image => {
+        const bitmap = await createImageBitmap(await imageToBlob(image));
+        try {
+            const detections = await new window.TextDetector().detect(bitmap);
+            const lines = (detections || []).map(detection => ({
+                text: (detection.rawValue || '').trim(),
+                bbox: {
+                    x0: detection.boundingBox.x,
+                    y0: detection.boundingBox.y,
+                    x1: detection.boundingBox.x + detection.boundingBox.width,
+                    y1: detection.boundingBox.y + detection.boundingBox.height
+                },
+                confidence: null
+            })).filter(line => line.text);
+            return {
+                text: lines.map(line => line.text).join('\n'),
+                blocks: createBlocksFromLines(lines),
+                confidence: null
+            };
+        } finally {
+            bitmap.close();
+        }
+    }
+});
+
+// ===================================================
+// LOCAL HTTP ENDPOINT
+// ===================================================
+
+/**
+ * URL the local endpoint provider posts images to
+ */
+function getOCREndpointUrl() {
+    return window.LWB_Utils.loadPreference('ocrEndpointUrl', '');
+}
+
+/**
+ * Remember the local endpoint URL. Only http and https URLs are kept.
+ * @returns {boolean} Whether the URL was valid (an empty one clears it)
+ */
+function setOCREndpointUrl(url) {
+    const value = (url || '').trim();
+    if (value) {
+        let parsed;
+        try {
+            parsed = new URL(value);
+        } catch (error) {
+            return false;
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+    }
+    window.LWB_Utils.savePreference('ocrEndpointUrl', value);
+    return true;
+}
+
+/**
+ * An endpoint score from 0 to 1, or null. Scores above 1 are taken to
+ * be percentages.
+ */
+function readEndpointScore(value) {
+    if (typeof value !== 'number') return null;
+    return value > 1 ? value / 100 : value;
+}
+
+/**
+ * One line of an endpoint reply: an object { text, confidence, box or
+ * points, words } or a PaddleOCR pair [points, [text, score]]
+ */
+function readEndpointLine(item) {
+    const entry = Array.isArray(item)
+        ? { points: item[0], text: item[1] && item[1][0], confidence: item[1] && item[1][1] }
+        : item || {};
+    let bbox = null;
+    if (Array.isArray(entry.box) && entry.box.length === 4) {
+        const [x, y, width, height] = entry.box.map(Number);
+        bbox = { x0: x, y0: y, x1: x + width, y1: y + height };
+    } else if (Array.isArray(entry.points) && entry.points.length > 0) {
+        bbox = boxFromPoints(entry.points);
+    }
+    return {
+        text: String(entry.text || '').trim(),
+        bbox,
+        confidence: readEndpointScore(entry.confidence),
+        words: Array.isArray(entry.words) ? entry.words.map(readEndpointLine).filter(word => word.text && word.bbox) : []
+    };
+}
+
+registerOCRProvider({
+    id: 'local-endpoint',
+    label: 'Local endpoint',
+    description: 'Posts images to an OCR server you run, such as a self-hosted PaddleOCR.',
+    unavailableReason: () => getOCREndpointUrl() ? null : 'set the local endpoint URL in the OCR settings',
+    recognize: async (image, options = {}) => {
+        const form = new FormData();
+        form.append(OCR_PROVIDER_CONFIG.ENDPOINT_IMAGE_FIELD, await imageToBlob(image), 'image.png');
+        form.append('languages', window.LWB_OCR.getOCRLanguageSettings().languages.join(','));
+
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, OCR_PROVIDER_CONFIG.ENDPOINT_TIMEOUT);
+        if (options.signal) options.signal.addEventListener('abort', abort, { once: true });
+        let reply;
+        try {
+            const response = await fetch(getOCREndpointUrl(), { method: 'POST', body: form, signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`The local OCR endpoint answered ${response.status} ${response.statusText}`.trim());
+            }
+            reply = await response.json();
+        } catch (error) {
+            if (timedOut) throw new Error('The local OCR endpoint did not answer in time');
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (options.signal) options.signal.removeEventListener('abort', abort);
+        }
+
+        const lines = (Array.isArray(reply) ? reply : (reply && reply.lines) || []).map(readEndpointLine);
+        const text = reply && typeof reply.text === 'string'
+            ? reply.text
+            : lines.map(line => line.text).join('\n');
+        return {
+            text,
+            blocks: createBlocksFromLines(lines),
+            confidence: reply && typeof reply.confidence === 'number'
+                ? readEndpointScore(reply.confidence)
+                : averageConfidence(lines.map(line => line.confidence)),
+            language: reply && reply.language ? window.LWB_OCRLanguages.getLanguageCode(reply.language) : null
+        };
+    }
+});
+
+// ===================================================
+// EXPORTS
+// ===================================================
+
+window.LWB_OCRProviders = {
+    OCR_PROVIDER_CONFIG,
+    registerOCRProvider,
+    getOCRProvider,
+    listOCRProviders,
+    getActiveOCRProvider,
+    setActiveOCRProvider,
+    getOCREndpointUrl,
+    setOCREndpointUrl,
+    recognizeText
+};
@@ -0,0 +1,298 @@
+/**
+ * SITEWEAVE - OCR REVIEW
+ * Step through the words OCR was unsure of (marked on import, see
+ * LWB_Parser.markLowConfidenceWords), each shown beside the part of the
+ * original image it was read from, and keep or correct them.
+ */
+
+// ===================================================
+// CONFIGURATION
+// ===================================================
+
+const OCR_REVIEW_CONFIG = {
+    // The image snippet shows this much around the word, as a multiple
+    // of the word's width and height on each side
+    SNIPPET_PADDING_X: 1.5,
+    SNIPPET_PADDING_Y: 1.5,
+    // Snippets are drawn at about this width, enlarged at most MAX_ZOOM times
+    SNIPPET_WIDTH: 480,
+    MAX_ZOOM: 4,
+    // Characters of surrounding text shown on each side of the word
+    CONTEXT_LENGTH: 60
+};
+
+/**
+ * Open review: the project, the position in the list of marked words
+ * and the source images loaded so far
+ */
+let OCR_REVIEW_STATE = null;
+
+// ===================================================
+// FINDING MARKED WORDS
+// ===================================================
+
+/**
+ * Number of marked words in a project
+ */
+function countOCRMarks(project) {
+    return (project.sections || []).reduce((count, section) => {
+        return (section.content || []).reduce((sum, block) => {
+            if (block.type !== 'text' || !block.value) return sum;
+            return sum + (block.value.match(/<mark\b[^>]*\bclass="ocr-low"/gi) || []).length;
+        }, count);
+    }, 0);
+}
+
+/**
+ * Parse a text block's HTML into an inert template, which loads no
+ * images and serialises back with innerHTML
+ */
+function parseOCRBlock(value) {
+    const template = document.createElement('template');
+    template.innerHTML = value || '';
+    return template;
+}
+
+/**
+ * Every marked word in document order
+ * @returns {Array<{sectionIndex:number, contentIndex:number, markIndex:number, text:string,
+ *          confidence:number, source:string|null, box:Object|null, context:string}>}
+ */
+function collectOCRMarks(project) {
+    const marks = [];
+    project.sections.forEach((section, sectionIndex) => {
+        (section.content || []).forEach((block, contentIndex) => {
+            if (block.type !== 'text' || !block.value || !block.value.includes('ocr-low')) return;
+            parseOCRBlock(block.value).content.querySelectorAll('mark.ocr-low').forEach((mark, markIndex) => {
+                const box = (mark.getAttribute('data-ocr-box') || '').split(' ').map(parseFloat);
+                marks.push({
+                    sectionIndex,
+                    contentIndex,
+                    markIndex,
+                    sectionName: section.isHeader ? 'Header' : section.name,
+                    text: mark.textContent,
+                    confidence: parseFloat(mark.getAttribute('data-ocr-confidence')) || 0,
+                    source: mark.getAttribute('data-ocr-source'),
+                    box: box.length === 4 && box.every(value => !isNaN(value))
+                        ? { x: box[0], y: box[1], width: box[2], height: box[3] }
+                        : null,
+                    context: getOCRMarkContext(mark)
+                });
+            });
+        });
+    });
+    return marks;
+}
+
+/**
+ * The text around a mark in its paragraph, with the word in brackets
+ */
+function getOCRMarkContext(mark) {
+    const paragraph = mark.closest('p, li, h1, h2, h3, h4, blockquote') || mark.parentNode;
+    const range = mark.ownerDocument.createRange();
+    range.selectNodeContents(paragraph);
+    range.setEndBefore(mark);
+    const before = range.toString();
+    range.selectNodeContents(paragraph);
+    range.setStartAfter(mark);
+    const after = range.toString();
+    const length = OCR_REVIEW_CONFIG.CONTEXT_LENGTH;
+    return (before.length > length ? '…' + before.slice(-length) : before) +
+        `[${mark.textContent}]` +
+        (after.length > length ? after.slice(0, length) + '…' : after);
+}
+
+/**
+ * Image block an OCR source id refers to
+ */
+function findOCRSourceImage(project, source) {
+    if (!source) return null;
+    for (const section of project.sections) {
+        const block = (section.content || []).find(item => item.type === 'image' && item.ocrSource === source);
+        if (block) return block;
+    }
+    return null;
+}
+
+// ===================================================
+// OPENING AND CLOSING
+// ===================================================
+
+/**
+ * Open the review at the first marked word
+ * @param {Object} project Current project
+ * @param {function()} onUpdate Called after a word is kept or corrected
+ */
+function openOcrReview(project, onUpdate) {
+    const modal = document.getElementById('ocrReviewModal');
+    if (!modal) return;
+    if (countOCRMarks(project) === 0) {
+        window.LWB_Utils.showToast('There are no OCR words to review', 'info');
+        return;
+    }
+    OCR_REVIEW_STATE = { project, onUpdate, index: 0, images: {} };
+    modal.classList.add('active');
+    renderOcrReview();
+}
+
+/**
+ * Close the review
+ */
+function closeOcrReview() {
+    OCR_REVIEW_STATE = null;
+    const modal = document.getElementById('ocrReviewModal');
+    if (modal) modal.classList.remove('active');
+}
+
+// ===================================================
+// RENDERING
+// ===================================================
+
+/**
+ * Show the current word, or close when none are left
+ */
+function renderOcrReview() {
+    const state = OCR_REVIEW_STATE;
+    if (!state) return;
+    const marks = collectOCRMarks(state.project);
+    if (marks.length === 0) {
+        closeOcrReview();
+        window.LWB_Utils.showToast('All OCR words reviewed', 'success');
+        return;
+    }
+    state.index = Math.min(Math.max(state.index, 0), marks.length - 1);
+    const mark = marks[state.index];
+
+    document.getElementById('ocrReviewProgress').textContent =
+        `Word ${state.index + 1} of ${marks.length} · ${mark.sectionName} · ${Math.round(mark.confidence * 100)}% confidence`;
+    document.getElementById('ocrReviewContext').textContent = mark.context;
+    const input = document.getElementById('ocrReviewInput');
+    input.value = mark.text;
+    input.focus();
+    input.select();
+    document.getElementById('ocrReviewPrevBtn').disabled = state.index === 0;
+    document.getElementById('ocrReviewNextBtn').disabled = state.index === marks.length - 1;
+
+    renderOcrReviewSnippet(mark);
+}
+
+/**
+ * Draw the part of the source image around the word, with the word
+ * outlined
+ */
+function renderOcrReviewSnippet(mark) {
+    const state = OCR_REVIEW_STATE;
+    const container = document.getElementById('ocrReviewSnippet');
+    const block = findOCRSourceImage(state.project, mark.source);
+    state.snippetMark = mark;
+    if (!block || !mark.box) {
+        container.innerHTML = '<p class="ocr-review-empty">The original image is not in the project, so only the text can be checked.</p>';
+        return;
+    }
+
+    const draw = image => {
+        // Another word may be showing by the time the image loads
+        if (OCR_REVIEW_STATE !== state || state.snippetMark !== mark) return;
+        const padX = mark.box.width * OCR_REVIEW_CONFIG.SNIPPET_PADDING_X;
+        const padY = mark.box.height * OCR_REVIEW_CONFIG.SNIPPET_PADDING_Y;
+        const region = {
+            x: Math.max(0, mark.box.x - padX),
+            y: Math.max(0, mark.box.y - padY),
+            width: Math.min(100, mark.box.x + mark.box.width + padX) - Math.max(0, mark.box.x - padX),
+            height: Math.min(100, mark.box.y + mark.box.height + padY) - Math.max(0, mark.box.y - padY)
+        };
+        const regionWidth = Math.max(1, region.width / 100 * image.naturalWidth);
+        const zoom = Math.min(OCR_REVIEW_CONFIG.MAX_ZOOM, OCR_REVIEW_CONFIG.SNIPPET_WIDTH / regionWidth);
+        const canvas = window.LWB_RegionOCR.cropRegion(image, region, zoom);
+        const context = canvas.getContext('2d');
+        context.strokeStyle = '#f59e0b';
+        context.lineWidth = 2;
+        context.strokeRect(
+            (mark.box.x - region.x) / region.width * canvas.width,
+            (mark.box.y - region.y) / region.height * canvas.height,
+            mark.box.width / region.width * canvas.width,
+            mark.box.height / region.height * canvas.height
+        );
+        container.innerHTML = '';
+        container.appendChild(canvas);
+    };
+
+    const cached = state.images[mark.source];
+    if (cached) {
+        draw(cached);
+        return;
+    }
+    container.innerHTML = '<p class="ocr-review-empty">Loading image…</p>';
+    const image = new Image();
+    image.onload = () => {
+        state.images[mark.source] = image;
+        draw(image);
+    };
+    image.onerror = () => {
+        container.innerHTML = '<p class="ocr-review-empty">Could not load the original image.</p>';
+    };
+    image.src = block.url;
+}
+
+// ===================================================
+// ACTIONS
+// ===================================================
+
+/**
+ * Move to the previous or next word without changing it
+ */
+function stepOcrReview(direction) {
+    if (!OCR_REVIEW_STATE) return;
+    OCR_REVIEW_STATE.index += direction;
+    renderOcrReview();
+}
+
+/**
+ * Replace the current word's mark with the text in the input (the word
+ * as read, unless it was corrected) and move on to the next word
+ */
+function acceptOcrReviewWord() {
+    const state = OCR_REVIEW_STATE;
+    if (!state) return;
+    const mark = collectOCRMarks(state.project)[state.index];
+    if (!mark) return;
+
+    const block = state.project.sections[mark.sectionIndex].content[mark.contentIndex];
+    const template = parseOCRBlock(block.value);
+    const element = template.content.querySelectorAll('mark.ocr-low')[mark.markIndex];
+    element.replaceWith(document.createTextNode(document.getElementById('ocrReviewInput').value));
+    block.value = template.innerHTML;
+
+    window.LWB_Editor.renderSections(state.project);
+    if (state.onUpdate) state.onUpdate();
+    // The list is one shorter, so the same index is the next word
+    renderOcrReview();
+}
+
+/**
+ * Enter keeps or corrects the word
+ */
+function handleOcrReviewKey(event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        acceptOcrReviewWord();
+    }
+}
+
+// ===================================================
+// EXPORTS
+// ===================================================
+
+window.LWB_OCRReview = {
+    OCR_REVIEW_CONFIG,
+    countOCRMarks,
+    collectOCRMarks,
+    openOcrReview,
+    closeOcrReview
+};
+
+// Handlers used by the review's own markup
+window.closeOcrReview = closeOcrReview;
+window.stepOcrReview = stepOcrReview;
+window.acceptOcrReviewWord = acceptOcrReviewWord;
+window.handleOcrReviewKey = handleOcrReviewKey;
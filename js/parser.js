@@ -0,0 +1,446 @@
+/**
+ * SITEWEAVE - TEXT PARSER
+ * Turns plain text (text files, PDF text without heading styles, OCR
+ * output) and positioned page layouts into website sections. Shared by
+ * the page and the document worker so that both produce the same
+ * sections for the same text.
+ */
+
+// ===================================================
+// CONFIGURATION
+// ===================================================
+
+const PARSER_CONFIG = {
+    // Section names recognised at the start of a line
+    SECTION_HEADERS: [
+        'executive summary', 'business objectives', 'related work', 'future work',
+        'abstract', 'introduction', 'background', 'methods', 'methodology',
+        'results', 'discussion', 'conclusion', 'conclusions', 'references', 'acknowledgments',
+        'acknowledgements', 'summary', 'objectives', 'materials', 'analysis', 'findings',
+        'recommendations', 'limitations', 'appendix', 'overview', 'approach',
+        'implementation', 'evaluation', 'scope', 'goals', 'purpose'
+    ],
+
+    // Longer lines are treated as text, never as headings
+    MAX_HEADING_WORDS: 8,
+    MAX_HEADING_LENGTH: 80,
+
+    // Paragraphs this short and mostly upper case are shown in bold
+    MAX_EMPHASIS_LENGTH: 200,
+
+    // A low-confidence OCR word is looked for within this many characters
+    // of text after the previous one
+    OCR_MARK_SEARCH_WINDOW: 300,
+
+    // Icons picked by keywords in a section name, first match wins
+    SECTION_ICONS: [
+        ['introduction', '📖'], ['overview', '📖'], ['objective', '🎯'], ['goal', '🎯'],
+        ['method', '🔬'], ['result', '📊'], ['finding', '📊'], ['conclusion', '✅'],
+        ['summary', '✅'], ['question', '❓'], ['q&a', '❓'], ['thank', '🙏'],
+        ['reference', '📚'], ['bibliography', '📚'], ['contact', '📧'], ['background', '📚'],
+        ['discussion', '💬'], ['analysis', '📈'], ['data', '📊'], ['recommendation', '💡'],
+        ['future', '🔮'], ['challenge', '⚠️'], ['solution', '💡']
+    ]
+};
+
+// ===================================================
+// HELPERS
+// ===================================================
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeParserHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#039;');
+}
+
+/**
+ * Pick an icon for a section from keywords in its name
+ */
+function getHeadingIcon(name) {
+    const lower = (name || '').toLowerCase();
+    const match = PARSER_CONFIG.SECTION_ICONS.find(([keyword]) => lower.includes(keyword));
+    return match ? match[1] : '📄';
+}
+
+/**
+ * Whether a line is short enough, and unpunctuated enough, to be a heading
+ */
+function isHeadingShaped(text) {
+    return text.length > 0 &&
+        text.length <= PARSER_CONFIG.MAX_HEADING_LENGTH &&
+        text.split(/\s+/).length <= PARSER_CONFIG.MAX_HEADING_WORDS &&
+        !/[.;,!?]$/.test(text);
+}
+
+/**
+ * Find the known section name a line starts with, if any
+ */
+function findSectionHeader(text) {
+    const lower = text.toLowerCase();
+    return PARSER_CONFIG.SECTION_HEADERS.find(header => {
+        return lower === header || lower.startsWith(header + ' ') || lower.startsWith(header + ':');
+    }) || null;
+}
+
+// ===================================================
+// HEADING DETECTORS
+// ===================================================
+
+/**
+ * A heading detector receives a trimmed line and returns null, the
+ * heading name, or { name, rest } when the line also carries text
+ * after the heading ("Abstract: We show...").
+ */
+
+/**
+ * Known section names: "Results", "Materials and Methods",
+ * "Abstract: We show..."
+ */
+function keywordHeadingDetector(line) {
+    const header = findSectionHeader(line);
+    if (!header) return null;
+
+    const colon = line.indexOf(':');
+    if (colon !== -1 && colon < PARSER_CONFIG.MAX_HEADING_LENGTH) {
+        const name = line.slice(0, colon).trim();
+        const rest = line.slice(colon + 1).trim();
+        if (isHeadingShaped(name)) return { name, rest };
+    }
+    return isHeadingShaped(line) ? line : null;
+}
+
+/**
+ * Numbered headings: "1. Introduction", "2 Study Design", "3.1 Data
+ * Sources". Numbered lines that read like sentences stay list items.
+ */
+function numberedHeadingDetector(line) {
+    const match = line.match(/^\d{1,2}(?:\.\d{1,2})*\.?\s+(.+)$/);
+    if (!match) return null;
+    const name = match[1].replace(/:$/, '').trim();
+    if (!isHeadingShaped(name)) return null;
+    if (findSectionHeader(name)) return name;
+    // Otherwise every longer word must be capitalised, as in a title
+    const words = name.split(/\s+/).filter(word => word.length >= 4);
+    return words.length > 0 && words.every(word => /^[A-Z0-9]/.test(word)) ? name : null;
+}
+
+/**
+ * All-caps headings common on posters and in OCR output: "STUDY DESIGN".
+ * Not used by default; register it with registerHeadingDetector.
+ */
+function capsHeadingDetector(line) {
+    const name = line.replace(/:$/, '').trim();
+    const letters = name.replace(/[^A-Za-z]/g, '');
+    if (letters.length < 6 || letters !== letters.toUpperCase() || !isHeadingShaped(name)) return null;
+    return name;
+}
+
+/**
+ * Detectors used when parsePlainText is not given its own list
+ */
+const HEADING_DETECTORS = [keywordHeadingDetector, numberedHeadingDetector];
+
+/**
+ * Add a heading detector. It runs before the built-in ones.
+ */
+function registerHeadingDetector(detector) {
+    if (typeof detector === 'function' && !HEADING_DETECTORS.includes(detector)) {
+        HEADING_DETECTORS.unshift(detector);
+    }
+}
+
+/**
+ * Run detectors over a line; the first that matches wins
+ * @returns {{name: string, rest: string}|null}
+ */
+function detectHeading(line, detectors) {
+    for (const detector of detectors) {
+        const result = detector(line);
+        if (!result) continue;
+        return typeof result === 'string' ? { name: result, rest: '' } : { name: result.name, rest: result.rest || '' };
+    }
+    return null;
+}
+
+// ===================================================
+// FORMATTING
+// ===================================================
+
+/**
+ * Format lines of text as HTML. Blank lines separate paragraphs and
+ * other lines are joined, "-", "*" or "•" bullets become <ul> items,
+ * "1." or "1)" items become <ol> items, and short all-caps paragraphs
+ * are emphasised.
+ *
+ * @param {string[]} lines
+ * @returns {string} HTML
+ */
+function formatPlainTextLines(lines) {
+    if (!lines || lines.length === 0) return '<p></p>';
+    const items = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            items.push({ type: 'p', text: paragraph.join(' ') });
+            paragraph = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            items.push(list);
+            list = null;
+        }
+    };
+    const addListItem = (type, text) => {
+        if (!list || list.type !== type) {
+            flushParagraph();
+            flushList();
+            list = { type, items: [] };
+        }
+        list.items.push(text.trim());
+    };
+
+    lines.forEach(line => {
+        const trimmed = line.trim();
+        let match;
+        if (!trimmed) {
+            flushParagraph();
+            flushList();
+        } else if ((match = trimmed.match(/^(?:[-*–]\s+|[•◦▪●‣]\s*)(.+)/))) {
+            addListItem('ul', match[1]);
+        } else if ((match = trimmed.match(/^\d{1,3}[.)]\s+(.+)/))) {
+            addListItem('ol', match[1]);
+        } else {
+            flushList();
+            paragraph.push(trimmed);
+        }
+    });
+    flushParagraph();
+    flushList();
+
+    return items.map(item => {
+        if (item.type !== 'p') {
+            return `<${item.type}>` + item.items.map(text => `<li>${escapeParserHtml(text)}</li>`).join('') + `</${item.type}>`;
+        }
+        const letters = item.text.replace(/[^A-Za-z]/g, '');
+        const upper = item.text.replace(/[^A-Z]/g, '');
+        const shouting = letters.length > 0 && upper.length / letters.length > 0.7 &&
+            item.text.length < PARSER_CONFIG.MAX_EMPHASIS_LENGTH;
+        return shouting
+            ? `<p><strong>${escapeParserHtml(item.text)}</strong></p>`
+            : `<p>${escapeParserHtml(item.text)}</p>`;
+    }).join('');
+}
+
+// ===================================================
+// SECTION BUILDING
+// ===================================================
+
+/**
+ * Split plain text into sections. Lines found by the heading detectors
+ * start sections; text before the first heading becomes an
+ * Introduction section, and text with no headings a single Content
+ * section. Section ids are numbered, so the same text always gives the
+ * same sections.
+ *
+ * @param {string} text
+ * @param {string} fileName Used for the header title
+ * @param {Object} [options]
+ * @param {Array<function>} [options.detectors] Heading detectors, in priority order
+ * @param {string} [options.title] Header title instead of the file name
+ * @returns {Array} Sections, starting with the header
+ */
+function parsePlainText(text, fileName, options = {}) {
+    const detectors = options.detectors || HEADING_DETECTORS;
+    const title = options.title || (fileName || '').replace(/\.[^/.]+$/, '') || 'Document';
+    const lines = (text || '').split(/\r?\n/);
+
+    const preamble = { id: 'introduction', icon: '📖', name: 'Introduction', lines: [] };
+    const bodySections = [];
+    let current = preamble;
+
+    lines.forEach(line => {
+        const trimmed = line.trim();
+        const heading = trimmed ? detectHeading(trimmed, detectors) : null;
+        if (!heading) {
+            current.lines.push(line);
+            return;
+        }
+        let name = heading.name.replace(/^\d+(?:\.\d+)*\.?\s*/, '').replace(/:$/, '').trim();
+        // "STUDY DESIGN" reads as "Study design"
+        if (/[A-Z]{2}/.test(name) && name === name.toUpperCase()) name = name.toLowerCase();
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 30);
+        current = {
+            id: `section-${bodySections.length + 1}-${slug}`,
+            icon: getHeadingIcon(name),
+            name: (name.charAt(0).toUpperCase() + name.slice(1)).substring(0, 60),
+            lines: heading.rest ? [heading.rest] : []
+        };
+        bodySections.push(current);
+    });
+
+    const hasText = section => section.lines.some(line => line.trim());
+    const toSection = section => ({
+        id: section.id,
+        icon: section.icon,
+        name: section.name,
+        content: hasText(section)
+            ? [{ type: 'text', value: formatPlainTextLines(section.lines), allowHtml: false }]
+            : []
+    });
+
+    const sections = [{
+        id: 'header',
+        icon: '📄',
+        name: 'Header',
+        isHeader: true,
+        content: [{ type: 'text', value: `<h1>${escapeParserHtml(title)}</h1>`, allowHtml: false }]
+    }];
+
+    if (bodySections.length === 0) {
+        if (hasText(preamble)) {
+            sections.push(toSection(Object.assign(preamble, { id: 'content', icon: '📝', name: 'Content' })));
+        }
+        return sections;
+    }
+    if (hasText(preamble)) sections.push(toSection(preamble));
+    return sections.concat(bodySections.filter(hasText).map(toSection));
+}
+
+/**
+ * Split positioned pages (a PDF text layer or OCR lines, see
+ * LWB_Layout) into sections at the headings found from font sizes.
+ * Text set in a single style falls back to parsePlainText. Words that
+ * OCR was unsure of are marked, see markLowConfidenceWords.
+ *
+ * @param {Array} pages Page layouts in reading order
+ * @param {string} fileName Used when no title is found
+ * @param {string} [text] Plain text for the fallback, when it holds more
+ *        than the layouts (OCR results without positions); defaults to
+ *        the text of the pages
+ * @param {Object} [options]
+ * @param {Object} [options.ocrSource] Image the OCR pages were read from, see markLowConfidenceWords
+ * @returns {Array} Sections, starting with the header
+ */
+function parseLayoutPages(pages, fileName, text, options = {}) {
+    const layout = self.LWB_Layout;
+    const sections = layout.buildSectionsFromLayout(layout.classifyLayoutLines(pages), fileName, {
+        formatLines: formatPlainTextLines,
+        escapeHtml: escapeParserHtml,
+        detectIcon: getHeadingIcon
+    }) || parsePlainText(text || layout.getLayoutText(pages), fileName);
+    return markLowConfidenceWords(sections, layout.getLowConfidenceWords(pages), options.ocrSource);
+}
+
+// ===================================================
+// OCR CONFIDENCE MARKS
+// ===================================================
+
+/**
+ * Index of `word` in `text` where it is not part of a longer word, or -1
+ */
+function findWholeWord(text, word) {
+    const isWordChar = char => /[\p{L}\p{N}]/u.test(char || '');
+    let index = text.indexOf(word);
+    while (index !== -1) {
+        if (!isWordChar(text[index - 1]) && !isWordChar(text[index + word.length])) return index;
+        index = text.indexOf(word, index + 1);
+    }
+    return -1;
+}
+
+/**
+ * Markup for a word OCR was unsure of. The editor highlights it and the
+ * exporters unwrap it.
+ */
+function createOCRMark(html, word, source) {
+    const attributes = [`data-ocr-confidence="${word.confidence.toFixed(2)}"`];
+    if (source) {
+        const box = source.mapBox(word);
+        attributes.push(`data-ocr-source="${escapeParserHtml(source.id)}"`);
+        attributes.push(`data-ocr-box="${[box.x, box.y, box.width, box.height].map(value => value.toFixed(2)).join(' ')}"`);
+    }
+    return `<mark class="ocr-low" ${attributes.join(' ')}>${html}</mark>`;
+}
+
+/**
+ * Wrap low-confidence words in the text blocks of sections built from
+ * OCR. Words are looked for in reading order, each a short way past the
+ * previous one, so a word is marked where it was read rather than
+ * wherever the same text first appears. Words that no longer appear as
+ * read (re-joined hyphenation, headings that became section names) are
+ * left out.
+ *
+ * @param {Array} sections Sections built from the OCR text; changed in place
+ * @param {Array} words Output of LWB_Layout.getLowConfidenceWords
+ * @param {{id: string, mapBox: function(Object): Object}} [source] Image the
+ *        words were read from: the id of the image block holding it
+ *        (`ocrSource`) and a function giving a word's box as percentages
+ *        of that image ({ x, y, width, height }). Without it the marks
+ *        only carry the confidence.
+ * @returns {Array} The sections
+ */
+function markLowConfidenceWords(sections, words, source) {
+    if (!words || words.length === 0) return sections;
+    // Even parts are text, odd parts are tags; a wrapped word is spliced
+    // in as [text before, mark, text after], which keeps that pattern
+    const blocks = [];
+    sections.forEach(section => section.content.forEach(block => {
+        if (block.type === 'text') blocks.push({ block, parts: block.value.split(/(<[^>]*>)/) });
+    }));
+
+    let cursor = { block: 0, part: 0 };
+    words.forEach(word => {
+        const target = escapeParserHtml(word.text);
+        let budget = PARSER_CONFIG.OCR_MARK_SEARCH_WINDOW;
+        let { block: b, part: p } = cursor;
+        while (b < blocks.length && budget > 0) {
+            const parts = blocks[b].parts;
+            if (p >= parts.length) {
+                b++;
+                p = 0;
+                continue;
+            }
+            if (p % 2 === 0) {
+                const index = findWholeWord(parts[p], target);
+                if (index !== -1 && index <= budget) {
+                    const text = parts[p];
+                    parts.splice(p, 1, text.slice(0, index), createOCRMark(target, word, source), text.slice(index + target.length));
+                    cursor = { block: b, part: p + 2 };
+                    return;
+                }
+                budget -= parts[p].length;
+            }
+            p++;
+        }
+    });
+
+    blocks.forEach(({ block, parts }) => { block.value = parts.join(''); });
+    return sections;
+}
+
+// ===================================================
+// EXPORT FOR GLOBAL ACCESS
+// ===================================================
+
+// `self` is the window on the page and the global scope in the worker
+self.LWB_Parser = {
+    PARSER_CONFIG,
+    HEADING_DETECTORS,
+    keywordHeadingDetector,
+    numberedHeadingDetector,
+    capsHeadingDetector,
+    registerHeadingDetector,
+    detectHeading,
+    getHeadingIcon,
+    escapeParserHtml,
+    formatPlainTextLines,
+    parsePlainText,
+    parseLayoutPages,
+    markLowConfidenceWords
+};
@@ -0,0 +1,421 @@
+/**
+ * SITEWEAVE - REGION OCR
+ * Draw rectangles on an image in the editor and read each one with OCR,
+ * or cut it out as a figure. Whole-image OCR of a busy poster often
+ * mixes up columns; reading one region at a time fixes a bad conversion
+ * without retyping.
+ */
+
+// ===================================================
+// CONFIGURATION
+// ===================================================
+
+const REGION_OCR_CONFIG = {
+    // Rectangles smaller than this (percent of the image side) are
+    // treated as stray clicks
+    MIN_REGION_SIZE: 1,
+    // Small regions are enlarged before OCR until they are this wide
+    // (pixels), at most by MAX_UPSCALE, as Tesseract reads small text poorly
+    OCR_TARGET_WIDTH: 1600,
+    MAX_UPSCALE: 3,
+    FIGURE_IMAGE_QUALITY: 0.9
+};
+
+/**
+ * Open region tool: the image being read, its regions and the OCR job
+ */
+let REGION_OCR_STATE = null;
+
+// ===================================================
+// OPENING AND CLOSING
+// ===================================================
+
+/**
+ * Open the region tool for an image block
+ * @param {Object} project Current project
+ * @param {number} sectionIndex Section holding the image
+ * @param {number} contentIndex Image block within the section
+ * @param {function()} onUpdate Called after regions are added to the project
+ */
+function openRegionOcr(project, sectionIndex, contentIndex, onUpdate) {
+    const block = project.sections[sectionIndex] && project.sections[sectionIndex].content[contentIndex];
+    const modal = document.getElementById('regionOcrModal');
+    if (!block || block.type !== 'image' || !block.url || !modal) return;
+
+    // A job still reading regions of the previous image is stopped
+    if (REGION_OCR_STATE && REGION_OCR_STATE.job) {
+        REGION_OCR_STATE.job.cancel();
+    }
+    const state = REGION_OCR_STATE = {
+        project,
+        sectionIndex,
+        onUpdate,
+        image: null,
+        regions: [],
+        draft: null,
+        job: null,
+        languages: null,
+        nextId: 1
+    };
+
+    const stage = document.getElementById('regionOcrStage');
+    stage.innerHTML = '';
+    const image = new Image();
+    image.className = 'region-ocr-image';
+    image.alt = 'Image to read';
+    image.draggable = false;
+    image.onload = () => {
+        if (REGION_OCR_STATE !== state) return;
+        state.image = image;
+        renderRegions();
+    };
+    image.onerror = () => {
+        if (REGION_OCR_STATE !== state) return;
+        closeRegionOcr();
+        window.LWB_Utils.showToast('Could not load the image', 'error');
+    };
+    image.src = block.url;
+    stage.appendChild(image);
+
+    stage.onpointerdown = startRegionDraft;
+    stage.onpointermove = updateRegionDraft;
+    stage.onpointerup = finishRegionDraft;
+    stage.onpointercancel = () => {
+        if (REGION_OCR_STATE) REGION_OCR_STATE.draft = null;
+        renderRegionBoxes();
+    };
+
+    renderRegions();
+    modal.classList.add('active');
+}
+
+/**
+ * Close the region tool, stopping any OCR still running
+ */
+function closeRegionOcr() {
+    if (REGION_OCR_STATE && REGION_OCR_STATE.job) {
+        REGION_OCR_STATE.job.cancel();
+    }
+    REGION_OCR_STATE = null;
+    const modal = document.getElementById('regionOcrModal');
+    if (modal) modal.classList.remove('active');
+}
+
+// ===================================================
+// DRAWING
+// ===================================================
+
+/**
+ * Pointer position as a percentage of the image
+ */
+function getStagePoint(event) {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const clamp = value => Math.max(0, Math.min(100, value));
+    return {
+        x: clamp((event.clientX - rect.left) / rect.width * 100),
+        y: clamp((event.clientY - rect.top) / rect.height * 100)
+    };
+}
+
+function startRegionDraft(event) {
+    if (!REGION_OCR_STATE || !REGION_OCR_STATE.image || event.button !== 0) return;
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = getStagePoint(event);
+    REGION_OCR_STATE.draft = { startX: point.x, startY: point.y, x: point.x, y: point.y, width: 0, height: 0 };
+    renderRegionBoxes();
+}
+
+function updateRegionDraft(event) {
+    const draft = REGION_OCR_STATE && REGION_OCR_STATE.draft;
+    if (!draft) return;
+    const point = getStagePoint(event);
+    draft.x = Math.min(draft.startX, point.x);
+    draft.y = Math.min(draft.startY, point.y);
+    draft.width = Math.abs(point.x - draft.startX);
+    draft.height = Math.abs(point.y - draft.startY);
+    renderRegionBoxes();
+}
+
+function finishRegionDraft() {
+    const state = REGION_OCR_STATE;
+    if (!state || !state.draft) return;
+    const draft = state.draft;
+    state.draft = null;
+    if (draft.width >= REGION_OCR_CONFIG.MIN_REGION_SIZE && draft.height >= REGION_OCR_CONFIG.MIN_REGION_SIZE) {
+        const number = state.nextId++;
+        state.regions.push({
+            id: number,
+            x: draft.x,
+            y: draft.y,
+            width: draft.width,
+            height: draft.height,
+            kind: 'section',
+            label: `Region ${number}`,
+            text: '',
+            confidence: null,
+            status: 'new'
+        });
+    }
+    renderRegions();
+}
+
+// ===================================================
+// RENDERING
+// ===================================================
+
+/**
+ * Draw the region boxes, and the one being drawn, over the image
+ */
+function renderRegionBoxes() {
+    const state = REGION_OCR_STATE;
+    const stage = document.getElementById('regionOcrStage');
+    if (!state || !stage) return;
+
+    const escape = window.LWB_Parser.escapeParserHtml;
+    const box = region => `left:${region.x}%;top:${region.y}%;width:${region.width}%;height:${region.height}%`;
+
+    stage.querySelectorAll('.region-ocr-box').forEach(element => element.remove());
+    const boxes = state.regions.map((region, index) => {
+        return `<div class="region-ocr-box ${region.kind}" style="${box(region)}"><span>${index + 1}. ${escape(region.label)}</span></div>`;
+    });
+    if (state.draft) {
+        boxes.push(`<div class="region-ocr-box draft" style="${box(state.draft)}"></div>`);
+    }
+    stage.insertAdjacentHTML('beforeend', boxes.join(''));
+}
+
+/**
+ * Draw the region boxes and list the regions with their settings
+ */
+function renderRegions() {
+    const state = REGION_OCR_STATE;
+    const list = document.getElementById('regionOcrList');
+    if (!state || !list) return;
+    renderRegionBoxes();
+
+    // Labels also go into attribute values, so quotes are escaped too
+    const escape = window.LWB_Parser.escapeParserHtml;
+    const busy = !!state.job;
+    if (state.regions.length === 0) {
+        list.innerHTML = '<p class="form-help">Drag on the image to mark a region.</p>';
+    } else {
+        list.innerHTML = state.regions.map((region, index) => {
+            const status = {
+                new: '',
+                reading: 'Reading…',
+                done: region.confidence !== null ? `Read (${Math.round(region.confidence * 100)}% confidence)` : 'Read',
+                failed: region.kind === 'figure' ? 'Could not cut out this figure' : 'Could not read this region'
+            }[region.status];
+            const lowConfidence = region.status === 'done' && region.confidence !== null &&
+                region.confidence < window.LWB_OCR.OCR_CONFIG.CONFIDENCE_THRESHOLD;
+            return `
+                <div class="region-ocr-item">
+                    <div class="region-ocr-item-header">
+                        <strong>${index + 1}.</strong>
+                        <input type="text" class="form-input" value="${escape(region.label)}" aria-label="Region name"
+                               oninput="updateRegionField(${region.id}, 'label', this.value)">
+                        <select class="form-input" aria-label="Region type" onchange="updateRegionField(${region.id}, 'kind', this.value)">
+                            <option value="section" ${region.kind === 'section' ? 'selected' : ''}>Section (read text)</option>
+                            <option value="figure" ${region.kind === 'figure' ? 'selected' : ''}>Figure (keep as image)</option>
+                        </select>
+                        ${region.kind === 'section' ? `<button class="btn btn-small btn-secondary" onclick="readRegion(${region.id})" ${busy ? 'disabled' : ''}>Read text</button>` : ''}
+                        <button class="icon-btn danger" onclick="removeRegion(${region.id})" title="Remove region">🗑</button>
+                    </div>
+                    ${status ? `<span class="form-help${lowConfidence ? ' region-ocr-low' : ''}">${status}${lowConfidence ? ' - check the text below' : ''}</span>` : ''}
+                    ${region.kind === 'section' && region.status === 'done' ? `
+                        <textarea class="form-input region-ocr-text" rows="4" aria-label="Recognised text"
+                                  oninput="updateRegionField(${region.id}, 'text', this.value)">${escape(region.text)}</textarea>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    const addButton = document.getElementById('regionOcrApplyBtn');
+    if (addButton) addButton.disabled = busy || state.regions.length === 0;
+}
+
+/**
+ * Change a region's label, kind ('section' or 'figure') or text
+ */
+function updateRegionField(id, field, value) {
+    const region = REGION_OCR_STATE && REGION_OCR_STATE.regions.find(candidate => candidate.id === id);
+    if (!region) return;
+    region[field] = value;
+    // Typing only redraws the boxes, so the input keeps its focus
+    if (field === 'kind') {
+        renderRegions();
+    } else {
+        renderRegionBoxes();
+    }
+}
+
+function removeRegion(id) {
+    if (!REGION_OCR_STATE || REGION_OCR_STATE.job) return;
+    REGION_OCR_STATE.regions = REGION_OCR_STATE.regions.filter(region => region.id !== id);
+    renderRegions();
+}
+
+// ===================================================
+// READING REGIONS
+// ===================================================
+
+/**
+ * Cut a region out of the image, enlarged by `scale`
+ * @returns {HTMLCanvasElement}
+ */
+function cropRegion(image, region, scale) {
+    const sx = region.x / 100 * image.naturalWidth;
+    const sy = region.y / 100 * image.naturalHeight;
+    const sw = Math.max(1, region.width / 100 * image.naturalWidth);
+    const sh = Math.max(1, region.height / 100 * image.naturalHeight);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(sw * scale);
+    canvas.height = Math.round(sh * scale);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * Run OCR on the given regions one after another under a single job
+ */
+async function readRegions(regions) {
+    const state = REGION_OCR_STATE;
+    if (!state || state.job || regions.length === 0) return;
+
+    const job = window.LWB_Jobs.startJob('region-ocr');
+    state.job = job;
+    try {
+        // Tesseract's languages are chosen once for the whole image
+        // (detecting its script if asked) and kept for every region and
+        // later reads; the other engines pick their own
+        if (!state.languages && window.LWB_OCRProviders.getActiveOCRProvider().id === 'tesseract') {
+            state.languages = await window.LWB_OCR.resolveTesseractLanguages(state.image, job.signal);
+        }
+        for (const region of regions) {
+            job.throwIfCancelled();
+            region.status = 'reading';
+            renderRegions();
+            try {
+                const width = region.width / 100 * state.image.naturalWidth;
+                const scale = Math.max(1, Math.min(REGION_OCR_CONFIG.MAX_UPSCALE, REGION_OCR_CONFIG.OCR_TARGET_WIDTH / width));
+                const result = await window.LWB_OCRProviders.recognizeText(
+                    cropRegion(state.image, region, scale).toDataURL('image/png'),
+                    { signal: job.signal, lang: state.languages }
+                );
+                region.text = (result.text || '').trim();
+                region.confidence = result.confidence;
+                region.status = 'done';
+            } catch (error) {
+                if (window.LWB_Jobs.isCancelledError(error)) throw error;
+                console.error(`OCR failed for region ${region.id}:`, error);
+                region.status = 'failed';
+            }
+        }
+        job.result();
+    } catch (error) {
+        // Closing the tool cancels the job; there is nothing left to update
+        if (!window.LWB_Jobs.isCancelledError(error)) throw error;
+    } finally {
+        if (REGION_OCR_STATE === state) {
+            state.job = null;
+            renderRegions();
+        }
+    }
+}
+
+/**
+ * Read the text of one region
+ */
+function readRegion(id) {
+    const region = REGION_OCR_STATE && REGION_OCR_STATE.regions.find(candidate => candidate.id === id);
+    if (region) readRegions([region]);
+}
+
+/**
+ * Add the regions to the project after the image's section, in the
+ * order they were drawn. Section regions become sections holding their
+ * text (regions not read yet are read first); figure regions are cut
+ * out and added to the section before them, captioned with their label.
+ * Nothing is added while a figure cannot be cut out (an image from
+ * another site taints the canvas); those regions are marked failed.
+ */
+async function applyRegions() {
+    const state = REGION_OCR_STATE;
+    if (!state || state.job || state.regions.length === 0) return;
+
+    await readRegions(state.regions.filter(region => region.kind === 'section' && region.status === 'new'));
+    if (REGION_OCR_STATE !== state) return;
+
+    const { project, image } = state;
+    const figures = state.regions.filter(region => region.kind === 'figure');
+    const figureUrls = new Map();
+    figures.forEach(region => {
+        try {
+            figureUrls.set(region, cropRegion(image, region, 1).toDataURL('image/jpeg', REGION_OCR_CONFIG.FIGURE_IMAGE_QUALITY));
+        } catch (error) {
+            console.error(`Could not cut out figure region ${region.id}:`, error);
+            region.status = 'failed';
+        }
+    });
+    if (figureUrls.size < figures.length) {
+        renderRegions();
+        window.LWB_Utils.showToast('Some figures could not be cut out of this image; read them as sections or remove them', 'error');
+        return;
+    }
+
+    const escape = window.LWB_Parser.escapeParserHtml;
+    let insertAt = state.sectionIndex + 1;
+    let target = project.sections[state.sectionIndex];
+    let added = 0;
+
+    state.regions.forEach(region => {
+        if (region.kind === 'figure') {
+            target.content.push({
+                id: window.LWB_Utils.createUniqueId(),
+                type: 'image',
+                url: figureUrls.get(region),
+                caption: escape(region.label)
+            });
+            added++;
+            return;
+        }
+        const name = region.label.trim() || 'Untitled';
+        target = {
+            id: window.LWB_Utils.createUniqueId(),
+            icon: window.LWB_Parser.getHeadingIcon(name),
+            name: name,
+            content: region.text.trim()
+                ? [{ id: window.LWB_Utils.createUniqueId(), type: 'text', value: window.LWB_Parser.formatPlainTextLines(region.text.split(/\r?\n/)), allowHtml: false }]
+                : []
+        };
+        project.sections.splice(insertAt++, 0, target);
+        added++;
+    });
+
+    closeRegionOcr();
+    window.LWB_Editor.renderSections(project);
+    if (state.onUpdate) state.onUpdate();
+    window.LWB_Utils.showToast(`${added} region${added === 1 ? '' : 's'} added`, 'success');
+}
+
+// ===================================================
+// EXPORTS
+// ===================================================
+
+window.LWB_RegionOCR = {
+    REGION_OCR_CONFIG,
+    openRegionOcr,
+    closeRegionOcr,
+    cropRegion
+};
+
+// Handlers used by the region tool's own markup
+window.closeRegionOcr = closeRegionOcr;
+window.updateRegionField = updateRegionField;
+window.removeRegion = removeRegion;
+window.readRegion = readRegion;
+window.applyRegions = applyRegions;
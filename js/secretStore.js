@@ -0,0 +1,171 @@
+/**
+ * SITEWEAVE - SECRET STORE
+ * Keeps secrets such as API keys in localStorage encrypted with a
+ * passphrase (WebCrypto: PBKDF2 key derivation, AES-GCM encryption).
+ * Nothing is stored in plain text; the passphrase itself is never kept.
+ */
+
+// ===================================================
+// CONFIGURATION
+// ===================================================
+
+const SECRET_STORE_CONFIG = {
+    STORAGE_PREFIX: 'siteweave_secret_',
+    // PBKDF2 with SHA-256; more iterations make guessing the passphrase slower
+    PBKDF2_ITERATIONS: 600000,
+    SALT_BYTES: 16,
+    // AES-GCM's recommended nonce length
+    IV_BYTES: 12,
+    MIN_PASSPHRASE_LENGTH: 8
+};
+
+// ===================================================
+// ENCODING
+// ===================================================
+
+/**
+ * Base64 text of a byte array
+ */
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+/**
+ * Byte array of base64 text
+ */
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// ===================================================
+// ENCRYPTION
+// ===================================================
+
+/**
+ * Whether this browser can encrypt secrets. WebCrypto is only
+ * available on https:// pages and localhost.
+ */
+function isSecretStoreSupported() {
+    return !!(window.crypto && window.crypto.subtle && window.isSecureContext !== false);
+}
+
+/**
+ * AES-GCM key derived from a passphrase and salt
+ */
+async function deriveSecretKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt a secret with a passphrase
+ * @returns {Promise<{version: number, iterations: number, salt: string, iv: string, data: string}>}
+ *          Base64 fields; the iteration count is kept so it can be raised later
+ */
+async function encryptSecret(secret, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SECRET_STORE_CONFIG.SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(SECRET_STORE_CONFIG.IV_BYTES));
+    const iterations = SECRET_STORE_CONFIG.PBKDF2_ITERATIONS;
+    const key = await deriveSecretKey(passphrase, salt, iterations);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(secret));
+    return { version: 1, iterations, salt: bytesToBase64(salt), iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+/**
+ * Decrypt a record from encryptSecret
+ * @returns {Promise<string|null>} The secret, or null when the passphrase is wrong
+ */
+async function decryptSecret(record, passphrase) {
+    try {
+        const key = await deriveSecretKey(passphrase, base64ToBytes(record.salt), record.iterations);
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(record.iv) }, key, base64ToBytes(record.data));
+        return new TextDecoder().decode(data);
+    } catch (error) {
+        // AES-GCM fails its integrity check when the key is wrong
+        return null;
+    }
+}
+
+// ===================================================
+// STORAGE
+// ===================================================
+
+/**
+ * Encrypted record stored under a name, or null
+ */
+function readSecretRecord(name) {
+    try {
+        const stored = localStorage.getItem(SECRET_STORE_CONFIG.STORAGE_PREFIX + name);
+        const record = stored ? JSON.parse(stored) : null;
+        return record && record.salt && record.iv && record.data ? record : null;
+    } catch (error) {
+        console.error('Failed to read stored secret:', error);
+        return null;
+    }
+}
+
+/**
+ * Whether an encrypted secret is stored under a name
+ */
+function hasStoredSecret(name) {
+    return !!readSecretRecord(name);
+}
+
+/**
+ * Encrypt a secret and store it under a name, replacing any stored one
+ * @throws {Error} When WebCrypto is unavailable or the passphrase is too short
+ */
+async function storeSecret(name, secret, passphrase) {
+    if (!isSecretStoreSupported()) {
+        throw new Error('Encrypted storage needs a secure (https://) page');
+    }
+    if (!passphrase || passphrase.length < SECRET_STORE_CONFIG.MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Use a passphrase of at least ${SECRET_STORE_CONFIG.MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    const record = await encryptSecret(secret, passphrase);
+    localStorage.setItem(SECRET_STORE_CONFIG.STORAGE_PREFIX + name, JSON.stringify(record));
+}
+
+/**
+ * Decrypt the secret stored under a name
+ * @returns {Promise<string|null>} The secret, or null when none is stored or the passphrase is wrong
+ */
+async function loadSecret(name, passphrase) {
+    const record = readSecretRecord(name);
+    if (!record || !isSecretStoreSupported()) return null;
+    return decryptSecret(record, passphrase);
+}
+
+/**
+ * Remove the secret stored under a name
+ */
+function forgetSecret(name) {
+    try {
+        localStorage.removeItem(SECRET_STORE_CONFIG.STORAGE_PREFIX + name);
+    } catch (error) {
+        console.error('Failed to remove stored secret:', error);
+    }
+}
+
+// ===================================================
+// EXPORTS
+// ===================================================
+
+window.LWB_SecretStore = {
+    SECRET_STORE_CONFIG,
+    isSecretStoreSupported,
+    encryptSecret,
+    decryptSecret,
+    hasStoredSecret,
+    storeSecret,
+    loadSecret,
+    forgetSecret
+};
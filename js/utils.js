@@ -129,6 +129,31 @@ function importProjectData(file, callback) {
     reader.readAsText(file);
 }
 
+/**
+ * Remember a user preference across sessions. Preferences are stored
+ * separately from the project so they survive starting a new one.
+ */
+function savePreference(name, value) {
+    try {
+        localStorage.setItem(`siteweave_pref_${name}`, JSON.stringify(value));
+    } catch (error) {
+        console.error(`Failed to save preference "${name}":`, error);
+    }
+}
+
+/**
+ * Read a remembered user preference, or the default if none is stored
+ */
+function loadPreference(name, defaultValue) {
+    try {
+        const saved = localStorage.getItem(`siteweave_pref_${name}`);
+        return saved !== null ? JSON.parse(saved) : defaultValue;
+    } catch (error) {
+        console.error(`Failed to load preference "${name}":`, error);
+        return defaultValue;
+    }
+}
+
 // ===================================================
 // UTILITY FUNCTIONS
 // ===================================================
@@ -329,181 +354,116 @@ function sanitizeHtml(html) {
 }
 
 /**
- * Parse text content into meaningful sections
- */
-function parseTextIntoSections(text, fileName) {
-    const sections = [];
-    const cleanFileName = fileName.replace(/\.[^/.]+$/, '');
-    
-    // Common section headers to look for
-    const sectionHeaders = [
-        'abstract', 'introduction', 'background', 'methods', 'methodology',
-        'results', 'discussion', 'conclusion', 'references', 'acknowledgments',
-        'summary', 'objectives', 'materials', 'analysis', 'findings',
-        'recommendations', 'future work', 'limitations', 'appendix',
-        'overview', 'approach', 'implementation', 'evaluation', 'related work'
-    ];
-    
-    // Create header section
-    sections.push({
-        id: 'header',
-        icon: getIconForSection('header'),
-        name: 'Header',
-        isHeader: true,
-        content: [
-            { 
-                type: 'text', 
-                value: `<h1>${cleanFileName}</h1>`, 
-                allowHtml: false 
-            }
-        ]
-    });
+ * Format lines of text into HTML paragraphs and lists (see parser.js)
+ */
+function formatTextContent(lines) {
+    return window.LWB_Parser.formatPlainTextLines(lines);
+}
+
+/**
+ * Parse CSV text into rows of cell strings (RFC 4180 quoting). The
+ * delimiter is detected from the first line when not given, so
+ * semicolon-separated exports and tab-separated text copied from a
+ * spreadsheet work too. Blank lines are skipped.
+ * @param {string} text
+ * @param {string} [delimiter]
+ * @returns {Array<Array<string>>}
+ */
+function parseCSV(text, delimiter) {
+    const source = (text || '').replace(/^\uFEFF/, '');
+    if (!delimiter) {
+        const firstLine = source.split(/\r?\n/).find(line => line.trim()) || '';
+        const counts = [',', ';', '\t'].map(candidate => ({
+            candidate,
+            count: firstLine.split(candidate).length - 1
+        }));
+        counts.sort((a, b) => b.count - a.count);
+        delimiter = counts[0].count > 0 ? counts[0].candidate : ',';
+    }
     
-    // Split text into lines
-    const lines = text.split(/\r?\n/).filter(line => line.trim());
-    let currentSection = null;
-    let currentContent = [];
-    const toTitleCase = str => str.charAt(0).toUpperCase() + str.slice(1);
-    for (const line of lines) {
-        const trimmed = line.trim();
-        const lowerLine = trimmed.toLowerCase();
-        let headerCandidate = null;
-        // Detect numbered headings (e.g. "1. Introduction" or "2 Methodology")
-        const numMatch = trimmed.match(/^\d+\.?\s+(.+)/);
-        if (numMatch) {
-            headerCandidate = numMatch[1].trim();
-        } else {
-            // Match predefined headers by prefix, exact match or followed by a colon
-            headerCandidate = sectionHeaders.find(header => {
-                return lowerLine.startsWith(header) ||
-                       lowerLine === header ||
-                       new RegExp(`^\d+\.?\s*${header}`, 'i').test(lowerLine) ||
-                       lowerLine.includes(header + ':');
-            });
-        }
-        if (headerCandidate) {
-            // Save previous section if exists
-            if (currentSection && currentContent.length > 0) {
-                currentSection.content.push({
-                    type: 'text',
-                    value: formatTextContent(currentContent),
-                    allowHtml: false
-                });
-                sections.push(currentSection);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
             }
-            // Clean numeric prefixes
-            const cleanHeader = headerCandidate.replace(/^\d+\.?\s*/, '').trim();
-            currentSection = {
-                id: `${cleanHeader.replace(/\s+/g, '-')}-${createUniqueId()}`,
-                icon: getIconForSection(cleanHeader),
-                name: capitalizeFirstLetter(cleanHeader),
-                content: []
-            };
-            currentContent = [];
-        } else if (trimmed) {
-            currentContent.push(trimmed);
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
         }
     }
-    // Save last section
-    if (currentSection && currentContent.length > 0) {
-        currentSection.content.push({
-            type: 'text',
-            value: formatTextContent(currentContent),
-            allowHtml: false
-        });
-        sections.push(currentSection);
-    }
-    // If no sections were detected beyond header, put all content into a single content section
-    if (sections.length === 1 && lines.length > 0) {
-        sections.push({
-            id: `content-${createUniqueId()}`,
-            icon: getIconForSection('content'),
-            name: 'Content',
-            content: [
-                { 
-                    type: 'text', 
-                    value: formatTextContent(lines), 
-                    allowHtml: false 
-                }
-            ]
-        });
-    }
-    return sections;
+    row.push(cell);
+    rows.push(row);
+    
+    return rows
+        .map(cells => cells.map(value => value.trim()))
+        .filter(cells => cells.some(value => value !== ''));
 }
 
 /**
- * Format text content into HTML paragraphs
+ * Serialize rows of cells back to CSV, quoting where needed
+ * @param {Array<Array<string>>} rows
+ * @returns {string}
  */
-function formatTextContent(lines) {
-    if (!lines || lines.length === 0) return '<p></p>';
-    const items = [];
-    let currentList = null;
-    let currentParagraph = [];
-    // Helper to flush accumulated paragraph
-    const flushParagraph = () => {
-        if (currentParagraph.length > 0) {
-            items.push({ type: 'p', text: currentParagraph.join(' ') });
-            currentParagraph = [];
-        }
-    };
-    // Helper to flush current list
-    const flushList = () => {
-        if (currentList) {
-            items.push(currentList);
-            currentList = null;
-        }
-    };
-    lines.forEach(line => {
-        if (/^\s*$/.test(line)) {
-            flushParagraph();
-            flushList();
-            return;
-        }
-        let match;
-        const trimmed = line.trim();
-        // Unordered list detection (hyphen, bullet or asterisk)
-        if ((match = trimmed.match(/^[-•*]\s*(.+)/))) {
-            if (!currentList || currentList.listType !== 'ul') {
-                flushParagraph();
-                flushList();
-                currentList = { listType: 'ul', items: [] };
-            }
-            currentList.items.push(match[1].trim());
-        } else if ((match = trimmed.match(/^(\d+)[\)\.\-]\s*(.+)/))) {
-            // Ordered list detection (1. or 1) or 1-)
-            if (!currentList || currentList.listType !== 'ol') {
-                flushParagraph();
-                flushList();
-                currentList = { listType: 'ol', items: [] };
-            }
-            currentList.items.push(match[2].trim());
-        } else {
-            flushList();
-            currentParagraph.push(trimmed);
-        }
-    });
-    flushParagraph();
-    flushList();
-    // Convert items to HTML using sanitizeHtml for safety
-    let html = '';
-    items.forEach(item => {
-        if (item.listType) {
-            const tag = item.listType === 'ul' ? 'ul' : 'ol';
-            html += `<${tag}>` + item.items.map(it => `<li>${sanitizeHtml(it)}</li>`).join('') + `</${tag}>`;
-        } else if (item.type === 'p') {
-            const text = item.text;
-            // Determine if the paragraph is mostly uppercase letters
-            const letters = text.replace(/[^A-Za-z]/g, '');
-            const uppercaseLetters = text.replace(/[^A-Z]/g, '');
-            const ratio = letters.length > 0 ? uppercaseLetters.length / letters.length : 0;
-            if (ratio > 0.7 && text.length < 200) {
-                html += `<p><strong>${sanitizeHtml(text)}</strong></p>`;
-            } else {
-                html += `<p>${sanitizeHtml(text)}</p>`;
-            }
+function formatCSV(rows) {
+    return (rows || []).map(cells => cells.map(value => {
+        const text = String(value === null || value === undefined ? '' : value);
+        return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\n');
+}
+
+/**
+ * Parse a page range such as "1-4, 7, 10-" into sorted page numbers.
+ * Numbers outside 1..maxPage are ignored; an open-ended range runs to
+ * the last page.
+ */
+function parsePageRange(text, maxPage) {
+    const pages = new Set();
+    (text || '').split(/[,;\s]+/).forEach(part => {
+        const match = part.match(/^(\d*)(?:\s*[-–]\s*(\d*))?$/);
+        if (!match || (!match[1] && !match[2])) return;
+        const isRange = part.includes('-') || part.includes('–');
+        const start = match[1] ? parseInt(match[1], 10) : 1;
+        const end = isRange && !match[2] ? maxPage : parseInt(match[2] || match[1], 10);
+        for (let page = Math.max(1, start); page <= Math.min(maxPage, end); page++) {
+            pages.add(page);
         }
     });
-    return html;
+    return Array.from(pages).sort((a, b) => a - b);
+}
+
+/**
+ * Format page numbers as a compact range, e.g. [1,2,3,7] -> "1-3, 7"
+ */
+function formatPageRange(pages) {
+    const sorted = Array.from(new Set(pages)).sort((a, b) => a - b);
+    const parts = [];
+    for (let i = 0; i < sorted.length; i++) {
+        const start = sorted[i];
+        while (sorted[i + 1] === sorted[i] + 1) i++;
+        parts.push(sorted[i] === start ? String(start) : `${start}-${sorted[i]}`);
+    }
+    return parts.join(', ');
 }
 
 // ===================================================
@@ -774,6 +734,8 @@ window.LWB_Utils = {
     clearSavedProject,
     exportProjectData,
     importProjectData,
+    savePreference,
+    loadPreference,
     
     // Utilities
     createUniqueId,
@@ -785,8 +747,12 @@ window.LWB_Utils = {
     downloadFile,
     copyToClipboard,
     sanitizeHtml,
-    parseTextIntoSections,
+    parseTextIntoSections: (text, fileName) => window.LWB_Parser.parsePlainText(text, fileName),
     formatTextContent,
+    parseCSV,
+    formatCSV,
+    parsePageRange,
+    formatPageRange,
     
     // Color schemes
     COLOR_SCHEMES,
@@ -3,21 +3,25 @@
  *
  * This web worker offloads heavy document processing tasks from the
  * main UI thread. It handles PDF text extraction via pdf.js, OCR
- * operations using Tesseract.js and basic content parsing to reduce
- * UI blocking during uploads. The worker reports progress back to
- * the main thread and returns an array of sections on completion.
+ * operations using Tesseract.js and content parsing (the same
+ * parser.js the page uses) to reduce UI blocking during uploads. The
+ * worker reports progress back to the main thread and returns an array of sections on completion.
  */
 
-/* global pdfjsLib, Tesseract */
+/* global pdfjsLib, Tesseract, LWB_Layout, LWB_Libraries, LWB_Parser, LWB_Preprocess, LWB_OCRLanguages, LWB_OCRPool */
 
-// Import dependencies. These are loaded from public CDNs since the
-// worker has no access to modules defined in the main window. If
-// importScripts fails (e.g. network blocked), the worker will
-// terminate with an error and the main thread will fall back to
-// synchronous processing.
+// Import our own shared modules. pdf.js and Tesseract.js are imported
+// when the first job arrives, from the URLs the page loaded them from
+// (vendor folder or CDN), so both sides run the same versions. If
+// importScripts fails, the worker reports an error and the main
+// thread will fall back to synchronous processing.
 try {
-    importScripts('https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.10.377/pdf.min.js');
-    importScripts('https://cdn.jsdelivr.net/npm/tesseract.js@4/dist/tesseract.min.js');
+    importScripts('../libraryLoader.js');
+    importScripts('../layout.js');
+    importScripts('../parser.js');
+    importScripts('../imagePreprocess.js');
+    importScripts('../ocrLanguages.js');
+    importScripts('../ocrPool.js');
 } catch (err) {
     // Forward the error to the main thread.  If libraries fail to
     // load, the worker cannot process documents.
@@ -38,54 +42,82 @@ function postProgress(step, progress, message) {
 }
 
 /**
- * Extract text from a PDF using pdf.js. Returns the full text and
- * the ratio of alphabetic to non‑whitespace characters. The caller
- * may use the ratio to decide whether OCR fallback is required.
+ * Extract text and figures from a PDF using pdf.js. Pages are read
+ * through the shared layout analyser, so the text is in column reading
+ * order and the per-page lines and figures can be turned into sections.
+ * Returns the full text and the ratio of alphabetic to
+ * non‑whitespace characters. The caller may use the ratio to decide
+ * whether OCR fallback is required.
  *
  * @param {Uint8Array} uint8 PDF data
- * @returns {Promise<{ fullText: string, alphaRatio: number, numPages: number }>} Extracted text and metrics
+ * @param {Object} [pageSelection] { pages, imagePages } chosen by the user; all pages when omitted
+ * @param {string} fileName
+ * @returns {Promise<{ fullText: string, alphaRatio: number, numPages: number, pages: Array, textPageCount: number, diagnostics: Object }>} Extracted text, layout, metrics and conversion report
  */
-async function extractTextFromPDFBuffer(uint8) {
+async function extractTextFromPDFBuffer(uint8, pageSelection, fileName) {
     const loadingTask = pdfjsLib.getDocument({ data: uint8 });
     const pdf = await loadingTask.promise;
-    let fullText = '';
-    const numPages = pdf.numPages;
-    for (let i = 1; i <= numPages; i++) {
-        postProgress(`Extracting page ${i}`, 0.1 + (i - 1) * (0.4 / numPages), `Extracting text from page ${i} of ${numPages}...`);
+    const selection = LWB_Layout.resolvePageSelection(pageSelection, pdf.numPages);
+    const diagnostics = LWB_Layout.createPDFDiagnostics(fileName, pdf.numPages, selection);
+    const numPages = selection.pages.length;
+    const pages = [];
+    for (let n = 0; n < numPages; n++) {
+        const i = selection.pages[n];
+        postProgress(`Extracting page ${i}`, 0.1 + n * (0.4 / numPages), `Extracting page ${n + 1} of ${numPages}...`);
         const page = await pdf.getPage(i);
-        const textContent = await page.getTextContent();
-        let pageText = '';
-        let lastY = null;
-        textContent.items.forEach(item => {
-            if (lastY !== null && Math.abs(item.transform[5] - lastY) > 5) {
-                pageText += '\n';
-            }
-            pageText += item.str + ' ';
-            lastY = item.transform[5];
-        });
-        fullText += pageText + '\n\n';
+        const layout = selection.imagePages.has(i)
+            ? LWB_Layout.createImagePageLayout(page, i)
+            : await LWB_Layout.extractPageLayout(page, i);
+        try {
+            await LWB_Layout.renderPageFigures(page, layout, (width, height) => new OffscreenCanvas(width, height));
+        } catch (figureError) {
+            // Figures are optional; keep the text even if rendering fails
+            console.warn(`Could not extract figures from page ${i}:`, figureError);
+        }
+        pages.push(layout);
+        diagnostics.pages.push(selection.imagePages.has(i)
+            ? { page: i, method: 'image' }
+            : { page: i, method: 'text', characters: LWB_Layout.getLayoutText([layout]).replace(/\s+/g, '').length });
     }
+    const fullText = LWB_Layout.getLayoutText(pages);
     const alphaMatches = fullText.match(/[A-Za-z]/g) || [];
     const nonSpaceLength = fullText.replace(/\s+/g, '').length;
     const alphaRatio = nonSpaceLength > 0 ? alphaMatches.length / nonSpaceLength : 0;
-    return { fullText, alphaRatio, numPages };
+    diagnostics.alphaRatio = alphaRatio;
+    return { fullText, alphaRatio, numPages, pages, textPageCount: numPages - selection.imagePages.size, diagnostics };
+}
+
+/**
+ * Canvas factory for preprocessing in the worker
+ */
+function createOffscreenCanvas(width, height) {
+    return new OffscreenCanvas(width, height);
 }
 
 /**
- * Perform OCR on each page of a PDF. Renders pages to an
- * OffscreenCanvas and uses Tesseract.js to recognise text. Progress
- * updates are emitted for each page and within OCR processing.
+ * Perform OCR on each selected page of a PDF. Renders pages to an
+ * OffscreenCanvas and reads them with a pool of Tesseract.js workers
+ * (LWB_OCRPool), several pages at once. Pages marked to import as
+ * images are skipped. Progress is reported for the pages as a whole.
  *
  * @param {Uint8Array} uint8 PDF data
- * @returns {Promise<string>} Combined OCR text
+ * @param {Object} [pageSelection] { pages, imagePages } chosen by the user
+ * @param {Object} [diagnostics] Conversion report; each page's entry is replaced with its OCR result
+ * @param {Object} [ocrPreprocess] LWB_Preprocess steps applied to each rendered page
+ * @param {Object} [ocrLanguages] { languages, autoDetect } from the page's OCR settings;
+ *        languages are chosen on the first page and kept for the rest
+ * @returns {Promise<{ text: string, pages: Array }>} Combined OCR text and the page layouts of the
+ *          recognised lines; the diagnostics' `language` is set to the language the text was read as
  */
-async function performOCROnPDF(uint8) {
+async function performOCROnPDF(uint8, pageSelection, diagnostics, ocrPreprocess, ocrLanguages) {
     const loadingTask = pdfjsLib.getDocument({ data: uint8 });
     const pdf = await loadingTask.promise;
-    const numPages = pdf.numPages;
-    let combined = '';
-    for (let i = 1; i <= numPages; i++) {
-        const page = await pdf.getPage(i);
+    const selection = LWB_Layout.resolvePageSelection(pageSelection, pdf.numPages);
+    const textPages = selection.pages.filter(n => !selection.imagePages.has(n));
+    const tesseractOptions = LWB_Libraries.getTesseractOptions();
+
+    const renderPage = async pageNumber => {
+        const page = await pdf.getPage(pageNumber);
         const viewport = page.getViewport({ scale: 2.0 });
         // OffscreenCanvas is supported in most modern browsers and in
         // workers. If unavailable, this may throw and the main thread
@@ -93,223 +125,68 @@ async function performOCROnPDF(uint8) {
         const canvas = new OffscreenCanvas(viewport.width, viewport.height);
         const context = canvas.getContext('2d');
         await page.render({ canvasContext: context, viewport: viewport }).promise;
-        const blob = await canvas.convertToBlob({ type: 'image/png' });
-        const dataUrl = await new Promise(resolve => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.readAsDataURL(blob);
-        });
-        // Recognise text with progress reporting
-        const ocrResult = await Tesseract.recognize(dataUrl, undefined, {
-            logger: m => {
-                if (typeof m.progress === 'number') {
-                    const base = 0.5 + (i - 1) * (0.5 / numPages);
-                    const progress = base + m.progress * (0.5 / numPages);
-                    postProgress(`Reading page ${i}`, progress, `Reading text on page ${i}...`);
-                }
-            }
-        });
-        combined += (ocrResult.data && ocrResult.data.text ? ocrResult.data.text : '') + '\n\n';
-    }
-    return combined;
-}
-
-/**
- * Escape HTML entities to prevent injection. Used by the parser when
- * converting plain text into safe HTML fragments.
- *
- * @param {string} str Input string
- * @returns {string} Escaped string
- */
-function escapeHtml(str) {
-    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;')
-              .replace(/>/g, '&gt;').replace(/"/g, '&quot;')
-              .replace(/'/g, '&#039;');
-}
-
-/**
- * Format an array of lines into HTML paragraphs and lists. Detects
- * ordered and unordered lists, emphasises all‑caps lines as bold and
- * escapes content to prevent HTML injection.
- *
- * @param {string[]} lines Lines of text
- * @returns {string} HTML string
- */
-function formatContentLines(lines) {
-    const items = [];
-    let currentList = null;
-    let currentParagraph = [];
-    const flushParagraph = () => {
-        if (currentParagraph.length > 0) {
-            items.push({ type: 'p', text: currentParagraph.join(' ') });
-            currentParagraph = [];
-        }
+        const prepared = LWB_Preprocess.preprocessImage(canvas, ocrPreprocess, createOffscreenCanvas);
+        return LWB_Preprocess.preprocessedCanvasToDataUrl(prepared.canvas);
     };
-    const flushList = () => {
-        if (currentList) {
-            items.push(currentList);
-            currentList = null;
-        }
-    };
-    lines.forEach(line => {
-        if (/^\s*$/.test(line)) {
-            flushParagraph();
-            flushList();
-            return;
-        }
-        let match;
-        // Unordered list bullets (hyphen, asterisk, or bullet)
-        if ((match = line.match(/^\s*[-•*]\s*(.+)/))) {
-            if (!currentList || currentList.listType !== 'ul') {
-                flushParagraph();
-                flushList();
-                currentList = { listType: 'ul', items: [] };
-            }
-            currentList.items.push(match[1].trim());
-        } else if ((match = line.match(/^\s*(\d+)[\)\.\-]\s*(.+)/))) {
-            if (!currentList || currentList.listType !== 'ol') {
-                flushParagraph();
-                flushList();
-                currentList = { listType: 'ol', items: [] };
-            }
-            currentList.items.push(match[2].trim());
-        } else {
-            flushList();
-            currentParagraph.push(line);
-        }
-    });
-    flushParagraph();
-    flushList();
-    // Convert items to HTML
-    let html = '';
-    items.forEach(item => {
-        if (item.listType) {
-            const tag = item.listType === 'ul' ? 'ul' : 'ol';
-            html += `<${tag}>` + item.items.map(it => `<li>${escapeHtml(it)}</li>`).join('') + `</${tag}>`;
-        } else if (item.type === 'p') {
-            const text = item.text;
-            const letters = text.replace(/[^A-Za-z]/g, '');
-            const uppercaseLetters = text.replace(/[^A-Z]/g, '');
-            const ratio = letters.length > 0 ? uppercaseLetters.length / letters.length : 0;
-            if (ratio > 0.7 && text.length < 200) {
-                html += `<p><strong>${escapeHtml(text)}</strong></p>`;
-            } else {
-                html += `<p>${escapeHtml(text)}</p>`;
-            }
+    const { languages, pages } = await LWB_OCRPool.recognizePages(textPages, {
+        renderPage,
+        languages: async image => (await LWB_OCRLanguages.resolveOCRLanguages(
+            image, ocrLanguages || {}, tesseractOptions
+        )).languages.join('+'),
+        tesseractOptions,
+        onProgress: (progress, done, total) => {
+            postProgress('Reading pages', 0.5 + progress * 0.5, `Reading text: ${done} of ${total} pages done...`);
         }
     });
-    return html;
-}
 
-/**
- * Enhanced text parser that recognises common section headers (both
- * academic and business), numbered headings and splits content
- * accordingly. If no headers are detected, returns a single content
- * section. Each section receives a unique id.
- *
- * @param {string} text Plain text to parse
- * @param {string} fileName Original file name (for header title)
- * @returns {Array} Array of section objects
- */
-function enhancedParseTextIntoSections(text, fileName) {
-    const sections = [];
-    const cleanFileName = fileName.replace(/\.[^/.]+$/, '');
-    // Always start with a header section
-    sections.push({
-        id: 'header',
-        icon: '📄',
-        name: 'Header',
-        isHeader: true,
-        content: [ { type: 'text', value: `<h1>${escapeHtml(cleanFileName)}</h1>`, allowHtml: false } ]
-    });
-    const lines = text.split(/\r?\n/).filter(l => l.trim());
-    let currentSection = null;
-    let currentContent = [];
-    // Known header patterns
-    const headerPatterns = [
-        'abstract','introduction','background','methods','methodology',
-        'results','discussion','conclusion','references','acknowledgments',
-        'summary','objectives','materials','analysis','findings',
-        'recommendations','future work','limitations','appendix',
-        'overview','approach','implementation','evaluation','related work',
-        'executive summary','business objectives','scope','goals','purpose'
-    ];
-    const toTitleCase = str => str.charAt(0).toUpperCase() + str.slice(1);
-    for (const rawLine of lines) {
-        const line = rawLine.trim();
-        const lowerLine = line.toLowerCase();
-        let headerCandidate = null;
-        // Check numbered headings, e.g. "1. Introduction" or "2 Methodology"
-        const numMatch = line.match(/^\d+\.?\s+(.+)/);
-        if (numMatch) {
-            headerCandidate = numMatch[1].trim();
-        } else {
-            // Check if line starts with a known header pattern
-            headerCandidate = headerPatterns.find(h => lowerLine.startsWith(h));
-        }
-        if (headerCandidate) {
-            // Save previous section
-            if (currentSection && currentContent.length > 0) {
-                currentSection.content.push({
-                    type: 'text',
-                    value: formatContentLines(currentContent),
-                    allowHtml: false
-                });
-                sections.push(currentSection);
-            }
-            // Start new section
-            const cleanHeader = headerCandidate.replace(/^\d+\.?\s*/, '').trim();
-            currentSection = {
-                id: cleanHeader.toLowerCase().replace(/\s+/g, '-') + '-' + Date.now() + '-' + Math.random().toString(36).substr(2,4),
-                icon: '📄',
-                name: toTitleCase(cleanHeader),
-                isHeader: false,
-                content: []
-            };
-            currentContent = [];
-        } else {
-            currentContent.push(line);
+    // Reassemble in page order
+    let combined = '';
+    const layouts = [];
+    pages.forEach(result => {
+        if (result.error) {
+            LWB_Layout.recordOCRPage(diagnostics, result.page, null, result.error);
+            return;
         }
+        combined += result.text + '\n\n';
+        layouts.push(LWB_Layout.createOCRPageLayout(result.blocks, result.page));
+        LWB_Layout.recordOCRPage(diagnostics, result.page, result);
+    });
+    if (diagnostics) diagnostics.ocrProvider = 'tesseract';
+    if (languages && diagnostics) {
+        diagnostics.language = LWB_OCRLanguages.getLanguageTag(LWB_OCRLanguages.guessTextLanguage(combined, languages.split('+')));
     }
-    // Save the last section
-    if (currentSection && currentContent.length > 0) {
-        currentSection.content.push({
-            type: 'text',
-            value: formatContentLines(currentContent),
-            allowHtml: false
-        });
-        sections.push(currentSection);
-    }
-    // If only header exists, add a generic content section
-    if (sections.length === 1 && lines.length > 0) {
-        sections.push({
-            id: 'content-' + Date.now(),
-            icon: '📄',
-            name: 'Content',
-            isHeader: false,
-            content: [ { type: 'text', value: formatContentLines(lines), allowHtml: false } ]
-        });
-    }
-    return sections;
+    return { text: combined, pages: layouts };
 }
 
 // Main worker message handler
 self.onmessage = async function(e) {
-    const { id, type, fileType, fileData, fileName } = e.data || {};
+    const { id, type, fileType, fileData, fileName, pageSelection, ocrPreprocess, ocrLanguages, libraries } = e.data || {};
     if (type !== 'processDocument') return;
     try {
+        const missing = LWB_Libraries.importLibraryScripts(libraries, fileType === 'pdf'
+            ? ['pdfjs', 'pdfjsWorker', 'tesseract', 'tesseractWorker', 'tesseractCore', 'tesseractLang']
+            : ['tesseract', 'tesseractWorker', 'tesseractCore', 'tesseractLang']);
+        if (fileType === 'pdf' && typeof pdfjsLib === 'undefined') {
+            throw new Error('Missing libraries: ' + missing.join(', '));
+        }
         if (fileType === 'pdf') {
             const uint8 = new Uint8Array(fileData);
             // First, attempt native text extraction
-            const { fullText, alphaRatio } = await extractTextFromPDFBuffer(uint8);
-            let text = fullText;
-            // Heuristic: if the text contains fewer than 50% letters or is very short, fallback to OCR
-            if (alphaRatio < 0.5 || fullText.replace(/\s+/g, '').length < 100) {
+            const { fullText, alphaRatio, pages, textPageCount, diagnostics } = await extractTextFromPDFBuffer(uint8, pageSelection, fileName);
+            let sections;
+            // Heuristic: if the text contains fewer than 50% letters or is very short, fallback to OCR.
+            // There is nothing to read when every chosen page is imported as an image.
+            if (textPageCount > 0 && (alphaRatio < 0.5 || fullText.replace(/\s+/g, '').length < 100)) {
                 postProgress('Fallback OCR', 0.5, 'Low quality text detected. Performing OCR...');
-                text = await performOCROnPDF(uint8);
+                diagnostics.warnings.push(LWB_Layout.describeLowQualityText(alphaRatio));
+                const ocr = await performOCROnPDF(uint8, pageSelection, diagnostics, ocrPreprocess, ocrLanguages);
+                sections = LWB_Parser.parseLayoutPages(ocr.pages, fileName, ocr.text);
+            } else {
+                // Prefer headings found from font sizes; documents set in a
+                // single style fall back to the keyword parser
+                sections = LWB_Parser.parseLayoutPages(pages, fileName);
             }
-            const sections = enhancedParseTextIntoSections(text, fileName);
-            self.postMessage({ type: 'result', id, sections });
+            self.postMessage({ type: 'result', id, sections, diagnostics });
         } else if (fileType === 'image') {
             // Convert ArrayBuffer to DataURL
             const blob = new Blob([fileData]);
@@ -318,8 +195,16 @@ self.onmessage = async function(e) {
                 reader.onload = () => resolve(reader.result);
                 reader.readAsDataURL(blob);
             });
-            // Run OCR on the image
-            const ocrResult = await Tesseract.recognize(dataUrl, undefined, {
+            // Run OCR on a cleaned-up copy; the original is kept for the site
+            const bitmap = await createImageBitmap(blob);
+            const prepared = LWB_Preprocess.preprocessImage(bitmap, ocrPreprocess, createOffscreenCanvas);
+            bitmap.close();
+            const ocrInput = await LWB_Preprocess.preprocessedCanvasToDataUrl(prepared.canvas);
+            const { languages } = await LWB_OCRLanguages.resolveOCRLanguages(
+                ocrInput, ocrLanguages || {}, LWB_Libraries.getTesseractOptions()
+            );
+            const ocrResult = await Tesseract.recognize(ocrInput, languages.join('+'), {
+                ...LWB_Libraries.getTesseractOptions(),
                 logger: m => {
                     if (typeof m.progress === 'number') {
                         const progress = 0.2 + m.progress * 0.6;
@@ -328,7 +213,8 @@ self.onmessage = async function(e) {
                 }
             });
             const text = (ocrResult.data && ocrResult.data.text) ? ocrResult.data.text : '';
-            const sections = enhancedParseTextIntoSections(text, fileName);
+            const layout = LWB_Layout.createOCRPageLayout(LWB_Layout.normalizeOCRBlocks(ocrResult.data), 1);
+            const sections = LWB_Parser.parseLayoutPages([layout], fileName, text);
             self.postMessage({ type: 'imageResult', id, sections, dataUrl });
         }
     } catch (error) {